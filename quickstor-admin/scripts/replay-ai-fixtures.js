@@ -0,0 +1,125 @@
+/**
+ * Replay AI Fixtures
+ * Runs AI features end to end against the mock provider (replay mode, see src/utils/mockAI.js)
+ * and checks each is answered by its fixture in src/fixtures/ai/ - found by the hash of the
+ * prompt the feature builds - with no request reaching the AI proxy, and nothing logged as an error.
+ *
+ * A fixture that no longer matches usually means a prompt changed: record the feature again
+ * (Settings → Mock AI → record) and export the fixtures over the old file, or update the hash.
+ *
+ * Usage: npm run test:ai-fixtures
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { createServer } from 'vite';
+
+const ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..');
+const FIXTURES_DIR = path.join(ROOT, 'src', 'fixtures', 'ai');
+
+// Each scenario runs one feature the way its page does and returns what the page would show.
+// section-creator.json is hand-written, in the format record mode exports.
+const SCENARIOS = [
+    {
+        name: 'Section Creator: generate a section',
+        fixture: 'section-creator.json',
+        run: async (load) => {
+            const { generateSectionHTML } = await load('/src/utils/sectionGeneratorService.js');
+            let streamed = '';
+            const result = await generateSectionHTML(
+                'A pricing table with three plans and a highlighted middle plan',
+                (chunk) => { streamed += chunk; }
+            );
+            if (result.error) throw new Error(result.error);
+            return { value: { html: result.html, schema: result.schema, defaultContent: result.defaultContent }, streamed };
+        }
+    }
+];
+
+// --- Browser stand-ins ---
+
+function installBrowserGlobals(aiRequests, errors) {
+    const store = new Map([['quickstor_ai_mock', 'replay']]);
+    globalThis.localStorage = {
+        getItem: (key) => (store.has(key) ? store.get(key) : null),
+        setItem: (key, value) => store.set(key, String(value)),
+        removeItem: (key) => store.delete(key)
+    };
+
+    // Signed out and offline: the built-in prompts are served from public/, everything else fails
+    globalThis.fetch = async (url) => {
+        const pathname = String(url).split('?')[0];
+        if (/^\/api\/ai\/(generate|stream)$/.test(pathname)) aiRequests.push(pathname);
+        if (pathname.endsWith('/prompts.json')) {
+            return new Response(await fs.readFile(path.join(ROOT, 'public', 'prompts.json')), { status: 200 });
+        }
+        return new Response(JSON.stringify({ error: 'Not available while replaying fixtures' }), { status: 404 });
+    };
+
+    // Anything the admin logs as an error fails the scenario it happened in
+    console.error = (...args) => errors.push(args.map(arg => (arg instanceof Error ? arg.message : String(arg))).join(' '));
+}
+
+// --- Run ---
+
+const report = console.error;
+
+async function main() {
+    const aiRequests = [];
+    const errors = [];
+    installBrowserGlobals(aiRequests, errors);
+
+    // Vite loads the modules as the admin build does (import.meta.glob, import.meta.env)
+    const vite = await createServer({
+        root: ROOT,
+        logLevel: 'error',
+        appType: 'custom',
+        server: { middlewareMode: true, hmr: false },
+        optimizeDeps: { noDiscovery: true }
+    });
+
+    let failures = 0;
+    try {
+        const load = (file) => vite.ssrLoadModule(file);
+        const { promptService } = await load('/src/utils/promptService.js');
+        await promptService.init();
+
+        for (const scenario of SCENARIOS) {
+            const fixtures = JSON.parse(await fs.readFile(path.join(FIXTURES_DIR, scenario.fixture), 'utf8'));
+            const recorded = Object.values(fixtures).map(fixture => fixture.chunks.join(''));
+
+            try {
+                const requestsBefore = aiRequests.length;
+                const errorsBefore = errors.length;
+                const { value, streamed } = await scenario.run(load);
+
+                if (aiRequests.length > requestsBefore) throw new Error(`sent ${aiRequests.slice(requestsBefore).join(', ')}`);
+                if (errors.length > errorsBefore) throw new Error(`logged an error: ${errors.slice(errorsBefore).join('; ')}`);
+                if (!recorded.includes(streamed)) {
+                    throw new Error('no fixture matched the prompt - a canned response was used instead');
+                }
+                if (JSON.stringify(value) !== JSON.stringify(JSON.parse(streamed))) {
+                    throw new Error('the result differs from the fixture\'s response');
+                }
+                console.log(`✅ ${scenario.name}`);
+            } catch (error) {
+                failures++;
+                report(`❌ ${scenario.name}: ${error.message}`);
+            }
+        }
+    } finally {
+        await vite.close();
+    }
+
+    if (failures > 0) {
+        report(`\n${failures} of ${SCENARIOS.length} scenarios failed`);
+        process.exit(1);
+    }
+    console.log(`\nAll ${SCENARIOS.length} scenarios replayed from fixtures`);
+}
+
+main().catch((error) => {
+    report(error);
+    process.exit(1);
+});
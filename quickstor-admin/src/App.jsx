@@ -1,6 +1,7 @@
 import React from 'react';
 import { BrowserRouter, Routes, Route } from 'react-router-dom';
 import { ContentProvider } from './hooks/useContentStore';
+import { AuthProvider } from './features/auth/AuthProvider';
 
 // Layouts
 import AdminLayout from './components/layout/AdminLayout';
@@ -11,46 +12,47 @@ import Dashboard from './pages/Dashboard';
 import SectionLibrary from './pages/SectionLibrary';
 import SectionCreator from './pages/SectionCreator';
 import ThemeEditor from './pages/ThemeEditor';
+import MediaLibrary from './pages/MediaLibrary';
 import Login from './pages/Login';
 import NotFound from './pages/NotFound';
 import Settings from './pages/Settings';
-
-import { useEffect } from 'react';
-import { promptService } from './utils/promptService';
+import PromptPlayground from './pages/PromptPlayground';
+import AILog from './pages/AILog';
 
 function App() {
-  useEffect(() => {
-    promptService.init();
-  }, []);
-
   // Determine basename (for serving under /adminportal)
   const basename = import.meta.env.BASE_URL || '/';
 
   return (
-    <ContentProvider>
-      <BrowserRouter basename={basename === '/' ? undefined : basename}>
-        <Routes>
-          {/* Public Routes (Login) */}
-          <Route element={<AuthLayout />}>
-            <Route path="/login" element={<Login />} />
-          </Route>
-
-          {/* Protected Routes (Dashboard & Tools) */}
-          <Route element={<AdminLayout />}>
-            <Route path="/" element={<Dashboard />} />
-
-            {/* New Routes */}
-            <Route path="/sections" element={<SectionLibrary />} />
-            <Route path="/sections/new" element={<SectionCreator />} />
-            <Route path="/themes" element={<ThemeEditor />} />
-            <Route path="/settings" element={<Settings />} />
-          </Route>
-
-          {/* Catch-all */}
-          <Route path="*" element={<NotFound />} />
-        </Routes>
-      </BrowserRouter>
-    </ContentProvider>
+    <AuthProvider>
+      <ContentProvider>
+        <BrowserRouter basename={basename === '/' ? undefined : basename}>
+          <Routes>
+            {/* Public Routes (Login) */}
+            <Route element={<AuthLayout />}>
+              <Route path="/login" element={<Login />} />
+            </Route>
+
+            {/* Protected Routes (Dashboard & Tools) */}
+            <Route element={<AdminLayout />}>
+              <Route path="/" element={<Dashboard />} />
+
+              {/* New Routes */}
+              <Route path="/sections" element={<SectionLibrary />} />
+              <Route path="/sections/new" element={<SectionCreator />} />
+              <Route path="/themes" element={<ThemeEditor />} />
+              <Route path="/media" element={<MediaLibrary />} />
+              <Route path="/playground" element={<PromptPlayground />} />
+              <Route path="/ai-log" element={<AILog />} />
+              <Route path="/settings" element={<Settings />} />
+            </Route>
+
+            {/* Catch-all */}
+            <Route path="*" element={<NotFound />} />
+          </Routes>
+        </BrowserRouter>
+      </ContentProvider>
+    </AuthProvider>
   );
 }
 
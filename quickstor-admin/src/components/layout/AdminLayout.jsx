@@ -1,8 +1,11 @@
-import React, { useState } from 'react';
-import { Outlet, Link, useLocation, useNavigate } from 'react-router-dom';
-import { LayoutDashboard, LogOut, Settings, Menu, X, ChevronDown, ChevronRight, Plus, FileText, Library, Palette, Trash2 } from 'lucide-react';
+import React, { useState, useEffect } from 'react';
+import { Outlet, Link, Navigate, useLocation, useNavigate } from 'react-router-dom';
+import { LayoutDashboard, LogOut, Settings, Menu, X, ChevronDown, ChevronRight, Plus, FileText, Library, Palette, Trash2, Images, Beaker, ScrollText } from 'lucide-react';
 import { Button } from '../ui/Button';
 import { useContentStore } from '../../hooks/useContentStore';
+import { useAuth } from '../../hooks/useAuth';
+import { loadAIConfig } from '../../utils/aiService';
+import { promptService } from '../../utils/promptService';
 
 const AdminLayout = () => {
   const location = useLocation();
@@ -10,9 +13,17 @@ const AdminLayout = () => {
   const [isSidebarOpen, setIsSidebarOpen] = useState(false);
 
   const { pages, activePageId, setActivePageId, addPage, deletePage } = useContentStore();
+  const { user, isLoading, logout, can } = useAuth();
 
   const [isPagesOpen, setIsPagesOpen] = useState(true); // Default open to show pages
 
+  // Fetch the AI provider settings and the team's prompts once signed in (pages follow the settings through useAIConfig)
+  useEffect(() => {
+    if (!user) return;
+    loadAIConfig({ refresh: true });
+    promptService.refresh();
+  }, [user]);
+
   const handleAddPage = (e) => {
     e.preventDefault();
     const newPageTitle = prompt("Enter new page title:");
@@ -22,6 +33,24 @@ const AdminLayout = () => {
     }
   };
 
+  const handleSignOut = () => {
+    logout();
+    navigate('/login');
+  };
+
+  // Wait for the stored session to be validated before deciding
+  if (isLoading) {
+    return (
+      <div className="flex h-screen items-center justify-center bg-gray-50 text-sm text-gray-500">
+        Checking session...
+      </div>
+    );
+  }
+
+  if (!user) {
+    return <Navigate to="/login" replace state={{ from: location }} />;
+  }
+
   return (
     <div className="flex h-screen bg-gray-50 overflow-hidden font-sans">
 
@@ -158,6 +187,49 @@ const AdminLayout = () => {
             Theme Editor
           </Link>
 
+          {/* Media Library Link */}
+          <Link
+            to="/media"
+            onClick={() => setIsSidebarOpen(false)}
+            className={`flex items-center gap-3 px-4 py-3 rounded-md text-sm transition-colors ${location.pathname === '/media'
+              ? 'bg-blue-600 text-white'
+              : 'text-gray-400 hover:text-white hover:bg-gray-900'
+              }`}
+          >
+            <Images size={18} />
+            Media Library
+          </Link>
+
+          {/* Prompt Playground Link (admins tune the shared prompts) */}
+          {can('admin') && (
+            <Link
+              to="/playground"
+              onClick={() => setIsSidebarOpen(false)}
+              className={`flex items-center gap-3 px-4 py-3 rounded-md text-sm transition-colors ${location.pathname === '/playground'
+                ? 'bg-blue-600 text-white'
+                : 'text-gray-400 hover:text-white hover:bg-gray-900'
+                }`}
+            >
+              <Beaker size={18} />
+              Prompt Playground
+            </Link>
+          )}
+
+          {/* AI Log Link (admins trace and replay AI requests) */}
+          {can('admin') && (
+            <Link
+              to="/ai-log"
+              onClick={() => setIsSidebarOpen(false)}
+              className={`flex items-center gap-3 px-4 py-3 rounded-md text-sm transition-colors ${location.pathname === '/ai-log'
+                ? 'bg-blue-600 text-white'
+                : 'text-gray-400 hover:text-white hover:bg-gray-900'
+                }`}
+            >
+              <ScrollText size={18} />
+              AI Log
+            </Link>
+          )}
+
           {/* Settings Link */}
           <Link
             to="/settings"
@@ -174,7 +246,8 @@ const AdminLayout = () => {
         </nav>
 
         <div className="p-4 border-t border-gray-800">
-          <Button variant="ghost" className="w-full justify-start text-red-400 hover:text-red-300 hover:bg-red-900/20 hover:border-red-900/30 gap-3">
+          <p className="px-4 pb-2 text-xs text-gray-500 truncate" title={user.email}>{user.email}</p>
+          <Button variant="ghost" onClick={handleSignOut} className="w-full justify-start text-red-400 hover:text-red-300 hover:bg-red-900/20 hover:border-red-900/30 gap-3">
             <LogOut size={18} />
             Sign Out
           </Button>
@@ -1,8 +1,10 @@
-import React, { useState, useRef } from 'react';
+import React, { useState, useRef, useEffect } from 'react';
 import { Button } from './Button';
-import { Wand2, Loader2, Upload, Clipboard, FileText, Image, X, ChevronDown, ChevronUp, Sparkles, AlertCircle } from 'lucide-react';
+import { Wand2, Loader2, Upload, Clipboard, FileText, Image, X, ChevronDown, ChevronUp, Sparkles, AlertCircle, Square } from 'lucide-react';
 import { generateSectionContent } from '../../utils/geminiService';
-import { getProviderInfo } from '../../utils/aiService';
+import { getProviderInfo, isAbortError } from '../../utils/aiService';
+import { useAIConfig } from '../../hooks/useAIConfig';
+import { AttachmentWarning } from './AttachmentWarning';
 
 /**
  * AI Content Filler Component
@@ -10,6 +12,10 @@ import { getProviderInfo } from '../../utils/aiService';
  */
 const AIContentFiller = ({ sectionType, currentContent, onApply }) => {
     const fileInputRef = useRef(null);
+    // Cancels the running generation (Stop button, or leaving the editor)
+    const abortControllerRef = useRef(null);
+
+    useEffect(() => () => abortControllerRef.current?.abort(), []);
 
     // UI State
     const [isExpanded, setIsExpanded] = useState(false);
@@ -122,13 +128,17 @@ const AIContentFiller = ({ sectionType, currentContent, onApply }) => {
         setError(null);
         setProgressStatus('Starting...');
 
+        const controller = new AbortController();
+        abortControllerRef.current = controller;
+
         try {
             const generatedData = await generateSectionContent(
                 sectionType,
                 userPrompt,
                 currentContent,
                 attachment,
-                (status) => setProgressStatus(status)  // Progress callback
+                (status) => setProgressStatus(status),  // Progress callback
+                controller.signal
             );
 
             // Apply the generated content
@@ -140,15 +150,21 @@ const AIContentFiller = ({ sectionType, currentContent, onApply }) => {
             setIsExpanded(false);
             setProgressStatus('');
         } catch (err) {
+            if (isAbortError(err)) return; // Stopped by the user
             console.error('AI Generation Failed:', err);
             setError(err.message || 'Failed to generate content. Try a different prompt.');
         } finally {
+            abortControllerRef.current = null;
             setIsGenerating(false);
             setProgressStatus('');
         }
     };
 
-    const providerInfo = getProviderInfo();
+    const handleStop = () => {
+        abortControllerRef.current?.abort();
+    };
+
+    const providerInfo = getProviderInfo(useAIConfig());
 
     return (
         <div className="bg-gradient-to-br from-violet-50 to-fuchsia-50 rounded-lg border border-violet-200 overflow-hidden">
@@ -232,6 +248,8 @@ const AIContentFiller = ({ sectionType, currentContent, onApply }) => {
                         </div>
                     )}
 
+                    <AttachmentWarning files={[attachment]} />
+
                     {/* Error Message */}
                     {error && (
                         <div className="p-2 bg-red-50 border border-red-200 rounded text-xs text-red-600 flex gap-2">
@@ -240,24 +258,36 @@ const AIContentFiller = ({ sectionType, currentContent, onApply }) => {
                         </div>
                     )}
 
-                    {/* Generate Button */}
-                    <Button
-                        onClick={handleGenerate}
-                        disabled={!userPrompt.trim() || isGenerating}
-                        className="w-full bg-gradient-to-r from-violet-600 to-fuchsia-600 hover:from-violet-700 hover:to-fuchsia-700 text-white border-none shadow-md gap-2 h-9"
-                    >
-                        {isGenerating ? (
-                            <>
-                                <Loader2 size={14} className="animate-spin" />
-                                Generating...
-                            </>
-                        ) : (
-                            <>
-                                <Wand2 size={14} />
-                                Fill Fields with AI
-                            </>
+                    {/* Generate / Stop Button */}
+                    <div className="flex gap-2">
+                        <Button
+                            onClick={handleGenerate}
+                            disabled={!userPrompt.trim() || isGenerating}
+                            className="flex-1 bg-gradient-to-r from-violet-600 to-fuchsia-600 hover:from-violet-700 hover:to-fuchsia-700 text-white border-none shadow-md gap-2 h-9"
+                        >
+                            {isGenerating ? (
+                                <>
+                                    <Loader2 size={14} className="animate-spin" />
+                                    Generating...
+                                </>
+                            ) : (
+                                <>
+                                    <Wand2 size={14} />
+                                    Fill Fields with AI
+                                </>
+                            )}
+                        </Button>
+                        {isGenerating && (
+                            <Button
+                                variant="outline"
+                                onClick={handleStop}
+                                className="h-9 gap-1.5 bg-white text-violet-700 border-violet-200 hover:bg-violet-50"
+                                title="Stop generating"
+                            >
+                                <Square size={12} className="fill-current" /> Stop
+                            </Button>
                         )}
-                    </Button>
+                    </div>
 
                     {/* Progress Status */}
                     {isGenerating && progressStatus && (
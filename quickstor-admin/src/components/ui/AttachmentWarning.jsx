@@ -0,0 +1,28 @@
+import React from 'react';
+import { AlertTriangle } from 'lucide-react';
+import { getActiveProvider, getUnsupportedAttachments } from '../../utils/aiService';
+import { cn } from '../../utils/cn';
+import { useAIConfig } from '../../hooks/useAIConfig';
+
+/**
+ * Warns when attached files will be left out because the active AI model cannot read them
+ * (e.g. screenshots with a text-only model). Renders nothing when every file is supported.
+ */
+export const AttachmentWarning = ({ files, className }) => {
+    const provider = getActiveProvider(useAIConfig());
+    const unsupported = getUnsupportedAttachments(files.filter(Boolean), provider);
+    if (unsupported.length === 0) return null;
+
+    const hasImages = unsupported.some(file => file.type?.startsWith('image/'));
+
+    return (
+        <div className={cn('p-2 rounded-md border border-amber-200 bg-amber-50 text-xs text-amber-800 flex gap-2', className)}>
+            <AlertTriangle size={14} className="shrink-0 mt-0.5" />
+            <span>
+                {provider.model || provider.label} can't read {unsupported.map(file => file.name).join(', ')}, so{' '}
+                {unsupported.length === 1 ? 'it' : 'they'} will be left out of the request.
+                {hasImages && ' To use images, choose a vision-capable model (or set Image Input) in Settings.'}
+            </span>
+        </div>
+    );
+};
@@ -1,11 +1,16 @@
 import React, { useRef, useState } from 'react';
-import { Upload, Image as ImageIcon, X, Link } from 'lucide-react';
+import { Upload, Image as ImageIcon, X, Link, Loader2, Images } from 'lucide-react';
 import { Button } from './Button';
 import { Input } from './Input';
+import Modal from './Modal';
+import MediaBrowser from '../../features/media/MediaBrowser';
+import { uploadMedia } from '../../utils/mediaService';
 
 const ImageUploadField = ({ value, onChange, placeholder, acceptedFileTypes }) => {
     const fileInputRef = useRef(null);
     const [isDragOver, setIsDragOver] = useState(false);
+    const [isUploading, setIsUploading] = useState(false);
+    const [isPickerOpen, setIsPickerOpen] = useState(false);
 
     const handleFileSelect = async (e) => {
         const file = e.target.files[0];
@@ -14,12 +19,8 @@ const ImageUploadField = ({ value, onChange, placeholder, acceptedFileTypes }) =
         e.target.value = ''; // Reset
     };
 
-    const processFile = (file) => {
-        if (file.size > 2 * 1024 * 1024) {
-            alert("Image is too large (max 2MB)");
-            return;
-        }
-
+    const processFile = async (file) => {
+        // uploadMedia checks the size against the backend's limit
         if (acceptedFileTypes && acceptedFileTypes.length > 0) {
             if (!acceptedFileTypes.includes(file.type)) {
                 alert(`Invalid file type. Accepted types: ${acceptedFileTypes.map(t => t.split('/')[1].toUpperCase()).join(', ')}`);
@@ -27,11 +28,17 @@ const ImageUploadField = ({ value, onChange, placeholder, acceptedFileTypes }) =
             }
         }
 
-        const reader = new FileReader();
-        reader.onload = (e) => {
-            onChange(e.target.result); // Pass Base64 string
-        };
-        reader.readAsDataURL(file);
+        // Upload to the media store and keep only the URL in the content
+        setIsUploading(true);
+        try {
+            const { url } = await uploadMedia(file);
+            onChange(url);
+        } catch (error) {
+            console.error('Image upload failed:', error);
+            alert('Image upload failed: ' + error.message);
+        } finally {
+            setIsUploading(false);
+        }
     };
 
     const handlePaste = (e) => {
@@ -81,10 +88,19 @@ const ImageUploadField = ({ value, onChange, placeholder, acceptedFileTypes }) =
                 <Button
                     variant="outline"
                     onClick={() => fileInputRef.current?.click()}
+                    disabled={isUploading}
                     title="Upload Image"
                     className="px-3"
                 >
-                    <Upload size={16} />
+                    {isUploading ? <Loader2 size={16} className="animate-spin" /> : <Upload size={16} />}
+                </Button>
+                <Button
+                    variant="outline"
+                    onClick={() => setIsPickerOpen(true)}
+                    title="Choose from Media Library"
+                    className="px-3"
+                >
+                    <Images size={16} />
                 </Button>
             </div>
 
@@ -129,6 +145,23 @@ const ImageUploadField = ({ value, onChange, placeholder, acceptedFileTypes }) =
                     </div>
                 )}
             </div>
+
+            <Modal
+                isOpen={isPickerOpen}
+                onClose={() => setIsPickerOpen(false)}
+                title="Choose from Media Library"
+            >
+                <div className="p-6">
+                    <MediaBrowser
+                        imagesOnly
+                        acceptedTypes={acceptedFileTypes}
+                        onSelect={(url) => {
+                            onChange(url);
+                            setIsPickerOpen(false);
+                        }}
+                    />
+                </div>
+            </Modal>
         </div>
     );
 };
@@ -0,0 +1,204 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { BarChart3, Loader2, AlertCircle, Save } from 'lucide-react';
+import { Button } from '../../components/ui/Button';
+import { getAIUsage, saveAIQuotas, AI_FEATURE_LABELS } from '../../utils/aiService';
+
+const QUOTA_FIELDS = [
+    { key: 'monthlyCost', label: 'Monthly budget (USD)', step: '0.01' },
+    { key: 'monthlyTokens', label: 'Monthly tokens', step: '1000' },
+    { key: 'userMonthlyCost', label: 'Per-user budget (USD)', step: '0.01' },
+    { key: 'userMonthlyTokens', label: 'Per-user tokens', step: '1000' }
+];
+
+const currentMonth = () => new Date().toISOString().slice(0, 7);
+
+const formatTokens = (tokens) => tokens.toLocaleString();
+const formatCost = (cost) => `$${cost.toFixed(cost < 1 ? 4 : 2)}`;
+
+// Quotas come back as numbers or null (no limit); the inputs use '' for no limit
+const toQuotaForm = (quotas) => Object.fromEntries(QUOTA_FIELDS.map(({ key }) => [key, quotas[key] ?? '']));
+
+/**
+ * One breakdown table (by user, feature or model), busiest first
+ */
+const UsageTable = ({ title, rows, labels = {} }) => {
+    const entries = Object.entries(rows).sort(([, a], [, b]) => b.tokens - a.tokens);
+
+    return (
+        <div className="border border-gray-200 rounded-lg overflow-hidden">
+            <h3 className="px-3 py-2 bg-gray-50 border-b border-gray-200 text-sm font-medium text-gray-900">{title}</h3>
+            {entries.length === 0 ? (
+                <p className="p-3 text-sm text-gray-500">No AI calls this month.</p>
+            ) : (
+                <table className="w-full text-sm">
+                    <thead>
+                        <tr className="text-xs text-gray-500 text-left">
+                            <th className="px-3 py-2 font-medium"></th>
+                            <th className="px-3 py-2 font-medium text-right">Calls</th>
+                            <th className="px-3 py-2 font-medium text-right">Tokens</th>
+                            <th className="px-3 py-2 font-medium text-right">Cost</th>
+                        </tr>
+                    </thead>
+                    <tbody className="divide-y divide-gray-100">
+                        {entries.map(([name, totals]) => (
+                            <tr key={name}>
+                                <td className="px-3 py-2 text-gray-900 truncate max-w-[14rem]" title={name}>{labels[name] || name}</td>
+                                <td className="px-3 py-2 text-gray-600 text-right">{totals.calls}</td>
+                                <td className="px-3 py-2 text-gray-600 text-right">{formatTokens(totals.tokens)}</td>
+                                <td className="px-3 py-2 text-gray-600 text-right">{formatCost(totals.cost)}</td>
+                            </tr>
+                        ))}
+                    </tbody>
+                </table>
+            )}
+        </div>
+    );
+};
+
+/**
+ * AI Usage panel (Settings, admins only)
+ * Tokens and estimated cost per user, feature and model, plus monthly quotas
+ */
+const AIUsagePanel = () => {
+    const [month, setMonth] = useState(currentMonth);
+    const [usage, setUsage] = useState(null);
+    const [isLoading, setIsLoading] = useState(true);
+    const [error, setError] = useState(null);
+
+    const [quotaForm, setQuotaForm] = useState(null);
+    const [isSaving, setIsSaving] = useState(false);
+    const [quotaStatus, setQuotaStatus] = useState(null);
+
+    const loadUsage = useCallback(async () => {
+        setIsLoading(true);
+        try {
+            const data = await getAIUsage(month);
+            setUsage(data);
+            setQuotaForm(prev => prev || toQuotaForm(data.quotas));
+            setError(null);
+        } catch (err) {
+            setError(err.message);
+        } finally {
+            setIsLoading(false);
+        }
+    }, [month]);
+
+    useEffect(() => {
+        loadUsage();
+    }, [loadUsage]);
+
+    const handleSaveQuotas = async (e) => {
+        e.preventDefault();
+        setIsSaving(true);
+        setQuotaStatus(null);
+        try {
+            const quotas = await saveAIQuotas(quotaForm);
+            setQuotaForm(toQuotaForm(quotas));
+            setQuotaStatus('Quotas saved');
+        } catch (err) {
+            setError(err.message);
+        } finally {
+            setIsSaving(false);
+        }
+    };
+
+    const totals = usage?.totals;
+
+    return (
+        <div className="bg-white rounded-xl shadow-sm border border-gray-200 overflow-hidden">
+            <div className="p-6 border-b border-gray-200 flex items-center justify-between gap-4">
+                <div className="flex items-center gap-2">
+                    <BarChart3 size={20} className="text-blue-600" />
+                    <div>
+                        <h2 className="text-lg font-semibold text-gray-900">AI Usage</h2>
+                        <p className="text-sm text-gray-500 mt-1">Tokens used through the AI proxy and their estimated cost. Requests are blocked once a quota is reached.</p>
+                    </div>
+                </div>
+                <input
+                    type="month"
+                    value={month}
+                    max={currentMonth()}
+                    onChange={(e) => e.target.value && setMonth(e.target.value)}
+                    className="px-3 py-2 border border-gray-300 rounded-md text-sm text-gray-700 bg-white"
+                />
+            </div>
+
+            <div className="p-6 space-y-6">
+                {error && (
+                    <div className="p-3 rounded-md flex items-center gap-2 bg-red-50 text-red-700 border border-red-200 text-sm">
+                        <AlertCircle size={16} />
+                        {error}
+                    </div>
+                )}
+
+                {isLoading && !usage ? (
+                    <div className="flex items-center gap-2 text-sm text-gray-500">
+                        <Loader2 size={16} className="animate-spin" /> Loading usage...
+                    </div>
+                ) : usage && (
+                    <>
+                        <div className="grid grid-cols-2 md:grid-cols-4 gap-3">
+                            {[
+                                ['Calls', totals.calls.toLocaleString()],
+                                ['Input tokens', formatTokens(totals.inputTokens)],
+                                ['Output tokens', formatTokens(totals.outputTokens)],
+                                ['Estimated cost', formatCost(totals.cost)]
+                            ].map(([label, value]) => (
+                                <div key={label} className="p-3 bg-gray-50 rounded-lg border border-gray-200">
+                                    <p className="text-xs text-gray-500">{label}</p>
+                                    <p className="text-lg font-semibold text-gray-900">{value}</p>
+                                </div>
+                            ))}
+                        </div>
+                        {usage.estimatedCalls > 0 && (
+                            <p className="text-xs text-gray-500">
+                                {usage.estimatedCalls} of {totals.calls} calls did not report token counts; their usage is estimated from text length. Models without a known price are counted at $0.
+                            </p>
+                        )}
+
+                        <div className="grid grid-cols-1 lg:grid-cols-3 gap-4">
+                            <UsageTable title="By User" rows={usage.byUser} />
+                            <UsageTable title="By Feature" rows={usage.byFeature} labels={AI_FEATURE_LABELS} />
+                            <UsageTable title="By Model" rows={usage.byModel} />
+                        </div>
+                    </>
+                )}
+
+                {/* Quotas */}
+                {quotaForm && (
+                    <form onSubmit={handleSaveQuotas} className="p-4 bg-gray-50 rounded-lg border border-gray-200 space-y-3">
+                        <div>
+                            <h3 className="font-medium text-gray-900">Monthly Quotas</h3>
+                            <p className="text-xs text-gray-500 mt-1">Leave a field empty for no limit. Limits reset on the first of each month.</p>
+                        </div>
+                        <div className="grid grid-cols-1 md:grid-cols-4 gap-3">
+                            {QUOTA_FIELDS.map(({ key, label, step }) => (
+                                <label key={key} className="block">
+                                    <span className="block text-xs font-medium text-gray-700 mb-1">{label}</span>
+                                    <input
+                                        type="number"
+                                        min="0"
+                                        step={step}
+                                        value={quotaForm[key]}
+                                        onChange={(e) => setQuotaForm(prev => ({ ...prev, [key]: e.target.value }))}
+                                        placeholder="No limit"
+                                        className="w-full px-3 py-2 border border-gray-300 rounded-md text-sm text-gray-900 focus:outline-none focus:ring-2 focus:ring-blue-500"
+                                    />
+                                </label>
+                            ))}
+                        </div>
+                        <div className="flex items-center gap-3">
+                            <Button type="submit" disabled={isSaving} className="gap-2">
+                                {isSaving ? <Loader2 size={16} className="animate-spin" /> : <Save size={16} />}
+                                Save Quotas
+                            </Button>
+                            {quotaStatus && <span className="text-sm text-green-600">{quotaStatus}</span>}
+                        </div>
+                    </form>
+                )}
+            </div>
+        </div>
+    );
+};
+
+export default AIUsagePanel;
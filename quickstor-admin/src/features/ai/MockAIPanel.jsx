@@ -0,0 +1,92 @@
+import React, { useState } from 'react';
+import { FlaskConical, Download, Trash2 } from 'lucide-react';
+import { Button } from '../../components/ui/Button';
+import { getMockMode, setMockMode, getRecordedFixtures, clearRecordedFixtures } from '../../utils/mockAI';
+
+const MODE_OPTIONS = [
+    { value: 'off', label: 'Off', description: 'AI requests go to the configured provider.' },
+    { value: 'replay', label: 'Replay', description: 'No AI requests are sent. Recorded fixtures are replayed; other prompts get a canned response.' },
+    { value: 'record', label: 'Record', description: 'AI requests go to the configured provider and every response is saved as a fixture.' }
+];
+
+/**
+ * Mock AI panel (Settings)
+ * Per-browser switch for the offline mock provider, and export of recorded fixtures
+ */
+const MockAIPanel = () => {
+    const [mode, setMode] = useState(getMockMode);
+    const [fixtureCount, setFixtureCount] = useState(() => Object.keys(getRecordedFixtures()).length);
+
+    const handleModeChange = (value) => {
+        setMockMode(value);
+        setMode(value);
+    };
+
+    const handleExport = () => {
+        const blob = new Blob([JSON.stringify(getRecordedFixtures(), null, 2)], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+        const anchor = document.createElement('a');
+        anchor.href = url;
+        anchor.download = `ai-fixtures-${new Date().toISOString().slice(0, 10)}.json`;
+        document.body.appendChild(anchor);
+        anchor.click();
+        anchor.remove();
+        URL.revokeObjectURL(url);
+    };
+
+    const handleClear = () => {
+        if (!confirm(`Delete ${fixtureCount} recorded fixture(s) from this browser?`)) return;
+        clearRecordedFixtures();
+        setFixtureCount(0);
+    };
+
+    return (
+        <div className="bg-white rounded-xl shadow-sm border border-gray-200 overflow-hidden">
+            <div className="p-6 border-b border-gray-200 flex items-center gap-2">
+                <FlaskConical size={20} className="text-blue-600" />
+                <div>
+                    <h2 className="text-lg font-semibold text-gray-900">Mock AI</h2>
+                    <p className="text-sm text-gray-500 mt-1">Use the AI features offline or in tests with recorded responses. Applies to this browser only.</p>
+                </div>
+            </div>
+
+            <div className="p-6 space-y-4">
+                <div className="grid grid-cols-1 md:grid-cols-3 gap-3">
+                    {MODE_OPTIONS.map(option => (
+                        <label key={option.value} className={`
+              relative flex flex-col p-3 border-2 rounded-lg cursor-pointer transition-all
+              ${mode === option.value ? 'border-blue-600 bg-blue-50' : 'border-gray-200 hover:border-gray-300'}
+            `}>
+                            <input
+                                type="radio"
+                                name="mockMode"
+                                value={option.value}
+                                checked={mode === option.value}
+                                onChange={(e) => handleModeChange(e.target.value)}
+                                className="absolute top-3 right-3"
+                            />
+                            <span className="font-medium text-gray-900">{option.label}</span>
+                            <span className="text-xs text-gray-500 mt-1 pr-4">{option.description}</span>
+                        </label>
+                    ))}
+                </div>
+
+                <div className="flex items-center justify-between gap-4 text-sm">
+                    <p className="text-gray-500">
+                        {fixtureCount} fixture(s) recorded in this browser. Export them into <code className="text-xs bg-gray-100 px-1 rounded">src/fixtures/ai/</code> to replay them in every build.
+                    </p>
+                    <div className="flex gap-2 shrink-0">
+                        <Button variant="outline" onClick={handleExport} disabled={fixtureCount === 0}>
+                            <Download size={16} className="mr-2" /> Export
+                        </Button>
+                        <Button variant="ghost" onClick={handleClear} disabled={fixtureCount === 0} className="text-red-600 hover:text-red-700">
+                            <Trash2 size={16} />
+                        </Button>
+                    </div>
+                </div>
+            </div>
+        </div>
+    );
+};
+
+export default MockAIPanel;
@@ -0,0 +1,319 @@
+import React, { useState, useEffect, useCallback, useRef } from 'react';
+import { Link } from 'react-router-dom';
+import { MessageSquareText, Save, RotateCcw, Loader2, AlertCircle, History, GitCompare } from 'lucide-react';
+import { Button } from '../../components/ui/Button';
+import { promptService, PROMPT_DEFINITIONS, findPlaceholders } from '../../utils/promptService';
+import { diffLines } from '../../utils/textDiff';
+import { useAuth } from '../../hooks/useAuth';
+
+const ACTION_STYLES = {
+    save: 'bg-gray-100 text-gray-600',
+    rollback: 'bg-amber-100 text-amber-700',
+    reset: 'bg-blue-100 text-blue-700'
+};
+
+const DIFF_STYLES = {
+    same: 'text-gray-500',
+    added: 'bg-green-50 text-green-800',
+    removed: 'bg-red-50 text-red-800'
+};
+
+const DIFF_MARKERS = { same: ' ', added: '+', removed: '-' };
+
+// A version's text - reset versions (text null) stand for the built-in default
+const versionText = (version, key) => (version && typeof version.text === 'string' ? version.text : promptService.getDefault(key));
+
+/**
+ * Prompt Editor (Settings)
+ * Edits the team's shared AI prompts, with their placeholders, version history, diffs and rollback
+ */
+const PromptEditor = () => {
+    const { can } = useAuth();
+    const isAdmin = can('admin');
+    const textareaRef = useRef(null);
+
+    const [definition, setDefinition] = useState(PROMPT_DEFINITIONS[0]);
+    const [draft, setDraft] = useState('');
+    const [saved, setSaved] = useState('');
+    // Version the draft was started from, so a concurrent edit is detected instead of overwritten
+    const [baseVersion, setBaseVersion] = useState(0);
+    const [note, setNote] = useState('');
+    const [versions, setVersions] = useState([]);
+    const [comparing, setComparing] = useState(null);
+    const [isLoading, setIsLoading] = useState(true);
+    const [isSaving, setIsSaving] = useState(false);
+    const [error, setError] = useState(null);
+
+    const load = useCallback(async () => {
+        setIsLoading(true);
+        setError(null);
+        setComparing(null);
+        try {
+            await promptService.init();
+            const text = promptService.get(definition.key);
+            setDraft(text);
+            setSaved(text);
+            setBaseVersion(promptService.getStored(definition.key)?.version || 0);
+            setVersions(await promptService.listVersions(definition.key));
+        } catch (err) {
+            setError(err.message);
+        } finally {
+            setIsLoading(false);
+        }
+    }, [definition]);
+
+    useEffect(() => {
+        load();
+    }, [load]);
+
+    const isDirty = draft !== saved;
+
+    const handleSelect = (key) => {
+        if (isDirty && !confirm('Discard your unsaved changes to this prompt?')) return;
+        setDefinition(PROMPT_DEFINITIONS.find(d => d.key === key));
+        setNote('');
+    };
+
+    // Insert {{name}} at the cursor
+    const handleInsertPlaceholder = (name) => {
+        const textarea = textareaRef.current;
+        const placeholder = `{{${name}}}`;
+        const start = textarea ? textarea.selectionStart : draft.length;
+        const end = textarea ? textarea.selectionEnd : draft.length;
+        setDraft(draft.slice(0, start) + placeholder + draft.slice(end));
+        requestAnimationFrame(() => {
+            textarea?.focus();
+            textarea?.setSelectionRange(start + placeholder.length, start + placeholder.length);
+        });
+    };
+
+    // Run a change on the server, then reload the prompt and its history
+    const runChange = async (change) => {
+        setIsSaving(true);
+        setError(null);
+        try {
+            await change();
+            setNote('');
+            await load();
+        } catch (err) {
+            if (err.status === 409) {
+                // Keep the draft; saving again replaces the other version on purpose
+                setBaseVersion(err.current?.version || 0);
+                setVersions(await promptService.listVersions(definition.key).catch(() => versions));
+                setError(`${err.message}. Check the history below, then save again to replace their version.`);
+            } else {
+                setError(err.message);
+            }
+        } finally {
+            setIsSaving(false);
+        }
+    };
+
+    const handleSave = () => runChange(() => promptService.save(definition.key, draft, { note, baseVersion }));
+
+    const handleReset = () => {
+        if (!confirm(`Reset "${definition.label}" to the built-in default? The current text stays in the history.`)) return;
+        runChange(() => promptService.resetToDefault(definition.key, { baseVersion }));
+    };
+
+    const handleRollback = (version) => {
+        const warning = isDirty ? '\n\nYour unsaved changes will be lost.' : '';
+        if (!confirm(`Make version ${version.version} from ${new Date(version.timestamp).toLocaleString()} the current prompt?${warning}`)) return;
+        runChange(() => promptService.rollback(definition.key, version.version));
+    };
+
+    // What a version changed compared with the one before it
+    const handleCompare = (version) => {
+        if (comparing?.version === version.version) {
+            setComparing(null);
+            return;
+        }
+        const previous = versions.find(v => v.version === version.version - 1);
+        setComparing({
+            version: version.version,
+            lines: diffLines(versionText(previous, definition.key), versionText(version, definition.key))
+        });
+    };
+
+    const declared = Object.keys(definition.variables);
+    const used = findPlaceholders(draft);
+    const unknown = used.filter(name => !declared.includes(name));
+    const unused = declared.filter(name => !used.includes(name));
+    const stored = promptService.getStored(definition.key);
+
+    return (
+        <div className="bg-white rounded-xl shadow-sm border border-gray-200 overflow-hidden">
+            <div className="p-6 border-b border-gray-200 flex items-center gap-2">
+                <MessageSquareText size={20} className="text-blue-600" />
+                <div>
+                    <h2 className="text-lg font-semibold text-gray-900">AI Prompts</h2>
+                    <p className="text-sm text-gray-500 mt-1">Shared by everyone on the team. Every change is kept, so any earlier version can be restored.</p>
+                </div>
+            </div>
+
+            <div className="p-6 space-y-4">
+                <div className="flex flex-col md:flex-row md:items-center gap-3">
+                    <select
+                        value={definition.key}
+                        onChange={(e) => handleSelect(e.target.value)}
+                        className="px-3 py-2 border border-gray-300 rounded-md text-sm focus:outline-none focus:ring-2 focus:ring-blue-500"
+                    >
+                        {PROMPT_DEFINITIONS.map(d => (
+                            <option key={d.key} value={d.key}>{d.label}</option>
+                        ))}
+                    </select>
+                    <p className="text-sm text-gray-500">{definition.description}</p>
+                </div>
+
+                <p className="text-xs text-gray-500">
+                    <code className="bg-gray-100 px-1 rounded">{definition.key}</code>
+                    {' · '}
+                    {stored && typeof stored.text === 'string'
+                        ? `Version ${stored.version}, saved ${new Date(stored.timestamp).toLocaleString()} by ${stored.author}`
+                        : 'Built-in default'}
+                </p>
+
+                {error && (
+                    <div className="p-3 rounded-md flex items-center gap-2 bg-red-50 text-red-700 border border-red-200 text-sm">
+                        <AlertCircle size={16} className="shrink-0" />
+                        {error}
+                    </div>
+                )}
+
+                {isLoading ? (
+                    <div className="flex items-center gap-2 text-sm text-gray-500">
+                        <Loader2 size={16} className="animate-spin" /> Loading prompt...
+                    </div>
+                ) : (
+                    <>
+                        <textarea
+                            ref={textareaRef}
+                            value={draft}
+                            onChange={(e) => setDraft(e.target.value)}
+                            readOnly={!isAdmin}
+                            className="w-full h-80 font-mono text-sm p-4 rounded-lg border border-gray-300 focus:ring-2 focus:ring-blue-500 focus:border-transparent bg-gray-50 text-gray-900"
+                            placeholder="Leave empty to send no instructions"
+                        />
+
+                        {/* Placeholders */}
+                        <div className="text-sm">
+                            {declared.length === 0 ? (
+                                <p className="text-xs text-gray-500">This prompt is sent as written - it has no placeholders.</p>
+                            ) : (
+                                <>
+                                    <p className="text-xs font-medium text-gray-700 mb-2">Placeholders {isAdmin && <span className="font-normal text-gray-500">(click to insert)</span>}</p>
+                                    <div className="space-y-1">
+                                        {declared.map(name => (
+                                            <div key={name} className="flex items-baseline gap-2 text-xs">
+                                                <button
+                                                    type="button"
+                                                    onClick={() => handleInsertPlaceholder(name)}
+                                                    disabled={!isAdmin}
+                                                    className="font-mono px-1.5 py-0.5 rounded bg-blue-50 text-blue-700 hover:bg-blue-100 disabled:hover:bg-blue-50"
+                                                >
+                                                    {`{{${name}}}`}
+                                                </button>
+                                                <span className="text-gray-500">{definition.variables[name]}</span>
+                                                {unused.includes(name) && <span className="text-amber-600">not used</span>}
+                                            </div>
+                                        ))}
+                                    </div>
+                                </>
+                            )}
+                            {unknown.length > 0 && (
+                                <p className="text-xs text-amber-600 mt-2">
+                                    Not filled in by the admin, so sent as written: {unknown.map(name => `{{${name}}}`).join(', ')}
+                                </p>
+                            )}
+                        </div>
+
+                        {isAdmin ? (
+                            <div className="flex flex-col md:flex-row md:items-center gap-3">
+                                <input
+                                    type="text"
+                                    value={note}
+                                    onChange={(e) => setNote(e.target.value)}
+                                    maxLength={200}
+                                    placeholder="What changed? (optional)"
+                                    className="flex-1 px-3 py-2 border border-gray-300 rounded-md text-sm focus:outline-none focus:ring-2 focus:ring-blue-500"
+                                />
+                                <div className="flex gap-2">
+                                    <Button variant="ghost" onClick={handleReset} disabled={isSaving || !stored || stored.text === null} className="text-sm text-gray-500 hover:text-gray-900">
+                                        Reset to Default
+                                    </Button>
+                                    <Button variant="outline" onClick={() => setDraft(saved)} disabled={isSaving || !isDirty}>
+                                        Discard
+                                    </Button>
+                                    <Link to="/playground" className="self-center text-sm text-blue-600 hover:text-blue-700 px-2">
+                                        Try in Playground
+                                    </Link>
+                                    <Button onClick={handleSave} disabled={isSaving || !isDirty} className="flex items-center gap-2">
+                                        {isSaving ? <Loader2 size={16} className="animate-spin" /> : <Save size={16} />}
+                                        Save Prompt
+                                    </Button>
+                                </div>
+                            </div>
+                        ) : (
+                            <p className="text-xs text-gray-500">Only administrators can change prompts.</p>
+                        )}
+
+                        {/* Version History */}
+                        <div>
+                            <p className="text-sm font-medium text-gray-700 mb-2 flex items-center gap-2">
+                                <History size={16} /> History
+                            </p>
+                            {versions.length === 0 ? (
+                                <p className="text-xs text-gray-500">Never edited - the built-in default is in use.</p>
+                            ) : (
+                                <div className="divide-y divide-gray-100 border border-gray-200 rounded-lg">
+                                    {versions.map((version, index) => (
+                                        <div key={version.version} className="p-3">
+                                            <div className="flex flex-col md:flex-row md:items-center justify-between gap-3">
+                                                <div className="min-w-0">
+                                                    <div className="flex items-center gap-2">
+                                                        <span className={`text-[10px] uppercase font-bold px-1.5 py-0.5 rounded ${ACTION_STYLES[version.action] || ACTION_STYLES.save}`}>
+                                                            {version.action}
+                                                        </span>
+                                                        <span className="text-sm font-mono text-gray-900">v{version.version}</span>
+                                                        {version.restoredFrom && <span className="text-xs text-gray-500">from v{version.restoredFrom}</span>}
+                                                        {index === 0 && <span className="text-xs text-green-600">current</span>}
+                                                    </div>
+                                                    <p className="text-xs text-gray-500 mt-1">
+                                                        {new Date(version.timestamp).toLocaleString()} · {version.author}
+                                                        {version.note && <> · {version.note}</>}
+                                                    </p>
+                                                </div>
+                                                <div className="flex items-center gap-2">
+                                                    <Button variant="ghost" size="sm" onClick={() => handleCompare(version)} className="gap-1">
+                                                        <GitCompare size={14} /> Changes
+                                                    </Button>
+                                                    {isAdmin && index > 0 && (
+                                                        <Button variant="outline" size="sm" onClick={() => handleRollback(version)} disabled={isSaving} className="gap-1">
+                                                            <RotateCcw size={14} /> Restore
+                                                        </Button>
+                                                    )}
+                                                </div>
+                                            </div>
+
+                                            {comparing?.version === version.version && (
+                                                <pre className="mt-3 max-h-80 overflow-auto text-xs font-mono border border-gray-200 rounded bg-white">
+                                                    {comparing.lines.map((line, lineIndex) => (
+                                                        <div key={lineIndex} className={`px-2 whitespace-pre-wrap ${DIFF_STYLES[line.type]}`}>
+                                                            {DIFF_MARKERS[line.type]} {line.text}
+                                                        </div>
+                                                    ))}
+                                                </pre>
+                                            )}
+                                        </div>
+                                    ))}
+                                </div>
+                            )}
+                        </div>
+                    </>
+                )}
+            </div>
+        </div>
+    );
+};
+
+export default PromptEditor;
@@ -0,0 +1,40 @@
+import React, { useState, useCallback, useEffect } from 'react';
+import { login as loginRequest, logout as clearSession, fetchCurrentUser, hasRole } from '../../utils/authService';
+import { AuthContext } from '../../hooks/useAuth';
+
+export const AuthProvider = ({ children }) => {
+  const [user, setUser] = useState(null);
+  const [isLoading, setIsLoading] = useState(true);
+
+  // Validate any stored session on startup
+  useEffect(() => {
+    fetchCurrentUser()
+      .then(setUser)
+      .finally(() => setIsLoading(false));
+  }, []);
+
+  const login = useCallback(async (email, password) => {
+    const signedIn = await loginRequest(email, password);
+    setUser(signedIn);
+    return signedIn;
+  }, []);
+
+  const logout = useCallback(() => {
+    clearSession();
+    setUser(null);
+  }, []);
+
+  return (
+    <AuthContext.Provider value={{
+      user,
+      isLoading,
+      isAuthenticated: !!user,
+      // Role checks - the backend enforces these too, the UI just hides what would fail
+      can: (role) => hasRole(user, role),
+      login,
+      logout
+    }}>
+      {children}
+    </AuthContext.Provider>
+  );
+};
@@ -1,27 +1,34 @@
 import React, { useState } from 'react';
 import { useForm } from 'react-hook-form';
-import { useNavigate } from 'react-router-dom';
+import { useNavigate, useLocation } from 'react-router-dom';
 import { Button } from '../../components/ui/Button';
 import { Input } from '../../components/ui/Input';
 import { Label } from '../../components/ui/Label';
 import { Card, CardContent, CardHeader, CardTitle } from '../../components/ui/Card';
 import { Lock } from 'lucide-react';
+import { useAuth } from '../../hooks/useAuth';
 
 const LoginForm = () => {
   const { register, handleSubmit, formState: { errors } } = useForm();
   const [isLoading, setIsLoading] = useState(false);
+  const [loginError, setLoginError] = useState(null);
   const navigate = useNavigate();
+  const location = useLocation();
+  const { login } = useAuth();
 
   const onSubmit = async (data) => {
     setIsLoading(true);
-    
-    // Simulate API delay
-    setTimeout(() => {
-      console.log('Login attempt:', data);
+    setLoginError(null);
+
+    try {
+      await login(data.email, data.password);
+      // Redirect to the page that sent us here, or the dashboard
+      navigate(location.state?.from?.pathname || '/', { replace: true });
+    } catch (error) {
+      setLoginError(error.message);
+    } finally {
       setIsLoading(false);
-      // Redirect to dashboard
-      navigate('/');
-    }, 1000);
+    }
   };
 
   return (
@@ -55,6 +62,10 @@ const LoginForm = () => {
             {errors.password && <span className="text-sm text-red-500">{errors.password.message}</span>}
           </div>
 
+          {loginError && (
+            <div className="text-sm text-red-600 bg-red-50 border border-red-200 rounded-md p-2">{loginError}</div>
+          )}
+
           <Button type="submit" className="w-full" disabled={isLoading}>
             {isLoading ? 'Signing in...' : 'Sign in'}
           </Button>
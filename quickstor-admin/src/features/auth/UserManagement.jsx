@@ -0,0 +1,194 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { Users, UserPlus, Trash2, Loader2, AlertCircle } from 'lucide-react';
+import { Button } from '../../components/ui/Button';
+import { ROLES, ROLE_LABELS, listUsers, createUser, updateUser, deleteUser } from '../../utils/authService';
+import { useAuth } from '../../hooks/useAuth';
+
+/**
+ * Team & Roles panel (Settings, admins only)
+ * Lists accounts and lets an administrator add users, change roles and remove access
+ */
+const UserManagement = () => {
+    const { user: currentUser } = useAuth();
+
+    const [users, setUsers] = useState([]);
+    const [isLoading, setIsLoading] = useState(true);
+    const [error, setError] = useState(null);
+
+    // New user form
+    const [newUser, setNewUser] = useState({ email: '', name: '', password: '', role: 'editor' });
+    const [isCreating, setIsCreating] = useState(false);
+
+    const loadUsers = useCallback(async () => {
+        try {
+            const data = await listUsers();
+            setUsers(data.users);
+            setError(null);
+        } catch (err) {
+            setError(err.message);
+        } finally {
+            setIsLoading(false);
+        }
+    }, []);
+
+    useEffect(() => {
+        loadUsers();
+    }, [loadUsers]);
+
+    const handleCreate = async (e) => {
+        e.preventDefault();
+        setIsCreating(true);
+        try {
+            await createUser(newUser);
+            setNewUser({ email: '', name: '', password: '', role: 'editor' });
+            await loadUsers();
+        } catch (err) {
+            setError(err.message);
+        } finally {
+            setIsCreating(false);
+        }
+    };
+
+    const handleRoleChange = async (user, role) => {
+        try {
+            await updateUser(user.id, { role });
+            await loadUsers();
+        } catch (err) {
+            setError(err.message);
+        }
+    };
+
+    const handleResetPassword = async (user) => {
+        const password = prompt(`New password for ${user.email}:`);
+        if (!password) return;
+        try {
+            await updateUser(user.id, { password });
+            alert(`Password updated for ${user.email}`);
+        } catch (err) {
+            setError(err.message);
+        }
+    };
+
+    const handleDelete = async (user) => {
+        if (!confirm(`Remove ${user.email}? They will lose access immediately.`)) return;
+        try {
+            await deleteUser(user.id);
+            await loadUsers();
+        } catch (err) {
+            setError(err.message);
+        }
+    };
+
+    return (
+        <div className="bg-white rounded-xl shadow-sm border border-gray-200 overflow-hidden">
+            <div className="p-6 border-b border-gray-200 flex items-center gap-2">
+                <Users size={20} className="text-blue-600" />
+                <div>
+                    <h2 className="text-lg font-semibold text-gray-900">Team & Roles</h2>
+                    <p className="text-sm text-gray-500 mt-1">Editors save to staging, publishers promote to live, administrators manage backups, AI settings and users.</p>
+                </div>
+            </div>
+
+            <div className="p-6 space-y-6">
+                {error && (
+                    <div className="p-3 rounded-md flex items-center gap-2 bg-red-50 text-red-700 border border-red-200 text-sm">
+                        <AlertCircle size={16} />
+                        {error}
+                    </div>
+                )}
+
+                {isLoading ? (
+                    <div className="flex items-center gap-2 text-sm text-gray-500">
+                        <Loader2 size={16} className="animate-spin" /> Loading users...
+                    </div>
+                ) : (
+                    <div className="divide-y divide-gray-100 border border-gray-200 rounded-lg">
+                        {users.map(user => (
+                            <div key={user.id} className="flex flex-col md:flex-row md:items-center justify-between gap-3 p-3">
+                                <div className="min-w-0">
+                                    <p className="text-sm font-medium text-gray-900 truncate">
+                                        {user.name}
+                                        {user.id === currentUser?.id && <span className="ml-2 text-xs text-gray-400">(you)</span>}
+                                    </p>
+                                    <p className="text-xs text-gray-500 truncate">{user.email}</p>
+                                </div>
+                                <div className="flex items-center gap-2">
+                                    <select
+                                        value={user.role}
+                                        onChange={(e) => handleRoleChange(user, e.target.value)}
+                                        disabled={user.id === currentUser?.id}
+                                        className="text-sm border border-gray-300 rounded-md px-2 py-1.5 text-gray-700 bg-white disabled:bg-gray-50"
+                                    >
+                                        {ROLES.map(role => (
+                                            <option key={role} value={role}>{ROLE_LABELS[role]}</option>
+                                        ))}
+                                    </select>
+                                    <Button variant="ghost" size="sm" onClick={() => handleResetPassword(user)}>
+                                        Reset Password
+                                    </Button>
+                                    <Button
+                                        variant="ghost"
+                                        size="sm"
+                                        onClick={() => handleDelete(user)}
+                                        disabled={user.id === currentUser?.id}
+                                        className="text-red-500 hover:text-red-700 hover:bg-red-50"
+                                        title="Remove user"
+                                    >
+                                        <Trash2 size={14} />
+                                    </Button>
+                                </div>
+                            </div>
+                        ))}
+                    </div>
+                )}
+
+                {/* Add User */}
+                <form onSubmit={handleCreate} className="p-4 bg-gray-50 rounded-lg border border-gray-200 space-y-3">
+                    <h3 className="font-medium text-gray-900 flex items-center gap-2">
+                        <UserPlus size={16} className="text-blue-600" /> Add User
+                    </h3>
+                    <div className="grid grid-cols-1 md:grid-cols-2 gap-3">
+                        <input
+                            type="email"
+                            required
+                            value={newUser.email}
+                            onChange={(e) => setNewUser(prev => ({ ...prev, email: e.target.value }))}
+                            placeholder="email@quickstor.com"
+                            className="w-full px-3 py-2 border border-gray-300 rounded-md text-sm text-gray-900 focus:outline-none focus:ring-2 focus:ring-blue-500"
+                        />
+                        <input
+                            type="text"
+                            value={newUser.name}
+                            onChange={(e) => setNewUser(prev => ({ ...prev, name: e.target.value }))}
+                            placeholder="Display name"
+                            className="w-full px-3 py-2 border border-gray-300 rounded-md text-sm text-gray-900 focus:outline-none focus:ring-2 focus:ring-blue-500"
+                        />
+                        <input
+                            type="password"
+                            required
+                            value={newUser.password}
+                            onChange={(e) => setNewUser(prev => ({ ...prev, password: e.target.value }))}
+                            placeholder="Initial password"
+                            className="w-full px-3 py-2 border border-gray-300 rounded-md text-sm text-gray-900 focus:outline-none focus:ring-2 focus:ring-blue-500"
+                        />
+                        <select
+                            value={newUser.role}
+                            onChange={(e) => setNewUser(prev => ({ ...prev, role: e.target.value }))}
+                            className="w-full px-3 py-2 border border-gray-300 rounded-md text-sm text-gray-700 bg-white"
+                        >
+                            {ROLES.map(role => (
+                                <option key={role} value={role}>{ROLE_LABELS[role]}</option>
+                            ))}
+                        </select>
+                    </div>
+                    <Button type="submit" disabled={isCreating} className="gap-2">
+                        {isCreating ? <Loader2 size={16} className="animate-spin" /> : <UserPlus size={16} />}
+                        Add User
+                    </Button>
+                </form>
+            </div>
+        </div>
+    );
+};
+
+export default UserManagement;
@@ -439,6 +439,14 @@ const PropertyPanel = () => {
               />
               <StyleControls styles={content.styles?.subtitle} onChange={s => handleStyleChange('subtitle', s)} />
             </div>
+            <div className="space-y-2">
+              <Label>Background Image</Label>
+              <ImageUploadField
+                value={content.backgroundImage || ''}
+                onChange={(val) => handleChange('backgroundImage', val)}
+                placeholder="Optional - large photos are resized automatically"
+              />
+            </div>
             <div className="grid grid-cols-2 gap-4">
               <div className="space-y-2">
                 <Label>Primary CTA</Label>
@@ -0,0 +1,192 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { History, RotateCcw, Loader2, AlertCircle, Eye } from 'lucide-react';
+import { Button } from '../../components/ui/Button';
+import { listRevisions, getRevision, restoreRevision } from '../../utils/revisionService';
+import { useContentStore } from '../../hooks/useContentStore';
+import { useAuth } from '../../hooks/useAuth';
+
+const DOCUMENTS = [
+  { path: 'sites/quickstor-staging', label: 'Staging', role: 'editor' },
+  { path: 'sites/quickstor-live', label: 'Live', role: 'publisher' }
+];
+
+const ACTION_STYLES = {
+  save: 'bg-gray-100 text-gray-600',
+  publish: 'bg-green-100 text-green-700',
+  reject: 'bg-red-100 text-red-700',
+  rollback: 'bg-amber-100 text-amber-700',
+  restore: 'bg-purple-100 text-purple-700',
+  media: 'bg-blue-100 text-blue-700'
+};
+
+/**
+ * Revision History Panel
+ * Lists saved revisions of Staging or Live and rolls either back to an earlier one
+ */
+const RevisionHistory = () => {
+  const { reloadFromServer, hasUnsavedChanges } = useContentStore();
+  const { can } = useAuth();
+
+  const [activeDoc, setActiveDoc] = useState(DOCUMENTS[0]);
+  const [publishesOnly, setPublishesOnly] = useState(false);
+  const [revisions, setRevisions] = useState([]);
+  const [docEtag, setDocEtag] = useState(null); // The document as of the list - restores only overwrite that
+  const [isLoading, setIsLoading] = useState(true);
+  const [restoringId, setRestoringId] = useState(null);
+  const [preview, setPreview] = useState(null);
+  const [error, setError] = useState(null);
+
+  const loadRevisions = useCallback(async () => {
+    setIsLoading(true);
+    setError(null);
+    try {
+      const { revisions: loaded, etag } = await listRevisions(activeDoc.path);
+      setRevisions(loaded);
+      setDocEtag(etag);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setIsLoading(false);
+    }
+  }, [activeDoc]);
+
+  useEffect(() => {
+    loadRevisions();
+  }, [loadRevisions]);
+
+  const handlePreview = async (revision) => {
+    try {
+      const { data } = await getRevision(activeDoc.path, revision.id);
+      setPreview({ revision, data });
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const handleRestore = async (revision) => {
+    const warning = hasUnsavedChanges && activeDoc.label === 'Staging'
+      ? '\n\nYour unsaved editor changes will be replaced.'
+      : '';
+    if (!confirm(`Roll ${activeDoc.label} back to version ${revision.version || revision.id} from ${new Date(revision.timestamp).toLocaleString()}?${warning}`)) {
+      return;
+    }
+
+    setRestoringId(revision.id);
+    try {
+      await restoreRevision(activeDoc.path, revision.id, docEtag);
+      await reloadFromServer({ liveOnly: activeDoc.label === 'Live' });
+      await loadRevisions();
+      setPreview(null);
+    } catch (err) {
+      if (err.status === 409) {
+        // Someone saved in the meantime - show their revision before anything is rolled back
+        await loadRevisions();
+        setError(`${activeDoc.label} was changed by someone else since this list was loaded. Check the latest revision and try again.`);
+      } else {
+        setError(err.message);
+      }
+    } finally {
+      setRestoringId(null);
+    }
+  };
+
+  const visibleRevisions = publishesOnly
+    ? revisions.filter(r => r.action === 'publish')
+    : revisions;
+  const canRestore = can(activeDoc.role);
+
+  return (
+    <div className="p-6 space-y-4">
+      {/* Document Tabs */}
+      <div className="flex flex-wrap items-center justify-between gap-3">
+        <div className="flex gap-1 p-1 bg-gray-200 rounded-lg">
+          {DOCUMENTS.map(docInfo => (
+            <button
+              key={docInfo.path}
+              onClick={() => { setActiveDoc(docInfo); setPreview(null); }}
+              className={`px-3 py-1 rounded-md text-xs font-medium transition-all ${activeDoc.path === docInfo.path
+                ? 'bg-white shadow-sm text-gray-900'
+                : 'bg-transparent text-gray-600 hover:text-gray-900'
+                }`}
+            >
+              {docInfo.label}
+            </button>
+          ))}
+        </div>
+        <label className="flex items-center gap-2 text-sm text-gray-600">
+          <input type="checkbox" checked={publishesOnly} onChange={(e) => setPublishesOnly(e.target.checked)} />
+          Publishes only
+        </label>
+      </div>
+
+      {error && (
+        <div className="p-3 rounded-md flex items-center gap-2 bg-red-50 text-red-700 border border-red-200 text-sm">
+          <AlertCircle size={16} />
+          {error}
+        </div>
+      )}
+
+      {!canRestore && (
+        <p className="text-xs text-gray-500">Rolling back {activeDoc.label} requires the {activeDoc.role} role.</p>
+      )}
+
+      {isLoading ? (
+        <div className="flex items-center gap-2 text-sm text-gray-500">
+          <Loader2 size={16} className="animate-spin" /> Loading history...
+        </div>
+      ) : visibleRevisions.length === 0 ? (
+        <div className="flex flex-col items-center justify-center py-10 text-gray-400 gap-2">
+          <History size={24} />
+          <p className="text-sm">No revisions recorded yet</p>
+        </div>
+      ) : (
+        <div className="divide-y divide-gray-100 border border-gray-200 rounded-lg bg-white">
+          {visibleRevisions.map((revision, index) => (
+            <div key={revision.id} className="flex flex-col md:flex-row md:items-center justify-between gap-3 p-3">
+              <div className="min-w-0">
+                <div className="flex items-center gap-2">
+                  <span className={`text-[10px] uppercase font-bold px-1.5 py-0.5 rounded ${ACTION_STYLES[revision.action] || ACTION_STYLES.save}`}>
+                    {revision.action}
+                  </span>
+                  <span className="text-sm font-mono text-gray-900 truncate">{revision.version || '(no version)'}</span>
+                  {index === 0 && !publishesOnly && <span className="text-xs text-green-600">current</span>}
+                </div>
+                <p className="text-xs text-gray-500 mt-1">
+                  {new Date(revision.timestamp).toLocaleString()} · {revision.author} · {(revision.size / 1024).toFixed(1)} KB
+                </p>
+              </div>
+              <div className="flex items-center gap-2">
+                <Button variant="ghost" size="sm" onClick={() => handlePreview(revision)} className="gap-1">
+                  <Eye size={14} /> View
+                </Button>
+                <Button
+                  variant="outline"
+                  size="sm"
+                  onClick={() => handleRestore(revision)}
+                  disabled={!canRestore || restoringId !== null}
+                  className="gap-1"
+                >
+                  {restoringId === revision.id ? <Loader2 size={14} className="animate-spin" /> : <RotateCcw size={14} />}
+                  Restore
+                </Button>
+              </div>
+            </div>
+          ))}
+        </div>
+      )}
+
+      {/* Revision Summary */}
+      {preview && (
+        <div className="p-4 bg-white border border-gray-200 rounded-lg text-sm text-gray-700 space-y-1">
+          <p className="font-medium text-gray-900">Version {preview.revision.version || preview.revision.id}</p>
+          <p>Pages: {(preview.data.pages || []).map(p => `${p.title} (${p.sections?.length || 0} sections)`).join(', ') || 'none'}</p>
+          <p>Theme: {preview.data.theme?.name || 'default'}</p>
+          <p>Custom sections: {preview.data.customSections?.length || 0}</p>
+          {preview.data.lastPublished && <p>Published: {new Date(preview.data.lastPublished).toLocaleString()}</p>}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default RevisionHistory;
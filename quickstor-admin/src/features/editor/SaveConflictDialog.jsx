@@ -0,0 +1,88 @@
+import React, { useState } from 'react';
+import { AlertTriangle, GitMerge, Upload, RefreshCw, Loader2 } from 'lucide-react';
+import Modal from '../../components/ui/Modal';
+import { useContentStore } from '../../hooks/useContentStore';
+
+const OPTIONS = [
+  {
+    strategy: 'merge',
+    icon: <GitMerge size={18} className="mt-0.5 text-blue-600" />,
+    label: 'Merge',
+    description: 'Keep both sets of changes. Where you both edited the same thing, your version wins.'
+  },
+  {
+    strategy: 'overwrite',
+    icon: <Upload size={18} className="mt-0.5 text-blue-600" />,
+    label: 'Overwrite',
+    description: 'Save your version as-is. Their changes are replaced (still available in History).'
+  },
+  {
+    strategy: 'reload',
+    icon: <RefreshCw size={18} className="mt-0.5 text-blue-600" />,
+    label: 'Reload',
+    description: 'Discard your unsaved changes and continue from their version.'
+  }
+];
+
+/**
+ * Save Conflict Dialog
+ * Shown when Staging was saved by someone else after this editor loaded it
+ */
+const SaveConflictDialog = () => {
+  const { saveConflict, resolveSaveConflict, dismissSaveConflict } = useContentStore();
+  const [pending, setPending] = useState(null);
+
+  const handleResolve = async (strategy) => {
+    if (strategy === 'reload' && !confirm('Discard your unsaved changes?')) return;
+    setPending(strategy);
+    try {
+      await resolveSaveConflict(strategy);
+    } finally {
+      setPending(null);
+    }
+  };
+
+  const current = saveConflict?.current;
+
+  return (
+    <Modal
+      isOpen={!!saveConflict}
+      onClose={dismissSaveConflict}
+      title="Staging was changed by someone else"
+      className="max-w-xl"
+    >
+      <div className="p-6 space-y-4">
+        <div className="p-3 rounded-md flex items-start gap-2 bg-amber-50 text-amber-800 border border-amber-200 text-sm">
+          <AlertTriangle size={16} className="mt-0.5 shrink-0" />
+          <p>
+            Your changes were not saved. Staging is now at version <span className="font-mono">{current?.version || 'unknown'}</span>
+            {current?.lastUpdated && <> from {new Date(current.lastUpdated).toLocaleString()}</>}.
+          </p>
+        </div>
+
+        <div className="space-y-2">
+          {OPTIONS.map(({ strategy, icon, label, description }) => (
+            <button
+              key={strategy}
+              onClick={() => handleResolve(strategy)}
+              disabled={pending !== null}
+              className="w-full flex items-start gap-3 p-3 text-left bg-white border border-gray-200 rounded-lg hover:border-blue-300 hover:bg-blue-50 transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
+            >
+              {pending === strategy
+                ? <Loader2 size={18} className="mt-0.5 text-blue-600 animate-spin" />
+                : icon}
+              <span>
+                <span className="block text-sm font-medium text-gray-900">{label}</span>
+                <span className="block text-xs text-gray-500">{description}</span>
+              </span>
+            </button>
+          ))}
+        </div>
+
+        <p className="text-xs text-gray-500">Closing this dialog keeps your edits unsaved so you can review them first.</p>
+      </div>
+    </Modal>
+  );
+};
+
+export default SaveConflictDialog;
@@ -0,0 +1,362 @@
+import React, { useState, useEffect, useCallback, useRef } from 'react';
+import { Search, Upload, Trash2, RefreshCw, Copy, FileText, Loader2, AlertCircle, Check, Tag, Image as ImageIcon } from 'lucide-react';
+import { Button } from '../../components/ui/Button';
+import { Input } from '../../components/ui/Input';
+import { Label } from '../../components/ui/Label';
+import { listMedia, uploadMedia, updateMedia, replaceMedia, deleteMedia, isImage } from '../../utils/mediaService';
+import { useContentStore } from '../../hooks/useContentStore';
+
+const DOC_LABELS = {
+  'sites/quickstor-staging': 'Staging',
+  'sites/quickstor-live': 'Live'
+};
+
+const formatSize = (bytes) => bytes > 1024 * 1024
+  ? `${(bytes / 1024 / 1024).toFixed(1)} MB`
+  : `${(bytes / 1024).toFixed(1)} KB`;
+
+const MediaThumbnail = ({ media, className = '' }) => (
+  isImage(media) ? (
+    <img src={media.url} alt={media.name} className={`object-contain ${className}`} loading="lazy" />
+  ) : (
+    <div className={`flex flex-col items-center justify-center text-gray-400 ${className}`}>
+      <FileText size={28} />
+      <span className="text-[10px] uppercase mt-1">{media.file.split('.').pop()}</span>
+    </div>
+  )
+);
+
+/**
+ * Media Browser
+ * Grid of uploaded files with search and tag filters.
+ * - Without onSelect: manage mode (rename, tag, replace, delete, see usage)
+ * - With onSelect: picker mode, clicking a file hands its URL to onSelect
+ * acceptedTypes optionally limits the grid to those MIME types
+ */
+const MediaBrowser = ({ onSelect, imagesOnly = false, acceptedTypes }) => {
+  const { reloadFromServer, hasUnsavedChanges } = useContentStore();
+
+  const [media, setMedia] = useState([]);
+  const [isLoading, setIsLoading] = useState(true);
+  const [isUploading, setIsUploading] = useState(false);
+  const [error, setError] = useState(null);
+  const [search, setSearch] = useState('');
+  const [activeTag, setActiveTag] = useState(null);
+  const [selectedFile, setSelectedFile] = useState(null);
+
+  // Details panel form
+  const [nameDraft, setNameDraft] = useState('');
+  const [tagsDraft, setTagsDraft] = useState('');
+  const [isSaving, setIsSaving] = useState(false);
+  const [copied, setCopied] = useState(false);
+
+  const uploadInputRef = useRef(null);
+  const replaceInputRef = useRef(null);
+
+  const loadMedia = useCallback(async () => {
+    setError(null);
+    try {
+      setMedia(await listMedia());
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setIsLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    loadMedia();
+  }, [loadMedia]);
+
+  const selected = media.find(m => m.file === selectedFile) || null;
+
+  const selectForEditing = (item) => {
+    setSelectedFile(item.file);
+    setNameDraft(item.name);
+    setTagsDraft((item.tags || []).join(', '));
+    setCopied(false);
+  };
+
+  // --- Actions ---
+
+  const handleUpload = async (e) => {
+    const files = Array.from(e.target.files || []);
+    e.target.value = '';
+    if (files.length === 0) return;
+
+    setIsUploading(true);
+    setError(null);
+    try {
+      let last = null;
+      for (const file of files) {
+        last = await uploadMedia(file);
+      }
+      await loadMedia();
+      if (last && !onSelect) selectForEditing(last);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setIsUploading(false);
+    }
+  };
+
+  const handleSaveDetails = async () => {
+    if (!selected) return;
+    setIsSaving(true);
+    try {
+      const tags = tagsDraft.split(',').map(t => t.trim()).filter(Boolean);
+      await updateMedia(selected.file, { name: nameDraft, tags });
+      await loadMedia();
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const handleReplace = async (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = '';
+    if (!file || !selected) return;
+
+    const usedIn = selected.usage.length;
+    if (usedIn > 0 && !confirm(`Replace "${selected.name}"? It is used in ${usedIn} place(s), which will all show the new file.`)) {
+      return;
+    }
+
+    setIsSaving(true);
+    try {
+      const { media: replacement, updatedDocs, skippedDocs } = await replaceMedia(selected.file, file);
+      await loadMedia();
+      selectForEditing(replacement);
+
+      if (skippedDocs.length > 0) {
+        alert(`${skippedDocs.map(d => DOC_LABELS[d] || d).join(', ')} still uses the previous file until it is published again.`);
+      }
+
+      // The server rewrote Staging - pick that up unless it would throw away local edits
+      if (updatedDocs.includes('sites/quickstor-staging')) {
+        if (hasUnsavedChanges) {
+          alert('Staging was updated with the new file. Save your open changes and choose "Merge" to keep both.');
+        } else {
+          await reloadFromServer();
+        }
+      }
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const handleDelete = async () => {
+    if (!selected) return;
+    if (!confirm(`Delete "${selected.name}"?`)) return;
+
+    setIsSaving(true);
+    try {
+      try {
+        await deleteMedia(selected.file);
+      } catch (err) {
+        // Only files used in documents you may change can be deleted anyway.
+        // The server's list also covers revision history, which the library doesn't show.
+        if (err.status !== 409) throw err;
+        const places = err.usage.map(u => `${DOC_LABELS[u.docPath] || u.docPath}: ${u.location}`).join('\n- ');
+        if (!confirm(`"${selected.name}" is still used in:\n- ${places}\n\nThose places will show a broken file. Delete it anyway?`)) return;
+        await deleteMedia(selected.file, { force: true });
+      }
+      setSelectedFile(null);
+      await loadMedia();
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const handleCopyUrl = async () => {
+    if (!selected) return;
+    await navigator.clipboard.writeText(selected.url);
+    setCopied(true);
+    setTimeout(() => setCopied(false), 2000);
+  };
+
+  // --- Filtering ---
+
+  const allTags = [...new Set(media.flatMap(m => m.tags || []))].sort();
+  const query = search.trim().toLowerCase();
+  const visibleMedia = media.filter(m => {
+    if (imagesOnly && !isImage(m)) return false;
+    if (acceptedTypes?.length && !acceptedTypes.includes(m.type)) return false;
+    if (activeTag && !(m.tags || []).includes(activeTag)) return false;
+    if (!query) return true;
+    return m.name.toLowerCase().includes(query)
+      || m.file.includes(query)
+      || (m.tags || []).some(t => t.includes(query));
+  });
+
+  return (
+    <div className="space-y-4">
+      {/* Toolbar */}
+      <div className="flex flex-col sm:flex-row gap-3">
+        <div className="relative flex-1">
+          <Input
+            value={search}
+            onChange={(e) => setSearch(e.target.value)}
+            placeholder="Search by name or tag..."
+            className="pl-8 text-gray-900"
+          />
+          <Search size={14} className="absolute left-2.5 top-3 text-gray-400" />
+        </div>
+        <input
+          type="file"
+          ref={uploadInputRef}
+          className="hidden"
+          multiple
+          accept={imagesOnly ? 'image/*' : 'image/*,application/pdf'}
+          onChange={handleUpload}
+        />
+        <Button onClick={() => uploadInputRef.current?.click()} disabled={isUploading} className="gap-2">
+          {isUploading ? <Loader2 size={16} className="animate-spin" /> : <Upload size={16} />}
+          Upload
+        </Button>
+      </div>
+
+      {allTags.length > 0 && (
+        <div className="flex flex-wrap items-center gap-2">
+          <Tag size={14} className="text-gray-400" />
+          {allTags.map(tag => (
+            <button
+              key={tag}
+              onClick={() => setActiveTag(activeTag === tag ? null : tag)}
+              className={`px-2 py-0.5 rounded-full text-xs border transition-colors ${activeTag === tag
+                ? 'bg-blue-600 text-white border-blue-600'
+                : 'bg-white text-gray-600 border-gray-200 hover:border-blue-300'
+                }`}
+            >
+              {tag}
+            </button>
+          ))}
+        </div>
+      )}
+
+      {error && (
+        <div className="p-3 rounded-md flex items-center gap-2 bg-red-50 text-red-700 border border-red-200 text-sm">
+          <AlertCircle size={16} />
+          {error}
+        </div>
+      )}
+
+      <div className={`grid gap-4 ${selected && !onSelect ? 'lg:grid-cols-[1fr_320px]' : ''}`}>
+        {/* Grid */}
+        {isLoading ? (
+          <div className="flex items-center gap-2 text-sm text-gray-500">
+            <Loader2 size={16} className="animate-spin" /> Loading media...
+          </div>
+        ) : visibleMedia.length === 0 ? (
+          <div className="flex flex-col items-center justify-center py-16 text-gray-400 gap-2 border-2 border-dashed border-gray-200 rounded-lg">
+            <ImageIcon size={28} />
+            <p className="text-sm">{media.length === 0 ? 'No files uploaded yet' : 'Nothing matches your search'}</p>
+          </div>
+        ) : (
+          <div className="grid grid-cols-2 sm:grid-cols-3 lg:grid-cols-4 gap-3 content-start">
+            {visibleMedia.map(item => (
+              <button
+                key={item.file}
+                onClick={() => (onSelect ? onSelect(item.url, item) : selectForEditing(item))}
+                className={`group text-left bg-white border rounded-lg overflow-hidden transition-all hover:shadow-md ${selectedFile === item.file ? 'border-blue-500 ring-2 ring-blue-200' : 'border-gray-200'}`}
+              >
+                <div className="aspect-video bg-gray-100 flex items-center justify-center">
+                  <MediaThumbnail media={item} className="max-h-full max-w-full" />
+                </div>
+                <div className="p-2">
+                  <p className="text-xs font-medium text-gray-900 truncate" title={item.name}>{item.name}</p>
+                  <p className="text-[10px] text-gray-500">
+                    {formatSize(item.size)} · {item.usage.length > 0 ? `used ${item.usage.length}×` : 'unused'}
+                  </p>
+                </div>
+              </button>
+            ))}
+          </div>
+        )}
+
+        {/* Details Panel (manage mode) */}
+        {selected && !onSelect && (
+          <div className="bg-white border border-gray-200 rounded-lg p-4 space-y-4 self-start">
+            <div className="aspect-video bg-gray-100 rounded flex items-center justify-center">
+              <MediaThumbnail media={selected} className="max-h-full max-w-full" />
+            </div>
+
+            <div className="space-y-2">
+              <Label>Name</Label>
+              <Input value={nameDraft} onChange={(e) => setNameDraft(e.target.value)} className="text-gray-900" />
+            </div>
+            <div className="space-y-2">
+              <Label>Tags</Label>
+              <Input
+                value={tagsDraft}
+                onChange={(e) => setTagsDraft(e.target.value)}
+                placeholder="hero, product, logo"
+                className="text-gray-900"
+              />
+            </div>
+            <Button size="sm" onClick={handleSaveDetails} disabled={isSaving} className="w-full">
+              Save Details
+            </Button>
+
+            <div className="text-xs text-gray-500 space-y-1">
+              <p>
+                {selected.type} · {formatSize(selected.size)}
+                {selected.width && ` · ${selected.width}×${selected.height}px`}
+              </p>
+              <p>Uploaded {new Date(selected.uploadedAt).toLocaleString()} by {selected.uploadedBy}</p>
+            </div>
+
+            <div>
+              <p className="text-xs font-semibold text-gray-700 mb-1">Used in</p>
+              {selected.usage.length === 0 ? (
+                <p className="text-xs text-gray-400">Not used anywhere</p>
+              ) : (
+                <ul className="text-xs text-gray-600 space-y-0.5">
+                  {selected.usage.map(u => (
+                    <li key={`${u.docPath}-${u.location}`}>
+                      <span className="font-medium">{DOC_LABELS[u.docPath] || u.docPath}</span>: {u.location}
+                    </li>
+                  ))}
+                </ul>
+              )}
+            </div>
+
+            <input
+              type="file"
+              ref={replaceInputRef}
+              className="hidden"
+              accept={isImage(selected) ? 'image/*' : 'application/pdf'}
+              onChange={handleReplace}
+            />
+            <div className="grid grid-cols-3 gap-2">
+              <Button variant="outline" size="sm" onClick={handleCopyUrl} className="gap-1">
+                {copied ? <Check size={14} /> : <Copy size={14} />} URL
+              </Button>
+              <Button variant="outline" size="sm" onClick={() => replaceInputRef.current?.click()} disabled={isSaving} className="gap-1">
+                <RefreshCw size={14} /> Replace
+              </Button>
+              <Button
+                variant="danger"
+                size="sm"
+                onClick={handleDelete}
+                disabled={isSaving || selected.usage.some(u => !u.writable)}
+                title={selected.usage.some(u => !u.writable) ? 'Used in a document you may not change' : undefined}
+                className="gap-1"
+              >
+                <Trash2 size={14} /> Delete
+              </Button>
+            </div>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default MediaBrowser;
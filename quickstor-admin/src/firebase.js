@@ -1,5 +1,7 @@
 // Adapter for QuickStor Backend (replaces Firebase)
 
+import { authHeaders } from './utils/authService';
+
 const BACKEND_URL = '/api/data';
 
 // Mock objects
@@ -32,7 +34,9 @@ export const getDoc = async (docRef) => {
         return {
             exists: () => true,
             data: () => data,
-            id: docRef.id
+            id: docRef.id,
+            // Version tag of this read - pass it to setDoc as ifMatch to detect concurrent edits
+            etag: response.headers.get('ETag')
         };
     } catch (e) {
         console.error("Error fetching from backend:", e);
@@ -40,6 +44,12 @@ export const getDoc = async (docRef) => {
     }
 };
 
+/**
+ * Save a document. Pass options.ifMatch (an etag from getDoc or a previous setDoc)
+ * to only save if nobody changed the document in the meantime - otherwise this throws
+ * an error with code 'conflict' carrying the server's copy as error.current / error.etag.
+ * Resolves to { success, path, etag }.
+ */
 export const setDoc = async (docRef, data, options) => {
     try {
         let finalData = data;
@@ -52,12 +62,28 @@ export const setDoc = async (docRef, data, options) => {
             }
         }
 
+        const headers = { 'Content-Type': 'application/json', ...authHeaders() };
+        if (options && options.ifMatch) headers['If-Match'] = options.ifMatch;
+
         const response = await fetch(`${BACKEND_URL}/${docRef.path}`, {
             method: 'POST',
-            headers: { 'Content-Type': 'application/json' },
+            headers,
             body: JSON.stringify(finalData)
         });
 
+        if (response.status === 401) throw new Error('Session expired. Please sign in again.');
+        if (response.status === 403) {
+            const { error } = await response.json().catch(() => ({}));
+            throw new Error(error || 'You do not have permission to make this change.');
+        }
+        if (response.status === 409) {
+            const { error, current, etag } = await response.json().catch(() => ({}));
+            const conflict = new Error(error || 'Document was changed by someone else');
+            conflict.code = 'conflict';
+            conflict.current = current;
+            conflict.etag = etag;
+            throw conflict;
+        }
         if (!response.ok) throw new Error('Failed to save to backend');
 
         return await response.json();
@@ -67,21 +93,66 @@ export const setDoc = async (docRef, data, options) => {
     }
 };
 
-// Simulate real-time updates with polling
+// --- Live Updates ---
+// One EventSource per tab is shared by every onSnapshot listener. The server only
+// announces which document changed (path + ETag); affected listeners then refetch it.
+const EVENTS_URL = '/api/events';
+const listeners = new Set();
+let eventSource = null;
+
+const ensureEventSource = () => {
+    if (eventSource) return;
+
+    eventSource = new EventSource(EVENTS_URL);
+    eventSource.addEventListener('change', (event) => {
+        const { path, etag } = JSON.parse(event.data);
+        listeners.forEach(listener => {
+            if (listener.path === path) listener.refresh(etag);
+        });
+    });
+
+    // EventSource reconnects by itself; changes made while it was down are caught up here
+    let hasConnected = false;
+    eventSource.addEventListener('open', () => {
+        if (hasConnected) listeners.forEach(listener => listener.refresh());
+        hasConnected = true;
+    });
+};
+
 export const onSnapshot = (docRef, callback) => {
-    // Initial fetch
-    const fetchData = async () => {
-        const snap = await getDoc(docRef);
-        callback(snap);
+    let lastEtag; // undefined until the first fetch
+    let requestSeq = 0;
+
+    const listener = {
+        path: docRef.path,
+        refresh: async (etag) => {
+            // Notification for a version we already have
+            if (etag !== undefined && etag === lastEtag) return;
+
+            const seq = ++requestSeq;
+            const snap = await getDoc(docRef);
+            // Unsubscribed meanwhile, or a newer refresh overtook this one
+            if (!listeners.has(listener) || seq !== requestSeq) return;
+
+            const snapEtag = snap.etag || null;
+            if (lastEtag !== undefined && snapEtag === lastEtag) return;
+            lastEtag = snapEtag;
+            callback(snap);
+        }
     };
 
-    fetchData();
-
-    // Poll every 2 seconds to check for changes
-    const intervalId = setInterval(fetchData, 2000);
+    listeners.add(listener);
+    ensureEventSource();
+    listener.refresh(); // Initial fetch
 
     // Return unsubscribe function
-    return () => clearInterval(intervalId);
+    return () => {
+        listeners.delete(listener);
+        if (listeners.size === 0 && eventSource) {
+            eventSource.close();
+            eventSource = null;
+        }
+    };
 };
 
 export const initializeApp = () => app;
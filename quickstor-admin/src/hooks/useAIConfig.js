@@ -0,0 +1,5 @@
+import { useSyncExternalStore } from 'react';
+import { getAIConfig, subscribeAIConfig } from '../utils/aiService';
+
+// The AI settings as last loaded or saved - defaults until AdminLayout has fetched them
+export const useAIConfig = () => useSyncExternalStore(subscribeAIConfig, getAIConfig);
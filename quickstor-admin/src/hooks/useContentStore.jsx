@@ -3,9 +3,20 @@ import { defaultContent } from '../../../quickstor-frontend/src/data/defaultCont
 import { defaultTheme } from '../config/defaultTheme';
 
 import { db, doc, setDoc, getDoc } from '../firebase';
+import { publishStaging, rejectStaging as rejectStagingRequest } from '../utils/siteService';
+import { mergeContent } from '../utils/mergeContent';
 
 const ContentContext = createContext();
 
+// Staging (what the editor works on) and Live (to compare against)
+const fetchFirestoreContent = async () => {
+  const [stagingSnap, liveSnap] = await Promise.all([
+    getDoc(doc(db, 'sites', 'quickstor-staging')),
+    getDoc(doc(db, 'sites', 'quickstor-live'))
+  ]);
+  return { stagingSnap, liveSnap };
+};
+
 export const ContentProvider = ({ children }) => {
   // Global State - Initialize from LocalStorage or Default
   const [navbar, setNavbar] = useState(() => {
@@ -53,73 +64,78 @@ export const ContentProvider = ({ children }) => {
   const [stagingSnapshot, setStagingSnapshot] = useState(null); // Deep copy of what's in DB
   const [liveSnapshot, setLiveSnapshot] = useState(null);       // Deep copy of Live DB
   const [hasUnsavedChanges, setHasUnsavedChanges] = useState(false);
-  const [hasPendingPublish, setHasPendingPublish] = useState(false);
+
+  // Optimistic Concurrency: etag of the Staging copy this editor is based on,
+  // and the server's copy when a save was rejected because someone else saved first
+  const [stagingEtag, setStagingEtag] = useState(null);
+  const [saveConflict, setSaveConflict] = useState(null);
 
   // Load ALL content from Firestore on startup (sync across browsers)
-  // Load ALL content from Firestore on startup (sync across browsers)
-  useEffect(() => {
-    const loadFromFirestore = async () => {
-      try {
-        // 1. Fetch Staging
-        const stagingRef = doc(db, 'sites', 'quickstor-staging');
-        const stagingSnap = await getDoc(stagingRef);
-
-        if (stagingSnap.exists()) {
-          const data = stagingSnap.data();
-          setStagingSnapshot(data);
-
-          // Sync pages from Firestore
-          if (data.pages && Array.isArray(data.pages)) {
-            setPages(data.pages);
-            localStorage.setItem('quickstor_pages', JSON.stringify(data.pages));
-          }
-
-          // Sync navbar from Firestore
-          if (data.navbar) {
-            setNavbar(data.navbar);
-            localStorage.setItem('quickstor_navbar', JSON.stringify(data.navbar));
-          }
-
-          // Sync footer from Firestore
-          if (data.footer) {
-            setFooter(data.footer);
-            localStorage.setItem('quickstor_footer', JSON.stringify(data.footer));
-          }
-
-          // Sync savedThemes from Firestore
-          if (data.savedThemes && Array.isArray(data.savedThemes)) {
-            setSavedThemes(data.savedThemes);
-            localStorage.setItem('quickstor_savedThemes', JSON.stringify(data.savedThemes));
-          }
-
-          // Sync active theme
-          if (data.theme) {
-            setActiveTheme(data.theme);
-            localStorage.setItem('quickstor_activeTheme', JSON.stringify(data.theme));
-          }
-
-          // Sync custom sections
-          const firestoreSections = data.customSections && Array.isArray(data.customSections)
-            ? data.customSections
-            : [];
-          setCustomSections(firestoreSections);
-          localStorage.setItem('quickstor_custom_sections', JSON.stringify(firestoreSections));
-        }
-
-        // 2. Fetch Live (for comparison only)
-        const liveSnap = await getDoc(doc(db, 'sites', 'quickstor-live'));
-        if (liveSnap.exists()) {
-          setLiveSnapshot(liveSnap.data());
-        }
-
-      } catch (error) {
-        console.error('Error loading from Firestore:', error);
+  // Fetching is kept apart from applying, so the startup effect only sets state once the data is in
+  const applyFirestoreContent = useCallback(({ stagingSnap, liveSnap }) => {
+    setStagingEtag(stagingSnap.etag || null);
+    if (stagingSnap.exists()) {
+      const data = stagingSnap.data();
+      setStagingSnapshot(data);
+
+      // Sync pages from Firestore
+      if (data.pages && Array.isArray(data.pages)) {
+        setPages(data.pages);
+        localStorage.setItem('quickstor_pages', JSON.stringify(data.pages));
       }
-    };
 
-    loadFromFirestore();
+      // Sync navbar from Firestore
+      if (data.navbar) {
+        setNavbar(data.navbar);
+        localStorage.setItem('quickstor_navbar', JSON.stringify(data.navbar));
+      }
+
+      // Sync footer from Firestore
+      if (data.footer) {
+        setFooter(data.footer);
+        localStorage.setItem('quickstor_footer', JSON.stringify(data.footer));
+      }
+
+      // Sync savedThemes from Firestore
+      if (data.savedThemes && Array.isArray(data.savedThemes)) {
+        setSavedThemes(data.savedThemes);
+        localStorage.setItem('quickstor_savedThemes', JSON.stringify(data.savedThemes));
+      }
+
+      // Sync active theme
+      if (data.theme) {
+        setActiveTheme(data.theme);
+        localStorage.setItem('quickstor_activeTheme', JSON.stringify(data.theme));
+      }
+
+      // Sync custom sections
+      const firestoreSections = data.customSections && Array.isArray(data.customSections)
+        ? data.customSections
+        : [];
+      setCustomSections(firestoreSections);
+      localStorage.setItem('quickstor_custom_sections', JSON.stringify(firestoreSections));
+    }
+
+    // Live is for comparison only
+    if (liveSnap.exists()) {
+      setLiveSnapshot(liveSnap.data());
+    }
   }, []);
 
+  const loadFromFirestore = useCallback(async () => {
+    try {
+      applyFirestoreContent(await fetchFirestoreContent());
+    } catch (error) {
+      console.error('Error loading from Firestore:', error);
+    }
+  }, [applyFirestoreContent]);
+
+  useEffect(() => {
+    fetchFirestoreContent()
+      .then(applyFirestoreContent)
+      .catch(error => console.error('Error loading from Firestore:', error));
+  }, [applyFirestoreContent]);
+
   // --- Change Detection Logic ---
 
   // Refactored: Use explicit "Dirty Flag" for local changes and "Versioning" for Staging vs Live
@@ -129,28 +145,54 @@ export const ContentProvider = ({ children }) => {
     setIsDirty(true);
   }, []);
 
-  // Check if Staging differs from Live via VERSION comparison (O(1) complexity)
-  useEffect(() => {
-    if (!stagingSnapshot || !liveSnapshot) {
-      setHasPendingPublish(false);
+  // Re-sync with the server after it changed underneath us (e.g. a revision rollback)
+  // liveOnly refreshes just the Live snapshot and leaves the editor state alone
+  const reloadFromServer = useCallback(async ({ liveOnly = false } = {}) => {
+    if (liveOnly) {
+      const liveSnap = await getDoc(doc(db, 'sites', 'quickstor-live'));
+      if (liveSnap.exists()) setLiveSnapshot(liveSnap.data());
       return;
     }
+    await loadFromFirestore();
+    setIsDirty(false);
+  }, [loadFromFirestore]);
 
-    // If versions are missing (legacy data), fallback to assuming they match or manual publish needed
-    // But for new saves, we rely on version string equality
-    const stagingVer = stagingSnapshot.version;
-    const liveVer = liveSnapshot.version;
-
-    console.log(`Version Check - Staging: ${stagingVer} | Live: ${liveVer}`);
-
-    setHasPendingPublish(stagingVer !== liveVer);
-  }, [stagingSnapshot, liveSnapshot]);
+  // Check if Staging differs from Live via VERSION comparison (O(1) complexity)
+  // If versions are missing (legacy data), fallback to assuming they match or manual publish needed
+  // But for new saves, we rely on version string equality
+  const hasPendingPublish = !!stagingSnapshot && !!liveSnapshot && stagingSnapshot.version !== liveSnapshot.version;
 
   // Helper to get active page
   const activePage = pages.find(p => p.id === activePageId) || pages[0];
   const sections = activePage?.sections || [];
 
   // --- Persistence Actions ---
+
+  // Write content to Staging, but only if it still matches the etag we pass
+  const persistStaging = useCallback(async (content, ifMatch) => {
+    const stagingContentRef = doc(db, 'sites', 'quickstor-staging');
+
+    // Generate Version ID (Time + Random) to guarantee uniqueness on every save
+    const newVersion = `${Date.now()}-${Math.floor(Math.random() * 10000)}`;
+
+    const newData = {
+      version: newVersion, // NEW: Explicit versioning
+      ...content,
+      lastUpdated: new Date()
+    };
+
+    const { etag } = await setDoc(stagingContentRef, newData, { ifMatch });
+
+    // Update local snapshot after successful save
+    setStagingSnapshot(newData);
+    setStagingEtag(etag);
+    setSaveConflict(null);
+    setIsDirty(false); // Reset dirty flag
+
+    console.log('Content published to Firestore (Staging) with version:', newVersion);
+    return newData;
+  }, []);
+
   const saveContent = useCallback(async () => {
     // 1. Save locally as backup
     localStorage.setItem('quickstor_navbar', JSON.stringify(navbar));
@@ -160,58 +202,87 @@ export const ContentProvider = ({ children }) => {
     localStorage.setItem('quickstor_savedThemes', JSON.stringify(savedThemes));
     localStorage.setItem('quickstor_custom_sections', JSON.stringify(customSections));
 
-    // 2. Publish to Firestore (STAGING)
+    // 2. Publish to Firestore (STAGING), guarded by the version we loaded
     try {
-      const stagingContentRef = doc(db, 'sites', 'quickstor-staging');
-
-      // Generate Version ID (Time + Random) to guarantee uniqueness on every save
-      const newVersion = `${Date.now()}-${Math.floor(Math.random() * 10000)}`;
-
-      const newData = {
-        version: newVersion, // NEW: Explicit versioning
+      await persistStaging({
         navbar,
         footer,
         pages,
         theme: activeTheme,
         savedThemes: savedThemes,
-        customSections: customSections,
-        lastUpdated: new Date()
-      };
-
-      await setDoc(stagingContentRef, newData);
-
-      // Update local snapshot after successful save
-      setStagingSnapshot(newData);
-      setIsDirty(false); // Reset dirty flag
-
-      console.log('Content published to Firestore (Staging) with version:', newVersion);
+        customSections: customSections
+      }, stagingEtag);
       return true;
     } catch (error) {
+      if (error.code === 'conflict') {
+        // Someone else saved Staging since we loaded it - let the user pick (see resolveSaveConflict)
+        console.warn('Staging save conflict:', error.message);
+        setSaveConflict({ current: error.current, etag: error.etag });
+        return false;
+      }
       console.error('Error publishing to Firestore:', error);
       alert('Failed to publish to staging: ' + error.message);
       return false;
     }
-  }, [navbar, footer, pages, activeTheme, savedThemes, customSections]);
+  }, [navbar, footer, pages, activeTheme, savedThemes, customSections, stagingEtag, persistStaging]);
+
+  /**
+   * Settle a rejected save
+   * - 'merge': combine our edits with theirs (ours win where both changed the same item) and save
+   * - 'overwrite': save our version over theirs
+   * - 'reload': drop our edits and load their version
+   */
+  const resolveSaveConflict = useCallback(async (strategy) => {
+    if (!saveConflict) return false;
+
+    if (strategy === 'reload') {
+      setSaveConflict(null);
+      await reloadFromServer();
+      return true;
+    }
 
-  // --- Staging -> Live Actions ---
+    let content = { navbar, footer, pages, theme: activeTheme, savedThemes, customSections };
+    let conflicts = [];
+
+    if (strategy === 'merge') {
+      ({ merged: content, conflicts } = mergeContent(stagingSnapshot, content, saveConflict.current || {}));
+      setNavbar(content.navbar);
+      setFooter(content.footer);
+      setPages(content.pages);
+      setActiveTheme(content.theme);
+      setSavedThemes(content.savedThemes);
+      setCustomSections(content.customSections);
+    }
 
-  const publishStagingToLive = useCallback(async () => {
     try {
-      // 1. Get current staging data
-      const stagingSnap = await getDoc(doc(db, 'sites', 'quickstor-staging'));
-      if (!stagingSnap.exists()) {
-        throw new Error("No staging content found to publish.");
+      // Still guarded: if a third save landed meanwhile we end up back in the conflict dialog
+      await persistStaging(content, saveConflict.etag);
+      if (conflicts.length > 0) {
+        alert(`Merged and saved. These were changed on both sides, your version was kept:\n\n- ${conflicts.join('\n- ')}`);
       }
-      const data = stagingSnap.data();
+      return true;
+    } catch (error) {
+      if (error.code === 'conflict') {
+        setSaveConflict({ current: error.current, etag: error.etag });
+        return false;
+      }
+      console.error('Error resolving save conflict:', error);
+      alert('Failed to save to staging: ' + error.message);
+      return false;
+    }
+  }, [saveConflict, navbar, footer, pages, activeTheme, savedThemes, customSections, stagingSnapshot, persistStaging, reloadFromServer]);
 
-      // 2. Write to live
-      await setDoc(doc(db, 'sites', 'quickstor-live'), {
-        ...data,
-        lastPublished: new Date()
-      });
+  const dismissSaveConflict = useCallback(() => setSaveConflict(null), []);
+
+  // --- Staging -> Live Actions ---
+
+  const publishStagingToLive = useCallback(async () => {
+    try {
+      // Server copies saved Staging to Live atomically
+      const { live } = await publishStaging();
 
       // Update Live snapshot to match
-      setLiveSnapshot(data);
+      setLiveSnapshot(live);
 
       console.log('Staging content promoted to Live');
       return true;
@@ -227,33 +298,20 @@ export const ContentProvider = ({ children }) => {
       return false;
     }
     try {
-      // 1. Get current live data
-      const liveSnap = await getDoc(doc(db, 'sites', 'quickstor-live'));
-      if (!liveSnap.exists()) {
-        throw new Error("No live content found to revert to.");
-      }
-      const data = liveSnap.data();
+      // Server resets Staging to Live atomically (Custom Sections library is preserved there)
+      const { staging: data, etag } = await rejectStagingRequest();
 
-      // 2. Update local state to match live, BUT preserve Custom Sections (Library)
+      // Update local state to match live, BUT preserve Custom Sections (Library)
       if (data.navbar) setNavbar(data.navbar);
       if (data.footer) setFooter(data.footer);
       if (data.pages) setPages(data.pages);
       if (data.theme) setActiveTheme(data.theme);
       if (data.savedThemes) setSavedThemes(data.savedThemes);
-      // Preserve current customSections instead of reverting to Live
-      // if (data.customSections) setCustomSections(data.customSections); 
-
-      const revertedData = {
-        ...data,
-        customSections: customSections // Keep existing library additions
-      };
-
-      // 3. Update staging in Firestore to match live (with preserved sections)
-      await setDoc(doc(db, 'sites', 'quickstor-staging'), revertedData);
 
-      // Update snapshots
+      // Update snapshot
       setStagingSnapshot(data);
-      setLiveSnapshot(data);
+      setStagingEtag(etag);
+      setIsDirty(false);
 
       console.log('Staging reverted to match Live');
       return true;
@@ -519,6 +577,10 @@ export const ContentProvider = ({ children }) => {
       // Persistence
       saveContent,
       discardChanges,
+      reloadFromServer,
+      saveConflict,
+      resolveSaveConflict,
+      dismissSaveConflict,
 
       // Staging Workflow
       publishStagingToLive,
@@ -0,0 +1,466 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { ScrollText, RotateCcw, Loader2, AlertCircle, CheckCircle, Paperclip, RefreshCw } from 'lucide-react';
+import { Button } from '../components/ui/Button';
+import {
+    AIService, AI_FEATURE_LABELS, getAILog, getAILogEntry, loadAIConfig, getActiveProvider, getConfiguredProviders
+} from '../utils/aiService';
+import { promptService, fillPlaceholders } from '../utils/promptService';
+import { parseJSONResponse } from '../utils/jsonSchema';
+import { diffLines } from '../utils/textDiff';
+import { useAuth } from '../hooks/useAuth';
+import { useAIConfig } from '../hooks/useAIConfig';
+
+const STATUSES = ['ok', 'error', 'cancelled', 'timeout'];
+
+const STATUS_STYLES = {
+    ok: 'bg-green-100 text-green-700',
+    error: 'bg-red-100 text-red-700',
+    cancelled: 'bg-gray-100 text-gray-600',
+    timeout: 'bg-amber-100 text-amber-700'
+};
+
+const today = () => new Date().toISOString().slice(0, 10);
+
+const formatTime = (at) => new Date(at).toLocaleTimeString();
+const formatBytes = (bytes) => bytes >= 1024 * 1024 ? `${(bytes / 1024 / 1024).toFixed(1)} MB` : `${Math.ceil(bytes / 1024)} KB`;
+
+/**
+ * Swap the prompts a logged call was built from for their current versions. Each prompt's
+ * text as it was sent is found in the messages and replaced, with the same variables.
+ * @returns {{messages: Array, prompts: Array, changes: Array<{key: string, from: number, to: number, found: boolean}>}}
+ */
+function withCurrentPrompts(messages, prompts) {
+    const changes = [];
+    let updated = messages;
+    const refs = prompts.map(prompt => {
+        const current = promptService.ref(prompt.key, prompt.variables);
+        const sent = fillPlaceholders(prompt.template, prompt.variables);
+        if (!sent || sent === fillPlaceholders(current.template, prompt.variables)) return prompt;
+
+        const found = updated.some(message => message.text?.includes(sent));
+        updated = updated.map(message => message.text?.includes(sent)
+            ? { ...message, text: message.text.replace(sent, () => fillPlaceholders(current.template, prompt.variables)) }
+            : message);
+        changes.push({ key: prompt.key, from: prompt.version, to: current.version, found });
+        return found ? current : prompt;
+    });
+    return { messages: updated, prompts: refs, changes };
+}
+
+/**
+ * The JSON check shown for a response: null when the call didn't ask for JSON
+ */
+function checkJSON(text, entry) {
+    if (entry.request.responseFormat !== 'json' && !entry.outcome) return null;
+    try {
+        parseJSONResponse(text);
+        return { parsed: true, errors: [] };
+    } catch (error) {
+        return { parsed: false, errors: [error.message] };
+    }
+}
+
+const StatusBadge = ({ status }) => (
+    <span className={`px-2 py-0.5 rounded text-xs font-medium ${STATUS_STYLES[status] || STATUS_STYLES.cancelled}`}>{status}</span>
+);
+
+/**
+ * AI Log
+ * Every call made through the AI proxy: what was sent, what came back and whether it could
+ * be used. Admins can replay a call with the current prompts or on another model.
+ */
+const AILog = () => {
+    const { can } = useAuth();
+    const isAdmin = can('admin');
+
+    const [filters, setFilters] = useState({ date: today(), feature: '', status: '' });
+    const [log, setLog] = useState(null);
+    const [isLoading, setIsLoading] = useState(true);
+    const [error, setError] = useState(null);
+
+    const [entry, setEntry] = useState(null);
+    const [providers, setProviders] = useState([]);
+
+    const loadLog = useCallback(async () => {
+        if (!isAdmin) return;
+        setIsLoading(true);
+        try {
+            setLog(await getAILog(filters));
+            setError(null);
+        } catch (err) {
+            setError(err.message);
+        } finally {
+            setIsLoading(false);
+        }
+    }, [filters, isAdmin]);
+
+    useEffect(() => {
+        loadLog();
+    }, [loadLog]);
+
+    useEffect(() => {
+        loadAIConfig().then(config => setProviders(getConfiguredProviders(config)));
+        promptService.init();
+    }, []);
+
+    const handleSelect = async (id) => {
+        try {
+            setEntry(await getAILogEntry(id));
+        } catch (err) {
+            setError(err.message);
+        }
+    };
+
+    const updateFilter = (name, value) => setFilters(prev => ({ ...prev, [name]: value }));
+
+    if (!isAdmin) {
+        return (
+            <div className="space-y-6">
+                <h1 className="text-2xl font-bold text-gray-900">AI Log</h1>
+                <p className="text-sm text-gray-500">Only administrators can see the AI log.</p>
+            </div>
+        );
+    }
+
+    return (
+        <div className="space-y-6">
+            <div className="flex items-center justify-between gap-4">
+                <div>
+                    <h1 className="text-2xl font-bold text-gray-900 flex items-center gap-2">
+                        <ScrollText size={24} className="text-blue-600" /> AI Log
+                    </h1>
+                    <p className="text-gray-500 mt-1">
+                        Every AI request from the admin: the prompt, the response and whether it could be used.
+                        {log && ` Kept for ${log.retentionDays} days.`}
+                    </p>
+                </div>
+                <Button variant="outline" onClick={loadLog} disabled={isLoading} className="flex items-center gap-2 shrink-0">
+                    <RefreshCw size={16} className={isLoading ? 'animate-spin' : ''} /> Refresh
+                </Button>
+            </div>
+
+            {error && (
+                <div className="p-4 rounded-md flex items-center gap-2 bg-red-50 text-red-700 border border-red-200">
+                    <AlertCircle size={20} />
+                    {error}
+                </div>
+            )}
+            {log && !log.enabled && (
+                <p className="p-4 rounded-md text-sm bg-amber-50 text-amber-700 border border-amber-200">
+                    The AI log is turned off on the server (AI_LOG_DAYS=0), so new requests are not recorded.
+                </p>
+            )}
+
+            <div className="grid grid-cols-1 xl:grid-cols-5 gap-6">
+                {/* Calls */}
+                <div className="xl:col-span-2 bg-white rounded-xl shadow-sm border border-gray-200 overflow-hidden">
+                    <div className="p-4 border-b border-gray-200 flex flex-wrap gap-2">
+                        <select
+                            value={filters.date}
+                            onChange={(e) => updateFilter('date', e.target.value)}
+                            className="px-3 py-2 border border-gray-300 rounded-md text-sm bg-white"
+                        >
+                            {[...new Set([today(), ...(log?.dates || [])])].map(date => <option key={date} value={date}>{date}</option>)}
+                        </select>
+                        <select
+                            value={filters.feature}
+                            onChange={(e) => updateFilter('feature', e.target.value)}
+                            className="px-3 py-2 border border-gray-300 rounded-md text-sm bg-white"
+                        >
+                            <option value="">All features</option>
+                            {Object.entries(AI_FEATURE_LABELS).filter(([id]) => id !== 'other').map(([id, label]) => (
+                                <option key={id} value={id}>{label}</option>
+                            ))}
+                        </select>
+                        <select
+                            value={filters.status}
+                            onChange={(e) => updateFilter('status', e.target.value)}
+                            className="px-3 py-2 border border-gray-300 rounded-md text-sm bg-white"
+                        >
+                            <option value="">Any status</option>
+                            {STATUSES.map(status => <option key={status} value={status}>{status}</option>)}
+                        </select>
+                    </div>
+
+                    {isLoading && !log ? (
+                        <div className="p-6 flex items-center gap-2 text-sm text-gray-500">
+                            <Loader2 size={16} className="animate-spin" /> Loading...
+                        </div>
+                    ) : log?.calls.length === 0 ? (
+                        <p className="p-6 text-sm text-gray-500">No AI requests match.</p>
+                    ) : (
+                        <ul className="divide-y divide-gray-100 max-h-[70vh] overflow-y-auto">
+                            {log?.calls.map(call => (
+                                <li key={call.id}>
+                                    <button
+                                        onClick={() => handleSelect(call.id)}
+                                        className={`w-full text-left px-4 py-3 hover:bg-gray-50 ${entry?.id === call.id ? 'bg-blue-50' : ''}`}
+                                    >
+                                        <div className="flex items-center justify-between gap-2 text-xs">
+                                            <span className="text-gray-500">
+                                                {formatTime(call.at)} · {AI_FEATURE_LABELS[call.feature] || call.feature || 'untagged'}
+                                            </span>
+                                            <span className="flex items-center gap-1">
+                                                {call.outcome && !call.outcome.parsed && <span className="text-red-600">invalid</span>}
+                                                <StatusBadge status={call.status} />
+                                            </span>
+                                        </div>
+                                        <p className="text-sm text-gray-900 truncate mt-1">{call.preview || '(empty prompt)'}</p>
+                                        <p className="text-xs text-gray-500 mt-1 truncate">
+                                            {call.user} · <span className="font-mono">{call.provider}/{call.model}</span> · {(call.latencyMs / 1000).toFixed(1)}s
+                                            {call.attachments > 0 && ` · ${call.attachments} attachment(s)`}
+                                        </p>
+                                    </button>
+                                </li>
+                            ))}
+                        </ul>
+                    )}
+                </div>
+
+                {/* Details & replay */}
+                <div className="xl:col-span-3">
+                    {entry ? (
+                        <AILogEntry key={entry.id} entry={entry} providers={providers} />
+                    ) : (
+                        <div className="bg-white rounded-xl shadow-sm border border-gray-200 p-6 text-sm text-gray-500">
+                            Select a request to see what was sent and what came back.
+                        </div>
+                    )}
+                </div>
+            </div>
+        </div>
+    );
+};
+
+/**
+ * One logged call in full, with its replay
+ */
+const AILogEntry = ({ entry, providers }) => {
+    const aiConfig = useAIConfig();
+    const [useCurrentPrompts, setUseCurrentPrompts] = useState(true);
+    const [target, setTarget] = useState({ provider: '', model: '' });
+    const [replay, setReplay] = useState(null);
+    const [isReplaying, setIsReplaying] = useState(false);
+
+    const attachmentCount = entry.request.messages.reduce((sum, m) => sum + m.attachments.length, 0);
+    const outdatedPrompts = entry.prompts.filter(p => (promptService.getStored(p.key)?.version || 0) !== p.version);
+    const check = entry.response ? checkJSON(entry.response, entry) : null;
+    const outcome = entry.outcome || check;
+
+    const handleReplay = async () => {
+        const prompts = useCurrentPrompts
+            ? withCurrentPrompts(entry.request.messages, entry.prompts)
+            : { messages: entry.request.messages, prompts: entry.prompts, changes: [] };
+
+        setIsReplaying(true);
+        setReplay(null);
+        const startedAt = Date.now();
+        try {
+            const { text, provider, model, usage } = await AIService.generateChatDetailed(
+                // Attachments are only logged as type and size, so they can't be sent again
+                prompts.messages.map(({ role, text }) => ({ role, text })),
+                {
+                    feature: 'replay',
+                    prompts: prompts.prompts,
+                    ...(entry.request.temperature !== null && { temperature: entry.request.temperature }),
+                    ...(entry.request.maxTokens !== null && { maxTokens: entry.request.maxTokens }),
+                    ...(entry.request.responseFormat && { responseFormat: entry.request.responseFormat }),
+                    ...(target.provider && { target: { provider: target.provider, model: target.model.trim() || undefined } })
+                }
+            );
+            setReplay({ text, provider, model, usage, changes: prompts.changes, durationMs: Date.now() - startedAt });
+        } catch (error) {
+            setReplay({ error: error.message, changes: prompts.changes });
+        } finally {
+            setIsReplaying(false);
+        }
+    };
+
+    const handleTargetProvider = (providerId) => {
+        const provider = providers.find(p => p.id === providerId);
+        setTarget({ provider: providerId, model: provider?.model || '' });
+    };
+
+    return (
+        <div className="space-y-6">
+            <div className="bg-white rounded-xl shadow-sm border border-gray-200 overflow-hidden">
+                <div className="px-6 py-4 border-b border-gray-200 flex flex-wrap items-center justify-between gap-2">
+                    <div>
+                        <h2 className="text-lg font-semibold text-gray-900 flex items-center gap-2">
+                            {AI_FEATURE_LABELS[entry.feature] || entry.feature || 'Untagged request'} <StatusBadge status={entry.status} />
+                        </h2>
+                        <p className="text-xs text-gray-500 mt-1">
+                            {new Date(entry.at).toLocaleString()} · {entry.user} · <span className="font-mono">{entry.provider}/{entry.model}</span>
+                            {entry.target && ' (chosen for this request)'} · {(entry.latencyMs / 1000).toFixed(1)}s
+                            {entry.stream && ' · streamed'}
+                            {entry.usage && ` · ${entry.usage.inputTokens?.toLocaleString() ?? '?'} in / ${entry.usage.outputTokens?.toLocaleString() ?? '?'} out tokens`}
+                        </p>
+                    </div>
+                    <span className="text-xs font-mono text-gray-400">{entry.id}</span>
+                </div>
+
+                <div className="p-6 space-y-4">
+                    {entry.error && (
+                        <p className="text-sm text-red-600">{entry.httpStatus && `${entry.httpStatus}: `}{entry.error}</p>
+                    )}
+                    {entry.truncated && (
+                        <p className="text-xs text-amber-600">Parts of this request were too long to log in full and were cut short.</p>
+                    )}
+
+                    {entry.prompts.length > 0 && (
+                        <div className="text-xs text-gray-600">
+                            Built from:{' '}
+                            {entry.prompts.map(p => (
+                                <span key={p.key} className="inline-block mr-2 font-mono bg-gray-100 border border-gray-200 rounded px-1.5 py-0.5">
+                                    {p.key} v{p.version ?? '?'}
+                                </span>
+                            ))}
+                        </div>
+                    )}
+
+                    {entry.request.messages.map((message, index) => (
+                        <details key={index} open={index === entry.request.messages.length - 1} className="text-sm">
+                            <summary className="cursor-pointer text-gray-600">
+                                {message.role === 'user' ? 'User' : 'Model'} message {index + 1}
+                                {' '}({(message.text || '').length.toLocaleString()} chars)
+                            </summary>
+                            {message.attachments.length > 0 && (
+                                <div className="mt-2 flex flex-wrap gap-2">
+                                    {message.attachments.map((attachment, i) => (
+                                        <span key={i} className="flex items-center gap-1 text-xs bg-gray-100 border border-gray-200 rounded px-2 py-1">
+                                            <Paperclip size={12} /> {attachment.mimeType} · {formatBytes(attachment.bytes)}
+                                        </span>
+                                    ))}
+                                </div>
+                            )}
+                            <pre className="mt-2 max-h-80 overflow-auto whitespace-pre-wrap text-xs font-mono p-3 bg-gray-50 border border-gray-200 rounded">{message.text}</pre>
+                        </details>
+                    ))}
+
+                    <div>
+                        <p className="text-xs font-medium text-gray-500 uppercase mb-2 flex items-center gap-2">
+                            Response
+                            {outcome && (outcome.parsed
+                                ? <span className="normal-case text-green-600 flex items-center gap-1"><CheckCircle size={12} /> {entry.outcome ? 'used' : 'valid JSON'}</span>
+                                : <span className="normal-case text-red-600 flex items-center gap-1"><AlertCircle size={12} /> {entry.outcome ? 'rejected' : 'not valid JSON'}</span>)}
+                        </p>
+                        {outcome?.errors.length > 0 && (
+                            <ul className="mb-2 text-xs text-red-600 list-disc pl-4">
+                                {outcome.errors.slice(0, 10).map((error, index) => <li key={index}>{error}</li>)}
+                            </ul>
+                        )}
+                        {entry.response
+                            ? <pre className="max-h-96 overflow-auto whitespace-pre-wrap text-xs font-mono p-3 bg-gray-50 border border-gray-200 rounded text-gray-800">{entry.response}</pre>
+                            : <p className="text-sm text-gray-500">No response.</p>}
+                    </div>
+                </div>
+            </div>
+
+            {/* Replay */}
+            <div className="bg-white rounded-xl shadow-sm border border-gray-200 p-6 space-y-4">
+                <h2 className="text-lg font-semibold text-gray-900">Replay</h2>
+                <div className="flex flex-wrap items-center gap-3">
+                    <select
+                        value={target.provider}
+                        onChange={(e) => handleTargetProvider(e.target.value)}
+                        className="px-3 py-2 border border-gray-300 rounded-md text-sm focus:outline-none focus:ring-2 focus:ring-blue-500"
+                    >
+                        <option value="">Current model ({getActiveProvider(aiConfig).model})</option>
+                        {providers.map(p => <option key={p.id} value={p.id}>{p.label}</option>)}
+                    </select>
+                    {target.provider && (
+                        <input
+                            type="text"
+                            value={target.model}
+                            onChange={(e) => setTarget(prev => ({ ...prev, model: e.target.value }))}
+                            placeholder="Model"
+                            className="flex-1 px-3 py-2 border border-gray-300 rounded-md text-sm font-mono focus:outline-none focus:ring-2 focus:ring-blue-500"
+                        />
+                    )}
+                    <Button onClick={handleReplay} disabled={isReplaying} className="flex items-center gap-2">
+                        {isReplaying ? <Loader2 size={16} className="animate-spin" /> : <RotateCcw size={16} />}
+                        Replay
+                    </Button>
+                </div>
+                {entry.prompts.length > 0 && (
+                    <label className="flex items-center gap-2 text-sm text-gray-700">
+                        <input type="checkbox" checked={useCurrentPrompts} onChange={(e) => setUseCurrentPrompts(e.target.checked)} />
+                        Use the current prompts
+                        {outdatedPrompts.length > 0 && (
+                            <span className="text-xs text-blue-600">({outdatedPrompts.map(p => p.key).join(', ')} changed since)</span>
+                        )}
+                    </label>
+                )}
+                {attachmentCount > 0 && (
+                    <p className="text-xs text-amber-600">
+                        The {attachmentCount} attachment(s) are not sent again - only their type and size were logged.
+                    </p>
+                )}
+                {entry.truncated && (
+                    <p className="text-xs text-amber-600">This request was cut short in the log, so the replay is not the same request.</p>
+                )}
+                <p className="text-xs text-gray-500">A replay is a new request and counts towards the AI usage quota.</p>
+
+                {replay && <ReplayResult replay={replay} entry={entry} />}
+            </div>
+        </div>
+    );
+};
+
+/**
+ * A replay's response next to the logged one, with the lines that changed
+ */
+const ReplayResult = ({ replay, entry }) => {
+    const check = replay.text ? checkJSON(replay.text, entry) : null;
+
+    return (
+        <div className="space-y-3">
+            {replay.changes.map(change => (
+                <p key={change.key} className={`text-xs ${change.found ? 'text-gray-600' : 'text-amber-600'}`}>
+                    {change.found
+                        ? `${change.key}: replayed with v${change.to} instead of v${change.from ?? '?'}`
+                        : `${change.key}: the logged prompt text wasn't found in the request - sent as logged`}
+                </p>
+            ))}
+
+            {replay.error ? (
+                <p className="text-sm text-red-600">{replay.error}</p>
+            ) : (
+                <>
+                    <p className="text-xs text-gray-500 flex items-center gap-2">
+                        <span className="font-mono">{replay.provider}/{replay.model}</span> · {(replay.durationMs / 1000).toFixed(1)}s
+                        {replay.usage && ` · ${replay.usage.inputTokens?.toLocaleString() ?? '?'} in / ${replay.usage.outputTokens?.toLocaleString() ?? '?'} out tokens`}
+                        {check && (check.parsed
+                            ? <span className="text-green-600 flex items-center gap-1"><CheckCircle size={12} /> valid JSON</span>
+                            : <span className="text-red-600 flex items-center gap-1"><AlertCircle size={12} /> {check.errors[0]}</span>)}
+                    </p>
+                    <div className="grid grid-cols-1 md:grid-cols-2 gap-3">
+                        <div className="min-w-0">
+                            <p className="text-xs font-medium text-gray-500 uppercase mb-2">Logged</p>
+                            <pre className="max-h-96 overflow-auto whitespace-pre-wrap text-xs font-mono p-3 bg-gray-50 border border-gray-200 rounded text-gray-800">{entry.response || ''}</pre>
+                        </div>
+                        <div className="min-w-0">
+                            <p className="text-xs font-medium text-gray-500 uppercase mb-2">Replay</p>
+                            <pre className="max-h-96 overflow-auto whitespace-pre-wrap text-xs font-mono p-3 bg-gray-50 border border-gray-200 rounded text-gray-800">{replay.text}</pre>
+                        </div>
+                    </div>
+                    <details className="text-sm">
+                        <summary className="cursor-pointer text-gray-600">Changes</summary>
+                        <pre className="mt-2 max-h-96 overflow-auto text-xs font-mono border border-gray-200 rounded">
+                            {diffLines(entry.response, replay.text).map((line, index) => (
+                                <div
+                                    key={index}
+                                    className={line.type === 'added' ? 'bg-green-50 text-green-800' : line.type === 'removed' ? 'bg-red-50 text-red-800' : 'text-gray-600'}
+                                >
+                                    {line.type === 'added' ? '+ ' : line.type === 'removed' ? '- ' : '  '}{line.text}
+                                </div>
+                            ))}
+                        </pre>
+                    </details>
+                </>
+            )}
+        </div>
+    );
+};
+
+export default AILog;
@@ -1,8 +1,13 @@
-import { Save, Palette, ExternalLink, Check, X, RotateCcw } from 'lucide-react';
+import { useState } from 'react';
+import { Save, Palette, ExternalLink, Check, X, RotateCcw, UploadCloud, History } from 'lucide-react';
 import { Button } from '../components/ui/Button';
+import Modal from '../components/ui/Modal';
 import EditorContainer from '../features/editor/EditorContainer';
+import RevisionHistory from '../features/editor/RevisionHistory';
+import SaveConflictDialog from '../features/editor/SaveConflictDialog';
 
 import { useContentStore } from '../hooks/useContentStore';
+import { useAuth } from '../hooks/useAuth';
 
 const Dashboard = () => {
   const {
@@ -16,6 +21,9 @@ const Dashboard = () => {
     hasUnsavedChanges,
     hasPendingPublish
   } = useContentStore();
+  const { can } = useAuth();
+  const canPublish = can('publisher');
+  const [showHistory, setShowHistory] = useState(false);
 
   const handleSaveToStaging = async () => {
     if (!hasUnsavedChanges) return;
@@ -27,7 +35,7 @@ const Dashboard = () => {
   };
 
   const handlePublishLive = async () => {
-    if (!hasPendingPublish) return;
+    if (!hasPendingPublish || !canPublish) return;
     if (confirm("Are you sure you want to publish the current Staging content to the LIVE website?")) {
       const success = await publishStagingToLive();
       if (success) {
@@ -37,7 +45,7 @@ const Dashboard = () => {
   };
 
   const handleReject = async () => {
-    if (!hasPendingPublish) return;
+    if (!hasPendingPublish || !canPublish) return;
     await rejectStaging();
   };
 
@@ -85,6 +93,15 @@ const Dashboard = () => {
           <div className="h-6 w-px bg-gray-300 mx-1 hidden sm:block"></div>
 
           {/* Staging Actions */}
+          <Button
+            variant="outline"
+            onClick={() => setShowHistory(true)}
+            title="Browse and roll back saved revisions"
+            className="text-gray-600 hover:text-gray-900 border-gray-200 hover:bg-gray-100"
+          >
+            <History size={16} className="mr-1" /> History
+          </Button>
+
           <Button
             variant="outline"
             onClick={handleDiscard}
@@ -98,9 +115,9 @@ const Dashboard = () => {
           <Button
             variant="outline"
             onClick={handleReject}
-            disabled={!hasPendingPublish}
-            title="Revert Staging to match Live"
-            className={`transition-colors ${!hasPendingPublish ? 'opacity-50 cursor-not-allowed text-gray-400 border-gray-200' : 'text-red-600 hover:text-red-700 border-red-200 hover:bg-red-50'}`}
+            disabled={!hasPendingPublish || !canPublish}
+            title={canPublish ? 'Revert Staging to match Live' : 'Requires the publisher role'}
+            className={`transition-colors ${!hasPendingPublish || !canPublish ? 'opacity-50 cursor-not-allowed text-gray-400 border-gray-200' : 'text-red-600 hover:text-red-700 border-red-200 hover:bg-red-50'}`}
           >
             <X size={16} className="mr-1" /> Reject Staging
           </Button>
@@ -114,6 +131,15 @@ const Dashboard = () => {
             <Save size={16} className="mr-1" /> Save to Staging
           </Button>
 
+          <Button
+            onClick={handlePublishLive}
+            disabled={!hasPendingPublish || !canPublish}
+            title={canPublish ? 'Promote Staging to the Live website' : 'Requires the publisher role'}
+            className={`transition-colors ${!hasPendingPublish || !canPublish ? 'opacity-50 cursor-not-allowed' : 'bg-green-600 hover:bg-green-700'}`}
+          >
+            <UploadCloud size={16} className="mr-1" /> Publish to Live
+          </Button>
+
         </div>
       </div>
 
@@ -121,6 +147,17 @@ const Dashboard = () => {
       <div className="flex-1 min-h-0">
         <EditorContainer />
       </div>
+
+      <Modal
+        isOpen={showHistory}
+        onClose={() => setShowHistory(false)}
+        title="Revision History"
+        className="max-w-3xl"
+      >
+        <RevisionHistory />
+      </Modal>
+
+      <SaveConflictDialog />
     </div>
   );
 };
@@ -0,0 +1,19 @@
+import React from 'react';
+import MediaBrowser from '../features/media/MediaBrowser';
+
+const MediaLibrary = () => {
+  return (
+    <div className="space-y-6">
+      <div>
+        <h1 className="text-2xl font-bold tracking-tight text-gray-900">Media Library</h1>
+        <p className="text-sm text-gray-500 mt-1">
+          Images and files used across your pages. Replacing a file updates every page that uses it.
+        </p>
+      </div>
+
+      <MediaBrowser />
+    </div>
+  );
+};
+
+export default MediaLibrary;
@@ -0,0 +1,521 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { Beaker, Play, Square, Plus, X, Paperclip, FileUp, Save, Loader2, AlertCircle, CheckCircle } from 'lucide-react';
+import { Button } from '../components/ui/Button';
+import { AIService, loadAIConfig, getActiveProvider, getConfiguredProviders, getUnsupportedAttachments, estimateTokenCount, isAbortError, reportAIOutcome } from '../utils/aiService';
+import { promptService, PROMPT_DEFINITIONS, findPlaceholders, fillPlaceholders } from '../utils/promptService';
+import { THEME_SCHEMA, getExtractionSchema, getSectionContentSchema } from '../utils/aiSchemas';
+import { parseJSONResponse, validateJSON } from '../utils/jsonSchema';
+import { AVAILABLE_ICONS } from '../utils/extractionPrompts';
+import { useAuth } from '../hooks/useAuth';
+
+// Outputs side by side at most - each one is a separate (billed) request
+const MAX_TARGETS = 4;
+const MAX_ATTACHMENT_BYTES = 2 * 1024 * 1024;
+
+const SAMPLE_DOCUMENT = `QuickStor Z-Series Performance Brief
+
+The Z-Series all-flash array delivers 1.2M IOPS on 4K random reads and sustains 14 GB/s of throughput.
+Competitor A reaches 450K IOPS and 6 GB/s; Competitor B reaches 700K IOPS and 9.5 GB/s.
+Self-healing erasure coding keeps data safe through two simultaneous drive failures, and
+non-disruptive upgrades mean no maintenance windows.`;
+
+// Sample values for every placeholder, so a prompt runs as soon as it is picked
+const SAMPLE_VARIABLES = {
+    userPrompt: 'Deep ocean blues with a warm coral accent, calm and trustworthy',
+    fileContent: SAMPLE_DOCUMENT,
+    availableIcons: AVAILABLE_ICONS.join(', '),
+    schemaFields: '"heading": "extracted value",\n  "summary": "extracted value",\n  "ctaLabel": "extracted value"',
+    schemaDescription: '- "heading": Section headline (Type: text)\n- "summary": One-paragraph summary (Type: textarea)\n- "ctaLabel": Button text (Type: text)'
+};
+
+// For prompts used as instructions rather than templates, a request to send after them
+const SAMPLE_REQUEST = 'Write a hero section headline and subtitle for an enterprise all-flash storage array.';
+
+// The JSON each prompt is expected to produce - null for free text
+const EXPECTED_OUTPUT = {
+    'theme.generation': THEME_SCHEMA,
+    'extraction.custom_html': { type: 'object' },
+    'extraction.comparison_graph': getExtractionSchema('COMPARISON_GRAPH'),
+    'extraction.feature_grid': getExtractionSchema('FEATURE_GRID'),
+    'extraction.hero': getSectionContentSchema('HERO')
+};
+
+const readFile = (file, asDataUrl) => new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(reader.result);
+    reader.onerror = reject;
+    if (asDataUrl) reader.readAsDataURL(file);
+    else reader.readAsText(file);
+});
+
+const isTextFile = (file) => file.type.startsWith('text/') || /\.(md|csv|json|txt)$/i.test(file.name);
+
+/**
+ * Parse and validate a response against the prompt's expected output
+ * @returns {{value?: *, errors: string[]}|null} null for free-text prompts
+ */
+function parseOutput(text, schema) {
+    if (!schema) return null;
+    try {
+        const value = parseJSONResponse(text);
+        return { value, errors: validateJSON(schema, value) };
+    } catch (error) {
+        return { errors: [error.message] };
+    }
+}
+
+let nextTargetId = 1;
+const newTarget = (provider) => ({ id: nextTargetId++, provider: provider.id, model: provider.model || '' });
+
+/**
+ * Prompt Playground
+ * Try a prompt template with sample inputs against one or more providers and models,
+ * compare the raw and parsed outputs, then save the template as a new version
+ */
+const PromptPlayground = () => {
+    const { can } = useAuth();
+    const isAdmin = can('admin');
+
+    const [providers, setProviders] = useState([]);
+    const [definition, setDefinition] = useState(PROMPT_DEFINITIONS.find(d => d.key === 'theme.generation'));
+    const [template, setTemplate] = useState('');
+    const [savedTemplate, setSavedTemplate] = useState('');
+    const [baseVersion, setBaseVersion] = useState(0);
+    const [variables, setVariables] = useState({});
+    const [request, setRequest] = useState(SAMPLE_REQUEST);
+    const [attachments, setAttachments] = useState([]);
+    const [temperature, setTemperature] = useState(0.7);
+    const [targets, setTargets] = useState([]);
+    const [results, setResults] = useState({});
+    const [isRunning, setIsRunning] = useState(false);
+    const [isSaving, setIsSaving] = useState(false);
+    const [status, setStatus] = useState({ type: '', message: '' });
+
+    const abortControllerRef = useRef(null);
+    const attachmentInputRef = useRef(null);
+
+    // Stop any running requests when leaving the page
+    useEffect(() => () => abortControllerRef.current?.abort(), []);
+
+    useEffect(() => {
+        loadAIConfig().then(config => {
+            const configured = getConfiguredProviders(config);
+            setProviders(configured);
+            setTargets(prev => prev.length > 0 ? prev : [newTarget(getActiveProvider(config))]);
+        });
+    }, []);
+
+    useEffect(() => {
+        let cancelled = false;
+        promptService.init().then(() => {
+            if (cancelled) return;
+            const text = promptService.get(definition.key);
+            setTemplate(text);
+            setSavedTemplate(text);
+            setBaseVersion(promptService.getStored(definition.key)?.version || 0);
+            setResults({});
+        });
+        return () => { cancelled = true; };
+    }, [definition]);
+
+    const isDirty = template !== savedTemplate;
+    const placeholders = findPlaceholders(template);
+    const schema = EXPECTED_OUTPUT[definition.key] || null;
+
+    const variableValues = Object.fromEntries(placeholders.map(name => [
+        name, variables[name] ?? SAMPLE_VARIABLES[name] ?? ''
+    ]));
+    const renderedPrompt = (() => {
+        const filled = fillPlaceholders(template, variableValues);
+        return placeholders.length === 0 && request.trim() ? `${filled}\n\n${request}` : filled;
+    })();
+
+    const handleSelect = (key) => {
+        if (isDirty && !confirm('Discard your changes to this prompt?')) return;
+        setDefinition(PROMPT_DEFINITIONS.find(d => d.key === key));
+        setStatus({ type: '', message: '' });
+    };
+
+    // --- Inputs ---
+
+    const handleVariableFile = async (name, event) => {
+        const file = event.target.files[0];
+        event.target.value = '';
+        if (!file) return;
+        try {
+            const text = await readFile(file, false);
+            setVariables(prev => ({ ...prev, [name]: text }));
+        } catch (error) {
+            setStatus({ type: 'error', message: `Could not read ${file.name}: ${error.message}` });
+        }
+    };
+
+    const handleAttach = async (event) => {
+        const files = Array.from(event.target.files);
+        event.target.value = '';
+
+        const added = [];
+        for (const file of files) {
+            if (file.size > MAX_ATTACHMENT_BYTES) {
+                setStatus({ type: 'error', message: `${file.name} is too large. Max 2MB.` });
+                continue;
+            }
+            try {
+                const text = isTextFile(file);
+                const content = await readFile(file, !text);
+                added.push({
+                    name: file.name,
+                    type: file.type || 'text/plain',
+                    base64: text ? null : content,
+                    text: text ? content : null
+                });
+            } catch (error) {
+                console.error('File read error', error);
+            }
+        }
+        setAttachments(prev => [...prev, ...added]);
+    };
+
+    // --- Targets ---
+
+    const updateTarget = (id, changes) => {
+        setTargets(prev => prev.map(target => target.id === id ? { ...target, ...changes } : target));
+    };
+
+    const handleTargetProvider = (id, providerId) => {
+        const provider = providers.find(p => p.id === providerId);
+        updateTarget(id, { provider: providerId, model: provider?.model || '' });
+    };
+
+    const providerFor = (target) => providers.find(p => p.id === target.provider);
+
+    // --- Run ---
+
+    const runTarget = async (target, signal) => {
+        const startedAt = Date.now();
+        try {
+            const { text, provider, model, usage, logId } = await AIService.generateDetailed(
+                { text: renderedPrompt, attachments },
+                {
+                    target: { provider: target.provider, model: target.model.trim() || undefined },
+                    temperature,
+                    feature: 'playground',
+                    // The draft, so the generation log shows what was tried
+                    prompts: [{ key: definition.key, version: baseVersion, template, variables: variableValues }],
+                    schema: schema || undefined,
+                    // OpenAI's JSON mode only produces objects - arrays rely on the prompt
+                    ...(schema?.type === 'object' ? { responseFormat: 'json' } : {}),
+                    signal
+                }
+            );
+            const parsed = parseOutput(text, schema);
+            if (parsed) reportAIOutcome(logId, parsed.errors);
+            return { status: 'done', text, provider, model, usage, parsed, durationMs: Date.now() - startedAt };
+        } catch (error) {
+            if (isAbortError(error)) return { status: 'stopped', durationMs: Date.now() - startedAt };
+            return { status: 'error', error: error.message, durationMs: Date.now() - startedAt };
+        }
+    };
+
+    const handleRun = async () => {
+        const controller = new AbortController();
+        abortControllerRef.current = controller;
+        setIsRunning(true);
+        setStatus({ type: '', message: '' });
+        setResults(Object.fromEntries(targets.map(target => [target.id, { status: 'running' }])));
+
+        // All targets at once, each shown as soon as it finishes
+        await Promise.all(targets.map(async (target) => {
+            const result = await runTarget(target, controller.signal);
+            setResults(prev => ({ ...prev, [target.id]: result }));
+        }));
+
+        abortControllerRef.current = null;
+        setIsRunning(false);
+    };
+
+    const handleStop = () => {
+        abortControllerRef.current?.abort();
+    };
+
+    // --- Save ---
+
+    const handleSave = async () => {
+        const note = prompt('Describe the change (optional):', 'Tuned in the playground');
+        if (note === null) return;
+
+        setIsSaving(true);
+        try {
+            const saved = await promptService.save(definition.key, template, { note, baseVersion });
+            setSavedTemplate(template);
+            setBaseVersion(saved?.version || baseVersion);
+            setStatus({ type: 'success', message: `Saved "${definition.label}" as version ${saved?.version}. Everyone now uses it.` });
+        } catch (error) {
+            if (error.status === 409) setBaseVersion(error.current?.version || 0);
+            setStatus({
+                type: 'error',
+                message: error.status === 409
+                    ? `${error.message}. Save again to replace their version, or check the history in Settings first.`
+                    : error.message
+            });
+        } finally {
+            setIsSaving(false);
+        }
+    };
+
+    if (!isAdmin) {
+        return (
+            <div className="space-y-6">
+                <h1 className="text-2xl font-bold text-gray-900">Prompt Playground</h1>
+                <p className="text-sm text-gray-500">Only administrators can try and change AI prompts.</p>
+            </div>
+        );
+    }
+
+    return (
+        <div className="space-y-6">
+            <div className="flex items-center justify-between gap-4">
+                <div>
+                    <h1 className="text-2xl font-bold text-gray-900 flex items-center gap-2">
+                        <Beaker size={24} className="text-blue-600" /> Prompt Playground
+                    </h1>
+                    <p className="text-gray-500 mt-1">Try a prompt with sample inputs on several models, and save it once the output looks right.</p>
+                </div>
+                <Button onClick={handleSave} disabled={!isDirty || isSaving} className="flex items-center gap-2 shrink-0">
+                    {isSaving ? <Loader2 size={18} className="animate-spin" /> : <Save size={18} />}
+                    Save Prompt
+                </Button>
+            </div>
+
+            {status.message && (
+                <div className={`p-4 rounded-md flex items-center gap-2 ${status.type === 'success' ? 'bg-green-50 text-green-700 border border-green-200' : 'bg-red-50 text-red-700 border border-red-200'}`}>
+                    {status.type === 'success' ? <CheckCircle size={20} /> : <AlertCircle size={20} />}
+                    {status.message}
+                </div>
+            )}
+
+            <div className="grid grid-cols-1 xl:grid-cols-2 gap-6">
+                {/* Template */}
+                <div className="bg-white rounded-xl shadow-sm border border-gray-200 p-6 space-y-4">
+                    <div className="flex flex-col md:flex-row md:items-center gap-3">
+                        <select
+                            value={definition.key}
+                            onChange={(e) => handleSelect(e.target.value)}
+                            className="px-3 py-2 border border-gray-300 rounded-md text-sm focus:outline-none focus:ring-2 focus:ring-blue-500"
+                        >
+                            {PROMPT_DEFINITIONS.map(d => (
+                                <option key={d.key} value={d.key}>{d.label}</option>
+                            ))}
+                        </select>
+                        {isDirty && <span className="text-xs text-amber-600">Unsaved changes - only used in the playground</span>}
+                    </div>
+                    <textarea
+                        value={template}
+                        onChange={(e) => setTemplate(e.target.value)}
+                        className="w-full h-96 font-mono text-sm p-4 rounded-lg border border-gray-300 focus:ring-2 focus:ring-blue-500 focus:border-transparent bg-gray-50 text-gray-900"
+                    />
+                    <details className="text-sm">
+                        <summary className="cursor-pointer text-gray-600">
+                            Prompt as sent (~{estimateTokenCount(renderedPrompt).toLocaleString()} tokens)
+                        </summary>
+                        <pre className="mt-2 max-h-80 overflow-auto whitespace-pre-wrap text-xs font-mono p-3 bg-gray-50 border border-gray-200 rounded">{renderedPrompt}</pre>
+                    </details>
+                </div>
+
+                {/* Inputs & Targets */}
+                <div className="space-y-6">
+                    <div className="bg-white rounded-xl shadow-sm border border-gray-200 p-6 space-y-4">
+                        <h2 className="text-lg font-semibold text-gray-900">Sample Inputs</h2>
+                        {placeholders.length === 0 ? (
+                            <div>
+                                <label className="block text-sm font-medium text-gray-700 mb-1">Request sent after the prompt</label>
+                                <textarea
+                                    value={request}
+                                    onChange={(e) => setRequest(e.target.value)}
+                                    rows={3}
+                                    className="w-full px-3 py-2 text-sm border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+                                />
+                            </div>
+                        ) : placeholders.map(name => (
+                            <div key={name}>
+                                <div className="flex items-center justify-between mb-1">
+                                    <label className="text-sm font-mono text-gray-700">{`{{${name}}}`}</label>
+                                    <label className="flex items-center gap-1 text-xs text-blue-600 cursor-pointer hover:text-blue-700">
+                                        <FileUp size={14} /> Load from file
+                                        <input type="file" accept=".txt,.md,.csv,.json,text/*" className="hidden" onChange={(e) => handleVariableFile(name, e)} />
+                                    </label>
+                                </div>
+                                <textarea
+                                    value={variables[name] ?? SAMPLE_VARIABLES[name] ?? ''}
+                                    onChange={(e) => setVariables(prev => ({ ...prev, [name]: e.target.value }))}
+                                    rows={name === 'fileContent' ? 6 : 2}
+                                    placeholder={definition.variables[name] || 'Not filled in by the admin - sent as written unless you give a value'}
+                                    className="w-full px-3 py-2 font-mono text-xs border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+                                />
+                            </div>
+                        ))}
+
+                        <div>
+                            <div className="flex flex-wrap items-center gap-2">
+                                {attachments.map((file, index) => (
+                                    <span key={index} className="flex items-center gap-1 text-xs bg-gray-100 border border-gray-200 rounded px-2 py-1">
+                                        <Paperclip size={12} /> {file.name}
+                                        <button onClick={() => setAttachments(prev => prev.filter((_, i) => i !== index))} className="text-gray-400 hover:text-red-500">
+                                            <X size={12} />
+                                        </button>
+                                    </span>
+                                ))}
+                                <Button variant="outline" size="sm" onClick={() => attachmentInputRef.current?.click()} className="gap-1">
+                                    <Paperclip size={14} /> Attach files
+                                </Button>
+                                <input ref={attachmentInputRef} type="file" multiple className="hidden" onChange={handleAttach} />
+                            </div>
+                            <p className="text-xs text-gray-500 mt-1">Images and PDFs go to models that can read them; text files are added to the prompt.</p>
+                        </div>
+                    </div>
+
+                    <div className="bg-white rounded-xl shadow-sm border border-gray-200 p-6 space-y-4">
+                        <div className="flex items-center justify-between">
+                            <h2 className="text-lg font-semibold text-gray-900">Models</h2>
+                            <label className="flex items-center gap-2 text-sm text-gray-600">
+                                Temperature
+                                <input
+                                    type="number"
+                                    min="0"
+                                    max="2"
+                                    step="0.1"
+                                    value={temperature}
+                                    onChange={(e) => setTemperature(Number(e.target.value))}
+                                    className="w-20 px-2 py-1 border border-gray-300 rounded-md text-sm"
+                                />
+                            </label>
+                        </div>
+
+                        {providers.length === 0 ? (
+                            <p className="text-sm text-gray-500">No AI provider is set up yet. Add one in Settings.</p>
+                        ) : targets.map(target => {
+                            const unsupported = providerFor(target) ? getUnsupportedAttachments(attachments, providerFor(target)) : [];
+                            return (
+                                <div key={target.id}>
+                                    <div className="flex items-center gap-2">
+                                        <select
+                                            value={target.provider}
+                                            onChange={(e) => handleTargetProvider(target.id, e.target.value)}
+                                            className="px-3 py-2 border border-gray-300 rounded-md text-sm focus:outline-none focus:ring-2 focus:ring-blue-500"
+                                        >
+                                            {!providerFor(target) && <option value={target.provider}>{target.provider} (not set up)</option>}
+                                            {providers.map(p => <option key={p.id} value={p.id}>{p.label}</option>)}
+                                        </select>
+                                        <input
+                                            type="text"
+                                            value={target.model}
+                                            onChange={(e) => updateTarget(target.id, { model: e.target.value })}
+                                            placeholder="Model"
+                                            className="flex-1 px-3 py-2 border border-gray-300 rounded-md text-sm font-mono focus:outline-none focus:ring-2 focus:ring-blue-500"
+                                        />
+                                        <Button
+                                            variant="ghost"
+                                            size="sm"
+                                            onClick={() => setTargets(prev => prev.filter(t => t.id !== target.id))}
+                                            disabled={targets.length === 1 || isRunning}
+                                        >
+                                            <X size={16} />
+                                        </Button>
+                                    </div>
+                                    {unsupported.length > 0 && (
+                                        <p className="text-xs text-amber-600 mt-1">Sent without {unsupported.map(f => f.name).join(', ')} - this model cannot read {unsupported.length === 1 ? 'it' : 'them'}.</p>
+                                    )}
+                                </div>
+                            );
+                        })}
+
+                        <div className="flex items-center justify-between gap-3">
+                            <Button
+                                variant="outline"
+                                size="sm"
+                                onClick={() => setTargets(prev => [...prev, newTarget(providers[0])])}
+                                disabled={providers.length === 0 || targets.length >= MAX_TARGETS || isRunning}
+                                className="gap-1"
+                            >
+                                <Plus size={14} /> Add model
+                            </Button>
+                            {isRunning ? (
+                                <Button onClick={handleStop} className="flex items-center gap-2 bg-red-600 hover:bg-red-700">
+                                    <Square size={16} /> Stop
+                                </Button>
+                            ) : (
+                                <Button onClick={handleRun} disabled={providers.length === 0 || targets.length === 0 || !template.trim()} className="flex items-center gap-2">
+                                    <Play size={16} /> Run
+                                </Button>
+                            )}
+                        </div>
+                        <p className="text-xs text-gray-500">Every model is a separate request and counts towards the AI usage quota.</p>
+                    </div>
+                </div>
+            </div>
+
+            {/* Outputs */}
+            {Object.keys(results).length > 0 && (
+                <div className={`grid grid-cols-1 gap-6 ${targets.length > 1 ? '2xl:grid-cols-2' : ''}`}>
+                    {targets.filter(target => results[target.id]).map(target => (
+                        <PlaygroundResult key={target.id} target={target} result={results[target.id]} providerLabel={providerFor(target)?.label || target.provider} />
+                    ))}
+                </div>
+            )}
+        </div>
+    );
+};
+
+/**
+ * One model's output: the raw response next to the parsed and validated value
+ */
+const PlaygroundResult = ({ target, result, providerLabel }) => {
+    const { status, text, usage, parsed, durationMs } = result;
+
+    return (
+        <div className="bg-white rounded-xl shadow-sm border border-gray-200 overflow-hidden">
+            <div className="px-4 py-3 border-b border-gray-200 flex flex-wrap items-center justify-between gap-2 text-sm">
+                <span className="font-medium text-gray-900">
+                    {providerLabel} <span className="font-mono text-gray-500">{result.model || target.model}</span>
+                </span>
+                <span className="text-xs text-gray-500">
+                    {status === 'running' && <span className="flex items-center gap-1"><Loader2 size={12} className="animate-spin" /> Running...</span>}
+                    {status !== 'running' && `${(durationMs / 1000).toFixed(1)}s`}
+                    {usage && ` · ${usage.inputTokens?.toLocaleString() ?? '?'} in / ${usage.outputTokens?.toLocaleString() ?? '?'} out tokens`}
+                </span>
+            </div>
+
+            {status === 'error' && <p className="p-4 text-sm text-red-600">{result.error}</p>}
+            {status === 'stopped' && <p className="p-4 text-sm text-gray-500">Stopped.</p>}
+
+            {status === 'done' && (
+                <div className={`grid grid-cols-1 ${parsed ? 'md:grid-cols-2 divide-y md:divide-y-0 md:divide-x' : ''} divide-gray-200`}>
+                    <div className="p-4 min-w-0">
+                        <p className="text-xs font-medium text-gray-500 uppercase mb-2">Raw</p>
+                        <pre className="max-h-96 overflow-auto whitespace-pre-wrap text-xs font-mono text-gray-800">{text}</pre>
+                    </div>
+                    {parsed && (
+                        <div className="p-4 min-w-0">
+                            <p className="text-xs font-medium text-gray-500 uppercase mb-2 flex items-center gap-2">
+                                Parsed
+                                {parsed.errors.length === 0
+                                    ? <span className="normal-case text-green-600 flex items-center gap-1"><CheckCircle size={12} /> matches the expected format</span>
+                                    : <span className="normal-case text-red-600 flex items-center gap-1"><AlertCircle size={12} /> {parsed.errors.length} problem(s)</span>}
+                            </p>
+                            {parsed.errors.length > 0 && (
+                                <ul className="mb-2 text-xs text-red-600 list-disc pl-4">
+                                    {parsed.errors.slice(0, 10).map((error, index) => <li key={index}>{error}</li>)}
+                                </ul>
+                            )}
+                            {parsed.value !== undefined && (
+                                <pre className="max-h-96 overflow-auto whitespace-pre-wrap text-xs font-mono text-gray-800">{JSON.stringify(parsed.value, null, 2)}</pre>
+                            )}
+                        </div>
+                    )}
+                </div>
+            )}
+        </div>
+    );
+};
+
+export default PromptPlayground;
@@ -1,21 +1,29 @@
-import React, { useState, useRef, useEffect } from 'react';
-import { ArrowLeft, Sparkles, Code, Play, Save, Send, AlertCircle, Check, User, Bot, Trash2, Paperclip, X } from 'lucide-react';
-import { Link, useNavigate, useLocation } from 'react-router-dom';
+import React, { useState, useRef, useEffect, useCallback } from 'react';
+import { ArrowLeft, Sparkles, Code, Play, Save, Send, AlertCircle, Check, User, Bot, Trash2, Paperclip, X, Square, MessagesSquare } from 'lucide-react';
+import { Link, useNavigate, useLocation, useSearchParams } from 'react-router-dom';
 import { Button } from '../components/ui/Button';
 import { Label } from '../components/ui/Label';
 import { Input } from '../components/ui/Input';
 import Modal from '../components/ui/Modal';
+import { AttachmentWarning } from '../components/ui/AttachmentWarning';
 import { CodeHighlighter } from '../components/ui/CodeHighlighter';
 import { generateSectionHTML, editSectionWithChat } from '../utils/sectionGeneratorService';
 import CustomHTMLSection from '../components/CustomHTMLSection';
 import { useContentStore } from '../hooks/useContentStore';
-import { getProviderInfo } from '../utils/aiService';
+import { useAIConfig } from '../hooks/useAIConfig';
+import { getProviderInfo, isAbortError } from '../utils/aiService';
 import html2canvas from 'html2canvas';
+import { uploadMedia } from '../utils/mediaService';
+import {
+  listSectionSessions, getSectionSession, createSectionSession, appendSectionSessionMessages, updateSectionSession, deleteSectionSession
+} from '../utils/sectionSessionService';
 
 const SectionCreator = () => {
   const navigate = useNavigate();
   const location = useLocation();
+  const [searchParams, setSearchParams] = useSearchParams();
   const { customSections, setCustomSections } = useContentStore();
+  const aiConfig = useAIConfig();
   const chatEndRef = useRef(null);
   const inputRef = useRef(null);
 
@@ -23,52 +31,112 @@ const SectionCreator = () => {
   const editingSection = location.state?.editingSection || null;
   const [editingSectionId, setEditingSectionId] = useState(editingSection?.id || null);
 
-  // Chat state
-  const [chatHistory, setChatHistory] = useState([]);
+  // Chat state - editing starts from a note that the section's code is loaded
+  const [chatHistory, setChatHistory] = useState(() => editingSection ? [
+    {
+      role: 'assistant',
+      content: `📝 Editing section: "${editingSection.name}"\n\nThe section code is loaded. What changes would you like to make?`
+    }
+  ] : []);
   const [currentMessage, setCurrentMessage] = useState('');
   const [isGenerating, setIsGenerating] = useState(false);
   const [error, setError] = useState(null);
 
-  // Generated content
-  const [generatedCode, setGeneratedCode] = useState('');
-  const [sectionSchema, setSectionSchema] = useState([]);
-  const [sectionContent, setSectionContent] = useState({});
+  // Generated content (pre-populated when editing a section)
+  const [generatedCode, setGeneratedCode] = useState(editingSection?.html || '');
+  const [sectionSchema, setSectionSchema] = useState(editingSection?.schema || []);
+  const [sectionContent, setSectionContent] = useState(editingSection?.defaultContent || {});
   const [viewMode, setViewMode] = useState('preview');
 
   // Streaming state
   const [streamingContent, setStreamingContent] = useState('');
+  const abortControllerRef = useRef(null);
 
   // Attachments state
   const [attachments, setAttachments] = useState([]);
   const fileInputRef = useRef(null);
   const previewRef = useRef(null);
 
+  // Saved chat session: { id, name, sectionId, messageCount, diverged } - messageCount is how
+  // many messages the server has, so unsaved ones are sent with the next exchange. diverged is
+  // set once someone else has continued it: this copy is no longer saved until it is reopened.
+  const [session, setSession] = useState(null);
+  const [saveError, setSaveError] = useState(null);
+  const [showSessionsModal, setShowSessionsModal] = useState(false);
+  const [sessions, setSessions] = useState(null);
+  // The chat in the URL or the one the section was made in, reopened once on load
+  const [initialSessionId] = useState(() => searchParams.get('session') || editingSection?.sessionId || null);
+  const initialSessionOpenedRef = useRef(false);
+
   // Publish modal state
   const [showPublishModal, setShowPublishModal] = useState(false);
   const [sectionName, setSectionName] = useState('');
   const [isPublishing, setIsPublishing] = useState(false);
 
+  // Stop any running generation when leaving the page
+  useEffect(() => () => abortControllerRef.current?.abort(), []);
+
   // Scroll to bottom of chat when new messages arrive
   useEffect(() => {
     chatEndRef.current?.scrollIntoView({ behavior: 'smooth' });
   }, [chatHistory, streamingContent]);
 
-  // Initialize edit mode: pre-populate section data
+  /**
+   * Load a saved chat and carry on from its latest code
+   * @returns {Promise<boolean>} Whether it could be opened
+   */
+  const openSession = useCallback(async (id) => {
+    try {
+      const saved = await getSectionSession(id);
+      setChatHistory(saved.messages);
+      setGeneratedCode(saved.code?.html || '');
+      setSectionSchema(saved.code?.schema || []);
+      setSectionContent(saved.code?.defaultContent || {});
+      setEditingSectionId(saved.sectionId);
+      setSession({ id: saved.id, name: saved.name, sectionId: saved.sectionId, messageCount: saved.messages.length });
+      setSaveError(null);
+      setSearchParams({ session: saved.id }, { replace: true });
+      return true;
+    } catch (err) {
+      console.warn(`Could not open chat ${id}:`, err.message);
+      setSaveError(`Could not open the saved chat: ${err.message}`);
+      setSearchParams({}, { replace: true });
+      return false;
+    }
+  }, [setSearchParams]);
+
+  // Initialize: reopen the saved chat, if any. When it can't be opened the page keeps
+  // the section being edited. setSearchParams (and so openSession) changes with the URL,
+  // which opening a chat updates - the ref keeps this to one attempt.
   useEffect(() => {
-    if (editingSection) {
-      setGeneratedCode(editingSection.html || '');
-      setSectionSchema(editingSection.schema || []);
-      setSectionContent(editingSection.defaultContent || {});
-
-      // Add context message to chat
-      setChatHistory([
-        {
-          role: 'assistant',
-          content: `📝 Editing section: "${editingSection.name}"\n\nThe section code is loaded. What changes would you like to make?`
-        }
-      ]);
+    if (!initialSessionId || initialSessionOpenedRef.current) return;
+    initialSessionOpenedRef.current = true;
+    openSession(initialSessionId);
+  }, [initialSessionId, openSession]);
+
+  /**
+   * Save the messages the server doesn't have yet, and the code they produced. The first
+   * exchange starts the session (linked to the section being edited, if any).
+   */
+  const saveToSession = async (messages, code) => {
+    if (session?.diverged) return;
+    try {
+      const saved = session
+        ? await appendSectionSessionMessages(session.id, messages.slice(session.messageCount), { code, baseCount: session.messageCount })
+        : await createSectionSession({ messages, code, sectionId: editingSectionId || undefined, name: editingSection?.name });
+      setSession(saved);
+      setSaveError(null);
+      if (!session) setSearchParams({ session: saved.id }, { replace: true });
+    } catch (err) {
+      console.error('Failed to save chat:', err);
+      if (err.status === 409) {
+        setSession({ ...session, diverged: true });
+        setSaveError(`${err.message}. Messages here are no longer saved - reopen it from Chats to see theirs, or Start Over for a new chat.`);
+      } else {
+        setSaveError(`Chat not saved: ${err.message}. It will be saved with your next message.`);
+      }
     }
-  }, []);
+  };
 
   const handleFileSelect = async (e) => {
     const files = Array.from(e.target.files);
@@ -167,18 +235,25 @@ const SectionCreator = () => {
     const newUserMessage = { role: 'user', content: userMessage, attachments: currentAttachments };
     setChatHistory(prev => [...prev, newUserMessage]);
 
+    const controller = new AbortController();
+    abortControllerRef.current = controller;
+
+    // The assistant's answer, and the code after it (unchanged unless generation succeeded)
+    let reply;
+    let code = generatedCode ? { html: generatedCode, schema: sectionSchema, defaultContent: sectionContent } : undefined;
+
     try {
       let result;
-      const onProgress = (chunk, fullText) => {
+      const onProgress = (chunk) => {
         setStreamingContent(prev => prev + chunk);
       };
 
       if (!generatedCode) {
         // First message = initial generation
-        result = await generateSectionHTML(userMessage, onProgress, currentAttachments);
+        result = await generateSectionHTML(userMessage, onProgress, currentAttachments, controller.signal);
       } else {
         // Subsequent messages = edit existing
-        result = await editSectionWithChat(chatHistory, generatedCode, userMessage, onProgress, currentAttachments);
+        result = await editSectionWithChat(chatHistory, generatedCode, userMessage, onProgress, currentAttachments, controller.signal);
       }
 
       setStreamingContent('');
@@ -186,34 +261,52 @@ const SectionCreator = () => {
       if (result.error) {
         setError(result.error);
         // Add error to chat
-        setChatHistory(prev => [...prev, {
+        reply = {
           role: 'assistant',
           content: `❌ Error: ${result.error}`,
           isError: true
-        }]);
+        };
       } else {
         setGeneratedCode(result.html);
         setSectionSchema(result.schema || []);
         setSectionContent(result.defaultContent || {});
+        code = { html: result.html, schema: result.schema || [], defaultContent: result.defaultContent || {} };
 
         // Add success message to chat
-        setChatHistory(prev => [...prev, {
+        reply = {
           role: 'assistant',
           content: generatedCode ? '✓ Section updated successfully!' : '✓ Section generated! You can now ask me to make changes.',
           html: result.html
-        }]);
+        };
       }
     } catch (err) {
-      setError(err.message);
-      setChatHistory(prev => [...prev, {
-        role: 'assistant',
-        content: `❌ Error: ${err.message}`,
-        isError: true
-      }]);
+      if (isAbortError(err)) {
+        setStreamingContent('');
+        reply = {
+          role: 'assistant',
+          content: generatedCode ? '■ Stopped - the section was not changed.' : '■ Stopped.',
+          isError: true
+        };
+      } else {
+        setError(err.message);
+        reply = {
+          role: 'assistant',
+          content: `❌ Error: ${err.message}`,
+          isError: true
+        };
+      }
     } finally {
+      abortControllerRef.current = null;
       setIsGenerating(false);
       inputRef.current?.focus();
     }
+
+    setChatHistory(prev => [...prev, reply]);
+    await saveToSession([...chatHistory, newUserMessage, reply], code);
+  };
+
+  const handleStopGenerating = () => {
+    abortControllerRef.current?.abort();
   };
 
   const handleKeyPress = (e) => {
@@ -229,8 +322,45 @@ const SectionCreator = () => {
     setSectionSchema([]);
     setSectionContent({});
     setError(null);
+    // The old chat stays saved; the next message starts a new one
+    setSession(null);
+    setSaveError(null);
+    setSearchParams({}, { replace: true });
+  };
+
+  // --- Saved Chats ---
+
+  const handleShowSessions = async () => {
+    setShowSessionsModal(true);
+    setSessions(null);
+    try {
+      setSessions(await listSectionSessions());
+    } catch (err) {
+      setSessions([]);
+      setSaveError(`Could not load saved chats: ${err.message}`);
+    }
+  };
+
+  const handleOpenSession = async (id) => {
+    if (await openSession(id)) setShowSessionsModal(false);
+  };
+
+  const handleDeleteSession = async (summary) => {
+    if (!confirm(`Delete the chat "${summary.name || summary.preview || 'Untitled'}"? The section it produced is kept.`)) return;
+    try {
+      await deleteSectionSession(summary.id);
+      setSessions(prev => prev.filter(s => s.id !== summary.id));
+      if (session?.id === summary.id) {
+        setSession(null);
+        setSearchParams({}, { replace: true });
+      }
+    } catch (err) {
+      alert(`Failed to delete the chat: ${err.message}`);
+    }
   };
 
+  const sectionNameFor = (sectionId) => customSections.find(s => s.id === sectionId)?.name;
+
   const handlePublish = () => {
     if (!generatedCode) return;
     setShowPublishModal(true);
@@ -254,14 +384,20 @@ const SectionCreator = () => {
             useCORS: true,
             backgroundColor: '#050505'
           });
-          thumbnail = canvas.toDataURL('image/jpeg', 0.7);
+          // Store the capture as a media file so only its URL lands in the site document
+          const blob = await new Promise(resolve => canvas.toBlob(resolve, 'image/jpeg', 0.7));
+          if (blob) {
+            ({ url: thumbnail } = await uploadMedia(blob, `${sectionName || 'Custom Section'} thumbnail.jpg`));
+          }
         } catch (err) {
           console.warn('Failed to capture thumbnail:', err);
         }
       }
 
       let updated;
-      if (editingSectionId) {
+      // A reopened chat can outlive its section - publish a new one then
+      const sectionId = customSections.some(s => s.id === editingSectionId) ? editingSectionId : `custom-${Date.now()}`;
+      if (sectionId === editingSectionId) {
         // Update existing section
         updated = customSections.map(s =>
           s.id === editingSectionId
@@ -272,6 +408,7 @@ const SectionCreator = () => {
               schema: sectionSchema,
               defaultContent: sectionContent,
               thumbnail: thumbnail || s.thumbnail,
+              sessionId: session?.id || s.sessionId,
               updatedAt: new Date().toISOString()
             }
             : s
@@ -279,13 +416,14 @@ const SectionCreator = () => {
       } else {
         // Create new section
         const newSection = {
-          id: `custom-${Date.now()}`,
+          id: sectionId,
           name: sectionName || 'Custom Section',
           html: generatedCode,
           schema: sectionSchema,
           defaultContent: sectionContent,
           thumbnail: thumbnail,
           prompt: firstUserMessage?.content || '',
+          sessionId: session?.id,
           createdAt: new Date().toISOString()
         };
         updated = [...customSections, newSection];
@@ -294,6 +432,13 @@ const SectionCreator = () => {
       setCustomSections(updated);
       localStorage.setItem('quickstor_custom_sections', JSON.stringify(updated));
 
+      // Link the chat to the section, so editing the section later continues it
+      if (session) {
+        await updateSectionSession(session.id, { sectionId, name: sectionName }).catch(err => {
+          console.warn('Failed to link the chat to the section:', err.message);
+        });
+      }
+
       setIsPublishing(false);
       setShowPublishModal(false);
       navigate('/sections');
@@ -326,12 +471,29 @@ const SectionCreator = () => {
               <span>Chat with AI to build and refine your section</span>
               <span className="w-1 h-1 rounded-full bg-gray-300"></span>
               <span className="text-xs bg-blue-50 text-blue-600 px-2 py-0.5 rounded-full border border-blue-100 flex items-center gap-1">
-                Using {getProviderInfo().name}
+                Using {getProviderInfo(aiConfig).name}
               </span>
+              {session && (
+                <>
+                  <span className="w-1 h-1 rounded-full bg-gray-300"></span>
+                  <span className="text-xs text-gray-500 flex items-center gap-1" title="Reopen it from Chats, or by editing the published section">
+                    <Check size={12} /> Chat saved
+                  </span>
+                </>
+              )}
             </div>
           </div>
         </div>
         <div className="flex gap-3">
+          <Button
+            onClick={handleShowSessions}
+            variant="outline"
+            disabled={isGenerating}
+            className="gap-2 bg-white text-gray-700 hover:bg-gray-50 border-gray-300"
+          >
+            <MessagesSquare size={16} />
+            Chats
+          </Button>
           {chatHistory.length > 0 && (
             <Button
               onClick={handleStartOver}
@@ -459,6 +621,12 @@ const SectionCreator = () => {
 
           {/* Chat Input */}
           <div className="border-t border-gray-200 p-4 bg-gray-50">
+            {saveError && (
+              <div className="flex items-start gap-2 mb-2 text-xs text-amber-700 bg-amber-50 border border-amber-200 rounded-md px-3 py-2">
+                <AlertCircle size={14} className="shrink-0 mt-0.5" />
+                <span>{saveError}</span>
+              </div>
+            )}
             {/* Attachment Preview */}
             {attachments.length > 0 && (
               <div className="flex gap-2 mb-2 flex-wrap">
@@ -475,6 +643,7 @@ const SectionCreator = () => {
                 ))}
               </div>
             )}
+            <AttachmentWarning files={attachments} className="mb-2" />
 
             <div className="flex gap-2">
               <input
@@ -506,13 +675,23 @@ const SectionCreator = () => {
                 rows={2}
                 disabled={isGenerating}
               />
-              <Button
-                onClick={handleSendMessage}
-                disabled={!currentMessage.trim() || isGenerating}
-                className="h-auto px-4 bg-blue-600 hover:bg-blue-700 text-white disabled:opacity-50"
-              >
-                <Send size={18} />
-              </Button>
+              {isGenerating ? (
+                <Button
+                  onClick={handleStopGenerating}
+                  className="h-auto px-4 bg-red-600 hover:bg-red-700 text-white"
+                  title="Stop generating"
+                >
+                  <Square size={16} className="fill-current" />
+                </Button>
+              ) : (
+                <Button
+                  onClick={handleSendMessage}
+                  disabled={!currentMessage.trim()}
+                  className="h-auto px-4 bg-blue-600 hover:bg-blue-700 text-white disabled:opacity-50"
+                >
+                  <Send size={18} />
+                </Button>
+              )}
             </div>
             <p className="text-xs text-gray-400 mt-2 text-center">
               Press Enter to send • Shift+Enter for new line
@@ -573,6 +752,45 @@ const SectionCreator = () => {
         </div>
       </div>
 
+      {/* Saved Chats Modal */}
+      <Modal
+        isOpen={showSessionsModal}
+        onClose={() => setShowSessionsModal(false)}
+        title="Saved Chats"
+        className="max-w-2xl"
+      >
+        {sessions === null ? (
+          <p className="text-sm text-gray-500">Loading...</p>
+        ) : sessions.length === 0 ? (
+          <p className="text-sm text-gray-500">No saved chats yet. Chats are saved as soon as you send a message.</p>
+        ) : (
+          <ul className="divide-y divide-gray-100">
+            {sessions.map(summary => (
+              <li key={summary.id} className="py-3 flex items-center justify-between gap-4">
+                <div className="min-w-0">
+                  <p className="text-sm font-medium text-gray-900 truncate">
+                    {summary.name || summary.preview || 'Untitled chat'}
+                    {session?.id === summary.id && <span className="ml-2 text-xs text-blue-600">(open)</span>}
+                  </p>
+                  <p className="text-xs text-gray-500 truncate">
+                    {summary.messageCount} messages · {summary.updatedBy} · {new Date(summary.updatedAt).toLocaleString()}
+                    {summary.sectionId && ` · ${sectionNameFor(summary.sectionId) ? `section "${sectionNameFor(summary.sectionId)}"` : 'section deleted'}`}
+                  </p>
+                </div>
+                <div className="flex gap-2 shrink-0">
+                  <Button size="sm" variant="outline" onClick={() => handleOpenSession(summary.id)} disabled={session?.id === summary.id}>
+                    Open
+                  </Button>
+                  <Button size="sm" variant="ghost" onClick={() => handleDeleteSession(summary)} className="text-gray-400 hover:text-red-600">
+                    <Trash2 size={14} />
+                  </Button>
+                </div>
+              </li>
+            ))}
+          </ul>
+        )}
+      </Modal>
+
       {/* Publish Modal */}
       <Modal
         isOpen={showPublishModal}
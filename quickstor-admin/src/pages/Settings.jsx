@@ -1,9 +1,30 @@
 import React, { useState, useEffect, useRef } from 'react';
 import { Save, CheckCircle, AlertCircle, Download, Upload, Loader2, Database } from 'lucide-react';
 import { Button } from '../components/ui/Button';
-import { getAIConfig, saveAIConfig } from '../utils/aiService';
+import { getAIConfig, loadAIConfig, saveAIConfig } from '../utils/aiService';
 import { promptService } from '../utils/promptService';
 import { useContentStore } from '../hooks/useContentStore';
+import { authHeaders } from '../utils/authService';
+import { useAuth } from '../hooks/useAuth';
+import UserManagement from '../features/auth/UserManagement';
+import AIUsagePanel from '../features/ai/AIUsagePanel';
+import MockAIPanel from '../features/ai/MockAIPanel';
+import PromptEditor from '../features/ai/PromptEditor';
+
+// 128000 -> "128K", 1048576 -> "1M"
+const formatTokenCount = (tokens) => tokens >= 1000000 ? `${+(tokens / 1000000).toFixed(1)}M` : `${Math.round(tokens / 1000)}K`;
+
+/**
+ * One-line summary of what the saved model can do, from the backend's model registry
+ */
+const describeModel = ({ knownModel, contextLimit, maxOutputTokens, attachmentTypes = [], price }) => {
+    const limits = `${formatTokenCount(contextLimit)} context, ${formatTokenCount(maxOutputTokens)} max output`;
+    if (!knownModel) {
+        return `Not a model QuickStor knows - assuming ${limits}. Its usage is recorded without a cost.`;
+    }
+    const input = attachmentTypes.includes('image/') ? 'reads images' : 'text only';
+    return `${limits}, ${input}, $${price[0]} / $${price[1]} per million input / output tokens.`;
+};
 
 const Settings = () => {
     const fileInputRef = useRef(null);
@@ -15,39 +36,25 @@ const Settings = () => {
         savedThemes,
         customSections
     } = useContentStore();
+    const { can } = useAuth();
+    const isAdmin = can('admin');
 
-    const [config, setConfig] = useState({
-        provider: 'gemini', // 'gemini' | 'openai'
-        openai: {
-            apiKey: '',
-            baseUrl: 'https://api.openai.com/v1',
-            model: 'gpt-4o'
-        }
-    });
+    const [config, setConfig] = useState(getAIConfig);
+    // New keys typed by an admin - sent once on save, never read back from the server
+    const [apiKeyDrafts, setApiKeyDrafts] = useState({});
+    // Allowed provider base URLs, one per line
+    const [allowlistText, setAllowlistText] = useState('');
 
-    const [systemPrompt, setSystemPrompt] = useState('');
-    const [fillingPrompt, setFillingPrompt] = useState('');
     const [status, setStatus] = useState({ type: '', message: '' });
     const [isExporting, setIsExporting] = useState(false);
     const [isImporting, setIsImporting] = useState(false);
 
     useEffect(() => {
         // Load config on mount
-        const savedConfig = getAIConfig();
-        setConfig(savedConfig);
-
-        // Ensure prompt service is ready, then load prompts
-        const loadPrompt = async () => {
-            await promptService.init();
-
-            // 1. Load General System Prompt
-            const customSystem = localStorage.getItem('quickstor_system_prompt_custom');
-            setSystemPrompt(customSystem || promptService.get('system.default'));
-
-            // 2. Load Content Filling Prompt
-            setFillingPrompt(promptService.getContentFillingPrompt());
-        };
-        loadPrompt();
+        loadAIConfig({ refresh: true }).then(loaded => {
+            setConfig(loaded);
+            setAllowlistText(loaded.allowedBaseUrls.join('\n'));
+        });
     }, []);
 
     const handleProviderChange = (value) => {
@@ -67,35 +74,37 @@ const Settings = () => {
         }));
     };
 
-    const handleOpenAIChange = (field, value) => {
-        setConfig(prev => ({
-            ...prev,
-            openai: {
-                ...prev.openai,
-                [field]: value
-            }
-        }));
+    const handleApiKeyChange = (provider, value) => {
+        setApiKeyDrafts(prev => ({ ...prev, [provider]: value }));
     };
 
-    const handleSave = () => {
+    const handleRemoveApiKey = async (provider) => {
+        if (!confirm('Remove the saved API key? AI features using this provider stop working until a new key is added.')) return;
         try {
-            saveAIConfig(config);
-
-            // 1. Save General System Prompt
-            if (systemPrompt && systemPrompt !== promptService.get('system.default')) {
-                localStorage.setItem('quickstor_system_prompt_custom', systemPrompt);
-            } else {
-                localStorage.removeItem('quickstor_system_prompt_custom');
-            }
+            setConfig(await saveAIConfig({ [provider]: { apiKey: null } }));
+        } catch (error) {
+            setStatus({ type: 'error', message: error.message });
+        }
+    };
 
-            // 2. Save Custom Content Filling Prompt
-            // We compare essentially against the default agent prompt logic. 
-            // Since getContentFillingPrompt returns the default if custom is missing, 
-            // we can just check if it's diff from default or just save if not empty.
-            if (fillingPrompt) {
-                localStorage.setItem('quickstor_content_filling_prompt', fillingPrompt);
-            } else {
-                localStorage.removeItem('quickstor_content_filling_prompt');
+    const handleSave = async () => {
+        try {
+            // AI provider config is admin-only and lives on the server
+            if (isAdmin) {
+                // Settings of the selected provider, plus any new keys
+                const providerChanges = Object.fromEntries(config.providers.map(({ id, fields }) => [id, {
+                    ...(id === config.provider ? Object.fromEntries(fields.map(field => [field.key, config[id][field.key]])) : {}),
+                    apiKey: apiKeyDrafts[id] || undefined
+                }]));
+
+                const saved = await saveAIConfig({
+                    allowedBaseUrls: allowlistText.split('\n').map(line => line.trim()).filter(Boolean),
+                    provider: config.provider,
+                    ...providerChanges
+                });
+                setConfig(saved);
+                setAllowlistText(saved.allowedBaseUrls.join('\n'));
+                setApiKeyDrafts({});
             }
 
             setStatus({ type: 'success', message: 'Settings saved successfully' });
@@ -103,7 +112,7 @@ const Settings = () => {
             // Clear status after 3 seconds
             setTimeout(() => setStatus({ type: '', message: '' }), 3000);
         } catch (error) {
-            setStatus({ type: 'error', message: 'Failed to save settings' });
+            setStatus({ type: 'error', message: `Failed to save settings: ${error.message}` });
         }
     };
 
@@ -113,7 +122,7 @@ const Settings = () => {
 
         try {
             // 1. Fetch Backend Data (for Live/legacy data)
-            const response = await fetch('/api/data');
+            const response = await fetch('/api/data', { headers: authHeaders() });
             if (!response.ok) throw new Error('Failed to fetch site data');
             const backendData = await response.json();
 
@@ -129,15 +138,11 @@ const Settings = () => {
             };
 
             // 3. Gather Settings (Local Configuration)
+            // AI provider settings stay on the server so API keys never end up in a backup file
+            await promptService.init();
             const settings = {
-                // AI Configuration
-                aiConfig: localStorage.getItem('quickstor_ai_config'),
-                // Custom System Prompt
-                systemPrompt: localStorage.getItem('quickstor_system_prompt_custom'),
-                // Custom Filling Prompt
-                fillingPrompt: localStorage.getItem('quickstor_content_filling_prompt'),
-                // Cached prompts
-                prompts: localStorage.getItem('quickstor_prompts'),
+                // Prompts the team has edited, by key (the rest use the built-in defaults)
+                prompts: promptService.getEdited()
             };
 
             // 4. Create Comprehensive Backup Bundle
@@ -178,7 +183,13 @@ const Settings = () => {
         const file = event.target.files[0];
         if (!file) return;
 
-        if (!confirm("WARNING: Restoring a backup will REPLACE your current Staging environment and Local Settings.\n\nYour LIVE site will remain untouched, but your current workspace will be overwritten.\n\nProceed?")) {
+        if (!isAdmin) {
+            setStatus({ type: 'error', message: 'Only administrators can restore backups.' });
+            event.target.value = '';
+            return;
+        }
+
+        if (!confirm("WARNING: Restoring a backup will REPLACE your current Staging environment and the team's AI prompts (earlier prompt versions stay in their history).\n\nYour LIVE site will remain untouched, but your current workspace will be overwritten.\n\nProceed?")) {
             event.target.value = '';
             return;
         }
@@ -196,20 +207,26 @@ const Settings = () => {
             }
 
             // --- 1. Restore Settings (AI, Prompts, etc.) ---
+            // Prompts are saved on the server as new versions, so the current ones stay in the history
+            const restoredPrompts = {};
             if (backup.settings) {
-                if (backup.settings.aiConfig) localStorage.setItem('quickstor_ai_config', backup.settings.aiConfig);
-                if (backup.settings.systemPrompt) localStorage.setItem('quickstor_system_prompt_custom', backup.settings.systemPrompt);
-                if (backup.settings.fillingPrompt) localStorage.setItem('quickstor_content_filling_prompt', backup.settings.fillingPrompt);
-                if (backup.settings.prompts) localStorage.setItem('quickstor_prompts', backup.settings.prompts);
+                // backup.settings.aiConfig from older backups is ignored - AI settings live on the server now
+                // backup.settings.prompts was a cached copy of the defaults (a string) before prompts moved to the server
+                if (backup.settings.prompts && typeof backup.settings.prompts === 'object') {
+                    Object.assign(restoredPrompts, backup.settings.prompts);
+                }
+                if (backup.settings.systemPrompt) restoredPrompts['system.default'] = backup.settings.systemPrompt;
+                if (backup.settings.fillingPrompt) restoredPrompts['content.filling'] = backup.settings.fillingPrompt;
 
                 // Backward compatibility for v2.0 backups
             } else if (backup.localConfig) {
-                Object.entries(backup.localConfig).forEach(([key, value]) => {
-                    // Only restore settings keys, ignore content keys (quickstor_pages etc) as we handle them globally
-                    if (['quickstor_ai_config', 'quickstor_system_prompt_custom', 'quickstor_content_filling_prompt', 'quickstor_prompts'].includes(key)) {
-                        if (value) localStorage.setItem(key, value);
-                    }
-                });
+                // Only restore settings keys, ignore content keys (quickstor_pages etc) as we handle them globally
+                if (backup.localConfig.quickstor_system_prompt_custom) restoredPrompts['system.default'] = backup.localConfig.quickstor_system_prompt_custom;
+                if (backup.localConfig.quickstor_content_filling_prompt) restoredPrompts['content.filling'] = backup.localConfig.quickstor_content_filling_prompt;
+            }
+            await promptService.init();
+            for (const [key, promptText] of Object.entries(restoredPrompts)) {
+                await promptService.save(key, promptText, { note: 'Restored from backup' });
             }
 
             // --- 2. Construct New Backend Data ---
@@ -259,7 +276,7 @@ const Settings = () => {
             // --- 4. Push to Backend ---
             const response = await fetch('/api/data', {
                 method: 'POST',
-                headers: { 'Content-Type': 'application/json' },
+                headers: { 'Content-Type': 'application/json', ...authHeaders() },
                 body: JSON.stringify(newBackendData)
             });
 
@@ -295,28 +312,40 @@ const Settings = () => {
         }
     };
 
-    const handleResetPrompt = async (type) => {
-        if (type === 'filling') {
-            if (confirm('Reset agent prompt to default?')) {
-                localStorage.removeItem('quickstor_content_filling_prompt');
-                // Force re-read default from service (re-instantiate logic)
-                // Just manually setting the hardcoded string for immediate UI update is safer or re-call service
-                // To avoid duplication, we will clear state and let reload or manual update handle it.
-                // Actually, PromptService doesn't have a 'getDefaultFillingPrompt' public method, 
-                // so we rely on getContentFillingPrompt falling back.
-
-                // Hack: Temporarily remove, call get, set state
-                const defaultPrompt = promptService.getContentFillingPrompt();
-                setFillingPrompt(defaultPrompt);
-            }
-        } else {
-            if (confirm('Reset system prompt to default?')) {
-                const defaults = await promptService.resetToDefaults();
-                const defaultPrompt = defaults?.system?.default || "";
-                setSystemPrompt(defaultPrompt);
-                localStorage.removeItem('quickstor_system_prompt_custom');
-            }
-        }
+    const activeProvider = config.providers.find(p => p.id === config.provider);
+
+    // Write-only key input: shows whether a key is saved, never the key itself
+    const renderApiKeyField = ({ id: provider, requiresApiKey, apiKeyPlaceholder }) => {
+        const { hasApiKey, apiKeySource } = config[provider];
+        return (
+            <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">API Key{!requiresApiKey && ' (optional)'}</label>
+                <input
+                    type="password"
+                    value={apiKeyDrafts[provider] || ''}
+                    onChange={(e) => handleApiKeyChange(provider, e.target.value)}
+                    placeholder={hasApiKey ? '•••••••• saved - type a new key to replace it' : apiKeyPlaceholder}
+                    autoComplete="new-password"
+                    className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+                />
+                <div className="flex items-center justify-between mt-1">
+                    <p className="text-xs text-gray-500">
+                        {apiKeySource === 'settings' && 'A key is saved on the server.'}
+                        {apiKeySource === 'environment' && 'Using the key from the server environment.'}
+                        {!hasApiKey && requiresApiKey && 'No key configured - AI features will not work with this provider.'}
+                    </p>
+                    {apiKeySource === 'settings' && (
+                        <button
+                            type="button"
+                            onClick={() => handleRemoveApiKey(provider)}
+                            className="text-xs text-red-600 hover:underline"
+                        >
+                            Remove key
+                        </button>
+                    )}
+                </div>
+            </div>
+        );
     };
 
     return (
@@ -348,144 +377,108 @@ const Settings = () => {
                     <p className="text-sm text-gray-500 mt-1">Select which AI service to use for content generation</p>
                 </div>
 
-                <div className="p-6 space-y-6">
+                <fieldset disabled={!isAdmin} className="p-6 space-y-6 disabled:opacity-60">
                     {/* Provider Selection */}
                     <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
-                        <label className={`
-              relative flex flex-col p-4 border-2 rounded-xl cursor-pointer transition-all
-              ${config.provider === 'gemini' ? 'border-blue-600 bg-blue-50' : 'border-gray-200 hover:border-gray-300'}
-            `}>
-                            <input
-                                type="radio"
-                                name="provider"
-                                value="gemini"
-                                checked={config.provider === 'gemini'}
-                                onChange={(e) => handleProviderChange(e.target.value)}
-                                className="absolute top-4 right-4"
-                            />
-                            <span className="font-semibold text-gray-900">Google Gemini</span>
-                            <span className="text-sm text-gray-500 mt-1">Uses API Key from .env file (VITE_GEMINI_API_KEY)</span>
-                        </label>
-
-                        <label className={`
+                        {config.providers.map(provider => (
+                            <label key={provider.id} className={`
               relative flex flex-col p-4 border-2 rounded-xl cursor-pointer transition-all
-              ${config.provider === 'openai' ? 'border-blue-600 bg-blue-50' : 'border-gray-200 hover:border-gray-300'}
+              ${config.provider === provider.id ? 'border-blue-600 bg-blue-50' : 'border-gray-200 hover:border-gray-300'}
             `}>
-                            <input
-                                type="radio"
-                                name="provider"
-                                value="openai"
-                                checked={config.provider === 'openai'}
-                                onChange={(e) => handleProviderChange(e.target.value)}
-                                className="absolute top-4 right-4"
-                            />
-                            <span className="font-semibold text-gray-900">OpenAI / Compatible</span>
-                            <span className="text-sm text-gray-500 mt-1">Connect to OpenAI, DeepSeek, or other compatible APIs</span>
-                        </label>
+                                <input
+                                    type="radio"
+                                    name="provider"
+                                    value={provider.id}
+                                    checked={config.provider === provider.id}
+                                    onChange={(e) => handleProviderChange(e.target.value)}
+                                    className="absolute top-4 right-4"
+                                />
+                                <span className="font-semibold text-gray-900">{provider.label}</span>
+                                <span className="text-sm text-gray-500 mt-1">{provider.description}</span>
+                            </label>
+                        ))}
                     </div>
 
-                    {/* OpenAI Configuration */}
-                    {config.provider === 'openai' && (
+                    {/* Selected Provider Configuration */}
+                    {activeProvider && (
                         <div className="mt-6 space-y-4 p-4 bg-gray-50 rounded-lg border border-gray-200 animate-fadeIn">
-                            <h3 className="font-medium text-gray-900">OpenAI Configuration</h3>
+                            <h3 className="font-medium text-gray-900">{activeProvider.label} Configuration</h3>
 
                             <div className="grid grid-cols-1 gap-4">
-                                <div>
-                                    <label className="block text-sm font-medium text-gray-700 mb-1">API Endpoint (Base URL)</label>
-                                    <input
-                                        type="text"
-                                        value={config.openai.baseUrl}
-                                        onChange={(e) => handleOpenAIChange('baseUrl', e.target.value)}
-                                        placeholder="https://api.openai.com/v1"
-                                        className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
-                                    />
-                                    <p className="text-xs text-gray-500 mt-1">Leave default for standard OpenAI, or change for local/compatible endpoints.</p>
-                                </div>
-
-                                <div>
-                                    <label className="block text-sm font-medium text-gray-700 mb-1">API Key</label>
-                                    <input
-                                        type="password"
-                                        value={config.openai.apiKey}
-                                        onChange={(e) => handleOpenAIChange('apiKey', e.target.value)}
-                                        placeholder="sk-..."
-                                        className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
-                                    />
-                                </div>
-
-                                <div>
-                                    <label className="block text-sm font-medium text-gray-700 mb-1">Model Name</label>
-                                    <input
-                                        type="text"
-                                        value={config.openai.model}
-                                        onChange={(e) => handleOpenAIChange('model', e.target.value)}
-                                        placeholder="gpt-4o"
-                                        className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
-                                    />
-                                </div>
+                                {activeProvider.fields.map(field => (
+                                    <div key={field.key}>
+                                        <label className="block text-sm font-medium text-gray-700 mb-1">{field.label}</label>
+                                        {field.type === 'select' ? (
+                                            <select
+                                                value={config[activeProvider.id][field.key]}
+                                                onChange={(e) => handleChange(field.key, e.target.value)}
+                                                className="w-full px-3 py-2 border border-gray-300 rounded-md bg-white focus:outline-none focus:ring-2 focus:ring-blue-500"
+                                            >
+                                                {field.options.map(option => (
+                                                    <option key={option.value} value={option.value}>{option.label}</option>
+                                                ))}
+                                            </select>
+                                        ) : (
+                                            <input
+                                                type={field.type || 'text'}
+                                                value={config[activeProvider.id][field.key] ?? ''}
+                                                onChange={(e) => handleChange(field.key, e.target.value)}
+                                                placeholder={field.placeholder}
+                                                className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+                                            />
+                                        )}
+                                        {field.key === 'model' && config[activeProvider.id].contextLimit && (
+                                            <p className="text-xs text-gray-500 mt-1">Saved model: {describeModel(config[activeProvider.id])}</p>
+                                        )}
+                                        {field.key === 'baseUrl' && (
+                                            <p className="text-xs text-gray-500 mt-1">Change this for proxies or compatible endpoints. It must be on the allowlist below.</p>
+                                        )}
+                                        {field.key === 'imageInput' && (
+                                            <p className="text-xs text-gray-500 mt-1">
+                                                {config[activeProvider.id].attachmentTypes?.includes('image/')
+                                                    ? 'Images and screenshots are sent to the saved model.'
+                                                    : 'The saved model is treated as text-only - images are left out and editors see a warning.'}
+                                            </p>
+                                        )}
+                                    </div>
+                                ))}
+
+                                {renderApiKeyField(activeProvider)}
                             </div>
                         </div>
                     )}
-                </div>
+
+                    {/* Destination Allowlist */}
+                    {isAdmin && (
+                        <div>
+                            <label className="block text-sm font-medium text-gray-700 mb-1">Allowed API Base URLs</label>
+                            <textarea
+                                value={allowlistText}
+                                onChange={(e) => setAllowlistText(e.target.value)}
+                                rows={4}
+                                placeholder="https://api.openai.com/v1"
+                                className="w-full px-3 py-2 font-mono text-sm border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+                            />
+                            <p className="text-xs text-gray-500 mt-1">
+                                One per line. The server only sends AI requests (and API keys) to these addresses, and refuses
+                                hosts that resolve to private networks. To use a model on your own network, add its address
+                                directly, e.g. http://localhost:11434.
+                            </p>
+                        </div>
+                    )}
+                </fieldset>
 
                 <div className="p-4 bg-gray-50 border-t border-gray-200 text-sm text-gray-500">
-                    Note: Gemini API Key is currently loaded from environment variables for security.
+                    {isAdmin
+                        ? 'API keys are stored encrypted on the server and are never sent back to the browser or included in backups.'
+                        : 'Only administrators can change the AI provider configuration.'}
                 </div>
             </div>
 
-            {/* AI System Prompt */}
-            {/* 1. General System Prompt (Restored) */}
-            <div className="bg-white rounded-xl shadow-sm border border-gray-200 overflow-hidden">
-                <div className="p-6 border-b border-gray-200 flex items-center justify-between">
-                    <div>
-                        <h2 className="text-lg font-semibold text-gray-900">Library Sections AI System Prompt</h2>
-                        <p className="text-sm text-gray-500 mt-1">Customize the base instructions for general tasks.</p>
-                    </div>
-                    <Button
-                        variant="ghost"
-                        onClick={() => handleResetPrompt('system')}
-                        className="text-sm text-gray-500 hover:text-gray-900"
-                    >
-                        Reset to Default
-                    </Button>
-                </div>
-                <div className="p-6">
-                    <textarea
-                        value={systemPrompt}
-                        onChange={(e) => setSystemPrompt(e.target.value)}
-                        className="w-full h-80 font-mono text-sm p-4 rounded-lg border border-gray-300 focus:ring-2 focus:ring-blue-500 focus:border-transparent bg-gray-50 text-gray-900"
-                        placeholder="Enter general system prompt..."
-                    />
-                </div>
-            </div>
+            <MockAIPanel />
 
-            {/* 2. Content Filling Agent Prompt (New) */}
-            <div className="bg-white rounded-xl shadow-sm border border-gray-200 overflow-hidden">
-                <div className="p-6 border-b border-gray-200 flex items-center justify-between">
-                    <div>
-                        <h2 className="text-lg font-semibold text-gray-900">AI Filling Content Prompt</h2>
-                        <p className="text-sm text-gray-500 mt-1">Configure the agent persona that helps fill in section content.</p>
-                    </div>
-                    <Button
-                        variant="ghost"
-                        onClick={() => handleResetPrompt('filling')}
-                        className="text-sm text-gray-500 hover:text-gray-900"
-                    >
-                        Reset to Default Agent
-                    </Button>
-                </div>
-                <div className="p-6">
-                    <textarea
-                        value={fillingPrompt}
-                        onChange={(e) => setFillingPrompt(e.target.value)}
-                        className="w-full h-80 font-mono text-sm p-4 rounded-lg border border-gray-300 focus:ring-2 focus:ring-blue-500 focus:border-transparent bg-gray-50 text-gray-900"
-                        placeholder="Enter agent system prompt..."
-                    />
-                    <p className="text-xs text-gray-500 mt-2">
-                        This prompt controls the AI Agent when generating/filling content from the property panel.
-                    </p>
-                </div>
-            </div>
+            {/* AI Prompts */}
+            <PromptEditor />
 
             {/* Backup & Restore System */}
             <div className="bg-white rounded-xl shadow-sm border border-gray-200 overflow-hidden">
@@ -534,13 +527,19 @@ const Settings = () => {
                                 accept=".json"
                                 className="hidden"
                             />
-                            <Button onClick={handleImportClick} disabled={isImporting} variant="outline" className="w-full justify-center bg-white hover:bg-red-50 hover:text-red-600 hover:border-red-200">
+                            <Button onClick={handleImportClick} disabled={isImporting || !isAdmin} title={isAdmin ? undefined : 'Administrators only'} variant="outline" className="w-full justify-center bg-white hover:bg-red-50 hover:text-red-600 hover:border-red-200">
                                 {isImporting ? <><Loader2 size={16} className="animate-spin" /> Restoring...</> : 'Restore Backup'}
                             </Button>
                         </div>
                     </div>
                 </div>
             </div>
+
+            {/* Team & Roles (Admins only) */}
+            {isAdmin && <UserManagement />}
+
+            {/* AI Usage & Quotas (Admins only) */}
+            {isAdmin && <AIUsagePanel />}
         </div>
     );
 };
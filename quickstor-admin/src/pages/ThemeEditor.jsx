@@ -1,8 +1,10 @@
-import React, { useState } from 'react';
+import React, { useState, useRef, useEffect } from 'react';
 import { useContentStore } from '../hooks/useContentStore';
-import { Palette, Type, Image, Sparkles, Save, Trash2, Check } from 'lucide-react';
-import { AIService, getProviderInfo } from '../utils/aiService';
-import { promptService } from '../utils/promptService';
+import { useAIConfig } from '../hooks/useAIConfig';
+import { Palette, Type, Image, Sparkles, Save, Trash2, Check, Square } from 'lucide-react';
+import { AIService, getProviderInfo, isAbortError } from '../utils/aiService';
+import { THEME_SCHEMA } from '../utils/aiSchemas';
+import { promptService, fillPlaceholders } from '../utils/promptService';
 
 const ColorPicker = ({ label, value, onChange }) => (
     <div className="flex items-center justify-between py-2">
@@ -61,10 +63,15 @@ export default function ThemeEditor() {
         deleteThemeFromLibrary,
         applyTheme
     } = useContentStore();
+    const aiConfig = useAIConfig();
 
     const [aiPrompt, setAiPrompt] = useState('');
     const [isGenerating, setIsGenerating] = useState(false);
     const [saveThemeName, setSaveThemeName] = useState('');
+    const abortControllerRef = useRef(null);
+
+    // Stop a running generation when leaving the page
+    useEffect(() => () => abortControllerRef.current?.abort(), []);
 
     const handleColorChange = (colorKey, value) => {
         updateTheme({ colors: { [colorKey]: value } });
@@ -90,35 +97,41 @@ export default function ThemeEditor() {
 
         setIsGenerating(true);
 
-        let prompt = promptService.get('theme.generation');
-        if (!prompt) {
-            // Should be covered by init(), but fallback just in case of race condition or error
-            prompt = `Generate a website color theme based on this description: "{{userPrompt}}"\nReturn ONLY a valid JSON object.`;
-        }
+        const { text, ref } = promptService.render('theme.generation', { userPrompt: aiPrompt });
+        // Should be covered by init(), but fallback just in case of race condition or error
+        const prompt = ref.template ? text : fillPlaceholders(
+            `Generate a website color theme based on this description: "{{userPrompt}}"\nReturn ONLY a valid JSON object.`,
+            { userPrompt: aiPrompt }
+        );
 
-        prompt = prompt.replace('{{userPrompt}}', aiPrompt);
+        const controller = new AbortController();
+        abortControllerRef.current = controller;
 
         try {
-            const response = await AIService.streamContent(prompt, () => { });
-
-            // Extract JSON from response
-            const jsonMatch = response.match(/\{[\s\S]*\}/);
-            if (jsonMatch) {
-                const themeData = JSON.parse(jsonMatch[0]);
-                updateTheme({
-                    colors: themeData.colors,
-                    hero: themeData.hero
-                });
-                alert('Theme generated successfully!');
-            }
+            const themeData = await AIService.streamJSON(prompt, THEME_SCHEMA, () => { }, {
+                feature: 'theme-generator',
+                prompts: [ref],
+                signal: controller.signal
+            });
+            updateTheme({
+                colors: themeData.colors,
+                hero: themeData.hero
+            });
+            alert('Theme generated successfully!');
         } catch (error) {
+            if (isAbortError(error)) return;
             console.error('AI theme generation error:', error);
             alert('Failed to generate theme: ' + error.message);
         } finally {
+            abortControllerRef.current = null;
             setIsGenerating(false);
         }
     };
 
+    const stopGenerating = () => {
+        abortControllerRef.current?.abort();
+    };
+
     return (
         <div className="p-6 max-w-6xl mx-auto min-h-full bg-[#111827]">
             <div className="mb-8">
@@ -214,7 +227,7 @@ export default function ThemeEditor() {
                         <div className="mb-3 flex items-center gap-2">
                             <div className="text-[10px] uppercase tracking-wider text-gray-500 font-medium">Powered By</div>
                             <div className="text-[10px] text-blue-400 bg-blue-900/30 border border-blue-800 px-2 py-0.5 rounded flex items-center gap-1">
-                                {getProviderInfo().name}
+                                {getProviderInfo(aiConfig).name}
                             </div>
                         </div>
 
@@ -225,23 +238,34 @@ export default function ThemeEditor() {
                             className="w-full h-24 px-3 py-2 text-sm bg-gray-800 border border-gray-700 rounded text-gray-300 resize-none mb-3"
                         />
 
-                        <button
-                            onClick={generateThemeWithAI}
-                            disabled={isGenerating || !aiPrompt.trim()}
-                            className="w-full py-2 px-4 bg-purple-600 hover:bg-purple-500 disabled:bg-gray-700 disabled:cursor-not-allowed text-white rounded font-medium text-sm transition-colors flex items-center justify-center gap-2"
-                        >
-                            {isGenerating ? (
-                                <>
-                                    <div className="w-4 h-4 border-2 border-white/30 border-t-white rounded-full animate-spin" />
-                                    Generating...
-                                </>
-                            ) : (
-                                <>
-                                    <Sparkles size={16} />
-                                    Generate Theme
-                                </>
+                        <div className="flex gap-2">
+                            <button
+                                onClick={generateThemeWithAI}
+                                disabled={isGenerating || !aiPrompt.trim()}
+                                className="flex-1 py-2 px-4 bg-purple-600 hover:bg-purple-500 disabled:bg-gray-700 disabled:cursor-not-allowed text-white rounded font-medium text-sm transition-colors flex items-center justify-center gap-2"
+                            >
+                                {isGenerating ? (
+                                    <>
+                                        <div className="w-4 h-4 border-2 border-white/30 border-t-white rounded-full animate-spin" />
+                                        Generating...
+                                    </>
+                                ) : (
+                                    <>
+                                        <Sparkles size={16} />
+                                        Generate Theme
+                                    </>
+                                )}
+                            </button>
+                            {isGenerating && (
+                                <button
+                                    onClick={stopGenerating}
+                                    className="py-2 px-4 bg-gray-800 hover:bg-gray-700 border border-gray-700 text-gray-200 rounded font-medium text-sm transition-colors flex items-center gap-2"
+                                >
+                                    <Square size={14} className="fill-current" />
+                                    Stop
+                                </button>
                             )}
-                        </button>
+                        </div>
                     </div>
 
                     {/* Save Theme */}
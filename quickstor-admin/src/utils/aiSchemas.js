@@ -0,0 +1,174 @@
+/**
+ * AI Output Schemas
+ * JSON Schemas for every AI task that returns structured data. Responses are
+ * validated against these, and the AI is asked to fix anything that doesn't match.
+ */
+
+const NON_EMPTY = { type: 'string', minLength: 1 };
+const HEX_COLOR = { type: 'string', pattern: '^#[0-9a-fA-F]{3,8}$', examples: ['#6366f1'] };
+
+// Icons the feature grid can render
+const FEATURE_ICONS = ['Star', 'Shield', 'Zap', 'Cloud', 'Server', 'Database', 'Lock', 'Globe', 'Smartphone', 'Laptop'];
+
+// --- Section Creator ---
+
+export const CUSTOM_SECTION_SCHEMA = {
+    type: 'object',
+    required: ['html', 'schema', 'defaultContent'],
+    properties: {
+        html: {
+            ...NON_EMPTY,
+            examples: ['<section class="py-20 px-6 text-center bg-slate-900 text-white"><h2 class="text-4xl font-bold">{{title}}</h2></section>']
+        },
+        schema: {
+            type: 'array',
+            items: {
+                type: 'object',
+                required: ['key', 'label', 'type'],
+                properties: {
+                    key: { type: 'string', pattern: '^[A-Za-z_][A-Za-z0-9_]*$', examples: ['title'] },
+                    label: NON_EMPTY,
+                    type: { enum: ['text', 'textarea', 'image', 'url'] },
+                    description: { type: 'string' }
+                }
+            }
+        },
+        defaultContent: { type: 'object', examples: [{ title: 'Mock section' }] }
+    }
+};
+
+// --- Theme Generator ---
+
+export const THEME_SCHEMA = {
+    type: 'object',
+    required: ['colors', 'hero'],
+    properties: {
+        colors: {
+            type: 'object',
+            required: ['primary', 'secondary', 'background', 'surface', 'surfaceAlt', 'text', 'textMuted', 'border'],
+            additionalProperties: HEX_COLOR,
+            examples: [{
+                primary: '#6366f1', secondary: '#22d3ee', background: '#0f172a', surface: '#1e293b',
+                surfaceAlt: '#334155', text: '#f8fafc', textMuted: '#94a3b8', border: '#475569'
+            }]
+        },
+        hero: {
+            type: 'object',
+            required: ['backgroundType', 'backgroundValue'],
+            properties: {
+                backgroundType: { enum: ['gradient', 'solid', 'image'] },
+                backgroundValue: { ...NON_EMPTY, examples: ['linear-gradient(135deg, #0f172a 0%, #312e81 100%)'] },
+                glowColor: HEX_COLOR,
+                glowOpacity: { type: 'number', minimum: 0, maximum: 1 }
+            }
+        }
+    }
+};
+
+// --- Document Summarizer ---
+
+// One chunk of a long document: a prose summary plus the figures it mentions,
+// which are carried through every compression pass unchanged
+export const DOCUMENT_SUMMARY_SCHEMA = {
+    type: 'object',
+    required: ['summary', 'facts'],
+    properties: {
+        summary: { type: 'string' },
+        facts: {
+            type: 'array',
+            items: {
+                type: 'object',
+                required: ['subject', 'value'],
+                properties: {
+                    subject: NON_EMPTY,
+                    value: NON_EMPTY,
+                    context: { type: 'string' }
+                }
+            }
+        }
+    }
+};
+
+// --- Content Filler & Data Extraction ---
+
+const FEATURE_ITEM = {
+    type: 'object',
+    required: ['icon', 'title', 'description'],
+    properties: {
+        icon: { enum: FEATURE_ICONS },
+        title: NON_EMPTY,
+        description: { type: 'string' }
+    }
+};
+
+const GRAPH_ITEM = {
+    type: 'object',
+    required: ['name', 'iops', 'throughput'],
+    properties: {
+        name: NON_EMPTY,
+        iops: { type: 'integer', minimum: 0 },
+        throughput: { type: 'integer', minimum: 0 }
+    }
+};
+
+/**
+ * Schema for data extracted from a file (rows for a graph or feature grid)
+ */
+export function getExtractionSchema(sectionType) {
+    if (sectionType === 'COMPARISON_GRAPH') return { type: 'array', minItems: 1, items: GRAPH_ITEM };
+    if (sectionType === 'FEATURE_GRID') return { type: 'array', minItems: 1, items: FEATURE_ITEM };
+    return null;
+}
+
+/**
+ * Schema for AI-filled section content
+ * @param {string} sectionType
+ * @param {object} [currentContent] - For CUSTOM_HTML, the section with its field schema
+ */
+export function getSectionContentSchema(sectionType, currentContent = {}) {
+    switch (sectionType) {
+        case 'HERO':
+            return {
+                type: 'object',
+                required: ['badge', 'title', 'subtitle', 'primaryCta', 'secondaryCta'],
+                properties: {
+                    badge: { type: 'string' },
+                    title: {
+                        type: 'object',
+                        required: ['line1', 'highlight'],
+                        properties: { line1: NON_EMPTY, highlight: { type: 'string' } }
+                    },
+                    subtitle: { type: 'string' },
+                    primaryCta: NON_EMPTY,
+                    secondaryCta: { type: 'string' }
+                }
+            };
+        case 'FEATURE_GRID':
+            return {
+                type: 'object',
+                required: ['features'],
+                properties: { features: { type: 'array', minItems: 1, items: FEATURE_ITEM } }
+            };
+        case 'COMPARISON_GRAPH':
+            return {
+                type: 'object',
+                required: ['title', 'description', 'data'],
+                properties: {
+                    title: NON_EMPTY,
+                    description: { type: 'string' },
+                    data: { type: 'array', minItems: 1, items: GRAPH_ITEM }
+                }
+            };
+        case 'CUSTOM_HTML': {
+            const fields = currentContent.schema || [];
+            if (fields.length === 0) return { type: 'object' };
+            return {
+                type: 'object',
+                required: fields.map(field => field.key),
+                properties: Object.fromEntries(fields.map(field => [field.key, { type: 'string' }]))
+            };
+        }
+        default:
+            return null;
+    }
+}
@@ -1,498 +1,561 @@
 /**
  * AI Service Factory
- * Manages switching between Gemini and OpenAI/Compatible providers
+ * Sends provider-neutral requests to the backend (/api/ai/*), which calls the
+ * provider selected in Settings. Provider adapters live on the backend (aiProviders.js);
+ * the settings tell us what the active model can do (context size, output limit,
+ * attachment types) from the backend's model registry (models.js).
  */
 
-import { callGeminiAPI, callGeminiAPIStream, callGeminiAPIWithHistoryStream, callGeminiAPIWithHistory } from './geminiClient';
-
-const OPENAI_DEFAULT_URL = 'https://api.openai.com/v1';
+import { authHeaders } from './authService';
+import { validateJSON, parseJSONResponse } from './jsonSchema';
+import { readSSE } from './sseParser';
+import { getMockMode, MOCK_PROVIDER, mockGenerate, mockStream, recordFixture } from './mockAI';
+
+const AI_URL = '/api/ai';
+const AI_SETTINGS_URL = '/api/ai/settings';
+const AI_TOKENS_URL = '/api/ai/tokens';
+
+// Longer texts are estimated rather than uploaded for counting (the proxy caps request size,
+// and at this length the estimate is only needed to decide how much to summarize)
+const MAX_EXACT_COUNT_CHARS = 2000000;
+
+// Used until the settings have been fetched from the backend
+const DEFAULT_AI_CONFIG = {
+    provider: 'gemini',
+    providers: [], // [{ id, label, description, defaults, fields, requiresApiKey }]
+    gemini: { model: 'gemini-2.0-flash', hasApiKey: false, contextLimit: 1000000, maxOutputTokens: 8192, attachmentTypes: [] },
+    allowedBaseUrls: []
+};
 
 // --- Token Estimation & Context Management ---
 
 /**
- * Estimate token count from text (~4 characters per token for English)
+ * Estimate token count from text length, using the model's characters-per-token ratio
+ * (~4 for English with most tokenizers). Use countTokens() where accuracy matters.
  */
-export function estimateTokenCount(text) {
+export function estimateTokenCount(text, provider = getActiveProvider()) {
     if (!text) return 0;
-    return Math.ceil(text.length / 4);
+    return Math.ceil(text.length / provider.charsPerToken);
 }
 
 /**
- * Get context limit for the current provider/model
- * DeepSeek models have 131,072 token context
+ * Count tokens for the active model. Uses the model's tokenizer (on the backend) when it
+ * is public and falls back to estimateTokenCount() otherwise, or if the count fails.
+ * @param {string} text
+ * @param {AbortSignal} [signal]
+ * @returns {Promise<number>}
  */
-export function getContextLimit(config) {
-    if (config?.provider === 'openai') {
-        const model = config.openai?.model?.toLowerCase() || '';
-        // DeepSeek models
-        if (model.includes('deepseek')) {
-            return 131072;
-        }
-        // GPT-4 Turbo / GPT-4o
-        if (model.includes('gpt-4')) {
-            return 128000;
-        }
-        // GPT-3.5
-        if (model.includes('gpt-3.5')) {
-            return 16385;
-        }
-        // Default for unknown OpenAI-compatible
-        return 32000;
+export async function countTokens(text, signal = null) {
+    const provider = getActiveProvider();
+    if (!text || !provider.exactTokenCounts || text.length > MAX_EXACT_COUNT_CHARS) {
+        return estimateTokenCount(text, provider);
+    }
+
+    try {
+        const response = await fetch(AI_TOKENS_URL, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json', ...authHeaders() },
+            body: JSON.stringify({ texts: [text] }),
+            signal
+        });
+        if (!response.ok) throw new Error(`Token count failed (${response.status})`);
+        const { counts } = await response.json();
+        return counts[0];
+    } catch (error) {
+        if (isAbortError(error)) throw error;
+        console.warn('Falling back to estimated token count:', error.message);
+        return estimateTokenCount(text, provider);
     }
-    // Gemini has 1M+ context, effectively unlimited for our use
-    return 1000000;
 }
 
 /**
- * Summarize a document to fit within target token count
- * Uses chunked summarization to handle documents larger than the context window
- * @param {string} text - The document text to summarize
- * @param {number} targetTokens - Target token count for the summary
- * @param {object} config - AI configuration
- * @param {function} onProgress - Optional callback for progress updates
+ * Settings and capabilities of the active provider's model
+ * @returns {{id: string, label: string, model: string, contextLimit: number, maxOutputTokens: number,
+ *   attachmentTypes: string[], price: number[]|null, exactTokenCounts: boolean, charsPerToken: number}}
  */
-export async function summarizeDocumentForContext(text, targetTokens, config, onProgress = null) {
-    const currentTokens = estimateTokenCount(text);
-
-    // Helper to report progress
-    const report = (msg) => {
-        console.log(msg);
-        if (onProgress) onProgress(msg);
+export function getActiveProvider(config = cachedConfig) {
+    if (getMockMode() === 'replay') return MOCK_PROVIDER;
+
+    const settings = config?.[config?.provider] || {};
+    const description = config?.providers?.find(p => p.id === config.provider);
+    return {
+        ...settings,
+        id: config?.provider,
+        label: description?.label || config?.provider,
+        contextLimit: settings.contextLimit || 32000,
+        maxOutputTokens: settings.maxOutputTokens || 4096,
+        attachmentTypes: settings.attachmentTypes || [],
+        price: settings.price || null,
+        exactTokenCounts: !!settings.exactTokenCounts,
+        charsPerToken: settings.charsPerToken || 4
     };
+}
 
-    // If already within limit, return as-is
-    if (currentTokens <= targetTokens) {
-        console.log(`Document already fits: ${currentTokens} <= ${targetTokens} tokens`);
-        return text;
-    }
+/**
+ * Settings and capabilities of the provider a request goes to: the active one, or
+ * target = { provider, model? } (see AIService options). A target model different from the
+ * provider's saved one keeps the saved model's limits - the registry is only read on the server.
+ */
+function resolveProvider(config, target) {
+    if (!target) return getActiveProvider(config);
+    const provider = getActiveProvider({ ...config, provider: target.provider });
+    return target.model ? { ...provider, model: target.model } : provider;
+}
 
-    report(`Analyzing document (~${Math.round(currentTokens / 1000)}K tokens)...`);
+/**
+ * Providers that can take requests - those whose settings are complete (an API key where one
+ * is needed). Admins can send a request to any of them with the target option.
+ */
+export function getConfiguredProviders(config = cachedConfig) {
+    return (config?.providers || [])
+        .filter(p => !p.requiresApiKey || config[p.id]?.hasApiKey)
+        .map(p => getActiveProvider({ ...config, provider: p.id }));
+}
 
-    const contextLimit = getContextLimit(config);
+/**
+ * Get context limit for the current provider/model
+ */
+export function getContextLimit(config) {
+    return getActiveProvider(config).contextLimit;
+}
 
-    // Use only 25% of context for the chunk to leave room for prompt + response
-    const maxChunkTokens = Math.floor(contextLimit * 0.25);
-    const maxChunkChars = maxChunkTokens * 4;
+// --- Backend AI Proxy ---
+// Messages: [{ role: 'user' | 'model', text, attachments?: [{ mimeType, data }] }]
 
-    // If the document is small enough to summarize in one call, do it directly
-    if (currentTokens < maxChunkTokens) {
-        report('Summarizing document...');
-        return await summarizeSingleChunk(text, targetTokens, config);
-    }
+// The backend logs every call and names the log entry in this header (see aiLog.js)
+const LOG_ID_HEADER = 'X-AI-Log-Id';
 
-    // CHUNKED SUMMARIZATION: Split document into chunks that fit in context
-    const chunks = [];
-    let remaining = text;
+async function aiRequest(endpoint, body, signal) {
+    const response = await fetch(`${AI_URL}/${endpoint}`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', ...authHeaders() },
+        body: JSON.stringify(body),
+        signal
+    });
 
-    while (remaining.length > 0) {
-        const chunk = remaining.substring(0, maxChunkChars);
-        chunks.push(chunk);
-        remaining = remaining.substring(maxChunkChars);
+    if (!response.ok) {
+        const data = await response.json().catch(() => ({}));
+        throw new Error(data.error || `AI request failed: ${response.status}`);
     }
+    return response;
+}
 
-    report(`Splitting into ${chunks.length} chunks for processing...`);
+/**
+ * Whether an error means the request was stopped through its AbortSignal
+ */
+export const isAbortError = (error) => error?.name === 'AbortError';
 
-    // Each chunk summary should be aggressively compressed
-    const tokensPerChunkSummary = Math.min(
-        Math.floor(maxChunkTokens / 10),
-        Math.floor(targetTokens / chunks.length)
-    );
+/**
+ * Whether an error was a passing problem, so sending the same request again may work
+ */
+export const isRetryableError = (error) => error?.retryable === true;
 
-    // Summarize each chunk sequentially
-    const chunkSummaries = [];
+/**
+ * Get a complete response with the provider and model that produced it
+ * @param {Array} messages
+ * @param {{temperature?: number, maxTokens?: number, feature?: string, responseFormat?: 'json', signal?: AbortSignal, schema?: object, target?: object, prompts?: Array}} [options]
+ *   feature tags the call in the usage report (see FEATURES in the backend's usage.js);
+ *   aborting signal cancels the request (and the provider call on the server);
+ *   schema is the expected JSON Schema, used by the mock provider for canned responses;
+ *   target ({ provider, model? }, admins only) sends the request to another configured provider or model;
+ *   prompts ([promptService.ref(key, variables)]) names the saved prompts the messages were built from,
+ *   so the call can be replayed from the generation log with a later version
+ * @returns {Promise<{text: string, provider: string, model: string, usage: object|null, logId: string|null}>}
+ *   logId is the call's entry in the generation log (null with the mock provider)
+ */
+async function generateResponse(messages, { signal, schema, ...options } = {}) {
+    const mockMode = getMockMode();
+    if (mockMode === 'replay') {
+        const text = await mockGenerate(messages, { ...options, schema, signal });
+        return { text, provider: MOCK_PROVIDER.id, model: MOCK_PROVIDER.model, usage: null, logId: null };
+    }
 
-    for (let i = 0; i < chunks.length; i++) {
-        report(`Summarizing chunk ${i + 1} of ${chunks.length}...`);
-        const summary = await summarizeSingleChunk(chunks[i], tokensPerChunkSummary, config);
-        chunkSummaries.push(summary);
+    const response = await aiRequest('generate', { messages, ...options }, signal);
+    const result = await response.json();
+    if (mockMode === 'record') recordFixture(messages, options, [result.text]);
+    return { ...result, logId: response.headers.get(LOG_ID_HEADER) };
+}
+
+/**
+ * Get a complete response (options as for generateResponse)
+ */
+async function generateText(messages, options = {}) {
+    const { text } = await generateResponse(messages, options);
+    return text;
+}
+
+/**
+ * Stream a response. onChunk(chunk, fullText) is called for every piece of text.
+ * @returns {Promise<{text: string, logId: string|null}>} The full text and its generation log entry
+ * @throws {Error} retryable (see isRetryableError), with the text so far as partialText, if the
+ *   stream ended without the server's [DONE] - a dropped connection, not a finished response
+ */
+async function streamResponse(messages, onChunk, { signal, schema, ...options } = {}) {
+    const mockMode = getMockMode();
+    if (mockMode === 'replay') {
+        const text = await mockStream(messages, onChunk, { ...options, schema, signal });
+        return { text, logId: null };
     }
 
-    // Combine all chunk summaries
-    const combinedSummary = chunkSummaries.join('\n\n');
-    const combinedTokens = estimateTokenCount(combinedSummary);
+    const response = await aiRequest('stream', { messages, ...options }, signal);
+    const chunks = [];
+    let fullText = '';
+    let finished = false;
+
+    for await (const { event, data } of readSSE(response)) {
+        if (data === '[DONE]') {
+            finished = true;
+            break;
+        }
 
-    console.log(`Combined summaries: ~${combinedTokens} tokens (target: ${targetTokens})`);
+        const payload = JSON.parse(data);
+        if (event === 'error') throw new Error(payload.error || 'AI stream failed');
 
-    // If combined is still too large, recursively summarize again
-    if (combinedTokens > targetTokens) {
-        report('Running additional compression pass...');
-        return await summarizeDocumentForContext(combinedSummary, targetTokens, config, onProgress);
+        chunks.push(payload.text);
+        fullText += payload.text;
+        if (onChunk) onChunk(payload.text, fullText);
+    }
+
+    if (!finished) {
+        throw Object.assign(new Error('The AI response was cut off before it finished. Please try again.'), {
+            retryable: true,
+            partialText: fullText
+        });
     }
 
-    report('Document summarization complete!');
-    return combinedSummary;
+    if (mockMode === 'record') recordFixture(messages, options, chunks);
+    return { text: fullText, logId: response.headers.get(LOG_ID_HEADER) };
 }
 
 /**
- * Summarize a single chunk of text (must fit within context window)
+ * Stream a response (as streamResponse)
+ * @returns {Promise<string>} The full text
  */
-async function summarizeSingleChunk(text, targetTokens, config) {
-    const targetChars = targetTokens * 4;
+async function streamText(messages, onChunk, options = {}) {
+    const { text } = await streamResponse(messages, onChunk, options);
+    return text;
+}
 
-    const summarizePrompt = `You are a document summarizer. Condense the following text while preserving key information.
+// Attachments from the UI carry their content as a data URL in base64
+const toAttachment = (file) => ({ mimeType: file.type, data: file.base64.split(',')[1] });
 
-TARGET: ~${targetChars} characters (about ${targetTokens} tokens).
+// Text files are sent inline with the prompt
+const appendTextAttachments = (prompt, attachments) => attachments
+    .filter(file => file.text)
+    .reduce((text, file) => `${text}\n\n[Attached Context: ${file.name}]\n${file.text}`, prompt);
 
-RULES:
-1. Preserve specific facts, figures, statistics, and data points
-2. Keep important names, dates, and technical terms
-3. Use concise language but don't lose critical information
-4. Output ONLY the summary, no explanations
+/**
+ * Attached files the active model cannot read: binary files of a type it doesn't accept
+ * (e.g. screenshots with a text-only model). Text files always work - they are sent inline.
+ */
+export function getUnsupportedAttachments(files, provider = getActiveProvider()) {
+    return files.filter(file => file.base64 && !file.text && !provider.attachmentTypes.some(type => file.type?.startsWith(type)));
+}
 
-TEXT TO SUMMARIZE:
-${text}
+/**
+ * Build one message for the active provider: text files inline, binary files as
+ * attachments (images become image_url parts for OpenAI-compatible vision models).
+ * Files the model cannot read are left out, with a note so the model knows they were there.
+ */
+function toMessage(role, text, files, provider) {
+    const omitted = getUnsupportedAttachments(files, provider);
+    const accepted = files.filter(file => file.base64 && !file.text && !omitted.includes(file));
+
+    let content = appendTextAttachments(text || '', files);
+    if (omitted.length > 0) {
+        console.warn(`${provider.label} (${provider.model}) cannot read ${omitted.map(f => f.name).join(', ')} - sending without them`);
+        content += `\n\n[System Note: ${omitted.map(f => f.name).join(', ')} could not be attached because ${provider.model} cannot read ${omitted.length === 1 ? 'this file type' : 'these file types'}]`;
+    }
+    return { role, text: content, attachments: accepted.map(toAttachment) };
+}
 
-SUMMARY:`;
+// AIService accepts a prompt string or { text, attachments }
+const splitPrompt = (promptOrObj) => typeof promptOrObj === 'string'
+    ? { text: promptOrObj, attachments: [] }
+    : { text: promptOrObj.text, attachments: promptOrObj.attachments || [] };
 
-    try {
-        const { apiKey, baseUrl = OPENAI_DEFAULT_URL, model = 'gpt-4o' } = config.openai;
-        const url = `${baseUrl}/chat/completions`;
-
-        const response = await callOpenAIProxy(url, apiKey, {
-            model: model,
-            messages: [{ role: 'user', content: summarizePrompt }],
-            temperature: 0.3,
-            max_tokens: Math.min(targetTokens + 500, 8000)
-        });
 
-        const data = await response.json();
+// --- Main Service Export ---
 
-        // Check for API errors
-        if (data.error) {
-            throw new Error(data.error.message || 'API Error');
-        }
+// AI settings (provider, models, whether keys are set) come from the backend.
+// The keys themselves never leave the server.
+let cachedConfig = DEFAULT_AI_CONFIG;
+let configRequest = null;
+const configListeners = new Set();
 
-        const summary = data.choices?.[0]?.message?.content || '';
-        return summary;
-    } catch (error) {
-        console.error('Chunk summarization failed:', error);
-        // Fallback: truncate this chunk
-        console.warn('Falling back to truncation for this chunk...');
-        return text.substring(0, targetChars);
-    }
+function setCachedConfig(config) {
+    cachedConfig = config;
+    configListeners.forEach(listener => listener());
 }
 
-// --- OpenAI Implementation ---
+/**
+ * Call listener whenever the cached AI settings change (see hooks/useAIConfig)
+ * @returns {function} Unsubscribe
+ */
+export function subscribeAIConfig(listener) {
+    configListeners.add(listener);
+    return () => {
+        configListeners.delete(listener);
+    };
+}
 
-// --- OpenAI Proxy Helper ---
-async function callOpenAIProxy(url, apiKey, body) {
-    try {
-        const response = await fetch('/api/proxy/openai', {
-            method: 'POST',
-            headers: { 'Content-Type': 'application/json' },
-            body: JSON.stringify({ url, apiKey, body })
-        });
+// Keys used to be kept in the browser - drop any leftover copy
+localStorage.removeItem('quickstor_ai_config');
 
-        if (!response.ok) {
-            const text = await response.text();
-            throw new Error(text || `Proxy Error: ${response.status}`);
-        }
-        return response;
-    } catch (e) {
-        console.error('Proxy Request Failed:', e);
-        throw e;
+/**
+ * Fetch the AI settings once (or again with refresh) and cache them
+ * @returns {Promise<object>} { provider, gemini: { model, hasApiKey }, openai: { baseUrl, model, hasApiKey }, allowedBaseUrls }
+ */
+export function loadAIConfig({ refresh = false } = {}) {
+    if (!configRequest || refresh) {
+        configRequest = fetch(AI_SETTINGS_URL, { headers: authHeaders() })
+            .then(async (response) => {
+                if (!response.ok) throw new Error(`Failed to load AI settings: ${response.status}`);
+                setCachedConfig(await response.json());
+                return cachedConfig;
+            })
+            .catch((error) => {
+                console.error(error);
+                configRequest = null; // Try again next time
+                return cachedConfig;
+            });
     }
+    return configRequest;
 }
 
-async function callOpenAI(prompt, config) {
-    const { apiKey, baseUrl = OPENAI_DEFAULT_URL, model = 'gpt-4o' } = config;
-    const url = `${baseUrl}/chat/completions`;
+/**
+ * Settings and capabilities of the provider a request goes to (as resolveProvider).
+ * Replayed requests never reach a provider, so the mock doesn't wait for - or need - the settings.
+ */
+export async function loadRequestProvider(target) {
+    if (getMockMode() === 'replay') return MOCK_PROVIDER;
+    return resolveProvider(await loadAIConfig(), target);
+}
 
-    try {
-        const response = await callOpenAIProxy(url, apiKey, {
-            model: model,
-            messages: [{ role: 'user', content: prompt }],
-            temperature: 0.7
-        });
+/**
+ * Last loaded AI settings (defaults until loadAIConfig has finished)
+ */
+export const getAIConfig = () => cachedConfig;
 
-        const data = await response.json();
-        return data.choices?.[0]?.message?.content || '';
-    } catch (error) {
-        console.error('OpenAI Call Failed:', error);
-        throw error;
-    }
+export const getProviderInfo = (config = cachedConfig) => {
+    const provider = getActiveProvider(config);
+    return { name: provider.label, model: provider.model, icon: provider.id === 'gemini' ? 'Sparkles' : 'Bot' };
+};
+
+/**
+ * Save AI settings (admins only). For each provider, apiKey: string sets a new key,
+ * null removes the stored key, and leaving it out keeps the current one.
+ */
+export async function saveAIConfig(changes) {
+    const response = await fetch(AI_SETTINGS_URL, {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/json', ...authHeaders() },
+        body: JSON.stringify(changes)
+    });
+
+    const data = await response.json().catch(() => ({}));
+    if (!response.ok) throw new Error(data.error || `Failed to save AI settings: ${response.status}`);
+
+    setCachedConfig(data);
+    configRequest = Promise.resolve(data);
+    return data;
 }
 
-async function callOpenAIStream(prompt, onChunk, config) {
-    const { apiKey, baseUrl = OPENAI_DEFAULT_URL, model = 'gpt-4o' } = config;
-    const url = `${baseUrl}/chat/completions`;
+// --- Usage & Quotas (admins only) ---
+
+// Names for the feature tags in the usage report and generation log (FEATURES in the backend's usage.js)
+export const AI_FEATURE_LABELS = {
+    'section-creator': 'Section Creator',
+    'content-filler': 'AI Content Filler',
+    'theme-generator': 'Theme Generator',
+    'summarizer': 'Document Summarizer',
+    'extraction': 'Data Extraction',
+    'playground': 'Prompt Playground',
+    'replay': 'Log Replay',
+    'other': 'Other'
+};
 
-    try {
-        const response = await fetch('/api/proxy/openai', {
-            method: 'POST',
-            headers: { 'Content-Type': 'application/json' },
-            body: JSON.stringify({
-                url,
-                apiKey,
-                body: {
-                    model: model,
-                    messages: [{ role: 'user', content: prompt }],
-                    temperature: 0.7,
-                    stream: true
-                }
-            })
-        });
+/**
+ * Token and cost report for a month
+ * @param {string} [month] - YYYY-MM, defaults to the current month
+ * @returns {Promise<object>} { month, totals, byUser, byFeature, byModel, estimatedCalls, quotas }
+ */
+export async function getAIUsage(month) {
+    const query = month ? `?month=${encodeURIComponent(month)}` : '';
+    const response = await fetch(`${AI_URL}/usage${query}`, { headers: authHeaders() });
 
-        if (!response.ok) throw new Error(`Proxy error: ${response.status}`);
-
-        const reader = response.body.getReader();
-        const decoder = new TextDecoder();
-        let fullText = '';
-
-        while (true) {
-            const { done, value } = await reader.read();
-            if (done) break;
-
-            const chunk = decoder.decode(value);
-            const lines = chunk.split('\n');
-
-            for (const line of lines) {
-                if (line.startsWith('data: ') && line !== 'data: [DONE]') {
-                    try {
-                        const data = JSON.parse(line.slice(6));
-                        const content = data.choices[0]?.delta?.content || '';
-                        if (content) {
-                            fullText += content;
-                            onChunk(content, fullText);
-                        }
-                    } catch (e) {
-                        // Ignore parse errors
-                    }
-                }
-            }
-        }
-        return fullText;
-    } catch (error) {
-        console.error('OpenAI Stream Failed:', error);
-        throw error;
-    }
+    const data = await response.json().catch(() => ({}));
+    if (!response.ok) throw new Error(data.error || `Failed to load AI usage: ${response.status}`);
+    return data;
 }
 
-async function callOpenAIWithHistoryStream(messages, onChunk, config) {
-    const { apiKey, baseUrl = OPENAI_DEFAULT_URL, model = 'gpt-4o' } = config;
-    const url = `${baseUrl}/chat/completions`;
+/**
+ * Set monthly limits. null (or '') means no limit.
+ * @param {{monthlyTokens?, monthlyCost?, userMonthlyTokens?, userMonthlyCost?}} quotas
+ */
+export async function saveAIQuotas(quotas) {
+    const response = await fetch(`${AI_URL}/quotas`, {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/json', ...authHeaders() },
+        body: JSON.stringify(quotas)
+    });
+
+    const data = await response.json().catch(() => ({}));
+    if (!response.ok) throw new Error(data.error || `Failed to save AI quotas: ${response.status}`);
+    return data;
+}
 
-    // Map 'model' role to 'assistant' for OpenAI
-    const openAIMessages = messages.map(m => ({
-        role: m.role === 'model' ? 'assistant' : m.role,
-        content: m.text || m.content // Handle both text formats
-    }));
+// --- Generation Log ---
 
-    try {
-        // Use proxy to avoid CORS
-        const response = await fetch('/api/proxy/openai', {
-            method: 'POST',
-            headers: { 'Content-Type': 'application/json' },
-            body: JSON.stringify({
-                url,
-                apiKey,
-                body: {
-                    model: model,
-                    messages: openAIMessages,
-                    temperature: 0.7,
-                    stream: true
-                }
-            })
-        });
+/**
+ * Tell the generation log whether a response could be used: parsed and valid against its
+ * schema, or the errors. Fire and forget - a failed report doesn't affect the caller.
+ * @param {string|null} logId - From generateResponse / streamResponse
+ * @param {string[]} errors - Empty if the response was valid
+ */
+export function reportAIOutcome(logId, errors) {
+    if (!logId) return;
+    fetch(`${AI_URL}/logs/${encodeURIComponent(logId)}/outcome`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', ...authHeaders() },
+        body: JSON.stringify({ parsed: errors.length === 0, errors })
+    }).catch(error => console.warn('Could not report the AI response outcome:', error.message));
+}
 
-        if (!response.ok) throw new Error(`Proxy error: ${response.status}`);
-
-        const reader = response.body.getReader();
-        const decoder = new TextDecoder();
-        let fullText = '';
-
-        while (true) {
-            const { done, value } = await reader.read();
-            if (done) break;
-
-            const chunk = decoder.decode(value);
-            const lines = chunk.split('\n');
-
-            for (const line of lines) {
-                if (line.startsWith('data: ') && line !== 'data: [DONE]') {
-                    try {
-                        const data = JSON.parse(line.slice(6));
-                        const content = data.choices[0]?.delta?.content || '';
-                        if (content) {
-                            fullText += content;
-                            onChunk(content, fullText);
-                        }
-                    } catch (e) { }
-                }
-            }
-        }
-        return fullText;
-    } catch (error) {
-        console.error('OpenAI History Stream Failed:', error);
-        throw error;
-    }
+/**
+ * Logged AI calls for a day (admins only)
+ * @param {{date?: string, feature?: string, status?: string, user?: string}} [filters] - date is YYYY-MM-DD, defaults to today
+ * @returns {Promise<object>} { date, dates, enabled, retentionDays, calls: [summary] }
+ */
+export async function getAILog(filters = {}) {
+    const query = new URLSearchParams(Object.entries(filters).filter(([, value]) => value)).toString();
+    const response = await fetch(`${AI_URL}/logs${query ? `?${query}` : ''}`, { headers: authHeaders() });
+
+    const data = await response.json().catch(() => ({}));
+    if (!response.ok) throw new Error(data.error || `Failed to load the AI log: ${response.status}`);
+    return data;
+}
+
+/**
+ * One logged AI call with its messages, prompt references and response (admins only)
+ */
+export async function getAILogEntry(id) {
+    const response = await fetch(`${AI_URL}/logs/${encodeURIComponent(id)}`, { headers: authHeaders() });
+
+    const data = await response.json().catch(() => ({}));
+    if (!response.ok) throw new Error(data.error || `Failed to load the AI log entry: ${response.status}`);
+    return data;
 }
 
+// --- Structured Output ---
 
-// --- Main Service Export ---
+const MAX_REPAIR_ATTEMPTS = 2;
+const MAX_REPORTED_ERRORS = 20;
+
+const repairPrompt = (errors) => `Your previous response did not match the required JSON format:
+${errors.slice(0, MAX_REPORTED_ERRORS).map(error => `- ${error}`).join('\n')}
 
-export const getAIConfig = () => {
-    return JSON.parse(localStorage.getItem('quickstor_ai_config') || JSON.stringify({
-        provider: 'gemini', // 'gemini' | 'openai'
-        openai: {
-            apiKey: '',
-            baseUrl: 'https://api.openai.com/v1',
-            model: 'gpt-4o'
+Return the complete corrected JSON only - no markdown, no explanations.`;
+
+/**
+ * Ask for JSON matching a schema (see aiSchemas.js). The response is parsed and validated;
+ * if it doesn't match, the AI gets its answer back with the errors and tries again.
+ * @param {Array} messages - Neutral messages
+ * @param {object} schema - JSON Schema
+ * @param {function(Array, object): Promise<{text: string, logId: string|null}>} send - Makes one request
+ * @param {{onRepair?: function(string[], number)}} options - onRepair(errors, attempt) runs before each repair request
+ * @returns {Promise<*>} The validated value
+ */
+async function requestJSON(messages, schema, send, { onRepair, ...options }) {
+    // OpenAI's JSON mode only produces objects - arrays rely on the prompt
+    const requestOptions = { ...options, schema, ...(schema.type === 'object' ? { responseFormat: 'json' } : {}) };
+    let conversation = messages;
+
+    for (let attempt = 0; ; attempt++) {
+        const { text, logId } = await send(conversation, requestOptions);
+
+        let errors;
+        let value;
+        try {
+            value = parseJSONResponse(text);
+            errors = validateJSON(schema, value);
+        } catch (error) {
+            errors = [error.message];
+        }
+        reportAIOutcome(logId, errors);
+        if (errors.length === 0) return value;
+
+        if (attempt >= MAX_REPAIR_ATTEMPTS) {
+            throw Object.assign(
+                new Error(`AI response did not match the expected format: ${errors.slice(0, 3).join('; ')}`),
+                { validationErrors: errors, response: text }
+            );
         }
-        // Gemini uses env var by default, but could extend here
-    }));
-};
 
-export const getProviderInfo = () => {
-    const config = getAIConfig();
-    if (config.provider === 'openai') {
-        return { name: 'OpenAI / Compatible', model: config.openai.model, icon: 'Bot' };
+        console.warn(`AI response failed validation (attempt ${attempt + 1}), asking for a repair:`, errors);
+        if (onRepair) onRepair(errors, attempt + 1);
+        conversation = [...conversation, { role: 'model', text }, { role: 'user', text: repairPrompt(errors) }];
     }
-    return { name: 'Google Gemini', model: 'Gemini Pro', icon: 'Sparkles' };
-};
-
-export const saveAIConfig = (config) => {
-    localStorage.setItem('quickstor_ai_config', JSON.stringify(config));
-};
+}
 
 export const AIService = {
-    generateContent: async (promptOrObj) => {
-        const config = getAIConfig();
-        const prompt = typeof promptOrObj === 'string' ? promptOrObj : promptOrObj.text;
-        const attachments = (typeof promptOrObj === 'object' && promptOrObj.attachments) ? promptOrObj.attachments : [];
-
-        if (config.provider === 'openai') {
-            // TODO: Add attachment support for OpenAI if needed
-            // For now, if text file, append to prompt
-            let finalPrompt = prompt;
-            if (attachments.length > 0) {
-                attachments.forEach(att => {
-                    if (att.text) {
-                        finalPrompt += `\n\n[Attached Context: ${att.name}]\n${att.text}`;
-                    }
-                });
-            }
-            return callOpenAI(finalPrompt, config.openai);
-        }
+    // Like generateContent, but resolves to { text, provider, model, usage, logId } (prompt playground)
+    generateDetailed: async (promptOrObj, options = {}) => {
+        const provider = await loadRequestProvider(options.target);
+        const { text, attachments } = splitPrompt(promptOrObj);
+        return generateResponse([toMessage('user', text, attachments, provider)], options);
+    },
 
-        // Gemini
-        if (attachments.length > 0) {
-            const parts = [{ text: prompt }];
-            attachments.forEach(file => {
-                // If it has base64 (Image), use inlineData
-                if (file.base64) {
-                    const base64Data = file.base64.split(',')[1];
-                    parts.push({
-                        inlineData: {
-                            mimeType: file.type,
-                            data: base64Data
-                        }
-                    });
-                }
-                // If it has text content (Text File), append as text part
-                else if (file.text) {
-                    parts.push({
-                        text: `\n\n[Attached Context: ${file.name}]\n${file.text}`
-                    });
-                }
-            });
-            return callGeminiAPI(parts);
-        }
+    // A whole conversation, resolving to { text, provider, model, usage, logId } (generation log replay)
+    generateChatDetailed: async (messages, options = {}) => {
+        const provider = await loadRequestProvider(options.target);
+        const formattedMessages = messages.map(msg =>
+            toMessage(msg.role, msg.text || msg.content || '', msg.attachments || [], provider)
+        );
+        return generateResponse(formattedMessages, options);
+    },
 
-        return callGeminiAPI(prompt);
+    generateContent: async (promptOrObj, options = {}) => {
+        const provider = await loadRequestProvider(options.target);
+        const { text, attachments } = splitPrompt(promptOrObj);
+        return generateText([toMessage('user', text, attachments, provider)], options);
     },
 
-    streamContent: async (promptOrObj, onChunk) => {
-        const config = getAIConfig();
-        const prompt = typeof promptOrObj === 'string' ? promptOrObj : promptOrObj.text;
-        const attachments = (typeof promptOrObj === 'object' && promptOrObj.attachments) ? promptOrObj.attachments : [];
+    streamContent: async (promptOrObj, onChunk, options = {}) => {
+        const provider = await loadRequestProvider(options.target);
+        const { text, attachments } = splitPrompt(promptOrObj);
+        return streamText([toMessage('user', text, attachments, provider)], onChunk, options);
+    },
 
-        if (config.provider === 'openai') {
-            // TODO: Implement OpenAI single-turn with attachments if needed
-            return callOpenAIStream(prompt, onChunk, config.openai);
-        }
+    streamChat: async (messages, onChunk, options = {}) => {
+        const provider = await loadRequestProvider(options.target);
+        const formattedMessages = messages.map(msg =>
+            toMessage(msg.role, msg.text || msg.content || '', msg.attachments || [], provider)
+        );
+        return streamText(formattedMessages, onChunk, options);
+    },
 
-        // Gemini
-        if (attachments.length > 0) {
-            const parts = [{ text: prompt }];
-            attachments.forEach(file => {
-                const base64Data = file.base64.split(',')[1];
-                parts.push({
-                    inlineData: {
-                        mimeType: file.type,
-                        data: base64Data
-                    }
-                });
-            });
-            return callGeminiAPIStream(parts, onChunk);
-        }
+    // Structured versions: resolve to the parsed, schema-valid value instead of text
 
-        return callGeminiAPIStream(prompt, onChunk);
+    generateJSON: async (promptOrObj, schema, options = {}) => {
+        const provider = await loadRequestProvider(options.target);
+        const { text, attachments } = splitPrompt(promptOrObj);
+        return requestJSON([toMessage('user', text, attachments, provider)], schema, generateResponse, options);
     },
 
-    streamChat: async (messages, onChunk) => {
-        const config = getAIConfig();
-        const isOpenAI = config.provider === 'openai';
-
-        // Pre-process messages to format attachments for the provider
-        const formattedMessages = messages.map(msg => {
-            // Keep existing simple text messages
-            if (msg.text && !msg.attachments?.length) {
-                return msg;
-            }
-
-            // Handle messages with attachments
-            if (msg.attachments?.length > 0) {
-                if (isOpenAI) {
-                    // DeepSeek is text-only (usually), so we must NOT send image_url
-                    const isDeepSeek = (config.openai.baseUrl || '').includes('deepseek') || (config.openai.model || '').includes('deepseek');
-
-                    if (isDeepSeek) {
-                        // For DeepSeek, just send text.
-                        // If there were images, we effectively drop them but maybe warn in console
-                        const textContent = msg.text || '';
-                        const hasImages = msg.attachments.some(f => f.type.startsWith('image/'));
-                        return {
-                            role: msg.role,
-                            content: hasImages ? `${textContent}\n\n[System Note: Image attachments were omitted because DeepSeek is text-only]` : textContent
-                        };
-                    }
-
-                    // Standard OpenAI / Vision Compatible
-                    const content = [{ type: 'text', text: msg.text || '' }];
-                    msg.attachments.forEach(file => {
-                        if (file.type.startsWith('image/')) {
-                            content.push({
-                                type: 'image_url',
-                                image_url: { url: file.base64 }
-                            });
-                        }
-                    });
-                    return { role: msg.role, content };
-                } else {
-                    // Gemini Format
-                    const parts = [{ text: msg.text || '' }];
-                    msg.attachments.forEach(file => {
-                        // Extract base64 
-                        const base64Data = file.base64.split(',')[1];
-                        parts.push({
-                            inlineData: {
-                                mimeType: file.type,
-                                data: base64Data
-                            }
-                        });
-                    });
-                    return { role: msg.role, parts };
-                }
-            }
-
-            // Fallback
-            return msg;
-        });
+    streamJSON: async (promptOrObj, schema, onChunk, options = {}) => {
+        const provider = await loadRequestProvider(options.target);
+        const { text, attachments } = splitPrompt(promptOrObj);
+        const send = (messages, requestOptions) => streamResponse(messages, onChunk, requestOptions);
+        return requestJSON([toMessage('user', text, attachments, provider)], schema, send, options);
+    },
 
-        if (isOpenAI) {
-            return callOpenAIWithHistoryStream(formattedMessages, onChunk, config.openai);
-        }
-        return callGeminiAPIWithHistoryStream(formattedMessages, onChunk);
+    streamChatJSON: async (messages, schema, onChunk, options = {}) => {
+        const provider = await loadRequestProvider(options.target);
+        const formattedMessages = messages.map(msg =>
+            toMessage(msg.role, msg.text || msg.content || '', msg.attachments || [], provider)
+        );
+        const send = (conversation, requestOptions) => streamResponse(conversation, onChunk, requestOptions);
+        return requestJSON(formattedMessages, schema, send, options);
     }
 };
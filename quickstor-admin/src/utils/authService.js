@@ -0,0 +1,108 @@
+/**
+ * Auth Service
+ * Handles login against the QuickStor backend and keeps the session token
+ */
+
+const AUTH_URL = '/api/auth';
+const USERS_URL = '/api/users';
+const TOKEN_KEY = 'quickstor_auth_token';
+
+// Ordered from least to most privileged (mirrors the backend)
+export const ROLES = ['editor', 'publisher', 'admin'];
+
+export const ROLE_LABELS = {
+    editor: 'Editor - save to staging',
+    publisher: 'Publisher - promote staging to live',
+    admin: 'Administrator - backups, AI config and users'
+};
+
+/**
+ * Check whether a user has at least the given role
+ */
+export const hasRole = (user, role) => ROLES.indexOf(user?.role) >= ROLES.indexOf(role);
+
+export const getAuthToken = () => localStorage.getItem(TOKEN_KEY);
+
+/**
+ * Headers to attach to any request that needs an authenticated session
+ */
+export const authHeaders = () => {
+    const token = getAuthToken();
+    return token ? { Authorization: `Bearer ${token}` } : {};
+};
+
+/**
+ * Exchange email/password for a session token
+ * @returns {Promise<object>} The signed-in user
+ */
+export async function login(email, password) {
+    const response = await fetch(`${AUTH_URL}/login`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ email, password })
+    });
+
+    const data = await response.json().catch(() => ({}));
+    if (!response.ok) {
+        throw new Error(data.error || `Login failed: ${response.status}`);
+    }
+
+    localStorage.setItem(TOKEN_KEY, data.token);
+    return data.user;
+}
+
+export function logout() {
+    localStorage.removeItem(TOKEN_KEY);
+}
+
+/**
+ * Validate the stored token with the backend
+ * @returns {Promise<object|null>} The current user, or null if there is no valid session
+ */
+export async function fetchCurrentUser() {
+    if (!getAuthToken()) return null;
+
+    try {
+        const response = await fetch(`${AUTH_URL}/me`, { headers: authHeaders() });
+        if (response.status === 401) {
+            logout(); // Expired or revoked - drop it
+            return null;
+        }
+        if (!response.ok) throw new Error(`Session check failed: ${response.status}`);
+
+        const data = await response.json();
+        return data.user;
+    } catch (e) {
+        console.error('Error validating session:', e);
+        return null;
+    }
+}
+
+// --- User Management (admin only) ---
+
+async function usersRequest(path, options = {}) {
+    const response = await fetch(`${USERS_URL}${path}`, {
+        ...options,
+        headers: { 'Content-Type': 'application/json', ...authHeaders(), ...options.headers }
+    });
+
+    const data = await response.json().catch(() => ({}));
+    if (!response.ok) {
+        throw new Error(data.error || `User request failed: ${response.status}`);
+    }
+    return data;
+}
+
+export const listUsers = () => usersRequest('');
+
+export const createUser = (user) => usersRequest('', {
+    method: 'POST',
+    body: JSON.stringify(user)
+});
+
+export const updateUser = (id, updates) => usersRequest(`/${id}`, {
+    method: 'PATCH',
+    body: JSON.stringify(updates)
+});
+
+export const deleteUser = (id) => usersRequest(`/${id}`, { method: 'DELETE' });
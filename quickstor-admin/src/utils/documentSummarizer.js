@@ -0,0 +1,302 @@
+/**
+ * Document Summarizer
+ * Map-reduce summarization for documents too long for the prompt. The text is split on
+ * paragraph and heading boundaries (with a little overlap for context), each chunk is
+ * summarized with whichever provider is active, and the summaries are combined - and
+ * compressed again if needed - until they fit. Facts and figures are collected into a
+ * structured list alongside the prose, so benchmark numbers survive every pass verbatim.
+ */
+
+import { AIService, countTokens, estimateTokenCount, getActiveProvider, isAbortError } from './aiService';
+import { DOCUMENT_SUMMARY_SCHEMA } from './aiSchemas';
+
+// A chunk plus the prompt and response must fit comfortably in the context window
+const CHUNK_CONTEXT_SHARE = 0.25;
+// Text repeated from the end of the previous chunk so sentences that straddle a boundary make sense
+const OVERLAP_SHARE = 0.1;
+const MAX_OVERLAP_CHARS = 2000;
+// Share of the target reserved for the facts list; the prose summary is compressed to fit the rest
+const FACTS_SHARE = 0.4;
+// Compression passes over the combined summaries before falling back to truncation
+const MAX_REDUCE_PASSES = 3;
+
+// Markdown headings, numbered section titles ("2.1 Results") and short ALL-CAPS titles
+const HEADING = /^(#{1,6}\s|\d+(\.\d+)+\s+\S|[A-Z][A-Z0-9 &/:-]{3,79}$)/;
+
+// --- Splitting ---
+
+/**
+ * Break text into paragraphs, starting a new block at every heading.
+ * Tables and lists have no blank lines inside them, so they stay in one block.
+ * @returns {Array<{text: string, heading: boolean}>}
+ */
+function splitBlocks(text) {
+    const blocks = [];
+    let lines = [];
+    let heading = false;
+
+    const flush = () => {
+        if (lines.length > 0) blocks.push({ text: lines.join('\n'), heading });
+        lines = [];
+        heading = false;
+    };
+
+    for (const line of text.replace(/\r\n?/g, '\n').split('\n')) {
+        if (line.trim() === '') {
+            flush();
+        } else if (HEADING.test(line.trim())) {
+            flush();
+            lines.push(line);
+            heading = true;
+        } else {
+            lines.push(line);
+        }
+    }
+    flush();
+    return blocks;
+}
+
+/**
+ * Split a block that is too long on its own - by lines, then sentences, then (for a
+ * single enormous sentence) at a fixed length
+ */
+function splitOversized(text, maxChars) {
+    if (text.length <= maxChars) return [text];
+
+    for (const separator of ['\n', /(?<=[.!?])\s+/]) {
+        const parts = text.split(separator);
+        if (parts.length > 1) return pack(parts, maxChars, separator === '\n' ? '\n' : ' ');
+    }
+
+    const pieces = [];
+    for (let i = 0; i < text.length; i += maxChars) pieces.push(text.slice(i, i + maxChars));
+    return pieces;
+}
+
+/**
+ * Join parts into pieces of at most maxChars, splitting any part that is too long by itself
+ */
+function pack(parts, maxChars, joiner) {
+    const pieces = [];
+    let current = '';
+    for (const part of parts.flatMap(p => splitOversized(p, maxChars))) {
+        if (current && current.length + joiner.length + part.length > maxChars) {
+            pieces.push(current);
+            current = '';
+        }
+        current = current ? current + joiner + part : part;
+    }
+    if (current) pieces.push(current);
+    return pieces;
+}
+
+/**
+ * Split a document into chunks of at most maxChars on paragraph and heading boundaries.
+ * A heading starts a new chunk once the current one is half full, so sections stay together.
+ * @returns {Array<{text: string, overlap: string}>} overlap is the end of the previous chunk
+ */
+function splitDocument(text, maxChars, overlapChars) {
+    const chunks = [];
+    let current = [];
+    let size = 0;
+
+    const flush = () => {
+        if (current.length > 0) chunks.push(current.join('\n\n'));
+        current = [];
+        size = 0;
+    };
+
+    for (const block of splitBlocks(text)) {
+        if (block.heading && size > maxChars / 2) flush();
+        for (const piece of splitOversized(block.text, maxChars)) {
+            if (size > 0 && size + piece.length + 2 > maxChars) flush();
+            current.push(piece);
+            size += piece.length + 2;
+        }
+    }
+    flush();
+
+    return chunks.map((chunk, i) => ({ text: chunk, overlap: i > 0 ? tail(chunks[i - 1], overlapChars) : '' }));
+}
+
+/**
+ * The end of a chunk (up to maxChars), starting at a paragraph or sentence boundary
+ */
+function tail(text, maxChars) {
+    if (text.length <= maxChars) return text;
+    const end = text.slice(-maxChars);
+    const boundary = end.search(/\n\n|(?<=[.!?])\s/);
+    return (boundary === -1 ? end : end.slice(boundary)).trim();
+}
+
+// --- Facts ---
+
+const factKey = (fact) => `${fact.subject}|${fact.value}`.toLowerCase().replace(/\s+/g, ' ');
+
+/**
+ * Add facts that aren't in the list yet (same subject and value)
+ */
+function mergeFacts(facts, newFacts) {
+    const seen = new Set(facts.map(factKey));
+    for (const fact of newFacts) {
+        if (seen.has(factKey(fact))) continue;
+        seen.add(factKey(fact));
+        facts.push(fact);
+    }
+    return facts;
+}
+
+const formatFact = ({ subject, value, context }) => `- ${subject}: ${value}${context ? ` (${context})` : ''}`;
+
+/**
+ * Render as many facts as fit the budget - numeric ones first, as those are the ones
+ * prose summaries lose
+ */
+function renderFacts(facts, maxTokens, provider) {
+    const hasNumber = (fact) => /\d/.test(fact.value);
+    const ordered = [...facts.filter(hasNumber), ...facts.filter(fact => !hasNumber(fact))];
+
+    const lines = [];
+    let tokens = 0;
+    for (const fact of ordered) {
+        const line = formatFact(fact);
+        const lineTokens = estimateTokenCount(line, provider) + 1;
+        if (tokens + lineTokens > maxTokens) break;
+        lines.push(line);
+        tokens += lineTokens;
+    }
+
+    if (lines.length < facts.length) lines.push(`- (${facts.length - lines.length} more facts left out for length)`);
+    return lines.join('\n');
+}
+
+// --- Map ---
+
+/**
+ * Summarize one chunk into prose plus a facts list
+ * @returns {Promise<{summary: string, facts: Array}>}
+ */
+async function summarizeChunk(chunk, index, total, targetTokens, provider, signal) {
+    const targetChars = Math.round(targetTokens * provider.charsPerToken);
+    const position = total > 1 ? `part ${index + 1} of ${total} of a document` : 'a document';
+
+    const prompt = `You are a document summarizer. Condense ${position} while preserving key information.
+
+Return a JSON object:
+{
+  "summary": "Condensed text",
+  "facts": [{ "subject": "What is measured or stated", "value": "The exact figure with its unit", "context": "Conditions, if any" }]
+}
+
+RULES:
+1. summary: about ${targetChars} characters (${targetTokens} tokens). Keep important names, dates and technical terms; use concise language.
+2. facts: every specific figure in the text - benchmark results, specifications, prices, percentages, dates, counts. Copy values exactly as written, with units, and name what they refer to (e.g. subject "QS-9000 random read", value "1.2M IOPS", context "4K blocks, QD32").
+3. Don't repeat the facts in the summary word for word - the summary should carry the narrative.
+${chunk.overlap ? '4. PREVIOUS CONTEXT is the end of the preceding part, for reference only. Do not summarize it or take facts from it.\n' : ''}
+${chunk.overlap ? `PREVIOUS CONTEXT:\n${chunk.overlap}\n\n` : ''}TEXT TO SUMMARIZE:
+${chunk.text}`;
+
+    try {
+        const result = await AIService.generateJSON(prompt, DOCUMENT_SUMMARY_SCHEMA, {
+            temperature: 0.2,
+            // Room for the summary and the facts list
+            maxTokens: Math.min(targetTokens * 2 + 1000, provider.maxOutputTokens),
+            feature: 'summarizer',
+            signal
+        });
+        return { summary: result.summary.trim(), facts: result.facts };
+    } catch (error) {
+        if (isAbortError(error)) throw error;
+        console.error(`Summarizing chunk ${index + 1} failed:`, error);
+        // Fallback: truncate this chunk
+        console.warn('Falling back to truncation for this chunk...');
+        return { summary: chunk.text.substring(0, targetChars), facts: [] };
+    }
+}
+
+/**
+ * Split text into chunks the model can take and summarize each one
+ * @returns {Promise<{summaries: string[], facts: Array}>}
+ */
+async function mapChunks(text, targetTokens, provider, report, signal) {
+    const maxChunkTokens = Math.floor(provider.contextLimit * CHUNK_CONTEXT_SHARE);
+    const maxChunkChars = Math.floor(maxChunkTokens * provider.charsPerToken);
+    const overlapChars = Math.min(Math.floor(maxChunkChars * OVERLAP_SHARE), MAX_OVERLAP_CHARS);
+
+    const chunks = splitDocument(text, maxChunkChars, overlapChars);
+    if (chunks.length > 1) report(`Splitting into ${chunks.length} chunks for processing...`);
+
+    // Each chunk summary should be aggressively compressed (and fit in one response)
+    const tokensPerChunkSummary = Math.max(100, Math.min(
+        Math.floor(maxChunkTokens / 10),
+        Math.floor(targetTokens / chunks.length),
+        Math.floor(provider.maxOutputTokens / 2)
+    ));
+
+    const summaries = [];
+    const facts = [];
+    for (let i = 0; i < chunks.length; i++) {
+        report(chunks.length > 1 ? `Summarizing chunk ${i + 1} of ${chunks.length}...` : 'Summarizing document...');
+        const result = await summarizeChunk(chunks[i], i, chunks.length, tokensPerChunkSummary, provider, signal);
+        summaries.push(result.summary);
+        mergeFacts(facts, result.facts);
+    }
+    return { summaries, facts };
+}
+
+// --- Reduce ---
+
+/**
+ * Summarize a document to fit within target token count
+ * @param {string} text - The document text to summarize
+ * @param {number} targetTokens - Target token count for the summary (including the facts list)
+ * @param {object} config - AI configuration
+ * @param {function} onProgress - Optional callback for progress updates
+ * @param {AbortSignal} signal - Optional signal to stop summarizing
+ * @returns {Promise<string>} The summary followed by a "KEY FACTS AND FIGURES" list
+ */
+export async function summarizeDocumentForContext(text, targetTokens, config, onProgress = null, signal = null) {
+    const provider = getActiveProvider(config);
+    const currentTokens = await countTokens(text, signal);
+
+    // Helper to report progress
+    const report = (msg) => {
+        console.log(msg);
+        if (onProgress) onProgress(msg);
+    };
+
+    // If already within limit, return as-is
+    if (currentTokens <= targetTokens) {
+        console.log(`Document already fits: ${currentTokens} <= ${targetTokens} tokens`);
+        return text;
+    }
+
+    report(`Analyzing document (~${Math.round(currentTokens / 1000)}K tokens)...`);
+
+    // Map: summarize every chunk, collecting facts on the side
+    const factsBudget = Math.floor(targetTokens * FACTS_SHARE);
+    const summaryBudget = targetTokens - factsBudget;
+    const { summaries, facts } = await mapChunks(text, summaryBudget, provider, report, signal);
+    let summary = summaries.join('\n\n');
+
+    // Reduce: compress the combined summaries until they fit. Facts found along the way are
+    // merged in, but the list itself is never rewritten by the model.
+    for (let pass = 0; estimateTokenCount(summary, provider) > summaryBudget; pass++) {
+        if (pass === MAX_REDUCE_PASSES) {
+            console.warn('Summary still too long after compression passes, truncating');
+            summary = summary.substring(0, Math.floor(summaryBudget * provider.charsPerToken));
+            break;
+        }
+        report('Running additional compression pass...');
+        const reduced = await mapChunks(summary, summaryBudget, provider, report, signal);
+        summary = reduced.summaries.join('\n\n');
+        mergeFacts(facts, reduced.facts);
+    }
+
+    // Facts may use whatever the prose left over
+    const factsText = renderFacts(facts, targetTokens - estimateTokenCount(summary, provider), provider);
+
+    console.log(`Summary: ~${estimateTokenCount(summary, provider)} tokens, ${facts.length} facts (target: ${targetTokens})`);
+    report('Document summarization complete!');
+    return factsText ? `${summary}\n\nKEY FACTS AND FIGURES:\n${factsText}` : summary;
+}
@@ -3,9 +3,9 @@
  * Each prompt is optimized to extract the exact data structure needed for that section type
  */
 
-import { promptService } from './promptService';
+import { promptService, fillPlaceholders } from './promptService';
 
-const AVAILABLE_ICONS = [
+export const AVAILABLE_ICONS = [
   'Shield', 'ShieldCheck', 'Lock', 'Key', 'Zap', 'Cpu', 'Server', 'Database',
   'HardDrive', 'Activity', 'BarChart', 'LineChart', 'TrendingUp', 'Gauge',
   'Clock', 'Timer', 'RefreshCw', 'RotateCcw', 'Cloud', 'CloudOff', 'Download',
@@ -36,10 +36,11 @@ export function getExtractionPrompt(sectionOrType, fileContent) {
     let template = promptService.get('extraction.custom_html');
     if (!template) return "Error: Prompt not loaded";
 
-    return template
-      .replace('{{schemaFields}}', schemaFields)
-      .replace('{{schemaDescription}}', schemaDescription)
-      .replace('{{fileContent}}', fileContent.substring(0, 8000));
+    return fillPlaceholders(template, {
+      schemaFields,
+      schemaDescription,
+      fileContent: fileContent.substring(0, 8000)
+    });
   }
 
   // Map section types to prompt keys
@@ -57,15 +58,10 @@ export function getExtractionPrompt(sectionOrType, fileContent) {
     return `Generate JSON for ${sectionType} from content: ${fileContent.substring(0, 1000)}...`;
   }
 
-  // Replace common placeholders
-  let prompt = template.replace('{{fileContent}}', fileContent);
-
-  // Specific replacements
-  if (sectionType === 'FEATURE_GRID') {
-    prompt = prompt.replace('{{availableIcons}}', AVAILABLE_ICONS.join(', '));
-  }
-
-  return prompt;
+  return fillPlaceholders(template, {
+    fileContent,
+    availableIcons: AVAILABLE_ICONS.join(', ')
+  });
 }
 
 /**
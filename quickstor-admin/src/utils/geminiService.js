@@ -3,23 +3,29 @@
  * Handles high-level content generation logic using the configured AI provider
  */
 
-import { AIService, estimateTokenCount, getContextLimit, summarizeDocumentForContext, getAIConfig } from './aiService';
+import { AIService, estimateTokenCount, countTokens, loadRequestProvider, getAIConfig, isAbortError } from './aiService';
+import { summarizeDocumentForContext } from './documentSummarizer';
 import { promptService } from './promptService';
+import { parseJSONResponse } from './jsonSchema';
+import { getExtractionSchema, getSectionContentSchema } from './aiSchemas';
+
+// Instructions and formatting around the parts of a prompt we measure
+const PROMPT_OVERHEAD_TOKENS = 500;
+// Section content is a small JSON object - this is plenty, and is reserved in the context window
+const CONTENT_RESPONSE_TOKENS = 4096;
+// Extracted rows come back as JSON, so leave room for a long answer
+const EXTRACTION_RESPONSE_TOKENS = 8192;
+// Estimated counts can be off by 10-20%, so budgets built on them keep a wider margin
+const budgetMargin = (provider) => provider.exactTokenCounts ? 0.95 : 0.8;
 
 // Re-export extraction utilities so imports don't break
 // (These are pure functions, no dependencies)
 export function extractJSONFromResponse(text) {
-    const codeBlockMatch = text.match(/```(?:json)?\s*([\s\S]*?)```/);
-    if (codeBlockMatch) {
-        return JSON.parse(codeBlockMatch[1].trim());
-    }
-
-    const jsonMatch = text.match(/(\[[\s\S]*\]|\{[\s\S]*\})/);
-    if (jsonMatch) {
-        return JSON.parse(jsonMatch[1]);
+    try {
+        return parseJSONResponse(text);
+    } catch {
+        throw new Error('Could not extract valid JSON from AI response');
     }
-
-    throw new Error('Could not extract valid JSON from AI response');
 }
 
 export function parseCSVFallback(csvText, sectionType) {
@@ -70,9 +76,18 @@ export async function extractDataWithAI(fileContent, sectionOrType, getPrompt) {
         const baseSystemPrompt = promptService.getSystemPrompt();
         prompt = `${baseSystemPrompt}\n\n${prompt}`;
 
-        // Use AIService instead of direct Gemini call
-        const response = await AIService.generateContent(prompt);
-        const extractedData = extractJSONFromResponse(response);
+        // Rows can't be summarized away, so a file that doesn't fit goes to the CSV fallback
+        const provider = await loadRequestProvider();
+        const responseTokens = Math.min(provider.maxOutputTokens, EXTRACTION_RESPONSE_TOKENS);
+        const promptTokens = await countTokens(prompt);
+        const budget = Math.floor((provider.contextLimit - responseTokens) * budgetMargin(provider));
+        if (promptTokens > budget) {
+            throw new Error(`The file is too large for ${provider.model} (~${promptTokens} tokens, limit ~${budget})`);
+        }
+
+        // Validated against the section's row schema, with repair retries
+        const schema = getExtractionSchema(sectionType) || {};
+        const extractedData = await AIService.generateJSON(prompt, schema, { feature: 'extraction', maxTokens: responseTokens });
         return { data: extractedData, method: 'ai' };
     } catch (aiError) {
         console.warn('AI extraction failed, trying CSV fallback:', aiError.message);
@@ -98,8 +113,9 @@ export async function extractDataWithAI(fileContent, sectionOrType, getPrompt) {
  * @param {object} currentContent - Current section content/schema
  * @param {object} attachment - Optional file attachment
  * @param {function} onProgress - Optional callback for progress updates
+ * @param {AbortSignal} signal - Optional signal to stop generating
  */
-export async function generateSectionContent(sectionType, userPrompt, currentContent = {}, attachment = null, onProgress = null) {
+export async function generateSectionContent(sectionType, userPrompt, currentContent = {}, attachment = null, onProgress = null, signal = null) {
     let schemaDescription = '';
     let exampleJSON = '';
 
@@ -196,17 +212,16 @@ export async function generateSectionContent(sectionType, userPrompt, currentCon
     const baseSystemPrompt = promptService.getContentFillingPrompt();
 
     // Check provider and handle attachments accordingly
-    const config = getAIConfig();
-    const isGemini = config.provider === 'gemini';
+    const provider = await loadRequestProvider();
 
     // Determine if we can use the attachment
     let effectiveAttachment = null;
     if (attachment) {
         const isImageAttachment = attachment.type?.startsWith('image/');
 
-        if (isImageAttachment && !isGemini) {
-            // OpenAI-compatible providers (like DeepSeek) don't support image inputs
-            console.warn('Image attachments are only supported with Gemini. Skipping image for OpenAI-compatible provider.');
+        if (isImageAttachment && !provider.attachmentTypes.includes('image/')) {
+            // Text-only models (like DeepSeek) don't support image inputs
+            console.warn(`Image attachments are not supported by ${provider.label} (${provider.model}). Skipping image.`);
             // Don't throw - just proceed without the image
             // User can still use text attachments
         } else {
@@ -214,22 +229,23 @@ export async function generateSectionContent(sectionType, userPrompt, currentCon
         }
     }
 
-    // For OpenAI-compatible providers, check if text attachment exceeds context limit
-    if (effectiveAttachment && effectiveAttachment.text && !isGemini) {
-        const contextLimit = getContextLimit(config);
+    const responseTokens = Math.min(provider.maxOutputTokens, CONTENT_RESPONSE_TOKENS);
 
-        // Be VERY conservative with available space
-        // The full prompt (schema, examples, formatting) can be 2000+ tokens
-        // Plus we need response room of 4000+ tokens
-        // Use only 40% of context for the document to be safe
-        const safeDocumentLimit = Math.floor(contextLimit * 0.4); // ~52K for DeepSeek
+    // Check if a text attachment exceeds the model's context limit
+    if (effectiveAttachment && effectiveAttachment.text) {
+        const contextLimit = provider.contextLimit;
 
-        const documentTokens = estimateTokenCount(effectiveAttachment.text);
+        // The document gets what the prompt (schema, examples, formatting) and the
+        // response leave of the context window
+        const promptTokens = estimateTokenCount(baseSystemPrompt + schemaDescription + exampleJSON + userPrompt) + PROMPT_OVERHEAD_TOKENS;
+        const safeDocumentLimit = Math.floor((contextLimit - promptTokens - responseTokens) * budgetMargin(provider));
+
+        const documentTokens = await countTokens(effectiveAttachment.text, signal);
 
         console.log(`=== Context Limit Check ===`);
-        console.log(`Provider Context Limit: ${contextLimit} tokens`);
-        console.log(`Safe Document Limit (40%): ~${safeDocumentLimit} tokens`);
-        console.log(`Document Tokens: ~${documentTokens}`);
+        console.log(`Model: ${provider.model} (context ${contextLimit}, max output ${provider.maxOutputTokens} tokens)`);
+        console.log(`Safe Document Limit: ~${safeDocumentLimit} tokens (prompt ~${promptTokens}, response ${responseTokens})`);
+        console.log(`Document Tokens: ${provider.exactTokenCounts ? '' : '~'}${documentTokens}`);
 
         if (documentTokens > safeDocumentLimit) {
             if (onProgress) onProgress('Document too large, summarizing...');
@@ -238,8 +254,9 @@ export async function generateSectionContent(sectionType, userPrompt, currentCon
             const summarizedText = await summarizeDocumentForContext(
                 effectiveAttachment.text,
                 safeDocumentLimit,
-                config,
-                onProgress  // Pass the progress callback
+                getAIConfig(),
+                onProgress,  // Pass the progress callback
+                signal
             );
 
             // Update attachment with summarized content
@@ -280,7 +297,7 @@ export async function generateSectionContent(sectionType, userPrompt, currentCon
 
     // Debug: Log the full prompt and token estimate
     const promptCharCount = fullPrompt.length;
-    const estimatedTokens = Math.ceil(promptCharCount / 4); // ~4 chars per token estimate
+    const estimatedTokens = estimateTokenCount(fullPrompt, provider);
 
     console.log('=== AI Content Generation Debug ===');
     console.log('Full Prompt:\n', fullPrompt);
@@ -290,7 +307,7 @@ export async function generateSectionContent(sectionType, userPrompt, currentCon
 
     if (effectiveAttachment) {
         const attachmentSize = effectiveAttachment.base64?.length || effectiveAttachment.text?.length || 0;
-        const attachmentTokens = Math.ceil(attachmentSize / 4);
+        const attachmentTokens = Math.ceil(attachmentSize / provider.charsPerToken);
         console.log(`Attachment Size: ${attachmentSize} characters`);
         console.log(`Estimated Attachment Tokens: ~${attachmentTokens}`);
         console.log(`TOTAL Estimated Tokens: ~${estimatedTokens + attachmentTokens}`);
@@ -304,9 +321,16 @@ export async function generateSectionContent(sectionType, userPrompt, currentCon
             ? { text: fullPrompt, attachments: [effectiveAttachment] }
             : fullPrompt;
 
-        const response = await AIService.generateContent(payload);
-        return extractJSONFromResponse(response);
+        const schema = getSectionContentSchema(sectionType, currentContent);
+        return await AIService.generateJSON(payload, schema, {
+            feature: 'content-filler',
+            prompts: [promptService.ref('content.filling')],
+            maxTokens: responseTokens,
+            signal,
+            onRepair: () => onProgress && onProgress('Fixing the AI response format...')
+        });
     } catch (error) {
+        if (isAbortError(error)) throw error;
         console.error('AI Generation Failed:', error);
         throw new Error('Failed to generate content. Please try a different prompt.');
     }
@@ -0,0 +1,143 @@
+/**
+ * JSON Schema Utilities
+ * Parsing and validation for structured AI responses. Supports the subset of
+ * JSON Schema the AI tasks use: type, properties, required, additionalProperties,
+ * items, enum, minItems/maxItems, minLength, pattern, minimum/maximum - plus examples and
+ * default, which sampleFromSchema uses to build canned responses for the mock AI provider.
+ */
+
+const typeOf = (value) => {
+    if (value === null) return 'null';
+    if (Array.isArray(value)) return 'array';
+    if (Number.isInteger(value)) return 'integer';
+    return typeof value;
+};
+
+const matchesType = (value, type) => {
+    const actual = typeOf(value);
+    return actual === type || (type === 'number' && actual === 'integer');
+};
+
+/**
+ * Validate a value against a schema
+ * @param {object} schema
+ * @param {*} value
+ * @param {string} [path] - Location used in messages, e.g. "$.features[2].title"
+ * @returns {string[]} Human-readable errors (empty when valid) - these are sent back to the AI
+ */
+export function validateJSON(schema, value, path = '$') {
+    if (!schema) return [];
+
+    const types = schema.type ? [].concat(schema.type) : null;
+    if (types && !types.some(type => matchesType(value, type))) {
+        return [`${path} should be ${types.join(' or ')}, got ${typeOf(value)}`];
+    }
+
+    const errors = [];
+
+    if (schema.enum && !schema.enum.includes(value)) {
+        errors.push(`${path} should be one of ${schema.enum.map(v => JSON.stringify(v)).join(', ')}`);
+    }
+
+    if (typeof value === 'string') {
+        if (schema.minLength !== undefined && value.length < schema.minLength) {
+            errors.push(schema.minLength === 1 ? `${path} should not be empty` : `${path} should be at least ${schema.minLength} characters`);
+        }
+        if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+            errors.push(`${path} should match ${schema.pattern}`);
+        }
+    }
+
+    if (typeof value === 'number') {
+        if (schema.minimum !== undefined && value < schema.minimum) errors.push(`${path} should be >= ${schema.minimum}`);
+        if (schema.maximum !== undefined && value > schema.maximum) errors.push(`${path} should be <= ${schema.maximum}`);
+    }
+
+    if (Array.isArray(value)) {
+        if (schema.minItems !== undefined && value.length < schema.minItems) {
+            errors.push(`${path} should have at least ${schema.minItems} item(s)`);
+        }
+        if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+            errors.push(`${path} should have at most ${schema.maxItems} item(s)`);
+        }
+        if (schema.items) {
+            value.forEach((item, i) => errors.push(...validateJSON(schema.items, item, `${path}[${i}]`)));
+        }
+    }
+
+    if (typeOf(value) === 'object') {
+        const properties = schema.properties || {};
+        for (const key of schema.required || []) {
+            if (!(key in value)) errors.push(`${path}.${key} is missing`);
+        }
+        for (const [key, item] of Object.entries(value)) {
+            if (properties[key]) {
+                errors.push(...validateJSON(properties[key], item, `${path}.${key}`));
+            } else if (schema.additionalProperties === false) {
+                errors.push(`${path}.${key} is not allowed`);
+            } else if (typeof schema.additionalProperties === 'object') {
+                errors.push(...validateJSON(schema.additionalProperties, item, `${path}.${key}`));
+            }
+        }
+    }
+
+    return errors;
+}
+
+/**
+ * Parse JSON from an AI response. Accepts raw JSON, a ```json block, or JSON surrounded by text.
+ * @throws {Error} if no JSON can be found
+ */
+export function parseJSONResponse(text) {
+    const trimmed = (text || '').trim();
+    try {
+        return JSON.parse(trimmed);
+    } catch {
+        // Fall through to the lenient forms
+    }
+
+    const codeBlockMatch = trimmed.match(/```(?:json)?\s*([\s\S]*?)```/);
+    if (codeBlockMatch) {
+        return JSON.parse(codeBlockMatch[1].trim());
+    }
+
+    const jsonMatch = trimmed.match(/(\[[\s\S]*\]|\{[\s\S]*\})/);
+    if (jsonMatch) {
+        return JSON.parse(jsonMatch[1]);
+    }
+
+    throw new Error('Response is not JSON');
+}
+
+/**
+ * Build a small value that satisfies a schema. Uses examples/default where the schema
+ * gives them (needed for patterns, which can't be generated), otherwise the first enum
+ * value, the minimum, and one item per array. Deterministic, so it suits fixtures and tests.
+ */
+export function sampleFromSchema(schema = {}) {
+    if (schema.examples?.length) return structuredClone(schema.examples[0]);
+    if (schema.default !== undefined) return structuredClone(schema.default);
+    if (schema.enum) return schema.enum[0];
+
+    switch ([].concat(schema.type || 'object')[0]) {
+        case 'object': {
+            const properties = schema.properties || {};
+            const keys = [...new Set([...Object.keys(properties), ...(schema.required || [])])];
+            return Object.fromEntries(keys.map(key => [
+                key,
+                sampleFromSchema(properties[key] || (typeof schema.additionalProperties === 'object' ? schema.additionalProperties : { type: 'string' }))
+            ]));
+        }
+        case 'array':
+            return Array.from({ length: Math.max(schema.minItems || 0, 1) }, () => sampleFromSchema(schema.items));
+        case 'string':
+            return 'Sample text';
+        case 'integer':
+        case 'number':
+            return schema.minimum ?? 1;
+        case 'boolean':
+            return false;
+        default:
+            return null;
+    }
+}
@@ -0,0 +1,118 @@
+/**
+ * Media Service
+ * Images and files are stored by the backend and referenced by URL,
+ * instead of being embedded in the site document as base64.
+ */
+
+import { authHeaders } from './authService';
+
+const MEDIA_URL = '/api/media';
+
+// Upload limits come from the backend (media.js), fetched once
+let limitsRequest = null;
+
+async function mediaRequest(path = '', options = {}) {
+    const response = await fetch(`${MEDIA_URL}${path}`, {
+        ...options,
+        headers: { 'Content-Type': 'application/json', ...authHeaders(), ...options.headers }
+    });
+
+    const data = await response.json().catch(() => ({}));
+    if (!response.ok) {
+        const error = new Error(data.error || `Media request failed: ${response.status}`);
+        error.status = response.status;
+        error.usage = data.usage; // Set when deleting a file that is still in use
+        throw error;
+    }
+    return data;
+}
+
+/**
+ * What the backend accepts: { maxUploadBytes, types }
+ * @returns {Promise<{maxUploadBytes: number, types: string[]}|null>} null if they couldn't be loaded
+ */
+export function getUploadLimits() {
+    if (!limitsRequest) {
+        limitsRequest = mediaRequest('/limits').catch((error) => {
+            console.warn('Could not load upload limits:', error.message);
+            limitsRequest = null; // Try again next time
+            return null;
+        });
+    }
+    return limitsRequest;
+}
+
+// Refuse a file the backend would reject, before sending it. Without limits the backend still checks.
+async function checkUploadSize(file, label) {
+    const limits = await getUploadLimits();
+    if (limits && file.size > limits.maxUploadBytes) {
+        throw new Error(`${label} is too large (max ${limits.maxUploadBytes / 1024 / 1024}MB)`);
+    }
+}
+
+/**
+ * Upload a file or blob
+ * @param {File|Blob} file
+ * @param {string} [name] - Display name for the media library (defaults to file.name)
+ * @returns {Promise<{url: string, file: string, type: string, size: number, name: string}>}
+ */
+export async function uploadMedia(file, name) {
+    await checkUploadSize(file, 'Image');
+
+    const displayName = name || file.name;
+    const response = await fetch(MEDIA_URL, {
+        method: 'POST',
+        headers: {
+            'Content-Type': file.type,
+            ...(displayName ? { 'X-Filename': encodeURIComponent(displayName) } : {}),
+            ...authHeaders()
+        },
+        body: file
+    });
+
+    const data = await response.json().catch(() => ({}));
+    if (!response.ok) {
+        throw new Error(data.error || `Upload failed: ${response.status}`);
+    }
+    return data;
+}
+
+/**
+ * List the media library, newest first
+ * @returns {Promise<Array<{file, url, name, type, size, tags, uploadedBy, uploadedAt, usage}>>}
+ * usage lists where each file is referenced: [{ docPath, location, writable }] -
+ * writable is false for documents you may not change (e.g. Live without the publisher role)
+ */
+export async function listMedia() {
+    const { media } = await mediaRequest();
+    return media;
+}
+
+/**
+ * Rename and/or re-tag a file
+ */
+export const updateMedia = (file, { name, tags }) =>
+    mediaRequest(`/${file}`, { method: 'PATCH', body: JSON.stringify({ name, tags }) });
+
+/**
+ * Replace a file's content. Every page using it switches to the new file.
+ * @returns {Promise<{media: object, updatedDocs: string[], skippedDocs: string[]}>} skippedDocs are documents
+ * you may not change (e.g. Live without the publisher role) - they keep the old file
+ */
+export async function replaceMedia(file, replacement) {
+    await checkUploadSize(replacement, 'File');
+    return mediaRequest(`/${file}`, {
+        method: 'PUT',
+        headers: { 'Content-Type': replacement.type },
+        body: replacement
+    });
+}
+
+/**
+ * Delete a file. Fails with error.usage set if it is still in use - status 409 unless force is
+ * true, 403 if a document you may not change uses it. Revision history counts as a use.
+ */
+export const deleteMedia = (file, { force = false } = {}) =>
+    mediaRequest(`/${file}${force ? '?force=true' : ''}`, { method: 'DELETE' });
+
+export const isImage = (media) => media.type.startsWith('image/');
@@ -0,0 +1,88 @@
+/**
+ * Three-way Merge for Staging Content
+ * Combines local edits with changes someone else saved in the meantime.
+ * base = what this editor loaded, mine = local state, theirs = current server copy.
+ * Whatever only one side changed is taken from that side; when both changed the
+ * same item differently, the local version wins and the item is reported.
+ */
+
+const MERGED_FIELDS = ['navbar', 'footer', 'theme'];
+const MERGED_LISTS = ['savedThemes', 'customSections'];
+
+const same = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+function mergeValue(base, mine, theirs, label, conflicts) {
+    if (same(mine, theirs)) return mine;
+    if (same(mine, base)) return theirs;
+    if (same(theirs, base)) return mine;
+    conflicts.push(label);
+    return mine;
+}
+
+/**
+ * Merge arrays of { id } objects: additions and deletions from both sides are kept,
+ * items present on both sides go through mergeItem
+ */
+function mergeById(base = [], mine = [], theirs = [], label, conflicts, mergeItem = mergeValue) {
+    const baseById = new Map(base.map(item => [item.id, item]));
+    const theirsById = new Map(theirs.map(item => [item.id, item]));
+    const mineIds = new Set(mine.map(item => item.id));
+    const result = [];
+
+    for (const item of mine) {
+        const itemLabel = `${label} "${item.title || item.name || item.id}"`;
+        if (theirsById.has(item.id)) {
+            result.push(mergeItem(baseById.get(item.id), item, theirsById.get(item.id), itemLabel, conflicts));
+        } else if (!baseById.has(item.id)) {
+            result.push(item); // Added locally
+        } else if (!same(item, baseById.get(item.id))) {
+            conflicts.push(itemLabel); // Deleted remotely but edited locally - keep the edit
+            result.push(item);
+        }
+        // else: deleted remotely and untouched locally - drop it
+    }
+
+    for (const item of theirs) {
+        if (mineIds.has(item.id)) continue;
+        if (!baseById.has(item.id)) {
+            result.push(item); // Added remotely
+        } else if (!same(item, baseById.get(item.id))) {
+            conflicts.push(`${label} "${item.title || item.name || item.id}"`); // Deleted locally, edited remotely
+        }
+    }
+
+    return result;
+}
+
+function mergePage(base, mine, theirs, label, conflicts) {
+    if (!base) return mergeValue(base, mine, theirs, label, conflicts);
+    return {
+        ...mine,
+        title: mergeValue(base.title, mine.title, theirs.title, `${label} title`, conflicts),
+        slug: mergeValue(base.slug, mine.slug, theirs.slug, `${label} URL`, conflicts),
+        sections: mergeById(base.sections, mine.sections, theirs.sections, `${label} section`, conflicts)
+    };
+}
+
+/**
+ * Merge local staging content with the server's copy
+ * @param {object} base - Staging document as it was when the editor loaded it
+ * @param {object} mine - Local content ({ navbar, footer, pages, theme, savedThemes, customSections })
+ * @param {object} theirs - Staging document currently on the server
+ * @returns {{ merged: object, conflicts: string[] }} conflicts lists items both sides changed (local kept)
+ */
+export function mergeContent(base, mine, theirs) {
+    const conflicts = [];
+    const merged = { ...mine };
+    base = base || {};
+
+    MERGED_FIELDS.forEach(field => {
+        merged[field] = mergeValue(base[field], mine[field], theirs[field], field, conflicts);
+    });
+    MERGED_LISTS.forEach(field => {
+        merged[field] = mergeById(base[field], mine[field], theirs[field], field, conflicts);
+    });
+    merged.pages = mergeById(base.pages, mine.pages, theirs.pages, 'page', conflicts, mergePage);
+
+    return { merged, conflicts };
+}
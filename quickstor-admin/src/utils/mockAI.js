@@ -0,0 +1,187 @@
+/**
+ * Mock AI Provider
+ * Deterministic stand-in for the backend AI proxy, so every AI feature can be used
+ * offline and in automated tests. Requests are keyed by a hash of their messages:
+ *
+ *   replay - no AI requests leave the browser. A fixture for the prompt is replayed
+ *            (streams chunk by chunk); otherwise a canned response is built - a sample value
+ *            from the request's JSON Schema, or a short text.
+ *   record - requests go to the real provider and each response is saved as a fixture.
+ *            Export them from Settings into src/fixtures/ai/ to replay them everywhere.
+ *
+ * The mode is set per browser in Settings, or for a whole build/dev server with
+ * VITE_AI_MOCK=replay|record (e.g. for end-to-end tests). npm run test:ai-fixtures replays
+ * features against the bundled fixtures (scripts/replay-ai-fixtures.js).
+ */
+
+import { sampleFromSchema } from './jsonSchema';
+
+const MODE_KEY = 'quickstor_ai_mock';
+const RECORDED_KEY = 'quickstor_ai_fixtures';
+export const MOCK_MODES = ['off', 'replay', 'record'];
+
+// Pause between replayed chunks, so streaming UIs behave as they do live
+const CHUNK_DELAY_MS = 15;
+const CANNED_CHUNK_CHARS = 24;
+
+// Fixture files: { "<hash>": { feature, prompt, chunks: [string] } }
+// Loaded on first use, so they stay out of the main bundle
+const FIXTURE_FILES = import.meta.glob('../fixtures/ai/*.json', { import: 'default' });
+let bundledFixtures = null;
+
+// What the rest of the admin sees as the active provider while replaying
+export const MOCK_PROVIDER = {
+    id: 'mock',
+    label: 'Mock AI (offline)',
+    model: 'fixtures',
+    hasApiKey: true,
+    contextLimit: 1000000,
+    maxOutputTokens: 8192,
+    attachmentTypes: ['image/', 'application/pdf', 'audio/', 'video/', 'text/'],
+    price: null,
+    exactTokenCounts: false,
+    charsPerToken: 4
+};
+
+// --- Mode ---
+
+export function getMockMode() {
+    const mode = localStorage.getItem(MODE_KEY) || import.meta.env.VITE_AI_MOCK;
+    return MOCK_MODES.includes(mode) ? mode : 'off';
+}
+
+export function setMockMode(mode) {
+    if (mode === 'off') localStorage.removeItem(MODE_KEY);
+    else localStorage.setItem(MODE_KEY, mode);
+}
+
+// --- Fixtures ---
+
+/**
+ * cyrb53 - a fast 53-bit string hash, returned as hex
+ */
+function hashString(text) {
+    let h1 = 0xdeadbeef;
+    let h2 = 0x41c6ce57;
+    for (let i = 0; i < text.length; i++) {
+        const ch = text.charCodeAt(i);
+        h1 = Math.imul(h1 ^ ch, 2654435761);
+        h2 = Math.imul(h2 ^ ch, 1597334677);
+    }
+    h1 = Math.imul(h1 ^ (h1 >>> 16), 2246822507) ^ Math.imul(h2 ^ (h2 >>> 13), 3266489909);
+    h2 = Math.imul(h2 ^ (h2 >>> 16), 2246822507) ^ Math.imul(h1 ^ (h1 >>> 13), 3266489909);
+    return (4294967296 * (2097151 & h2) + (h1 >>> 0)).toString(16).padStart(14, '0');
+}
+
+/**
+ * Fixture key for a request: its messages (with attachments) and response format.
+ * Temperature, token limits and the feature tag don't change the key.
+ */
+export function hashPrompt(messages, { responseFormat } = {}) {
+    return hashString(JSON.stringify({ messages, responseFormat: responseFormat || null }));
+}
+
+/**
+ * Fixtures recorded in this browser
+ */
+export function getRecordedFixtures() {
+    try {
+        return JSON.parse(localStorage.getItem(RECORDED_KEY)) || {};
+    } catch {
+        return {};
+    }
+}
+
+export function clearRecordedFixtures() {
+    localStorage.removeItem(RECORDED_KEY);
+}
+
+async function loadBundledFixtures() {
+    if (!bundledFixtures) {
+        const files = await Promise.all(Object.values(FIXTURE_FILES).map(load => load()));
+        bundledFixtures = Object.assign({}, ...files);
+    }
+    return bundledFixtures;
+}
+
+// Start of the last message, so people can tell fixtures apart in the exported file
+const promptPreview = (messages) => (messages[messages.length - 1]?.text || '').slice(0, 120);
+
+/**
+ * Save a live response as a fixture (record mode)
+ */
+export function recordFixture(messages, options, chunks) {
+    const fixtures = getRecordedFixtures();
+    fixtures[hashPrompt(messages, options)] = {
+        feature: options.feature || null,
+        prompt: promptPreview(messages),
+        chunks
+    };
+    try {
+        localStorage.setItem(RECORDED_KEY, JSON.stringify(fixtures));
+    } catch (error) {
+        console.warn('Could not save AI fixture (storage full?):', error.message);
+    }
+}
+
+// --- Replay ---
+
+const abortError = () => new DOMException('The request was stopped', 'AbortError');
+
+const delay = (ms, signal) => new Promise((resolve, reject) => {
+    if (signal?.aborted) return reject(abortError());
+    const timer = setTimeout(resolve, ms);
+    signal?.addEventListener('abort', () => {
+        clearTimeout(timer);
+        reject(abortError());
+    }, { once: true });
+});
+
+/**
+ * A response for a prompt without a fixture: a sample value for JSON requests, a short text otherwise
+ */
+function cannedChunks(messages, { schema, feature }) {
+    const text = schema
+        ? JSON.stringify(sampleFromSchema(schema), null, 2)
+        : `Mock ${feature || 'AI'} response for: ${promptPreview(messages).slice(0, 60)}`;
+
+    const chunks = [];
+    for (let i = 0; i < text.length; i += CANNED_CHUNK_CHARS) chunks.push(text.slice(i, i + CANNED_CHUNK_CHARS));
+    return chunks;
+}
+
+/**
+ * Chunks to replay for a request - its fixture, or a canned response
+ */
+async function findChunks(messages, options) {
+    const hash = hashPrompt(messages, options);
+    const fixture = getRecordedFixtures()[hash] || (await loadBundledFixtures())[hash];
+    if (fixture) return fixture.chunks;
+
+    console.info(`[Mock AI] No fixture for ${hash} (${options.feature || 'untagged'}) - using a canned response`);
+    return cannedChunks(messages, options);
+}
+
+/**
+ * Replay a complete response
+ * @param {{schema?: object, feature?: string, responseFormat?: string, signal?: AbortSignal}} options
+ */
+export async function mockGenerate(messages, options = {}) {
+    const chunks = await findChunks(messages, options);
+    await delay(CHUNK_DELAY_MS, options.signal);
+    return chunks.join('');
+}
+
+/**
+ * Replay a streamed response chunk by chunk. onChunk(chunk, fullText) as for a live stream.
+ */
+export async function mockStream(messages, onChunk, options = {}) {
+    const chunks = await findChunks(messages, options);
+    let fullText = '';
+    for (const chunk of chunks) {
+        await delay(CHUNK_DELAY_MS, options.signal);
+        fullText += chunk;
+        if (onChunk) onChunk(chunk, fullText);
+    }
+    return fullText;
+}
@@ -1,117 +1,303 @@
+/**
+ * Prompt Service
+ * The prompts every AI feature is built from. Built-in defaults ship in public/prompts.json;
+ * edits are stored on the server with a version history, so the whole team shares them.
+ */
+
+import { authHeaders } from './authService';
+
+const PROMPTS_URL = '/api/prompts';
+
+// Per-browser overrides from before prompts were stored on the server - moved there once
+const LEGACY_OVERRIDES = {
+    'system.default': 'quickstor_system_prompt_custom',
+    'content.filling': 'quickstor_content_filling_prompt'
+};
+// Old cached copy of prompts.json, never edited by hand
+const LEGACY_CACHE_KEY = 'quickstor_prompts';
 
-const CACHE_KEY = 'quickstor_prompts';
+const FALLBACK_SYSTEM_PROMPT = 'You are a professional UX copywriter and web designer.';
 
 /**
- * Service to manage system prompts, loading them from external JSON
- * and ensuring they are available to the application.
+ * The prompts the admin uses, and the {{placeholders}} each one is filled in with
  */
+export const PROMPT_DEFINITIONS = [
+    {
+        key: 'system.default',
+        label: 'Library Sections System Prompt',
+        description: 'Base instructions for section generation and general content tasks.',
+        variables: {}
+    },
+    {
+        key: 'content.filling',
+        label: 'AI Filling Content Prompt',
+        description: 'The agent persona that fills in section content from the property panel.',
+        variables: {}
+    },
+    {
+        key: 'theme.generation',
+        label: 'Theme Generation',
+        description: 'Turns a description into a color theme in the Theme Editor.',
+        variables: {
+            userPrompt: 'The theme description typed by the user'
+        }
+    },
+    {
+        key: 'extraction.custom_html',
+        label: 'Extraction: Custom Sections',
+        description: 'Fills a custom section\'s fields from an uploaded document.',
+        variables: {
+            schemaFields: 'The section\'s fields as a JSON skeleton',
+            schemaDescription: 'One line per field with its type and description',
+            fileContent: 'The document text (summarized if too long)'
+        }
+    },
+    {
+        key: 'extraction.comparison_graph',
+        label: 'Extraction: Comparison Graph',
+        description: 'Pulls benchmark figures from a document for the comparison graph.',
+        variables: {
+            fileContent: 'The document text (summarized if too long)'
+        }
+    },
+    {
+        key: 'extraction.feature_grid',
+        label: 'Extraction: Feature Grid',
+        description: 'Turns a document into feature cards.',
+        variables: {
+            availableIcons: 'The icon names the section can display',
+            fileContent: 'The document text (summarized if too long)'
+        }
+    },
+    {
+        key: 'extraction.hero',
+        label: 'Extraction: Hero',
+        description: 'Writes hero section copy from a document.',
+        variables: {
+            fileContent: 'The document text (summarized if too long)'
+        }
+    }
+];
+
+/**
+ * Names of the {{placeholders}} used in a prompt, in order of first use
+ */
+export function findPlaceholders(text) {
+    return [...new Set([...(text || '').matchAll(/\{\{\s*(\w+)\s*\}\}/g)].map(match => match[1]))];
+}
+
+/**
+ * Fill in a prompt's {{placeholders}}. Placeholders without a value are left as they are.
+ * @param {string} template
+ * @param {Object<string, string>} values
+ */
+export function fillPlaceholders(template, values) {
+    return (template || '').replace(/\{\{\s*(\w+)\s*\}\}/g, (match, name) => (
+        Object.prototype.hasOwnProperty.call(values, name) ? String(values[name]) : match
+    ));
+}
+
+async function promptsRequest(path, options = {}) {
+    const response = await fetch(`${PROMPTS_URL}${path}`, {
+        ...options,
+        headers: { 'Content-Type': 'application/json', ...authHeaders(), ...options.headers }
+    });
+
+    const data = await response.json().catch(() => ({}));
+    if (!response.ok) {
+        throw Object.assign(new Error(data.error || `Prompt request failed: ${response.status}`), {
+            status: response.status,
+            current: data.current
+        });
+    }
+    return data;
+}
+
+const lookup = (tree, path) => path.split('.').reduce((obj, key) => obj?.[key], tree);
+
 class PromptService {
     constructor() {
-        this.prompts = null;
+        this.defaults = null;
+        // Current server version of each edited prompt: { "<key>": { version, text, author, action, timestamp } }
+        this.stored = {};
         this.initializationPromise = null;
     }
 
     /**
-     * Initialize the service by loading prompts from localStorage or fetching from public/prompts.json
+     * Load the built-in defaults and the team's edits. Safe to call repeatedly.
      */
     async init() {
         if (this.initializationPromise) return this.initializationPromise;
 
         this.initializationPromise = (async () => {
-            try {
-                // 1. Try to load from LocalStorage first (User customizations)
-                const stored = localStorage.getItem(CACHE_KEY);
-                if (stored) {
-                    try {
-                        this.prompts = JSON.parse(stored);
-                        console.log('Prompts loaded from localStorage');
-                        return;
-                    } catch (e) {
-                        console.error('Failed to parse (or invalid) stored prompts, clearing...', e);
-                        localStorage.removeItem(CACHE_KEY);
-                    }
-                }
-
-                // 2. Fetch from public/prompts.json if strictly needed (first run or reset)
-                // Note: In production, you might want to always fetch to check for updates,
-                // but for now we prioritize user local storage if it exists.
-                console.log('Fetching default prompts from /prompts.json...');
-                // Use BASE_URL to handle subpath deployment (/adminportal/)
-                const baseUrl = import.meta.env.BASE_URL.endsWith('/') ? import.meta.env.BASE_URL : `${import.meta.env.BASE_URL}/`;
-                const response = await fetch(`${baseUrl}prompts.json`);
-                if (!response.ok) throw new Error('Failed to fetch default prompts');
-
-                const defaults = await response.json();
-                this.prompts = defaults;
-
-                // Do not auto-save defaults to localStorage anymore.
-                // Only user customizations should be saved.
-
-            } catch (error) {
-                console.error('CRITICAL: Failed to initialize prompts!', error);
-                // Fallback to empty prompts - user MUST configure them
-                this.prompts = { system: { default: "" } };
-            }
+            await Promise.all([this.loadDefaults(), this.loadStored()]);
+            await this.migrateLegacyOverrides();
         })();
 
         return this.initializationPromise;
     }
 
     /**
-     * Get a specific prompt by path (e.g., 'theme.generation')
+     * Fetch the team's edits again (e.g. after signing in)
+     */
+    async refresh() {
+        this.initializationPromise = null;
+        return this.init();
+    }
+
+    async loadDefaults() {
+        if (this.defaults) return;
+        try {
+            // Use BASE_URL to handle subpath deployment (/adminportal/)
+            const baseUrl = import.meta.env.BASE_URL.endsWith('/') ? import.meta.env.BASE_URL : `${import.meta.env.BASE_URL}/`;
+            const response = await fetch(`${baseUrl}prompts.json`);
+            if (!response.ok) throw new Error('Failed to fetch default prompts');
+            this.defaults = await response.json();
+        } catch (error) {
+            console.error('CRITICAL: Failed to load default prompts!', error);
+        }
+    }
+
+    async loadStored() {
+        try {
+            const { prompts } = await promptsRequest('');
+            this.stored = prompts;
+        } catch (error) {
+            // Signed out or offline - the defaults still work
+            console.warn('Could not load saved prompts, using defaults:', error.message);
+        }
+    }
+
+    /**
+     * Move overrides saved in this browser by older versions to the server, once.
+     * Only admins can save prompts; for anyone else they stay put until an admin signs in here.
+     */
+    async migrateLegacyOverrides() {
+        localStorage.removeItem(LEGACY_CACHE_KEY);
+        localStorage.removeItem('quickstor_system_prompt');
+
+        for (const [key, storageKey] of Object.entries(LEGACY_OVERRIDES)) {
+            const text = localStorage.getItem(storageKey);
+            if (!text) continue;
+
+            if (this.stored[key] || text === this.getDefault(key)) {
+                localStorage.removeItem(storageKey);
+                continue;
+            }
+            try {
+                await this.save(key, text, { note: 'Imported from browser settings', baseVersion: 0 });
+                localStorage.removeItem(storageKey);
+                console.log(`Moved custom ${key} prompt to the server`);
+            } catch (error) {
+                if (error.status !== 403) console.warn(`Could not move custom ${key} prompt to the server:`, error.message);
+            }
+        }
+    }
+
+    /**
+     * Get a specific prompt by path (e.g., 'theme.generation') - the team's version or the default
      */
     get(path) {
-        if (!this.prompts) return "";
+        const text = this.stored[path]?.text;
+        return typeof text === 'string' ? text : this.getDefault(path);
+    }
+
+    /**
+     * The built-in default for a prompt
+     */
+    getDefault(path) {
+        return (this.defaults && lookup(this.defaults, path)) || "";
+    }
+
+    /**
+     * Current server version of a prompt, or null if it has never been edited
+     */
+    getStored(path) {
+        return this.stored[path] || null;
+    }
+
+    /**
+     * Text of every prompt the team has edited (for backups): { "<key>": text }
+     */
+    getEdited() {
+        return Object.fromEntries(Object.entries(this.stored)
+            .filter(([, version]) => typeof version.text === 'string')
+            .map(([key, version]) => [key, version.text]));
+    }
 
-        return path.split('.').reduce((obj, key) => obj?.[key], this.prompts) || "";
+    /**
+     * Reference to the current version of a prompt, sent with AI requests (the prompts option)
+     * so the generation log can replay the call with a later version
+     * @param {Object<string, string>} variables - The values its placeholders were filled with
+     */
+    ref(path, variables = {}) {
+        return { key: path, version: this.stored[path]?.version || 0, template: this.get(path), variables };
     }
 
     /**
-     * Get the active system prompt (Custom or Default)
+     * A prompt with its placeholders filled in, and its reference for the AI request
+     * @returns {{text: string, ref: {key: string, version: number, template: string, variables: object}}}
      */
+    render(path, values = {}) {
+        const ref = this.ref(path, values);
+        return { text: fillPlaceholders(ref.template, values), ref };
+    }
+
     /**
      * Get the active "AI Filling Content Prompt"
      */
     getContentFillingPrompt() {
-        // Try custom first (User defined)
-        const custom = localStorage.getItem('quickstor_content_filling_prompt');
-        if (custom) return custom;
+        return this.get('content.filling');
+    }
 
-        // Fallback: Default Agent Persona
-        return `You are an expert Content Architect and Web Copywriter Agent.
-Your goal is to help the user perfectly fill in the content fields for their website sections.
-You are creative, concise, and technically precise with JSON structure.
-You understand modern web design trends and write engaging, conversion-focused copy.
-When a user provides a file or image, analyze it deeply to extract relevant themes, tone, and details to generate the best possible content match.`;
+    /**
+     * Get the general system prompt
+     */
+    getSystemPrompt() {
+        return this.get('system.default') || FALLBACK_SYSTEM_PROMPT;
     }
 
     /**
-     * Get the general system prompt (Legacy / General)
+     * Save a new version of a prompt (admins only)
+     * @param {object} options - { note, baseVersion } baseVersion is the version being edited;
+     *   the save fails with status 409 if someone else saved in the meantime
      */
+    async save(path, text, { note, baseVersion } = {}) {
+        const saved = await promptsRequest(`/${encodeURIComponent(path)}`, {
+            method: 'PUT',
+            body: JSON.stringify({ text, note, baseVersion })
+        });
+        if (saved) this.stored = { ...this.stored, [path]: saved };
+        return saved;
+    }
+
     /**
-     * Get the general system prompt (Legacy / General)
+     * Go back to the built-in default (kept in the history)
      */
-    getSystemPrompt() {
-        // Try custom first
-        const custom = localStorage.getItem('quickstor_system_prompt_custom');
-        if (custom) return custom;
+    async resetToDefault(path, { baseVersion } = {}) {
+        const saved = await promptsRequest(`/${encodeURIComponent(path)}`, {
+            method: 'DELETE',
+            body: JSON.stringify({ baseVersion })
+        });
+        if (saved) this.stored = { ...this.stored, [path]: saved };
+        return saved;
+    }
 
-        // Fallback to default in prompts.json
-        return this.get('system.default') || "You are a professional UX copywriter and web designer.";
+    /**
+     * Every saved version of a prompt, newest first
+     */
+    async listVersions(path) {
+        const { versions } = await promptsRequest(`/${encodeURIComponent(path)}/versions`);
+        return versions;
     }
 
     /**
-     * Reload prompts from source (Reset to defaults)
+     * Make an earlier version current (recorded as a new 'rollback' version)
      */
-    async resetToDefaults() {
-        localStorage.removeItem(CACHE_KEY);
-        localStorage.removeItem('quickstor_system_prompt_custom');
-        // Clean up legacy key if present
-        localStorage.removeItem('quickstor_system_prompt');
-        this.prompts = null;
-        this.initializationPromise = null;
-        await this.init();
-        return this.prompts;
+    async rollback(path, version) {
+        const saved = await promptsRequest(`/${encodeURIComponent(path)}/versions/${version}/restore`, { method: 'POST' });
+        this.stored = { ...this.stored, [path]: saved };
+        return saved;
     }
 }
 
@@ -0,0 +1,45 @@
+/**
+ * Revision History Service
+ * Every save, publish, reject and restore is kept by the backend as a revision
+ */
+
+import { authHeaders } from './authService';
+
+const REVISIONS_URL = '/api/revisions';
+
+async function revisionsRequest(path, docPath, options = {}) {
+    const response = await fetch(`${REVISIONS_URL}${path}?doc=${encodeURIComponent(docPath)}`, {
+        ...options,
+        headers: { 'Content-Type': 'application/json', ...authHeaders(), ...options.headers }
+    });
+
+    const data = await response.json().catch(() => ({}));
+    if (!response.ok) {
+        throw Object.assign(new Error(data.error || `Revision request failed: ${response.status}`), {
+            status: response.status
+        });
+    }
+    return data;
+}
+
+/**
+ * List revisions for a document, newest first
+ * @param {string} docPath - e.g. 'sites/quickstor-staging'
+ * @returns {Promise<{revisions: Array, etag: string|null}>} etag is the document's current one, for restoreRevision
+ */
+export const listRevisions = (docPath) => revisionsRequest('', docPath);
+
+/**
+ * Fetch a single revision including the full document
+ * @returns {Promise<{revision: object, data: object}>}
+ */
+export const getRevision = (docPath, id) => revisionsRequest(`/${id}`, docPath);
+
+/**
+ * Make an earlier revision the current document (recorded as a new 'rollback' revision)
+ * @param {string} [etag] - From listRevisions; fails with status 409 if the document changed since
+ */
+export const restoreRevision = (docPath, id, etag) => revisionsRequest(`/${id}/restore`, docPath, {
+    method: 'POST',
+    headers: etag ? { 'If-Match': etag } : {}
+});
@@ -3,53 +3,47 @@
  * Generates and iteratively edits HTML sections using Gemini AI
  */
 
-import { AIService } from './aiService';
+import { AIService, isAbortError } from './aiService';
+import { CUSTOM_SECTION_SCHEMA } from './aiSchemas';
 import { getSectionGenerationPrompt, getAIPromptPrefix } from './styleContext';
+import { promptService } from './promptService';
+
+// Shown in the streamed output when a response fails validation and the AI is asked to fix it
+const reportRepair = (onProgress) => (errors) => {
+    const note = `\n\n[Response didn't match the section format (${errors.length} issue(s)) - asking the AI to fix it...]\n\n`;
+    if (onProgress) onProgress(note, note);
+};
 
 /**
  * Generate a section HTML from a user prompt (initial generation)
  * @param {string} userPrompt - The user's description of what they want
  * @param {function(string, string): void} onProgress - Callback(chunk, fullText)
+ * @param {Array} attachments - Files to send with the prompt
+ * @param {AbortSignal} signal - Stops the generation; the returned promise then rejects with an AbortError
  * @returns {Promise<{html: string, schema: Array, defaultContent: Object, error: string|null}>}
  */
-export async function generateSectionHTML(userPrompt, onProgress, attachments = []) {
+export async function generateSectionHTML(userPrompt, onProgress, attachments = [], signal = null) {
     try {
         const promptText = getSectionGenerationPrompt(userPrompt);
         // Pass object with text and attachments
-        const response = await AIService.streamContent({
+        const result = await AIService.streamJSON({
             text: promptText,
             attachments
-        }, onProgress);
-
-        // Clean up the response
-        let text = response.trim();
-        // Remove markdown blocks if present
-        text = text.replace(/^```(?:json)?\s*/i, '').replace(/\s*```$/i, '');
-
-        let result;
-        try {
-            result = JSON.parse(text);
-        } catch (e) {
-            // Fallback try to find JSON object if mixed with text
-            const jsonMatch = text.match(/\{[\s\S]*\}/);
-            if (jsonMatch) {
-                result = JSON.parse(jsonMatch[0]);
-            } else {
-                throw new Error('AI did not return valid JSON. Please try rephrasing your prompt.');
-            }
-        }
-
-        if (!result.html) {
-            throw new Error('AI response missing HTML content.');
-        }
+        }, CUSTOM_SECTION_SCHEMA, onProgress, {
+            feature: 'section-creator',
+            prompts: [promptService.ref('system.default')],
+            signal,
+            onRepair: reportRepair(onProgress)
+        });
 
         return {
             html: result.html,
-            schema: result.schema || [],
-            defaultContent: result.defaultContent || {},
+            schema: result.schema,
+            defaultContent: result.defaultContent,
             error: null
         };
     } catch (error) {
+        if (isAbortError(error)) throw error;
         console.error('Section generation error:', error);
         return {
             html: null,
@@ -66,9 +60,11 @@ export async function generateSectionHTML(userPrompt, onProgress, attachments =
  * @param {string} currentHTML - The current HTML of the section
  * @param {string} editRequest - The user's edit request
  * @param {function(string, string): void} onProgress - Callback(chunk, fullText)
+ * @param {Array} attachments - Files to send with the edit request
+ * @param {AbortSignal} signal - Stops the generation; the returned promise then rejects with an AbortError
  * @returns {Promise<{html: string, schema: Array, defaultContent: Object, error: string|null}>}
  */
-export async function editSectionWithChat(chatHistory, currentHTML, editRequest, onProgress, attachments = []) {
+export async function editSectionWithChat(chatHistory, currentHTML, editRequest, onProgress, attachments = [], signal = null) {
     try {
         // Build the conversation for Gemini
         const systemContext = `${getAIPromptPrefix()}
@@ -108,31 +104,21 @@ Respond with a JSON object containing the COMPLETE updated "html", "schema", and
             attachments: attachments // Pass new attachments
         });
 
-        const response = await AIService.streamChat(messages, onProgress);
-
-        // Clean up response
-        let text = response.trim();
-        text = text.replace(/^```(?:json)?\s*/i, '').replace(/\s*```$/i, '');
-
-        let result;
-        try {
-            result = JSON.parse(text);
-        } catch (e) {
-            const jsonMatch = text.match(/\{[\s\S]*\}/);
-            if (jsonMatch) {
-                result = JSON.parse(jsonMatch[0]);
-            } else {
-                throw new Error('AI did not return valid JSON.');
-            }
-        }
+        const result = await AIService.streamChatJSON(messages, CUSTOM_SECTION_SCHEMA, onProgress, {
+            feature: 'section-creator',
+            prompts: [promptService.ref('system.default')],
+            signal,
+            onRepair: reportRepair(onProgress)
+        });
 
         return {
             html: result.html,
-            schema: result.schema || [],
-            defaultContent: result.defaultContent || {},
+            schema: result.schema,
+            defaultContent: result.defaultContent,
             error: null
         };
     } catch (error) {
+        if (isAbortError(error)) throw error;
         console.error('Section edit error:', error);
         return {
             html: null,
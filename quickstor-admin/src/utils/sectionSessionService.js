@@ -0,0 +1,95 @@
+/**
+ * Section Session Service
+ * Section Creator conversations are saved on the backend as they happen, so a reload doesn't
+ * lose them and a teammate can reopen one later. A published section keeps the id of the
+ * session that produced it (sessionId) and the session the id of its section (sectionId).
+ */
+
+import { authHeaders } from './authService';
+
+const SESSIONS_URL = '/api/section-sessions';
+
+async function sessionRequest(path = '', options = {}) {
+    const response = await fetch(`${SESSIONS_URL}${path}`, {
+        ...options,
+        headers: { 'Content-Type': 'application/json', ...authHeaders(), ...options.headers }
+    });
+
+    const data = await response.json().catch(() => ({}));
+    if (!response.ok) {
+        throw Object.assign(new Error(data.error || `Chat session request failed: ${response.status}`), {
+            status: response.status,
+            current: data.current
+        });
+    }
+    return data;
+}
+
+// Only what the backend stores - streaming state and the like stay in the page
+const toStoredMessage = ({ role, content, isError, html, attachments }) => ({
+    role,
+    content: content || '',
+    ...(isError && { isError: true }),
+    ...(html !== undefined && { html }),
+    ...(attachments?.length > 0 && { attachments: attachments.map(({ name, type, base64 }) => ({ name, type, base64 })) })
+});
+
+/**
+ * Saved sessions, most recently active first
+ * @param {{sectionId?: string}} [filters] - sectionId: only sessions for that custom section
+ * @returns {Promise<Array<{id, name, sectionId, createdBy, createdAt, updatedBy, updatedAt, messageCount, preview, hasCode}>>}
+ */
+export async function listSectionSessions({ sectionId } = {}) {
+    const query = sectionId ? `?sectionId=${encodeURIComponent(sectionId)}` : '';
+    const { sessions } = await sessionRequest(query);
+    return sessions;
+}
+
+/**
+ * A session with its messages (attachments included) and latest code { html, schema, defaultContent }
+ */
+export function getSectionSession(id) {
+    return sessionRequest(`/${encodeURIComponent(id)}`);
+}
+
+/**
+ * Start a session
+ * @param {{name?: string, sectionId?: string, messages?: Array, code?: object}} data
+ * @returns {Promise<object>} The session summary, with its messageCount
+ */
+export function createSectionSession({ messages = [], ...data } = {}) {
+    return sessionRequest('', {
+        method: 'POST',
+        body: JSON.stringify({ ...data, messages: messages.map(toStoredMessage) })
+    });
+}
+
+/**
+ * Add messages to a session
+ * @param {number} baseCount - Messages the page has; fails with status 409 if someone else continued the chat
+ * @returns {Promise<object>} The session summary, with its new messageCount
+ */
+export function appendSectionSessionMessages(id, messages, { code, baseCount } = {}) {
+    return sessionRequest(`/${encodeURIComponent(id)}/messages`, {
+        method: 'POST',
+        body: JSON.stringify({ messages: messages.map(toStoredMessage), code, baseCount })
+    });
+}
+
+/**
+ * Rename a session or link it to its custom section
+ * @param {{name?: string, sectionId?: string|null}} changes
+ */
+export function updateSectionSession(id, changes) {
+    return sessionRequest(`/${encodeURIComponent(id)}`, {
+        method: 'PATCH',
+        body: JSON.stringify(changes)
+    });
+}
+
+/**
+ * Delete a session (whoever started it, or an admin)
+ */
+export function deleteSectionSession(id) {
+    return sessionRequest(`/${encodeURIComponent(id)}`, { method: 'DELETE' });
+}
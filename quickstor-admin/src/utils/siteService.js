@@ -0,0 +1,32 @@
+/**
+ * Site Workflow Service
+ * Staging -> Live actions. The copy happens on the server in one step,
+ * so a failed request can never leave Live half-updated.
+ */
+
+import { authHeaders } from './authService';
+
+async function siteAction(action) {
+    const response = await fetch(`/api/${action}`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', ...authHeaders() }
+    });
+
+    const data = await response.json().catch(() => ({}));
+    if (!response.ok) {
+        throw new Error(data.error || `${action} failed: ${response.status}`);
+    }
+    return data;
+}
+
+/**
+ * Promote the saved Staging document to Live
+ * @returns {Promise<{version: string, live: object}>}
+ */
+export const publishStaging = () => siteAction('publish');
+
+/**
+ * Reset Staging to the current Live document (the custom section library is kept)
+ * @returns {Promise<{version: string, staging: object}>}
+ */
+export const rejectStaging = () => siteAction('reject');
@@ -0,0 +1,82 @@
+/**
+ * Server-Sent Events Parser
+ * Incremental parser for text/event-stream bodies. Network chunks can end anywhere -
+ * mid-line or mid-character - so partial input is buffered until a line is complete.
+ */
+
+/**
+ * Create a parser. Feed it decoded text with push(); onEvent({ event, data }) is called
+ * once per complete event (multi-line data is joined with "\n", comments are skipped).
+ * @param {function({event: string, data: string}): void} onEvent
+ * @returns {{push: function(string): void, end: function(): void}}
+ */
+export function createSSEParser(onEvent) {
+    let buffer = '';
+    let eventName = '';
+    let dataLines = [];
+
+    const dispatch = () => {
+        if (dataLines.length > 0) {
+            onEvent({ event: eventName || 'message', data: dataLines.join('\n') });
+        }
+        eventName = '';
+        dataLines = [];
+    };
+
+    const processLine = (line) => {
+        if (line === '') return dispatch();
+        if (line.startsWith(':')) return; // Comment / keep-alive
+
+        const colon = line.indexOf(':');
+        const field = colon === -1 ? line : line.slice(0, colon);
+        let value = colon === -1 ? '' : line.slice(colon + 1);
+        if (value.startsWith(' ')) value = value.slice(1);
+
+        if (field === 'event') eventName = value;
+        else if (field === 'data') dataLines.push(value);
+    };
+
+    return {
+        push(text) {
+            buffer += text;
+            // A trailing \r may be the first half of \r\n, so it stays in the buffer
+            const lines = buffer.split(/\r\n|\r(?!$)|\n/);
+            buffer = lines.pop(); // Keep a partial line for the next chunk
+            lines.forEach(processLine);
+        },
+        // Flush whatever is left when the stream closes without a trailing blank line
+        end() {
+            if (buffer) processLine(buffer.replace(/\r$/, ''));
+            buffer = '';
+            dispatch();
+        }
+    };
+}
+
+/**
+ * Read a fetch Response body as SSE events
+ * @param {Response} response
+ * @returns {AsyncGenerator<{event: string, data: string}>}
+ */
+export async function* readSSE(response) {
+    const reader = response.body.getReader();
+    const decoder = new TextDecoder();
+    const events = [];
+    const parser = createSSEParser(event => events.push(event));
+
+    try {
+        while (true) {
+            const { done, value } = await reader.read();
+            if (done) break;
+
+            parser.push(decoder.decode(value, { stream: true }));
+            while (events.length > 0) yield events.shift();
+        }
+        parser.push(decoder.decode());
+        parser.end();
+        while (events.length > 0) yield events.shift();
+    } finally {
+        // Stops the download if the caller stopped reading early
+        reader.cancel().catch(() => { });
+    }
+}
@@ -62,14 +62,7 @@ import { promptService } from './promptService';
  * Generate comprehensive prompt prefix for AI UI generation
  * This provides the full design system context to Gemini
  */
-export const getAIPromptPrefix = () => {
-  // Try local customization first
-  const custom = localStorage.getItem('quickstor_system_prompt_custom');
-  if (custom) return custom;
-
-  // Fallback to service default
-  return promptService.get('system.default');
-};
+export const getAIPromptPrefix = () => promptService.get('system.default');
 
 /**
  * Generate section-specific prompt
@@ -0,0 +1,51 @@
+/**
+ * Text Diff
+ * Line-by-line comparison of two texts (longest common subsequence), for showing
+ * what changed between two versions of a prompt
+ */
+
+// Above this many line pairs the comparison is skipped and the texts shown as replaced
+const MAX_CELLS = 4000000;
+
+/**
+ * @returns {Array<{type: 'same'|'added'|'removed', text: string}>} One entry per line, in order
+ */
+export function diffLines(before, after) {
+    const a = (before || '').split('\n');
+    const b = (after || '').split('\n');
+
+    if (a.length * b.length > MAX_CELLS) {
+        return [
+            ...a.map(text => ({ type: 'removed', text })),
+            ...b.map(text => ({ type: 'added', text }))
+        ];
+    }
+
+    // lengths[i][j] = longest common subsequence of a[i..] and b[j..]
+    const lengths = Array.from({ length: a.length + 1 }, () => new Uint32Array(b.length + 1));
+    for (let i = a.length - 1; i >= 0; i--) {
+        for (let j = b.length - 1; j >= 0; j--) {
+            lengths[i][j] = a[i] === b[j]
+                ? lengths[i + 1][j + 1] + 1
+                : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+        }
+    }
+
+    const lines = [];
+    let i = 0;
+    let j = 0;
+    while (i < a.length && j < b.length) {
+        if (a[i] === b[j]) {
+            lines.push({ type: 'same', text: a[i] });
+            i++;
+            j++;
+        } else if (lengths[i + 1][j] >= lengths[i][j + 1]) {
+            lines.push({ type: 'removed', text: a[i++] });
+        } else {
+            lines.push({ type: 'added', text: b[j++] });
+        }
+    }
+    while (i < a.length) lines.push({ type: 'removed', text: a[i++] });
+    while (j < b.length) lines.push({ type: 'added', text: b[j++] });
+    return lines;
+}
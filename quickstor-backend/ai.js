@@ -0,0 +1,391 @@
+import { fetch } from 'undici';
+import { requireAuth, hasRole } from './auth.js';
+import { getAISettings, getProviderCredentials, getAllowedBaseUrls } from './aiSettings.js';
+import { assertAllowedDestination, egressDispatcher } from './egress.js';
+import { PROVIDERS, PROVIDER_IDS, getModelCapabilities } from './aiProviders.js';
+import { countTokens, estimateTokens } from './models.js';
+import { checkQuota, recordUsage } from './usage.js';
+import { createLogId, logCall } from './aiLog.js';
+
+// Provider-neutral AI endpoints. The browser sends the same request whichever provider is
+// active; the server adds the key, translates to the provider's format (aiProviders.js),
+// retries rate limits and streams text back as SSE.
+//
+// Request:  { messages: [{ role: 'user'|'assistant', text, attachments?: [{ mimeType, data }] }],
+//             temperature?, maxTokens?, feature?, responseFormat?, target?, prompts? }
+//           (data is base64 without the data: prefix; feature tags the call in the usage report,
+//           e.g. 'section-creator'; responseFormat: 'json' turns on the provider's JSON mode;
+//           target: { provider, model? } sends the call to another configured provider or
+//           model instead of the active one - admins only, for the prompt playground;
+//           prompts: [{ key, version, template, variables }] names the saved prompts the messages
+//           were filled in from, so the generation log can replay them with newer versions)
+// Response: POST /api/ai/generate -> { text, provider, model, usage: { inputTokens, outputTokens } | null }
+//           POST /api/ai/stream   -> SSE "data: {"text": "<chunk>"}" events, then "data: [DONE]"
+//           Both send an X-AI-Log-Id header naming the call's entry in the generation log (aiLog.js).
+//
+// POST /api/ai/tokens { texts: [string] } -> { counts: [number], exact, provider, model }
+// counts tokens for the active model, with its own tokenizer where that is public.
+
+const MAX_RETRIES = 3;
+const INITIAL_DELAY_MS = 2000;
+const RETRY_STATUSES = [429, 503, 529]; // 529: Anthropic overloaded
+
+// Limits - prompts with a few screenshots fit comfortably, runaway requests and responses don't
+export const AI_REQUEST_LIMIT = '8mb'; // Applied in index.js, ahead of the app-wide JSON parser
+const MAX_RESPONSE_BYTES = 4 * 1024 * 1024;
+const UPSTREAM_TIMEOUT_MS = 60 * 1000; // For a response, and between chunks of a stream
+const MAX_STREAM_MS = 10 * 60 * 1000;
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+const httpError = (status, message) => Object.assign(new Error(message), { status });
+
+// --- Upstream Calls ---
+
+/**
+ * Turn an upstream error body into a readable message
+ * (Gemini, OpenAI and Anthropic all use { error: { message } })
+ */
+async function readUpstreamError(response) {
+    const text = await readLimited(response).catch(() => '');
+    try {
+        const data = JSON.parse(text);
+        return data.error?.message || data.error || text;
+    } catch {
+        return text || `Upstream error: ${response.status}`;
+    }
+}
+
+/**
+ * Read a whole upstream body, giving up once it passes MAX_RESPONSE_BYTES
+ */
+async function readLimited(response) {
+    const chunks = [];
+    let size = 0;
+    for await (const chunk of response.body) {
+        size += chunk.length;
+        if (size > MAX_RESPONSE_BYTES) throw httpError(502, 'AI provider response is too large');
+        chunks.push(chunk);
+    }
+    return Buffer.concat(chunks).toString('utf8');
+}
+
+/**
+ * POST to the provider, retrying rate limits with exponential backoff.
+ * Redirects are refused - they could lead anywhere, past the allowlist.
+ */
+async function fetchWithRetry(url, options) {
+    for (let attempt = 0; ; attempt++) {
+        let response;
+        try {
+            response = await fetch(url, { ...options, redirect: 'error', dispatcher: egressDispatcher(url) });
+        } catch (error) {
+            // The host resolved to an internal address when connecting
+            if (error.cause?.status === 403) throw error.cause;
+            throw error;
+        }
+        if (!RETRY_STATUSES.includes(response.status) || attempt >= MAX_RETRIES - 1) {
+            return response;
+        }
+
+        // Honour Retry-After (seconds) when the provider sends it
+        const retryAfter = Number(response.headers.get('retry-after'));
+        const delay = retryAfter > 0 ? retryAfter * 1000 : INITIAL_DELAY_MS * Math.pow(2, attempt);
+        console.warn(`[AI] Rate limited (${response.status}). Retrying in ${delay}ms (attempt ${attempt + 1}/${MAX_RETRIES})`);
+        await response.body?.cancel();
+        await sleep(delay);
+    }
+}
+
+/**
+ * Read "data:" lines from an upstream SSE body, keeping partial lines between network chunks.
+ * onChunk is called for every network chunk (used to reset the idle timeout).
+ */
+async function* readSSEData(body, onChunk) {
+    const decoder = new TextDecoder();
+    let buffer = '';
+    let size = 0;
+
+    for await (const chunk of body) {
+        onChunk();
+        size += chunk.length;
+        if (size > MAX_RESPONSE_BYTES) throw httpError(502, 'AI provider response is too large');
+
+        buffer += decoder.decode(chunk, { stream: true });
+        const lines = buffer.split(/\r?\n/);
+        buffer = lines.pop();
+
+        for (const line of lines) {
+            if (line.startsWith('data:')) yield line.slice(5).trim();
+        }
+    }
+    if (buffer.startsWith('data:')) yield buffer.slice(5).trim();
+}
+
+/**
+ * Log the tokens a call used. Falls back to an estimate when the provider sent no counts.
+ */
+function meter(req, { provider, model }, usage, outputText) {
+    const estimated = !usage;
+    recordUsage({
+        user: req.user.email,
+        feature: req.body.feature,
+        provider,
+        model,
+        inputTokens: usage?.inputTokens ?? req.body.messages.reduce((sum, m) => sum + estimateTokens(model, m.text), 0),
+        outputTokens: usage?.outputTokens ?? estimateTokens(model, outputText),
+        estimated
+    }).catch(error => console.error('[AI] Failed to record usage:', error));
+}
+
+function validateRequest(body) {
+    const { messages } = body || {};
+    if (!Array.isArray(messages) || messages.length === 0) return 'messages must be a non-empty array';
+    if (messages.some(m => !m || typeof m !== 'object' || (m.text !== undefined && typeof m.text !== 'string'))) {
+        return 'Each message needs a role and text';
+    }
+    const isAttachment = (a) => !!a && typeof a === 'object' && typeof a.mimeType === 'string' && typeof a.data === 'string';
+    if (messages.some(m => m.attachments !== undefined && (!Array.isArray(m.attachments) || !m.attachments.every(isAttachment)))) {
+        return 'attachments must be an array of { mimeType, data } strings';
+    }
+    if (body.responseFormat !== undefined && body.responseFormat !== 'json') return "responseFormat must be 'json'";
+    if (body.target !== undefined) {
+        const { provider, model } = body.target || {};
+        if (!PROVIDER_IDS.includes(provider)) return `target.provider must be one of: ${PROVIDER_IDS.join(', ')}`;
+        if (model !== undefined && (typeof model !== 'string' || !model.trim() || model.length > 200)) {
+            return 'target.model must be a model name';
+        }
+    }
+    return null;
+}
+
+/**
+ * Resolve the provider (the active one, or the request's target) and build its upstream request
+ */
+async function prepareCall(req, stream) {
+    const { target } = req.body;
+    if (target && !hasRole(req.user, 'admin')) throw httpError(403, 'Only administrators can choose the AI provider for a request');
+
+    const overQuota = await checkQuota(req.user.email);
+    if (overQuota) throw httpError(429, `${overQuota} An administrator can raise the limit in Settings.`);
+
+    const provider = target?.provider || (await getAISettings()).provider;
+    // The target's model runs with the provider's saved endpoint and key
+    const credentials = { ...await getProviderCredentials(provider), ...(target?.model && { model: target.model.trim() }) };
+    const adapter = PROVIDERS[provider];
+    if (adapter.requiresApiKey && !credentials.apiKey) {
+        throw httpError(400, `No API key configured for ${provider}. An administrator can add it in Settings.`);
+    }
+
+    // Asking for more output than the model can produce is an error with most providers
+    const { maxOutputTokens } = getModelCapabilities(provider, credentials);
+    const body = req.body.maxTokens > maxOutputTokens ? { ...req.body, maxTokens: maxOutputTokens } : req.body;
+
+    const request = adapter.buildRequest(credentials, body, stream);
+    await assertAllowedDestination(request.url, await getAllowedBaseUrls());
+    return { provider, model: credentials.model, adapter, request };
+}
+
+// --- Routes ---
+
+export function registerAIRoutes(app) {
+    // POST /api/ai/generate - one complete response
+    app.post('/api/ai/generate', requireAuth, async (req, res) => {
+        const invalid = validateRequest(req.body);
+        if (invalid) return res.status(400).json({ error: invalid });
+
+        const startedAt = Date.now();
+        const logId = createLogId();
+        res.setHeader('X-AI-Log-Id', logId);
+        // Stop the provider call if the admin cancels (closes the connection) or it runs too long
+        const upstreamAbort = new AbortController();
+        res.on('close', () => upstreamAbort.abort());
+        let timedOut = false;
+        // One deadline for all attempts, including reading the body
+        const deadline = setTimeout(() => {
+            timedOut = true;
+            upstreamAbort.abort();
+        }, UPSTREAM_TIMEOUT_MS);
+
+        let call, text, usage;
+        let failure = null; // { status?, httpStatus, error } for the generation log
+        try {
+            call = await prepareCall(req, false);
+            const { provider, model, adapter, request } = call;
+
+            const response = await fetchWithRetry(request.url, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json', ...request.headers },
+                body: JSON.stringify(request.body),
+                signal: upstreamAbort.signal
+            });
+
+            console.log(`[AI] ${req.user.email} generate ${provider}/${model} -> ${response.status} (${Date.now() - startedAt}ms)`);
+            if (!response.ok) {
+                failure = { httpStatus: response.status, error: await readUpstreamError(response) };
+                return res.status(response.status).json({ error: failure.error });
+            }
+
+            const data = JSON.parse(await readLimited(response));
+            text = adapter.readText(data);
+            usage = adapter.readUsage(data);
+            meter(req, call, usage, text);
+            if (!text) {
+                failure = { httpStatus: 502, error: `No response generated by ${provider}` };
+                return res.status(502).json({ error: failure.error });
+            }
+
+            res.json({ text, provider, model, usage: usage || null });
+        } catch (error) {
+            if (timedOut) {
+                console.warn(`[AI] ${req.user.email} generate timed out (${Date.now() - startedAt}ms)`);
+                failure = { status: 'timeout', httpStatus: 504, error: 'The AI provider did not respond in time' };
+                return res.status(504).json({ error: failure.error });
+            }
+            if (upstreamAbort.signal.aborted) {
+                console.log(`[AI] ${req.user.email} cancelled generate (${Date.now() - startedAt}ms)`);
+                failure = { status: 'cancelled' };
+                return;
+            }
+            failure = { httpStatus: error.status || 500, error: error.message };
+            if (error.status) return res.status(error.status).json({ error: error.message });
+            console.error('[AI] Generate failed:', error);
+            res.status(500).json({ error: error.message });
+        } finally {
+            clearTimeout(deadline);
+            logCall(req, {
+                id: logId, provider: call?.provider, model: call?.model, stream: false,
+                status: failure ? failure.status || 'error' : 'ok', httpStatus: failure?.httpStatus, error: failure?.error,
+                response: text, usage, latencyMs: Date.now() - startedAt
+            });
+        }
+    });
+
+    // POST /api/ai/stream - text chunks as they are generated
+    app.post('/api/ai/stream', requireAuth, async (req, res) => {
+        const invalid = validateRequest(req.body);
+        if (invalid) return res.status(400).json({ error: invalid });
+
+        const logId = createLogId();
+        res.setHeader('X-AI-Log-Id', logId);
+
+        // Stop generating (and paying for) tokens nobody is waiting for
+        const upstreamAbort = new AbortController();
+        res.on('close', () => upstreamAbort.abort());
+
+        // Give up on a provider that stalls (no data for UPSTREAM_TIMEOUT_MS) or never finishes
+        let timedOut = false;
+        const timeout = () => {
+            timedOut = true;
+            upstreamAbort.abort();
+        };
+        let idleTimer = setTimeout(timeout, UPSTREAM_TIMEOUT_MS);
+        const resetIdleTimer = () => {
+            clearTimeout(idleTimer);
+            idleTimer = setTimeout(timeout, UPSTREAM_TIMEOUT_MS);
+        };
+        const streamTimer = setTimeout(timeout, MAX_STREAM_MS);
+
+        const startedAt = Date.now();
+        let provider, model, call, usage;
+        let output = '';
+        let failure = null; // { status?, httpStatus, error } for the generation log
+        try {
+            call = await prepareCall(req, true);
+            ({ provider, model } = call);
+
+            const response = await fetchWithRetry(call.request.url, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json', ...call.request.headers },
+                body: JSON.stringify(call.request.body),
+                signal: upstreamAbort.signal
+            });
+
+            if (!response.ok) {
+                console.log(`[AI] ${req.user.email} stream ${provider}/${model} -> ${response.status}`);
+                failure = { httpStatus: response.status, error: await readUpstreamError(response) };
+                return res.status(response.status).json({ error: failure.error });
+            }
+
+            res.setHeader('Content-Type', 'text/event-stream');
+            res.setHeader('Cache-Control', 'no-cache');
+            res.setHeader('Connection', 'keep-alive');
+            res.flushHeaders();
+
+            for await (const data of readSSEData(response.body, resetIdleTimer)) {
+                if (!data || data === '[DONE]') continue;
+
+                let event;
+                try {
+                    event = JSON.parse(data);
+                } catch {
+                    continue; // Keep-alive comments or malformed events
+                }
+                if (event.error) throw httpError(502, event.error.message || 'AI provider stream failed');
+
+                const text = call.adapter.readChunk(event);
+                // Some providers report input and output tokens in different events
+                const eventUsage = call.adapter.readUsage(event);
+                if (eventUsage) usage = { ...usage, ...eventUsage };
+                if (text) {
+                    output += text;
+                    res.write(`data: ${JSON.stringify({ text })}\n\n`);
+                }
+            }
+
+            res.write('data: [DONE]\n\n');
+            res.end();
+            console.log(`[AI] ${req.user.email} stream ${provider}/${model} -> ${output.length} chars (${Date.now() - startedAt}ms)`);
+        } catch (error) {
+            if (timedOut) {
+                console.warn(`[AI] ${req.user.email} stream ${provider}/${model} timed out (${Date.now() - startedAt}ms)`);
+                error = httpError(504, 'The AI provider did not respond in time');
+            } else if (upstreamAbort.signal.aborted) {
+                console.log(`[AI] ${req.user.email} cancelled stream ${provider}/${model} (${Date.now() - startedAt}ms)`);
+                failure = { status: 'cancelled' };
+                return;
+            }
+            failure = { status: timedOut ? 'timeout' : 'error', httpStatus: error.status || 500, error: error.message };
+            if (res.headersSent) {
+                // Already streaming - report in-band so the client can tell it was cut short
+                console.error('[AI] Stream failed:', error);
+                res.write(`event: error\ndata: ${JSON.stringify({ error: error.message })}\n\n`);
+                return res.end();
+            }
+            if (error.status) return res.status(error.status).json({ error: error.message });
+            console.error('[AI] Stream failed:', error);
+            res.status(500).json({ error: error.message });
+        } finally {
+            clearTimeout(idleTimer);
+            clearTimeout(streamTimer);
+            // Cancelled and failed streams still cost whatever was generated
+            if (call && (usage || output)) meter(req, call, usage, output);
+            logCall(req, {
+                id: logId, provider, model, stream: true,
+                status: failure ? failure.status || 'error' : 'ok', httpStatus: failure?.httpStatus, error: failure?.error,
+                response: output, usage, latencyMs: Date.now() - startedAt
+            });
+        }
+    });
+
+    // POST /api/ai/tokens - token counts for the active model, used to budget prompts
+    app.post('/api/ai/tokens', requireAuth, async (req, res) => {
+        const { texts } = req.body || {};
+        if (!Array.isArray(texts) || texts.some(text => typeof text !== 'string')) {
+            return res.status(400).json({ error: 'texts must be an array of strings' });
+        }
+
+        try {
+            const settings = await getAISettings();
+            const { provider } = settings;
+            const { model } = settings[provider];
+
+            const results = [];
+            for (const text of texts) results.push(await countTokens(model, text));
+            res.json({ counts: results.map(r => r.tokens), exact: results.every(r => r.exact), provider, model });
+        } catch (error) {
+            console.error('[AI] Token count failed:', error);
+            res.status(500).json({ error: 'Internal Server Error' });
+        }
+    });
+}
@@ -0,0 +1,299 @@
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { requireAuth, requireRole, hasRole } from './auth.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// Generation log: every call through the AI proxy, so a bad generation can be traced and replayed.
+//
+// Layout: ai-log/<YYYY-MM-DD>.jsonl  (one line per call, append-only)
+//
+// The admin parses and validates responses itself, so it reports that outcome afterwards as
+// an extra { id, outcome } line, merged into the call when the log is read. Attachments are
+// logged as type and size only. Days older than AI_LOG_DAYS (default 14) are deleted;
+// AI_LOG_DAYS=0 turns the log off.
+const LOG_DIR = path.join(__dirname, 'ai-log');
+const RETENTION_DAYS = process.env.AI_LOG_DAYS !== undefined ? Number(process.env.AI_LOG_DAYS) : 14;
+
+// Long prompts and responses are cut here - such calls can only be replayed in part
+const MAX_LOGGED_CHARS = 50000;
+const MAX_LOGGED_PROMPTS = 10;
+const MAX_OUTCOME_ERRORS = 20;
+const PREVIEW_CHARS = 120;
+
+const ID_PATTERN = /^(\d{13})-[0-9a-f]{6}$/;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+const dayFile = (date) => path.join(LOG_DIR, `${date}.jsonl`);
+// Ids start with the time of the call, so they say which file they are in
+const dateOfId = (id) => new Date(Number(ID_PATTERN.exec(id)[1])).toISOString().slice(0, 10);
+
+let lastPruned = null;
+
+// Calls whose record is still being written. The response goes out first, so the admin's
+// outcome report can arrive before the record is on disk - lookups wait for it.
+const pendingWrites = new Map();
+
+const httpError = (status, message) => Object.assign(new Error(message), { status });
+
+export const isLogEnabled = () => RETENTION_DAYS > 0;
+
+export const createLogId = () => `${Date.now()}-${crypto.randomBytes(3).toString('hex')}`;
+
+/**
+ * Cut a string to the logged length
+ * @returns {[string, boolean]} The text and whether it was cut
+ */
+function cap(text) {
+    if (typeof text !== 'string') return [text ?? null, false];
+    return text.length > MAX_LOGGED_CHARS ? [text.slice(0, MAX_LOGGED_CHARS), true] : [text, false];
+}
+
+/**
+ * Prompt templates the admin says the request was built from: [{ key, version, template, variables }]
+ */
+function loggedPrompts(prompts, markTruncated) {
+    if (!Array.isArray(prompts)) return [];
+    return prompts
+        .filter(p => p && typeof p.key === 'string' && typeof p.template === 'string')
+        .slice(0, MAX_LOGGED_PROMPTS)
+        .map(({ key, version, template, variables }) => {
+            const [loggedTemplate, cut] = cap(template);
+            if (cut) markTruncated();
+            const values = Object.fromEntries(Object.entries(variables && typeof variables === 'object' ? variables : {})
+                .map(([name, value]) => {
+                    const [loggedValue, valueCut] = cap(String(value));
+                    if (valueCut) markTruncated();
+                    return [name, loggedValue];
+                }));
+            return { key: key.slice(0, 100), version: Number.isInteger(version) ? version : null, template: loggedTemplate, variables: values };
+        });
+}
+
+async function prune() {
+    const today = new Date().toISOString().slice(0, 10);
+    if (lastPruned === today) return;
+    lastPruned = today;
+
+    const cutoff = new Date(Date.now() - RETENTION_DAYS * 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+    const files = await fs.readdir(LOG_DIR).catch(() => []);
+    for (const file of files) {
+        if (file.endsWith('.jsonl') && file.slice(0, -'.jsonl'.length) < cutoff) {
+            await fs.unlink(path.join(LOG_DIR, file)).catch(() => {});
+        }
+    }
+}
+
+async function append(date, record) {
+    await fs.mkdir(LOG_DIR, { recursive: true });
+    await fs.appendFile(dayFile(date), `${JSON.stringify(record)}\n`);
+}
+
+/**
+ * Log one proxied call. Never throws - a logging problem must not fail the request.
+ * @param {object} req - The proxy request (user and body)
+ * @param {{id: string, provider?: string, model?: string, stream: boolean, status: 'ok'|'error'|'cancelled'|'timeout',
+ *          httpStatus?: number, error?: string, response?: string, usage?: object, latencyMs: number}} call
+ */
+export function logCall(req, call) {
+    if (!isLogEnabled()) return Promise.resolve();
+
+    const write = writeCall(req, call).finally(() => pendingWrites.delete(call.id));
+    pendingWrites.set(call.id, write);
+    return write;
+}
+
+async function writeCall(req, call) {
+
+    try {
+        let truncated = false;
+        const markTruncated = () => { truncated = true; };
+        const body = req.body || {};
+
+        const messages = (body.messages || []).map(message => {
+            const [text, cut] = cap(message.text);
+            if (cut) markTruncated();
+            return {
+                role: message.role,
+                text,
+                // Type and size only - the files themselves could be large or sensitive
+                attachments: (message.attachments || []).map(a => ({
+                    mimeType: a.mimeType,
+                    bytes: Math.floor(String(a.data || '').length * 3 / 4)
+                }))
+            };
+        });
+        const [response, responseCut] = cap(call.response);
+        if (responseCut) markTruncated();
+
+        const record = {
+            id: call.id,
+            at: new Date(Number(ID_PATTERN.exec(call.id)[1])).toISOString(),
+            user: req.user.email,
+            feature: typeof body.feature === 'string' ? body.feature.slice(0, 50) : null,
+            provider: call.provider || body.target?.provider || null,
+            model: call.model || body.target?.model || null,
+            target: !!body.target,
+            stream: call.stream,
+            request: {
+                messages,
+                temperature: body.temperature ?? null,
+                maxTokens: body.maxTokens ?? null,
+                responseFormat: body.responseFormat || null
+            },
+            prompts: loggedPrompts(body.prompts, markTruncated),
+            status: call.status,
+            httpStatus: call.httpStatus || null,
+            error: call.error || null,
+            response,
+            usage: call.usage || null,
+            latencyMs: call.latencyMs,
+            truncated
+        };
+
+        await append(dateOfId(call.id), record);
+        await prune();
+    } catch (error) {
+        console.error('[AI] Failed to write the generation log:', error);
+    }
+}
+
+async function readDay(date) {
+    let data;
+    try {
+        data = await fs.readFile(dayFile(date), 'utf8');
+    } catch (error) {
+        return [];
+    }
+
+    const calls = new Map();
+    const outcomes = new Map(); // By call id - the latest report wins, wherever it is in the file
+    for (const line of data.split('\n').filter(Boolean)) {
+        let record;
+        try {
+            record = JSON.parse(line);
+        } catch {
+            continue; // A line cut short by a crash
+        }
+        if (record.outcome) outcomes.set(record.id, record.outcome);
+        else calls.set(record.id, record);
+    }
+    for (const [id, outcome] of outcomes) {
+        const call = calls.get(id);
+        if (call) call.outcome = outcome;
+    }
+    return [...calls.values()];
+}
+
+/**
+ * The list view of a call - everything but the full prompt and response
+ */
+function toSummary({ request, response, prompts, ...call }) {
+    const lastUser = [...request.messages].reverse().find(m => m.role === 'user');
+    return {
+        ...call,
+        messages: request.messages.length,
+        attachments: request.messages.reduce((sum, m) => sum + m.attachments.length, 0),
+        prompts: prompts.map(p => p.key),
+        preview: (lastUser?.text || '').slice(0, PREVIEW_CHARS)
+    };
+}
+
+/**
+ * Logged calls for a day, newest first
+ * @param {string} date - YYYY-MM-DD
+ * @param {{feature?: string, status?: string, user?: string}} filters
+ */
+export async function listCalls(date, { feature, status, user } = {}) {
+    const calls = await readDay(date);
+    return calls
+        .filter(call => (!feature || call.feature === feature) && (!status || call.status === status) && (!user || call.user === user))
+        .reverse()
+        .map(toSummary);
+}
+
+/**
+ * Days that have a log, newest first
+ */
+export async function listLogDates() {
+    const files = await fs.readdir(LOG_DIR).catch(() => []);
+    return files
+        .filter(file => file.endsWith('.jsonl'))
+        .map(file => file.slice(0, -'.jsonl'.length))
+        .sort()
+        .reverse();
+}
+
+/**
+ * One logged call in full, or null
+ */
+export async function getCall(id) {
+    if (!ID_PATTERN.test(id)) return null;
+    await pendingWrites.get(id);
+    const calls = await readDay(dateOfId(id));
+    return calls.find(call => call.id === id) || null;
+}
+
+/**
+ * Record how the admin got on with a response: parsed = valid JSON matching the expected schema.
+ * Only whoever made the call, or an admin, can report on it.
+ * @throws {Error} with status 404 for a call that isn't logged, 403 for someone else's
+ */
+export async function recordOutcome(id, { parsed, errors }, user) {
+    const call = await getCall(id);
+    if (!call) throw httpError(404, 'Logged call not found');
+    if (call.user !== user.email && !hasRole(user, 'admin')) throw httpError(403, 'Forbidden');
+
+    const outcome = {
+        parsed: !!parsed,
+        errors: Array.isArray(errors) ? errors.slice(0, MAX_OUTCOME_ERRORS).map(e => String(e).slice(0, 500)) : [],
+        reportedAt: new Date().toISOString()
+    };
+    await append(dateOfId(id), { id, outcome });
+    return outcome;
+}
+
+// --- Routes ---
+
+export function registerAILogRoutes(app) {
+    // GET /api/ai/logs?date=YYYY-MM-DD&feature=&status=&user= - calls on a day (defaults to today)
+    app.get('/api/ai/logs', requireRole('admin'), async (req, res) => {
+        const date = req.query.date || new Date().toISOString().slice(0, 10);
+        if (!DATE_PATTERN.test(date)) return res.status(400).json({ error: 'date must look like YYYY-MM-DD' });
+
+        try {
+            const [calls, dates] = await Promise.all([listCalls(date, req.query), listLogDates()]);
+            res.json({ date, dates, enabled: isLogEnabled(), retentionDays: RETENTION_DAYS, calls });
+        } catch (error) {
+            console.error('Error reading the generation log:', error);
+            res.status(500).json({ error: 'Internal Server Error' });
+        }
+    });
+
+    // GET /api/ai/logs/:id - one call with its full prompt and response
+    app.get('/api/ai/logs/:id', requireRole('admin'), async (req, res) => {
+        try {
+            const call = await getCall(req.params.id);
+            if (!call) return res.status(404).json({ error: 'Logged call not found' });
+            res.json(call);
+        } catch (error) {
+            console.error('Error reading the generation log:', error);
+            res.status(500).json({ error: 'Internal Server Error' });
+        }
+    });
+
+    // POST /api/ai/logs/:id/outcome - { parsed, errors } from whoever made the call
+    app.post('/api/ai/logs/:id/outcome', requireAuth, async (req, res) => {
+        if (!isLogEnabled()) return res.json({});
+        try {
+            res.json(await recordOutcome(req.params.id, req.body || {}, req.user));
+        } catch (error) {
+            if (error.status) return res.status(error.status).json({ error: error.message });
+            console.error('Error recording a generation outcome:', error);
+            res.status(500).json({ error: 'Internal Server Error' });
+        }
+    });
+}
@@ -0,0 +1,268 @@
+// AI provider adapters. Each one translates the proxy's provider-neutral request
+// (see ai.js) into a provider's API format and reads text and token usage back out.
+// Adding a provider means adding an entry here - settings, the proxy and the
+// Settings page pick it up from this list.
+//
+// Adapter interface:
+//   label, description       Shown in Settings
+//   defaults                 Initial settings. A provider with a baseUrl has an editable endpoint.
+//   fields                   Extra settings shown in Settings: [{ key, label, type?, placeholder?, options? }]
+//   requiresApiKey           false for servers that run without authentication
+//   apiKeyPlaceholder        Hint for the key input in Settings
+//   unknownModel             { contextWindow, maxOutputTokens } assumed for models missing
+//                            from the registry (models.js)
+//   attachmentTypes(settings) MIME type prefixes the model accepts as attachments
+//   buildRequest(credentials, body, stream) -> { url, headers, body }
+//                            body.responseFormat === 'json' asks for the provider's JSON mode, if it has one
+//   readText(response)       Text of a complete response
+//   readChunk(event)         Text in one streamed event
+//   readUsage(data)          { inputTokens?, outputTokens? } when the provider reports it
+
+import { lookupModel, DEFAULT_CHARS_PER_TOKEN } from './models.js';
+
+const GEMINI_API_URL = 'https://generativelanguage.googleapis.com/v1beta/models';
+const ANTHROPIC_VERSION = '2023-06-01';
+
+// The admin has always used Gemini's 'model' role for assistant turns
+const isAssistant = (message) => message.role === 'assistant' || message.role === 'model';
+
+/**
+ * Attachments the adapter can send (others are dropped here; the admin warns about them)
+ */
+const supportedAttachments = (message, types) =>
+    (message.attachments || []).filter(a => types.some(type => a.mimeType?.startsWith(type)));
+
+const MODEL_FIELD = { key: 'model', label: 'Model Name' };
+const BASE_URL_FIELD = { key: 'baseUrl', label: 'API Endpoint (Base URL)' };
+const IMAGE_INPUT_FIELD = {
+    key: 'imageInput',
+    label: 'Image Input',
+    type: 'select',
+    options: [
+        { value: 'auto', label: 'Detect from model name' },
+        { value: 'on', label: 'Model accepts images' },
+        { value: 'off', label: 'Text only' }
+    ]
+};
+
+// Local vision models that aren't in the registry, recognised by name.
+// Anything else unlisted - most local LLMs - is treated as text-only.
+const LOCAL_VISION_MODELS = /vision|llava|-vl|vl\b|gemma3|minicpm-v|moondream|pixtral|llama4/;
+
+/**
+ * Image support for Chat Completions models: the admin's choice, or the registry's
+ * (falling back to a guess from the model name)
+ */
+function chatCompletionsAttachmentTypes({ model = '', imageInput = 'auto' }) {
+    if (imageInput === 'on') return ['image/'];
+    if (imageInput === 'off') return [];
+    const vision = lookupModel(model)?.vision ?? LOCAL_VISION_MODELS.test(model.toLowerCase());
+    return vision ? ['image/'] : [];
+}
+
+// --- OpenAI Chat Completions (also used by DeepSeek, Ollama, llama.cpp and others) ---
+
+function buildChatCompletionsRequest({ apiKey, baseUrl, model }, { messages, temperature = 0.7, maxTokens, responseFormat }, stream, types) {
+    return {
+        url: `${baseUrl}/chat/completions`,
+        headers: apiKey ? { 'Authorization': `Bearer ${apiKey}` } : {},
+        body: {
+            model,
+            messages: messages.map(message => {
+                const role = isAssistant(message) ? 'assistant' : 'user';
+                const images = supportedAttachments(message, types);
+                if (images.length === 0) return { role, content: message.text || '' };
+
+                return {
+                    role,
+                    content: [
+                        { type: 'text', text: message.text || '' },
+                        ...images.map(a => ({ type: 'image_url', image_url: { url: `data:${a.mimeType};base64,${a.data}` } }))
+                    ]
+                };
+            }),
+            temperature,
+            ...(maxTokens ? { max_tokens: maxTokens } : {}),
+            // JSON mode (also supported by DeepSeek, Ollama and llama.cpp)
+            ...(responseFormat === 'json' ? { response_format: { type: 'json_object' } } : {}),
+            // include_usage adds a final chunk with token counts
+            ...(stream ? { stream: true, stream_options: { include_usage: true } } : {})
+        }
+    };
+}
+
+const chatCompletions = {
+    readText: (data) => data.choices?.[0]?.message?.content || '',
+    readChunk: (data) => data.choices?.[0]?.delta?.content || '',
+    readUsage: (data) => data.usage && {
+        inputTokens: data.usage.prompt_tokens || 0,
+        outputTokens: data.usage.completion_tokens || 0
+    }
+};
+
+// --- Adapters ---
+
+export const PROVIDERS = {
+    gemini: {
+        label: 'Google Gemini',
+        description: "Google's Gemini models via the Generative Language API",
+        defaults: { model: 'gemini-2.0-flash' },
+        fields: [{ ...MODEL_FIELD, placeholder: 'gemini-2.0-flash' }],
+        requiresApiKey: true,
+        apiKeyPlaceholder: 'AIza...',
+        unknownModel: { contextWindow: 1000000, maxOutputTokens: 8192 },
+        attachmentTypes: () => ['image/', 'application/pdf', 'audio/', 'video/', 'text/'],
+
+        buildRequest({ apiKey, model }, { messages, temperature = 0.2, maxTokens = 4096, responseFormat }, stream) {
+            const action = stream ? 'streamGenerateContent?alt=sse' : 'generateContent';
+            const types = this.attachmentTypes();
+            return {
+                url: `${GEMINI_API_URL}/${encodeURIComponent(model)}:${action}`,
+                headers: { 'x-goog-api-key': apiKey },
+                body: {
+                    contents: messages.map(message => ({
+                        role: isAssistant(message) ? 'model' : 'user',
+                        parts: [
+                            { text: message.text || '' },
+                            ...supportedAttachments(message, types).map(a => ({ inlineData: { mimeType: a.mimeType, data: a.data } }))
+                        ]
+                    })),
+                    generationConfig: {
+                        temperature,
+                        topK: 40,
+                        topP: 0.95,
+                        maxOutputTokens: maxTokens,
+                        ...(responseFormat === 'json' ? { responseMimeType: 'application/json' } : {})
+                    }
+                }
+            };
+        },
+        readText: (data) => data.candidates?.[0]?.content?.parts?.map(p => p.text || '').join('') || '',
+        readChunk: (data) => data.candidates?.[0]?.content?.parts?.map(p => p.text || '').join('') || '',
+        // Sent with the response, and with every stream chunk (running totals)
+        readUsage: (data) => data.usageMetadata && {
+            inputTokens: data.usageMetadata.promptTokenCount || 0,
+            outputTokens: data.usageMetadata.candidatesTokenCount || 0
+        }
+    },
+
+    openai: {
+        label: 'OpenAI / Compatible',
+        description: 'Connect to OpenAI, DeepSeek, or other compatible APIs',
+        defaults: { baseUrl: 'https://api.openai.com/v1', model: 'gpt-4o', imageInput: 'auto' },
+        fields: [
+            { ...BASE_URL_FIELD, placeholder: 'https://api.openai.com/v1' },
+            { ...MODEL_FIELD, placeholder: 'gpt-4o' },
+            IMAGE_INPUT_FIELD
+        ],
+        requiresApiKey: true,
+        apiKeyPlaceholder: 'sk-...',
+        unknownModel: { contextWindow: 32000, maxOutputTokens: 4096 },
+        attachmentTypes: chatCompletionsAttachmentTypes,
+
+        buildRequest(credentials, body, stream) {
+            return buildChatCompletionsRequest(credentials, body, stream, this.attachmentTypes(credentials));
+        },
+        ...chatCompletions
+    },
+
+    anthropic: {
+        label: 'Anthropic Claude',
+        description: 'Claude models via the Anthropic Messages API',
+        defaults: { baseUrl: 'https://api.anthropic.com/v1', model: 'claude-sonnet-4-5' },
+        fields: [
+            { ...BASE_URL_FIELD, placeholder: 'https://api.anthropic.com/v1' },
+            { ...MODEL_FIELD, placeholder: 'claude-sonnet-4-5' }
+        ],
+        requiresApiKey: true,
+        apiKeyPlaceholder: 'sk-ant-...',
+        unknownModel: { contextWindow: 200000, maxOutputTokens: 8192 },
+        attachmentTypes: () => ['image/', 'application/pdf'],
+
+        // No JSON mode - structured output relies on the prompt and the admin's schema validation
+        buildRequest({ apiKey, baseUrl, model }, { messages, temperature = 0.7, maxTokens = 4096 }, stream) {
+            const types = this.attachmentTypes();
+            return {
+                url: `${baseUrl}/messages`,
+                headers: { 'x-api-key': apiKey, 'anthropic-version': ANTHROPIC_VERSION },
+                body: {
+                    model,
+                    max_tokens: maxTokens, // Required by the Messages API
+                    temperature,
+                    messages: messages.map(message => ({
+                        role: isAssistant(message) ? 'assistant' : 'user',
+                        content: [
+                            ...supportedAttachments(message, types).map(a => ({
+                                type: a.mimeType === 'application/pdf' ? 'document' : 'image',
+                                source: { type: 'base64', media_type: a.mimeType, data: a.data }
+                            })),
+                            { type: 'text', text: message.text || '' }
+                        ]
+                    })),
+                    ...(stream ? { stream: true } : {})
+                }
+            };
+        },
+        readText: (data) => (data.content || []).filter(block => block.type === 'text').map(block => block.text).join(''),
+        readChunk: (event) => event.type === 'content_block_delta' ? event.delta?.text || '' : '',
+        // Input tokens arrive with message_start, the output count with message_delta
+        readUsage(data) {
+            const usage = data.usage || data.message?.usage;
+            if (!usage) return null;
+            return {
+                ...(usage.input_tokens !== undefined ? { inputTokens: usage.input_tokens } : {}),
+                ...(usage.output_tokens !== undefined ? { outputTokens: usage.output_tokens } : {})
+            };
+        }
+    },
+
+    local: {
+        label: 'Local Model',
+        description: 'Ollama, llama.cpp or another OpenAI-compatible server on your network',
+        defaults: { baseUrl: 'http://localhost:11434/v1', model: 'llama3.1', contextWindow: 8192, imageInput: 'auto' },
+        fields: [
+            { ...BASE_URL_FIELD, placeholder: 'http://localhost:11434/v1' },
+            { ...MODEL_FIELD, placeholder: 'llama3.1' },
+            IMAGE_INPUT_FIELD,
+            { key: 'contextWindow', label: 'Context Window (tokens)', type: 'number', placeholder: '8192' }
+        ],
+        requiresApiKey: false,
+        apiKeyPlaceholder: 'Only if your server requires one',
+        // The window is whatever the server was started with, so it's a setting (contextWindow)
+        unknownModel: { contextWindow: 8192, maxOutputTokens: 4096 },
+        attachmentTypes: chatCompletionsAttachmentTypes,
+
+        buildRequest(credentials, body, stream) {
+            return buildChatCompletionsRequest(credentials, body, stream, this.attachmentTypes(credentials));
+        },
+        ...chatCompletions
+    }
+};
+
+export const PROVIDER_IDS = Object.keys(PROVIDERS);
+
+/**
+ * What the configured model can do and cost. Registry data where the model is listed,
+ * otherwise the adapter's unknownModel defaults; a contextWindow setting overrides both.
+ */
+export function getModelCapabilities(id, settings) {
+    const adapter = PROVIDERS[id];
+    const known = lookupModel(settings.model);
+    return {
+        knownModel: Boolean(known),
+        contextLimit: Number(settings.contextWindow) || known?.contextWindow || adapter.unknownModel.contextWindow,
+        maxOutputTokens: known?.maxOutputTokens || adapter.unknownModel.maxOutputTokens,
+        attachmentTypes: adapter.attachmentTypes(settings),
+        price: known?.price || null,
+        exactTokenCounts: Boolean(known?.tokenizer),
+        charsPerToken: known?.charsPerToken || DEFAULT_CHARS_PER_TOKEN
+    };
+}
+
+/**
+ * What the Settings page needs to list a provider and render its form
+ */
+export function describeProvider(id) {
+    const { label, description, defaults, fields, requiresApiKey, apiKeyPlaceholder } = PROVIDERS[id];
+    return { id, label, description, defaults, fields, requiresApiKey, apiKeyPlaceholder };
+}
@@ -0,0 +1,234 @@
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { requireAuth, requireRole } from './auth.js';
+import { writeFileAtomic } from './storage.js';
+import { normalizeBaseUrl, findAllowedBaseUrl } from './egress.js';
+import { PROVIDERS, PROVIDER_IDS, describeProvider, getModelCapabilities } from './aiProviders.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// AI provider settings live outside the document store (like users) so API keys never
+// end up in a backup export. Keys are encrypted at rest and never sent to the browser.
+const SETTINGS_FILE = path.join(__dirname, 'ai-settings.json');
+const KEY_FILE = path.join(__dirname, '.ai-secret');
+
+const DEFAULT_PROVIDER = 'gemini';
+
+// Where the proxy may send requests (see egress.js)
+const DEFAULT_ALLOWED_BASE_URLS = [
+    'https://generativelanguage.googleapis.com',
+    'https://api.openai.com/v1',
+    'https://api.deepseek.com',
+    'https://api.anthropic.com'
+];
+
+// Deployments that still configure keys through the environment keep working
+const ENV_KEYS = {
+    gemini: () => process.env.GEMINI_API_KEY,
+    openai: () => process.env.OPENAI_API_KEY,
+    anthropic: () => process.env.ANTHROPIC_API_KEY
+};
+const envKey = (provider) => ENV_KEYS[provider]?.() || null;
+
+let encryptionKey = null;
+
+// --- Encryption (AES-256-GCM) ---
+
+function encrypt(plaintext) {
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv('aes-256-gcm', encryptionKey, iv);
+    const ciphertext = Buffer.concat([cipher.update(plaintext, 'utf8'), cipher.final()]);
+    return `v1:${iv.toString('base64')}:${cipher.getAuthTag().toString('base64')}:${ciphertext.toString('base64')}`;
+}
+
+function decrypt(stored) {
+    const [version, iv, tag, ciphertext] = (stored || '').split(':');
+    if (version !== 'v1' || !iv || !tag || !ciphertext) return null;
+
+    try {
+        const decipher = crypto.createDecipheriv('aes-256-gcm', encryptionKey, Buffer.from(iv, 'base64'));
+        decipher.setAuthTag(Buffer.from(tag, 'base64'));
+        return Buffer.concat([decipher.update(Buffer.from(ciphertext, 'base64')), decipher.final()]).toString('utf8');
+    } catch {
+        // Wrong key (e.g. AI_SECRET changed) or a tampered file
+        return null;
+    }
+}
+
+// --- Settings Store ---
+
+async function readSettings() {
+    let stored = {};
+    try {
+        stored = JSON.parse(await fs.readFile(SETTINGS_FILE, 'utf8'));
+    } catch (error) {
+        // No settings saved yet
+    }
+
+    const settings = {
+        provider: PROVIDER_IDS.includes(stored.provider) ? stored.provider : DEFAULT_PROVIDER,
+        ...Object.fromEntries(PROVIDER_IDS.map(p => [p, { ...PROVIDERS[p].defaults, ...stored[p] }])),
+        allowedBaseUrls: stored.allowedBaseUrls
+    };
+
+    // Settings saved before the allowlist existed keep working with the endpoint they use
+    if (!Array.isArray(settings.allowedBaseUrls)) {
+        settings.allowedBaseUrls = [...new Set([...DEFAULT_ALLOWED_BASE_URLS, settings.openai.baseUrl])];
+    }
+    return settings;
+}
+
+async function writeSettings(settings) {
+    await writeFileAtomic(SETTINGS_FILE, JSON.stringify(settings, null, 2));
+}
+
+// What the browser sees: everything except the keys themselves, plus what each
+// configured model can do (context size, output limit, attachment types, price)
+function toPublicSettings(settings) {
+    const result = {
+        provider: settings.provider,
+        providers: PROVIDER_IDS.map(describeProvider),
+        allowedBaseUrls: settings.allowedBaseUrls
+    };
+    for (const provider of PROVIDER_IDS) {
+        const { apiKey, ...rest } = settings[provider];
+        result[provider] = {
+            ...rest,
+            hasApiKey: !!apiKey || !!envKey(provider),
+            apiKeySource: apiKey ? 'settings' : envKey(provider) ? 'environment' : null,
+            ...getModelCapabilities(provider, rest)
+        };
+    }
+    return result;
+}
+
+export async function getAISettings() {
+    return toPublicSettings(await readSettings());
+}
+
+/**
+ * Base URLs the AI proxy may call
+ */
+export async function getAllowedBaseUrls() {
+    return (await readSettings()).allowedBaseUrls;
+}
+
+/**
+ * Settings for a provider including its decrypted API key - server-side use only
+ * @returns {Promise<{apiKey: string|null, model: string, baseUrl?: string}>}
+ */
+export async function getProviderCredentials(provider) {
+    const settings = await readSettings();
+    const { apiKey, ...rest } = settings[provider] || {};
+    return { ...rest, apiKey: (apiKey && decrypt(apiKey)) || envKey(provider) };
+}
+
+/**
+ * Parse a value for one of a provider's settings fields
+ */
+function parseField(field, value) {
+    if (field.key === 'baseUrl') return normalizeBaseUrl(value);
+    if (field.type === 'number') {
+        const number = Number(value);
+        if (!Number.isInteger(number) || number <= 0) throw new Error(`${field.label} must be a positive whole number`);
+        return number;
+    }
+    if (field.type === 'select') {
+        if (!field.options.some(option => option.value === value)) throw new Error(`Invalid ${field.label}: ${value}`);
+        return value;
+    }
+    return String(value).trim();
+}
+
+/**
+ * Apply changes from the Settings page.
+ * For each provider, apiKey: string sets a new key, null removes it, undefined keeps it.
+ */
+export async function updateAISettings(changes = {}) {
+    const settings = await readSettings();
+
+    if (changes.allowedBaseUrls !== undefined) {
+        if (!Array.isArray(changes.allowedBaseUrls)) throw new Error('allowedBaseUrls must be a list of URLs');
+        settings.allowedBaseUrls = [...new Set(changes.allowedBaseUrls.filter(u => String(u).trim()).map(normalizeBaseUrl))];
+    }
+
+    if (changes.provider !== undefined) {
+        if (!PROVIDER_IDS.includes(changes.provider)) throw new Error(`Unknown provider: ${changes.provider}`);
+        settings.provider = changes.provider;
+    }
+
+    for (const provider of PROVIDER_IDS) {
+        const update = changes[provider];
+        if (!update) continue;
+
+        for (const field of PROVIDERS[provider].fields) {
+            if (update[field.key] !== undefined) settings[provider][field.key] = parseField(field, update[field.key]);
+        }
+        const { apiKey } = update;
+        if (apiKey === null) delete settings[provider].apiKey;
+        else if (typeof apiKey === 'string' && apiKey.trim()) settings[provider].apiKey = encrypt(apiKey.trim());
+    }
+
+    // Endpoints only need to be allowed once they are in use (or being changed),
+    // so e.g. the local model's default address doesn't block saving other settings
+    const blocked = PROVIDER_IDS
+        .filter(p => p === settings.provider || changes[p]?.baseUrl !== undefined)
+        .find(p => settings[p].baseUrl && !findAllowedBaseUrl(settings[p].baseUrl, settings.allowedBaseUrls));
+    if (blocked) {
+        throw new Error(`${settings[blocked].baseUrl} is not on the allowlist. Add it to the allowed base URLs first.`);
+    }
+
+    await writeSettings(settings);
+    return toPublicSettings(settings);
+}
+
+// --- Routes ---
+
+export function registerAISettingsRoutes(app) {
+    // GET /api/ai/settings - active provider and models (every editor needs these to use AI features)
+    app.get('/api/ai/settings', requireAuth, async (req, res) => {
+        try {
+            res.json(await getAISettings());
+        } catch (error) {
+            console.error('Error reading AI settings:', error);
+            res.status(500).json({ error: 'Internal Server Error' });
+        }
+    });
+
+    // PUT /api/ai/settings - change provider, models and keys (admins only)
+    app.put('/api/ai/settings', requireRole('admin'), async (req, res) => {
+        try {
+            const settings = await updateAISettings(req.body || {});
+            console.log(`[AI] ${req.user.email} updated AI settings (provider: ${settings.provider})`);
+            res.json(settings);
+        } catch (error) {
+            res.status(400).json({ error: error.message });
+        }
+    });
+}
+
+// --- Bootstrap ---
+
+async function loadEncryptionKey() {
+    // Any string works - it is stretched into a 256-bit key
+    let secret = process.env.AI_SECRET;
+
+    if (!secret) {
+        try {
+            secret = (await fs.readFile(KEY_FILE, 'utf8')).trim();
+        } catch {
+            secret = crypto.randomBytes(32).toString('hex');
+            await fs.writeFile(KEY_FILE, secret, { mode: 0o600 });
+            console.log('Generated new AI settings encryption key');
+        }
+    }
+
+    return crypto.createHash('sha256').update(secret).digest();
+}
+
+export async function initAISettings() {
+    encryptionKey = await loadEncryptionKey();
+}
@@ -0,0 +1,410 @@
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { promisify } from 'util';
+import { writeFileAtomic } from './storage.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// Users live outside the document store so they never end up in a backup export
+const USERS_FILE = path.join(__dirname, 'users.json');
+const SECRET_FILE = path.join(__dirname, '.session-secret');
+// Generated password for the first admin account, readable only by the server's user
+const INITIAL_PASSWORD_FILE = path.join(__dirname, '.initial-admin-password');
+
+const SESSION_TTL_MS = 12 * 60 * 60 * 1000; // 12 hours
+
+// Ordered from least to most privileged - each role can do everything the ones before it can
+export const ROLES = ['editor', 'publisher', 'admin'];
+const scrypt = promisify(crypto.scrypt);
+
+let sessionSecret = null;
+
+// --- Password Hashing (scrypt, no external deps) ---
+
+async function hashPassword(password) {
+    const salt = crypto.randomBytes(16).toString('hex');
+    const derived = await scrypt(password, salt, 64);
+    return `scrypt:${salt}:${derived.toString('hex')}`;
+}
+
+async function verifyPassword(password, stored) {
+    const [scheme, salt, hash] = (stored || '').split(':');
+    if (scheme !== 'scrypt' || !salt || !hash) return false;
+
+    const derived = await scrypt(password, salt, 64);
+    const expected = Buffer.from(hash, 'hex');
+    return expected.length === derived.length && crypto.timingSafeEqual(expected, derived);
+}
+
+// --- User Store ---
+
+async function readUsers() {
+    try {
+        const data = await fs.readFile(USERS_FILE, 'utf8');
+        return JSON.parse(data);
+    } catch (error) {
+        return [];
+    }
+}
+
+async function writeUsers(users) {
+    await writeFileAtomic(USERS_FILE, JSON.stringify(users, null, 2));
+}
+
+const normalizeEmail = (email) => String(email || '').trim().toLowerCase();
+
+// Strip the password hash before anything leaves the server
+const toPublicUser = (user) => ({ id: user.id, email: user.email, name: user.name, role: user.role });
+
+export const hasRole = (user, role) => ROLES.indexOf(user?.role) >= ROLES.indexOf(role);
+
+export async function findUserByEmail(email) {
+    const users = await readUsers();
+    return users.find(u => u.email === normalizeEmail(email)) || null;
+}
+
+export async function listUsers() {
+    const users = await readUsers();
+    return users.map(toPublicUser);
+}
+
+export async function createUser({ email, password, name, role = 'editor' }) {
+    const users = await readUsers();
+    const normalized = normalizeEmail(email);
+
+    if (!ROLES.includes(role)) {
+        throw new Error(`Unknown role: ${role}`);
+    }
+    if (users.some(u => u.email === normalized)) {
+        throw new Error(`User ${normalized} already exists`);
+    }
+
+    const user = {
+        id: `user-${Date.now()}`,
+        email: normalized,
+        name: name || normalized,
+        role,
+        passwordHash: await hashPassword(password),
+        createdAt: new Date().toISOString()
+    };
+
+    users.push(user);
+    await writeUsers(users);
+    return toPublicUser(user);
+}
+
+export async function updateUser(id, { name, role, password }) {
+    const users = await readUsers();
+    const user = users.find(u => u.id === id);
+    if (!user) return null;
+
+    if (role !== undefined) {
+        if (!ROLES.includes(role)) throw new Error(`Unknown role: ${role}`);
+        // Never demote the last administrator
+        if (user.role === 'admin' && role !== 'admin' && users.filter(u => u.role === 'admin').length === 1) {
+            throw new Error('Cannot remove the last administrator');
+        }
+        user.role = role;
+    }
+    if (name !== undefined) user.name = name;
+    if (password) user.passwordHash = await hashPassword(password);
+
+    await writeUsers(users);
+    return toPublicUser(user);
+}
+
+export async function deleteUser(id) {
+    const users = await readUsers();
+    const user = users.find(u => u.id === id);
+    if (!user) return false;
+
+    if (user.role === 'admin' && users.filter(u => u.role === 'admin').length === 1) {
+        throw new Error('Cannot remove the last administrator');
+    }
+
+    await writeUsers(users.filter(u => u.id !== id));
+    return true;
+}
+
+// --- Session Tokens (HMAC-signed, stateless) ---
+
+function sign(payload) {
+    return crypto.createHmac('sha256', sessionSecret).update(payload).digest('base64url');
+}
+
+export function issueToken(user) {
+    const payload = Buffer.from(JSON.stringify({
+        sub: user.id,
+        email: user.email,
+        exp: Date.now() + SESSION_TTL_MS
+    })).toString('base64url');
+
+    return `${payload}.${sign(payload)}`;
+}
+
+export function verifyToken(token) {
+    if (!token || !sessionSecret) return null;
+
+    const [payload, signature] = token.split('.');
+    if (!payload || !signature) return null;
+
+    const expected = Buffer.from(sign(payload));
+    const actual = Buffer.from(signature);
+    if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+        return null;
+    }
+
+    try {
+        const claims = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+        if (!claims.exp || claims.exp < Date.now()) return null;
+        return claims;
+    } catch {
+        return null;
+    }
+}
+
+const getBearerToken = (req) => {
+    const header = req.headers.authorization || '';
+    return header.startsWith('Bearer ') ? header.slice(7) : null;
+};
+
+/**
+ * The signed-in user for a request, or null if its token is missing, invalid or
+ * belongs to a user who has since been deleted
+ */
+async function authenticate(req) {
+    const claims = verifyToken(getBearerToken(req));
+    if (!claims) return null;
+
+    // Re-check the user still exists (deleted users lose access immediately)
+    const user = await findUserByEmail(claims.email);
+    return user && user.id === claims.sub ? toPublicUser(user) : null;
+}
+
+/**
+ * Run onUser once the request is authenticated. Express 4 doesn't catch rejected promises,
+ * so a failed lookup goes to next(error), and onUser runs outside the lookup's promise chain -
+ * what the following handlers throw is caught by Express instead of ending the process.
+ */
+function withUser(req, res, next, onUser) {
+    authenticate(req).then(
+        (user) => setImmediate(() => {
+            if (!user) return res.status(401).json({ error: 'Authentication required' });
+            req.user = user;
+            onUser();
+        }),
+        (error) => next(error)
+    );
+}
+
+/**
+ * Middleware: reject requests without a valid session token.
+ * On success the verified user is available as req.user
+ */
+export function requireAuth(req, res, next) {
+    withUser(req, res, next, () => next());
+}
+
+/**
+ * Middleware factory: require at least the given role.
+ * Runs requireAuth first, so it can be used on its own.
+ */
+export function requireRole(role) {
+    return (req, res, next) => withUser(req, res, next, () => {
+        if (!hasRole(req.user, role)) {
+            console.warn(`[Auth] ${req.user.email} (${req.user.role}) denied ${req.method} ${req.path} - needs ${role}`);
+            return res.status(403).json({ error: `This action requires the ${role} role` });
+        }
+        next();
+    });
+}
+
+// --- Login Throttling ---
+
+// Failed sign-ins are counted per account and per client address. After a few free attempts,
+// each further failure doubles the wait before the next try. Counts are forgotten after an
+// hour without failures, or on restart.
+const FREE_LOGIN_FAILURES = { account: 5, ip: 20 }; // Many users can share an address
+const MAX_LOGIN_DELAY_MS = 15 * 60 * 1000;
+const LOGIN_FAILURE_TTL_MS = 60 * 60 * 1000;
+const loginFailures = new Map(); // key -> { count, retryAt, lastAt }
+
+const loginKeys = (email, ip) => ({ account: `account:${normalizeEmail(email)}`, ip: `ip:${ip}` });
+
+function loginFailureFor(key) {
+    const failure = loginFailures.get(key);
+    return failure && Date.now() - failure.lastAt < LOGIN_FAILURE_TTL_MS ? failure : null;
+}
+
+// When the next attempt is accepted (ms timestamp, 0 if now)
+function loginRetryAt(keys) {
+    return Math.max(0, ...Object.values(keys).map(key => loginFailureFor(key)?.retryAt || 0));
+}
+
+function recordLoginFailure(keys) {
+    const now = Date.now();
+    for (const [kind, key] of Object.entries(keys)) {
+        const count = (loginFailureFor(key)?.count || 0) + 1;
+        const extra = count - FREE_LOGIN_FAILURES[kind];
+        const delay = extra > 0 ? Math.min(1000 * 2 ** (extra - 1), MAX_LOGIN_DELAY_MS) : 0;
+        loginFailures.set(key, { count, retryAt: now + delay, lastAt: now });
+    }
+
+    // Keep the map from growing with one-off guesses
+    if (loginFailures.size > 1000) {
+        loginFailures.forEach((failure, key) => {
+            if (now - failure.lastAt >= LOGIN_FAILURE_TTL_MS) loginFailures.delete(key);
+        });
+    }
+}
+
+// --- Routes ---
+
+export function registerAuthRoutes(app) {
+    // POST /api/auth/login - exchange email/password for a session token
+    app.post('/api/auth/login', async (req, res) => {
+        try {
+            const { email, password } = req.body || {};
+            if (!email || !password) {
+                return res.status(400).json({ error: 'Email and password are required' });
+            }
+
+            const keys = loginKeys(email, req.ip);
+            const wait = Math.ceil((loginRetryAt(keys) - Date.now()) / 1000);
+            if (wait > 0) {
+                res.set('Retry-After', String(wait));
+                return res.status(429).json({ error: `Too many failed sign-ins. Try again in ${wait} second${wait === 1 ? '' : 's'}.` });
+            }
+
+            const user = await findUserByEmail(email);
+            const valid = user ? await verifyPassword(password, user.passwordHash) : false;
+
+            if (!valid) {
+                recordLoginFailure(keys);
+                console.warn(`[Auth] Failed login for ${normalizeEmail(email)} from ${req.ip}`);
+                return res.status(401).json({ error: 'Invalid email or password' });
+            }
+
+            loginFailures.delete(keys.account);
+
+            console.log(`[Auth] ${user.email} signed in`);
+            res.json({ token: issueToken(user), user: toPublicUser(user) });
+        } catch (error) {
+            console.error('Error during login:', error);
+            res.status(500).json({ error: 'Internal Server Error' });
+        }
+    });
+
+    // GET /api/auth/me - validate the current session
+    app.get('/api/auth/me', requireAuth, (req, res) => {
+        res.json({ user: req.user });
+    });
+
+    // --- User Management (admins only) ---
+
+    app.get('/api/users', requireRole('admin'), async (req, res) => {
+        try {
+            res.json({ users: await listUsers(), roles: ROLES });
+        } catch (error) {
+            console.error('Error listing users:', error);
+            res.status(500).json({ error: 'Internal Server Error' });
+        }
+    });
+
+    app.post('/api/users', requireRole('admin'), async (req, res) => {
+        const { email, password, name, role } = req.body || {};
+        if (!email || !password) {
+            return res.status(400).json({ error: 'Email and password are required' });
+        }
+
+        try {
+            const user = await createUser({ email, password, name, role });
+            console.log(`[Auth] ${req.user.email} created user ${user.email} (${user.role})`);
+            res.status(201).json({ user });
+        } catch (error) {
+            res.status(400).json({ error: error.message });
+        }
+    });
+
+    app.patch('/api/users/:id', requireRole('admin'), async (req, res) => {
+        try {
+            const { name, role, password } = req.body || {};
+            const user = await updateUser(req.params.id, { name, role, password });
+            if (!user) return res.status(404).json({ error: 'User not found' });
+
+            console.log(`[Auth] ${req.user.email} updated user ${user.email} (${user.role})`);
+            res.json({ user });
+        } catch (error) {
+            res.status(400).json({ error: error.message });
+        }
+    });
+
+    app.delete('/api/users/:id', requireRole('admin'), async (req, res) => {
+        if (req.params.id === req.user.id) {
+            return res.status(400).json({ error: 'You cannot delete your own account' });
+        }
+
+        try {
+            const deleted = await deleteUser(req.params.id);
+            if (!deleted) return res.status(404).json({ error: 'User not found' });
+
+            console.log(`[Auth] ${req.user.email} deleted user ${req.params.id}`);
+            res.json({ success: true });
+        } catch (error) {
+            res.status(400).json({ error: error.message });
+        }
+    });
+}
+
+// --- Bootstrap ---
+
+async function loadSessionSecret() {
+    if (process.env.SESSION_SECRET) return process.env.SESSION_SECRET;
+
+    try {
+        return (await fs.readFile(SECRET_FILE, 'utf8')).trim();
+    } catch {
+        const secret = crypto.randomBytes(32).toString('hex');
+        await fs.writeFile(SECRET_FILE, secret, { mode: 0o600 });
+        console.log('Generated new session secret');
+        return secret;
+    }
+}
+
+/**
+ * Load the signing secret and make sure at least one admin account exists.
+ * The first account comes from ADMIN_EMAIL / ADMIN_PASSWORD, or gets a
+ * random password written to INITIAL_PASSWORD_FILE (never to the logs).
+ */
+export async function initAuth() {
+    sessionSecret = await loadSessionSecret();
+
+    const users = await readUsers();
+
+    // Accounts created before roles existed were all administrators
+    if (users.some(u => !u.role)) {
+        users.forEach(u => { u.role = u.role || 'admin'; });
+        await writeUsers(users);
+        console.log('Assigned admin role to existing accounts');
+    }
+
+    if (users.length > 0) return;
+
+    const email = process.env.ADMIN_EMAIL || 'admin@quickstor.com';
+    const password = process.env.ADMIN_PASSWORD || crypto.randomBytes(9).toString('base64url');
+
+    await createUser({ email, password, name: 'Administrator', role: 'admin' });
+
+    if (process.env.ADMIN_PASSWORD) {
+        console.log(`Created initial admin account: ${email}`);
+    } else {
+        // Replace rather than overwrite, so an older copy's permissions don't carry over
+        await fs.rm(INITIAL_PASSWORD_FILE, { force: true });
+        await fs.writeFile(INITIAL_PASSWORD_FILE, `${email}\n${password}\n`, { mode: 0o600, flag: 'wx' });
+        console.log(`Created initial admin account: ${email} - its password is in ${INITIAL_PASSWORD_FILE}. Delete the file once you have signed in.`);
+        console.log('Set ADMIN_EMAIL and ADMIN_PASSWORD before the first start to choose your own credentials.');
+    }
+}
@@ -0,0 +1,154 @@
+import dns from 'dns/promises';
+import net from 'net';
+import { Agent } from 'undici';
+
+// Outbound request checks for the AI proxy. A destination must match an admin-approved
+// base URL, and must not resolve to a private, loopback or link-local address - unless
+// the approved entry itself points at one (e.g. a local model on http://localhost:11434).
+//
+// Checking a name up front is not enough on its own: the connection would resolve it
+// again and could get a different answer (DNS rebinding). Requests to public hosts go
+// through egressDispatcher, which checks the addresses it actually connects to.
+
+const PRIVATE_RANGES = new net.BlockList();
+[
+    ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+    ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 3]
+].forEach(([address, prefix]) => PRIVATE_RANGES.addSubnet(address, prefix, 'ipv4'));
+[
+    ['::', 128], ['::1', 128], ['64:ff9b:1::', 48], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]
+].forEach(([address, prefix]) => PRIVATE_RANGES.addSubnet(address, prefix, 'ipv6'));
+
+// IPv6 ranges that carry an IPv4 address (IPv4-mapped ::ffff:0:0/96 is checked by BlockList
+// itself): the gateway connects to the embedded address, so that is the one checked
+const EMBEDDED_IPV4 = [
+    { range: ['64:ff9b::', 96], groups: [6, 7] }, // NAT64
+    { range: ['2002::', 16], groups: [1, 2] } // 6to4
+].map(({ range, groups }) => {
+    const list = new net.BlockList();
+    list.addSubnet(range[0], range[1], 'ipv6');
+    return { list, groups };
+});
+
+// The eight 16-bit groups of an IPv6 address, '::' expanded
+function ipv6Groups(address) {
+    const expand = (part) => (part ? part.split(':') : []).flatMap(group => {
+        if (!group.includes('.')) return [parseInt(group, 16)];
+        const [a, b, c, d] = group.split('.').map(Number);
+        return [(a << 8) | b, (c << 8) | d];
+    });
+    const [head, tail] = address.split('%')[0].split('::');
+    const start = expand(head);
+    const end = tail === undefined ? [] : expand(tail);
+    return [...start, ...new Array(8 - start.length - end.length).fill(0), ...end];
+}
+
+function embeddedIPv4(address) {
+    const match = EMBEDDED_IPV4.find(({ list }) => list.check(address, 'ipv6'));
+    if (!match) return null;
+    const [high, low] = match.groups.map(index => ipv6Groups(address)[index]);
+    return [high >> 8, high & 0xff, low >> 8, low & 0xff].join('.');
+}
+
+export function isPrivateAddress(address) {
+    const type = net.isIP(address);
+    if (type === 0) return false;
+    if (type === 4) return PRIVATE_RANGES.check(address, 'ipv4');
+    if (PRIVATE_RANGES.check(address, 'ipv6')) return true;
+    const embedded = embeddedIPv4(address);
+    return embedded !== null && PRIVATE_RANGES.check(embedded, 'ipv4');
+}
+
+// URL hostnames keep IPv6 literals in brackets
+const stripBrackets = (hostname) => hostname.replace(/^\[|\]$/g, '');
+
+const isPrivateHost = (hostname) => hostname === 'localhost' || isPrivateAddress(stripBrackets(hostname));
+
+/**
+ * Normalize an allowlist entry: origin plus path, without a trailing slash
+ * @throws if the entry is not an http(s) URL
+ */
+export function normalizeBaseUrl(value) {
+    const url = new URL(String(value).trim());
+    if (url.protocol !== 'https:' && url.protocol !== 'http:') {
+        throw new Error(`Only http and https URLs are allowed: ${value}`);
+    }
+    if (url.username || url.password || url.search || url.hash) {
+        throw new Error(`Base URLs cannot contain credentials, a query or a fragment: ${value}`);
+    }
+    return `${url.origin}${url.pathname.replace(/\/+$/, '')}`;
+}
+
+/**
+ * Find the allowlist entry a URL falls under
+ * @returns {string|null}
+ */
+export function findAllowedBaseUrl(target, allowlist) {
+    const url = new URL(target);
+    return allowlist.find(entry => {
+        const allowed = new URL(entry);
+        if (allowed.origin !== url.origin) return false;
+        const path = allowed.pathname.replace(/\/+$/, '');
+        return url.pathname === path || url.pathname.startsWith(`${path}/`);
+    }) || null;
+}
+
+const deny = (reason) => {
+    const error = new Error(`Destination not allowed: ${reason}`);
+    error.status = 403;
+    return error;
+};
+
+/**
+ * Resolve a public host name, refusing it if any address is internal
+ * @returns {Promise<Array<{address: string, family: number}>>}
+ */
+async function resolvePublic(hostname) {
+    let addresses;
+    try {
+        addresses = await dns.lookup(hostname, { all: true, verbatim: true });
+    } catch {
+        throw deny(`cannot resolve ${hostname}`);
+    }
+    const internal = addresses.find(({ address }) => isPrivateAddress(address));
+    if (internal) throw deny(`${hostname} resolves to the private address ${internal.address}`);
+    return addresses;
+}
+
+// net.connect-style lookup: the socket connects to exactly the addresses that were checked
+function checkedLookup(hostname, options, callback) {
+    resolvePublic(hostname).then(
+        (addresses) => options.all
+            ? callback(null, addresses)
+            : callback(null, addresses[0].address, addresses[0].family),
+        (error) => callback(error)
+    );
+}
+
+const publicAgent = new Agent({ connect: { lookup: checkedLookup } });
+
+/**
+ * The undici dispatcher to send a request to this URL with. Admin-approved local
+ * addresses use the default one; everything else is re-checked on connect.
+ * A refused connection fails the fetch with the 403 error as its cause.
+ */
+export function egressDispatcher(target) {
+    return isPrivateHost(new URL(target).hostname) ? undefined : publicAgent;
+}
+
+/**
+ * Make sure the proxy may send a request to this URL
+ * @throws {Error} with status 403 if the destination is not allowed
+ */
+export async function assertAllowedDestination(target, allowlist) {
+    const entry = findAllowedBaseUrl(target, allowlist);
+    if (!entry) throw deny(`${new URL(target).origin} is not on the AI provider allowlist`);
+
+    const { hostname } = new URL(target);
+    // An admin explicitly approved a local address - nothing to resolve
+    if (isPrivateHost(hostname)) return;
+
+    // Public names must not resolve to internal addresses (internal aliases). This gives a clear
+    // error early; egressDispatcher repeats the check for the connection itself.
+    await resolvePublic(hostname);
+}
@@ -0,0 +1,47 @@
+import { storageEvents } from './storage.js';
+
+// Proxies (and Render) drop idle connections, so send a comment line every so often
+const HEARTBEAT_MS = 25 * 1000;
+
+// Open Server-Sent Events responses
+const clients = new Set();
+
+function broadcast(event, payload) {
+    const message = `event: ${event}\ndata: ${JSON.stringify(payload)}\n\n`;
+    for (const res of clients) {
+        res.write(message);
+    }
+}
+
+// Only the path and new ETag go out - clients fetch the document itself if they care
+storageEvents.on('change', (change) => broadcast('change', change));
+
+/**
+ * Register the live update stream
+ * Replaces polling: one connection per browser tab tells every onSnapshot listener
+ * in it when a document changed.
+ */
+export function registerEventRoutes(app) {
+    // GET endpoint streaming document change notifications
+    app.get('/api/events', (req, res) => {
+        res.writeHead(200, {
+            'Content-Type': 'text/event-stream',
+            'Cache-Control': 'no-cache',
+            'Connection': 'keep-alive',
+            'X-Accel-Buffering': 'no' // Disable proxy buffering (nginx)
+        });
+        // Tell EventSource how long to wait before reconnecting after a drop
+        res.write('retry: 3000\n\n');
+
+        clients.add(res);
+        console.log(`[Events] Client connected (${clients.size} open)`);
+
+        const heartbeat = setInterval(() => res.write(': ping\n\n'), HEARTBEAT_MS);
+
+        req.on('close', () => {
+            clearInterval(heartbeat);
+            clients.delete(res);
+            console.log(`[Events] Client disconnected (${clients.size} open)`);
+        });
+    });
+}
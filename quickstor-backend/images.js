@@ -0,0 +1,125 @@
+import fs from 'fs/promises';
+import path from 'path';
+import sharp from 'sharp';
+import { withLock } from './locks.js';
+import { writeFileAtomic } from './storage.js';
+
+// Responsive variants of uploaded raster images:
+//   media/variants/<hash>-<width>.<webp|avif>  resized copies for srcset
+//   media/variants/<hash>-blur.webp            tiny blurred preview shown while loading
+// Names are derived from the original's hash, so clients can build srcsets from the URL alone.
+// Keep in sync with quickstor-frontend/src/utils/responsiveImage.js
+export const VARIANT_WIDTHS = [480, 960, 1600, 2400];
+export const VARIANT_FORMATS = ['avif', 'webp'];
+const PLACEHOLDER_WIDTH = 24;
+
+// GIFs (animation), SVGs and icons are served as uploaded
+const PROCESSABLE_TYPES = ['image/png', 'image/jpeg', 'image/webp'];
+
+const VARIANT_PATTERN = /^([a-f0-9]{32})-(\d+|blur)\.(webp|avif)$/;
+
+export const isProcessable = (type) => PROCESSABLE_TYPES.includes(type);
+
+/**
+ * Parse a variant file name
+ * @returns {{hash: string, width: number|null, format: string}|null} width is null for the placeholder
+ */
+export function parseVariantName(name) {
+    const match = VARIANT_PATTERN.exec(name);
+    if (!match) return null;
+
+    const [, hash, size, format] = match;
+    if (size === 'blur') return format === 'webp' ? { hash, width: null, format } : null;
+
+    const width = Number(size);
+    return VARIANT_WIDTHS.includes(width) ? { hash, width, format } : null;
+}
+
+/**
+ * Read pixel dimensions (EXIF rotation applied)
+ * @returns {Promise<{width: number, height: number}|null>}
+ */
+export async function readImageSize(buffer) {
+    try {
+        const { width, height, orientation } = await sharp(buffer).metadata();
+        // Orientations 5-8 are rotated by 90 degrees
+        return orientation >= 5 ? { width: height, height: width } : { width, height };
+    } catch (error) {
+        return null;
+    }
+}
+
+function renderVariant(source, { width, format }) {
+    const pipeline = sharp(source).rotate(); // Apply EXIF orientation
+
+    if (width === null) {
+        return pipeline.resize({ width: PLACEHOLDER_WIDTH }).blur().webp({ quality: 40 }).toBuffer();
+    }
+
+    // Never upscale - widths above the original get an original-sized copy
+    pipeline.resize({ width, withoutEnlargement: true });
+    return format === 'avif'
+        ? pipeline.avif({ quality: 50 }).toBuffer()
+        : pipeline.webp({ quality: 75 }).toBuffer();
+}
+
+/**
+ * Return the path of a variant, rendering it from the original first if needed
+ * @param {string} variantsDir
+ * @param {string} originalPath - Full path of the uploaded file
+ * @param {string} name - Variant file name (see parseVariantName)
+ */
+export async function ensureVariant(variantsDir, originalPath, name) {
+    const variant = parseVariantName(name);
+    if (!variant) throw new Error(`Invalid variant name: ${name}`);
+
+    const variantPath = path.join(variantsDir, name);
+    // Rendering is CPU-heavy - one at a time per variant, and never twice
+    return withLock(`variant:${name}`, async () => {
+        try {
+            await fs.access(variantPath);
+            return variantPath;
+        } catch {
+            // Not rendered yet
+        }
+
+        const output = await renderVariant(await fs.readFile(originalPath), variant);
+        await fs.mkdir(variantsDir, { recursive: true });
+        await writeFileAtomic(variantPath, output);
+        return variantPath;
+    });
+}
+
+/**
+ * Render the placeholder and every variant up to the original width.
+ * Larger widths are only rendered if a browser actually asks for them.
+ */
+export async function generateVariants(variantsDir, originalPath, hash, originalWidth) {
+    const names = [`${hash}-blur.webp`];
+    for (const width of VARIANT_WIDTHS) {
+        if (width > originalWidth && width !== VARIANT_WIDTHS[0]) continue;
+        for (const format of VARIANT_FORMATS) names.push(`${hash}-${width}.${format}`);
+    }
+
+    for (const name of names) {
+        await ensureVariant(variantsDir, originalPath, name);
+    }
+    return names.length;
+}
+
+/**
+ * Remove all variants of an original
+ */
+export async function deleteVariants(variantsDir, hash) {
+    let files;
+    try {
+        files = await fs.readdir(variantsDir);
+    } catch (error) {
+        return;
+    }
+    await Promise.all(
+        files
+            .filter(f => f.startsWith(`${hash}-`))
+            .map(f => fs.rm(path.join(variantsDir, f), { force: true }))
+    );
+}
@@ -1,19 +1,45 @@
 import express from 'express';
 import cors from 'cors';
-import fs from 'fs/promises';
 import path from 'path';
 import { fileURLToPath } from 'url';
+import { initAuth, registerAuthRoutes, requireAuth, requireRole, hasRole } from './auth.js';
+import { recordRevision, listRevisions, getRevision } from './revisions.js';
+import { registerEventRoutes } from './events.js';
+import { initMedia, registerMediaRoutes, extractDataUrls } from './media.js';
+import { initAISettings, registerAISettingsRoutes } from './aiSettings.js';
+import { registerAIRoutes, AI_REQUEST_LIMIT } from './ai.js';
+import { registerUsageRoutes } from './usage.js';
+import { registerPromptRoutes } from './prompts.js';
+import { registerAILogRoutes } from './aiLog.js';
+import { registerSectionSessionRoutes } from './sectionSessions.js';
+import { initStorage, getDoc, getAllDocs, replaceAllDocs, transaction, docEtag } from './storage.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
 const app = express();
 const PORT = 3000;
-const DATA_FILE = path.join(__dirname, 'data.json');
 
-app.use(cors());
-app.use(express.json({ limit: '50mb' }));
-app.use(express.urlencoded({ limit: '50mb', extended: true }));
+const STAGING_DOC = 'sites/quickstor-staging';
+const LIVE_DOC = 'sites/quickstor-live';
+
+// Documents that need more than the editor role to write
+const PROTECTED_DOCS = {
+    [LIVE_DOC]: 'publisher'
+};
+
+const canWriteDoc = (user, docPath) => !PROTECTED_DOCS[docPath] || hasRole(user, PROTECTED_DOCS[docPath]);
+
+// ETag is exposed so cross-origin editors can send it back as If-Match
+app.use(cors({ exposedHeaders: ['ETag'] }));
+// Images go through /api/media now, so documents stay small. Full restores get a
+// bigger allowance since backups from before that can still carry base64 images.
+app.post('/api/data', express.json({ limit: '50mb' }));
+app.use('/api/ai', express.json({ limit: AI_REQUEST_LIMIT }));
+// Chat sessions parse their own bodies, after the caller is checked (see sectionSessions.js)
+const jsonBody = express.json({ limit: '10mb' });
+app.use((req, res, next) => (req.path.startsWith('/api/section-sessions') ? next() : jsonBody(req, res, next)));
+app.use(express.urlencoded({ limit: '10mb', extended: true }));
 
 // --- STATIC FILES SERVING (Render Deployment) ---
 const PUBLIC_DIR = path.join(__dirname, 'public');
@@ -41,85 +67,38 @@ app.use('/', express.static(path.join(PUBLIC_DIR, 'live')));
 // We will place it at the very bottom of the file
 
 
-// --- Proxy for OpenAI/Compatible APIs (Fixes CORS) ---
-app.post('/api/proxy/openai', async (req, res) => {
-    try {
-        const { url, apiKey, body } = req.body;
+// --- Authentication ---
+registerAuthRoutes(app);
 
-        if (!url || !apiKey || !body) {
-            console.error('[Proxy] Bad Request - Missing params:', {
-                url: url ? 'Present' : 'MISSING',
-                apiKey: apiKey ? 'Present' : 'MISSING',
-                body: body ? 'Present' : 'MISSING'
-            });
-            return res.status(400).json({ error: 'Missing url, apiKey, or body' });
-        }
+// --- Live Updates (Server-Sent Events) ---
+registerEventRoutes(app);
 
-        console.log(`[Proxy] Forwarding request to: ${url}`);
+// --- Media Uploads ---
+registerMediaRoutes(app, { canWriteDoc });
 
-        const response = await fetch(url, {
-            method: 'POST',
-            headers: {
-                'Content-Type': 'application/json',
-                'Authorization': `Bearer ${apiKey}`
-            },
-            body: JSON.stringify(body)
-        });
+// --- AI Provider Settings (keys stay on the server) ---
+registerAISettingsRoutes(app);
 
-        if (!response.ok) {
-            const errorText = await response.text();
-            console.error('[Proxy] Upstream Error:', response.status, errorText);
-            return res.status(response.status).send(errorText);
-        }
+// --- AI Generation (provider-neutral proxy, fixes CORS and keeps keys server-side) ---
+registerAIRoutes(app);
 
-        // If streaming is requested, pipe the response
-        if (body.stream) {
-            res.setHeader('Content-Type', 'text/event-stream');
-            res.setHeader('Cache-Control', 'no-cache');
-            res.setHeader('Connection', 'keep-alive');
-
-            // Pipe the web stream to the node response
-            // Node 18+ fetch returns a Web Stream, we need to handle it
-            const reader = response.body.getReader();
-            while (true) {
-                const { done, value } = await reader.read();
-                if (done) break;
-                res.write(value);
-            }
-            res.end();
-            return;
-        }
+// --- AI Usage & Quotas ---
+registerUsageRoutes(app);
 
-        const data = await response.json();
-        res.json(data);
+// --- AI Prompts (shared by the whole team, versioned) ---
+registerPromptRoutes(app);
 
-    } catch (error) {
-        console.error('[Proxy] Internal Error:', error);
-        res.status(500).json({ error: error.message });
-    }
-});
-
-// Helper to read data
-async function readData() {
-    try {
-        const data = await fs.readFile(DATA_FILE, 'utf8');
-        return JSON.parse(data);
-    } catch (error) {
-        // If file doesn't exist, return empty object
-        return {};
-    }
-}
+// --- AI Generation Log (admins trace and replay calls) ---
+registerAILogRoutes(app);
 
-// Helper to write data
-async function writeData(data) {
-    await fs.writeFile(DATA_FILE, JSON.stringify(data, null, 2));
-}
+// --- Section Creator Chat Sessions (resumable, linked to custom sections) ---
+registerSectionSessionRoutes(app);
 
 // GET endpoint to fetch ALL data (for backup)
-app.get('/api/data', async (req, res) => {
+app.get('/api/data', requireAuth, async (req, res) => {
     try {
         console.log('[GET] Fetching ALL data (Backup)');
-        const allData = await readData();
+        const allData = await getAllDocs();
         res.json(allData);
     } catch (error) {
         console.error('Error reading all data:', error);
@@ -128,17 +107,25 @@ app.get('/api/data', async (req, res) => {
 });
 
 // POST endpoint to OVERWRITE ALL data (for restore)
-app.post('/api/data', async (req, res) => {
+app.post('/api/data', requireRole('admin'), async (req, res) => {
     try {
         console.log('[POST] Restoring ALL data');
-        const newData = req.body;
 
         // Basic validation
-        if (!newData || typeof newData !== 'object') {
+        if (!req.body || typeof req.body !== 'object') {
             return res.status(400).json({ error: 'Invalid data format' });
         }
 
-        await writeData(newData);
+        // Older backups embed images as base64 - store those as media files instead
+        const { value: newData } = await extractDataUrls(req.body, { name: 'Restored from backup', uploadedBy: req.user.email });
+
+        await replaceAllDocs(newData);
+
+        // Keep the restored state in history so it can be rolled back like any save
+        for (const [docPath, docData] of Object.entries(newData)) {
+            await recordRevision(docPath, docData, { author: req.user.email, action: 'restore' });
+        }
+
         res.json({ success: true, message: 'Full restore completed' });
     } catch (error) {
         console.error('Error restoring data:', error);
@@ -152,10 +139,11 @@ app.get('/api/data/:path(*)', async (req, res) => {
         const docPath = req.params.path;
         console.log(`[GET] Fetching ${docPath}`);
 
-        const allData = await readData();
-        const docData = allData[docPath];
+        const docData = await getDoc(docPath);
 
         if (docData) {
+            // Clients echo this back in If-Match to detect concurrent edits
+            res.set('ETag', docEtag(docData));
             res.json(docData);
         } else {
             res.status(404).json({ error: 'Document not found' });
@@ -167,30 +155,227 @@ app.get('/api/data/:path(*)', async (req, res) => {
 });
 
 // POST endpoint to save a document
-app.post('/api/data/:path(*)', async (req, res) => {
+// With an If-Match header the save only goes through if nobody else changed the
+// document since the client read it; otherwise 409 with the current server copy.
+app.post('/api/data/:path(*)', requireRole('editor'), async (req, res) => {
     try {
         const docPath = req.params.path;
-        const newData = req.body;
-        console.log(`[POST] Saving to ${docPath}`);
 
-        const allData = await readData();
-        allData[docPath] = newData; // Simple key-value storage using the path as key
+        const requiredRole = PROTECTED_DOCS[docPath];
+        if (requiredRole && !hasRole(req.user, requiredRole)) {
+            console.warn(`[POST] ${req.user.email} denied write to ${docPath}`);
+            return res.status(403).json({ error: `Writing ${docPath} requires the ${requiredRole} role` });
+        }
+
+        const ifMatch = req.get('If-Match');
+        console.log(`[POST] Saving to ${docPath} (${req.user.email})${ifMatch ? ` if-match ${ifMatch}` : ''}`);
 
-        await writeData(allData);
-        res.json({ success: true, path: docPath });
+        // Anything still sending base64 images (older clients, pasted HTML) is moved to media
+        const { value: newData, extracted } = await extractDataUrls(req.body, { uploadedBy: req.user.email });
+        if (extracted > 0) console.log(`[POST] Moved ${extracted} embedded images to media`);
+
+        const conflict = await transaction(async (tx) => {
+            const current = await tx.get(docPath);
+            const currentEtag = docEtag(current);
+
+            const matches = ifMatch === '*' ? current !== null : ifMatch === currentEtag;
+            if (ifMatch && !matches) {
+                return { current, etag: currentEtag };
+            }
+            tx.set(docPath, newData);
+            return null;
+        });
+
+        if (conflict) {
+            console.warn(`[POST] Conflict on ${docPath} (${req.user.email})`);
+            if (conflict.etag) res.set('ETag', conflict.etag);
+            return res.status(409).json({
+                error: 'Document was changed by someone else since you loaded it',
+                etag: conflict.etag,
+                current: conflict.current
+            });
+        }
+
+        await recordRevision(docPath, newData, { author: req.user.email, action: 'save' });
+
+        const etag = docEtag(newData);
+        res.set('ETag', etag);
+        res.json({ success: true, path: docPath, etag });
     } catch (error) {
         console.error('Error writing data:', error);
         res.status(500).json({ error: 'Internal Server Error' });
     }
 });
 
-// Initialize data file if it doesn't exist
-try {
-    await fs.access(DATA_FILE);
-} catch {
-    await fs.writeFile(DATA_FILE, '{}');
-    console.log('Created new data.json file');
-}
+// --- Staging -> Live Workflow ---
+// Both copies happen inside a single transaction, so live and staging can never
+// be left half-updated by a failed second request or a concurrent save.
+
+// POST endpoint to promote staging to live
+app.post('/api/publish', requireRole('publisher'), async (req, res) => {
+    try {
+        console.log(`[PUBLISH] Promoting staging to live (${req.user.email})`);
+
+        const live = await transaction(async (tx) => {
+            const staging = await tx.get(STAGING_DOC);
+            if (!staging) return null;
+
+            const published = {
+                ...staging,
+                lastPublished: new Date().toISOString(),
+                publishedBy: req.user.email
+            };
+            tx.set(LIVE_DOC, published);
+            return published;
+        });
+
+        if (!live) {
+            return res.status(404).json({ error: 'No staging content found to publish' });
+        }
+        await recordRevision(LIVE_DOC, live, { author: req.user.email, action: 'publish' });
+
+        res.json({ success: true, version: live.version, live });
+    } catch (error) {
+        console.error('Error publishing staging:', error);
+        res.status(500).json({ error: 'Internal Server Error' });
+    }
+});
+
+// POST endpoint to reset staging back to live
+// The custom section library is kept, since it is shared across pages and not part of a publish
+app.post('/api/reject', requireRole('publisher'), async (req, res) => {
+    try {
+        console.log(`[REJECT] Reverting staging to live (${req.user.email})`);
+
+        const staging = await transaction(async (tx) => {
+            const live = await tx.get(LIVE_DOC);
+            if (!live) return null;
+
+            const current = await tx.get(STAGING_DOC);
+            const reverted = {
+                ...live,
+                customSections: current?.customSections || live.customSections || []
+            };
+            tx.set(STAGING_DOC, reverted);
+            return reverted;
+        });
+
+        if (!staging) {
+            return res.status(404).json({ error: 'No live content found to revert to' });
+        }
+        await recordRevision(STAGING_DOC, staging, { author: req.user.email, action: 'reject' });
+
+        res.json({ success: true, version: staging.version, staging, etag: docEtag(staging) });
+    } catch (error) {
+        console.error('Error rejecting staging:', error);
+        res.status(500).json({ error: 'Internal Server Error' });
+    }
+});
+
+// --- Revision History ---
+// Every write above records a snapshot. The document is passed as ?doc=<path>
+// because document paths contain slashes.
+
+// GET endpoint to list revisions of a document (newest first)
+app.get('/api/revisions', requireAuth, async (req, res) => {
+    try {
+        const docPath = req.query.doc;
+        if (!docPath) return res.status(400).json({ error: 'Missing doc parameter' });
+
+        // The current etag lets a restore refuse to overwrite a save made after the list was loaded
+        const [revisions, current] = await Promise.all([listRevisions(docPath), getDoc(docPath)]);
+        res.json({ revisions, etag: docEtag(current) });
+    } catch (error) {
+        console.error('Error listing revisions:', error);
+        res.status(500).json({ error: 'Internal Server Error' });
+    }
+});
+
+// GET endpoint to fetch a single revision with its full content
+app.get('/api/revisions/:id', requireAuth, async (req, res) => {
+    try {
+        const docPath = req.query.doc;
+        if (!docPath) return res.status(400).json({ error: 'Missing doc parameter' });
+
+        const result = await getRevision(docPath, req.params.id);
+        if (!result) return res.status(404).json({ error: 'Revision not found' });
+
+        res.json(result);
+    } catch (error) {
+        console.error('Error reading revision:', error);
+        res.status(500).json({ error: 'Internal Server Error' });
+    }
+});
+
+// POST endpoint to make an old revision the current document again
+// If-Match works as for saves: 409 with the server copy if the document changed since
+app.post('/api/revisions/:id/restore', requireRole('editor'), async (req, res) => {
+    try {
+        const docPath = req.query.doc;
+        if (!docPath) return res.status(400).json({ error: 'Missing doc parameter' });
+
+        const requiredRole = PROTECTED_DOCS[docPath];
+        if (requiredRole && !hasRole(req.user, requiredRole)) {
+            return res.status(403).json({ error: `Restoring ${docPath} requires the ${requiredRole} role` });
+        }
+
+        const result = await getRevision(docPath, req.params.id);
+        if (!result) return res.status(404).json({ error: 'Revision not found' });
+
+        const ifMatch = req.get('If-Match');
+        console.log(`[ROLLBACK] ${docPath} -> ${req.params.id} (${req.user.email})${ifMatch ? ` if-match ${ifMatch}` : ''}`);
+
+        // Revisions from before media uploads can still hold base64 images
+        const { value: data } = await extractDataUrls(result.data, { uploadedBy: req.user.email });
+
+        const outcome = await transaction(async (tx) => {
+            const current = await tx.get(docPath);
+            const currentEtag = docEtag(current);
+
+            const matches = ifMatch === '*' ? current !== null : ifMatch === currentEtag;
+            if (ifMatch && !matches) {
+                return { conflict: { current, etag: currentEtag } };
+            }
+            tx.set(docPath, data);
+            const revision = await recordRevision(docPath, data, {
+                author: req.user.email,
+                action: 'rollback',
+                restoredFrom: req.params.id
+            });
+            return { revision };
+        });
+
+        if (outcome.conflict) {
+            console.warn(`[ROLLBACK] Conflict on ${docPath} (${req.user.email})`);
+            if (outcome.conflict.etag) res.set('ETag', outcome.conflict.etag);
+            return res.status(409).json({
+                error: 'Document was changed by someone else since you loaded it',
+                etag: outcome.conflict.etag,
+                current: outcome.conflict.current
+            });
+        }
+
+        const etag = docEtag(data);
+        res.set('ETag', etag);
+        res.json({ success: true, revision: outcome.revision, data, etag });
+    } catch (error) {
+        console.error('Error restoring revision:', error);
+        res.status(500).json({ error: 'Internal Server Error' });
+    }
+});
+
+// Errors passed to next() (e.g. a failed session lookup) - JSON like every other API error
+app.use((error, req, res, next) => {
+    if (!error.status || error.status >= 500) console.error(`Error handling ${req.method} ${req.path}:`, error);
+    if (res.headersSent) return next(error);
+    res.status(error.status || 500).json({ error: error.status ? error.message : 'Internal Server Error' });
+});
+
+// Prepare the document store (replays an interrupted commit, migrates a legacy data.json)
+await initStorage();
+await initAuth();
+await initMedia();
+await initAISettings();
 
 app.listen(PORT, () => {
     console.log(`QuickStor Backend running at http://localhost:${PORT}`);
@@ -0,0 +1,22 @@
+// Keyed async locks: callers with the same key run one after another,
+// different keys run concurrently
+const locks = new Map();
+
+/**
+ * Run fn once every earlier call with the same key has settled
+ * @param {string} key
+ * @param {function(): Promise<any>} fn
+ */
+export function withLock(key, fn) {
+    const previous = locks.get(key) || Promise.resolve();
+    const run = previous.then(fn);
+
+    // Keep the chain alive even if this call fails
+    const tail = run.catch(() => { });
+    locks.set(key, tail);
+    tail.then(() => {
+        if (locks.get(key) === tail) locks.delete(key);
+    });
+
+    return run;
+}
@@ -0,0 +1,479 @@
+import crypto from 'crypto';
+import express from 'express';
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { requireAuth, requireRole } from './auth.js';
+import { isProcessable, readImageSize, parseVariantName, ensureVariant, generateVariants, deleteVariants } from './images.js';
+import { withLock } from './locks.js';
+import { recordRevision, listRevisionDocs, listRevisions, getRevision } from './revisions.js';
+import { writeFileAtomic, listDocs, getDoc, transaction } from './storage.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// Layout: media/<content hash>.<ext>  (the file itself, never rewritten)
+//         media/index.json           (metadata keyed by file name)
+//         media/variants/            (resized copies, see images.js)
+const MEDIA_DIR = path.join(__dirname, 'media');
+const VARIANTS_DIR = path.join(MEDIA_DIR, 'variants');
+const INDEX_FILE = path.join(MEDIA_DIR, 'index.json');
+const MEDIA_URL = '/api/media';
+
+// Large originals are fine - visitors get resized variants
+export const MAX_UPLOAD_BYTES = 20 * 1024 * 1024; // 20MB
+
+// Allowed upload types. The extension always comes from this map - never from the client
+const MIME_EXTENSIONS = {
+    'image/png': 'png',
+    'image/jpeg': 'jpg',
+    'image/gif': 'gif',
+    'image/webp': 'webp',
+    'image/svg+xml': 'svg',
+    'image/x-icon': 'ico',
+    'application/pdf': 'pdf'
+};
+
+// Base64 images, either as a whole field or embedded in HTML/CSS
+const DATA_URL_PATTERN = /data:(image\/[a-z0-9.+-]+);base64,([A-Za-z0-9+/=]+)/gi;
+
+// File names we generate: <hash>.<ext>
+const MEDIA_FILE_PATTERN = /^[a-f0-9]{32}\.[a-z]+$/;
+const MEDIA_REF_PATTERN = /\/api\/media\/([a-f0-9]{32}\.[a-z]+)/g;
+
+// Readable names for the top-level parts of a site document
+const LOCATION_LABELS = {
+    navbar: 'Navbar',
+    footer: 'Footer',
+    theme: 'Theme',
+    savedThemes: 'Saved themes',
+    customSections: 'Section library'
+};
+
+// --- Media Store ---
+
+async function readIndex() {
+    try {
+        const data = await fs.readFile(INDEX_FILE, 'utf8');
+        return JSON.parse(data);
+    } catch (error) {
+        return {};
+    }
+}
+
+// Read-modify-write the index under the media lock
+function updateIndex(fn) {
+    return withLock('media', async () => {
+        const index = await readIndex();
+        const result = await fn(index);
+        await writeFileAtomic(INDEX_FILE, JSON.stringify(index, null, 2));
+        return result;
+    });
+}
+
+const toMedia = (file, meta) => ({ file, url: `${MEDIA_URL}/${file}`, tags: [], ...meta });
+
+const hashOf = (file) => file.split('.')[0];
+
+// Render variants in the background, one image at a time - the upload doesn't wait for it
+function scheduleVariants(file, width) {
+    withLock('variants', async () => {
+        const count = await generateVariants(VARIANTS_DIR, path.join(MEDIA_DIR, file), hashOf(file), width);
+        console.log(`[Media] Rendered ${count} variants of ${file}`);
+    }).catch((error) => {
+        console.error(`[Media] Failed to render variants of ${file}:`, error);
+    });
+}
+
+/**
+ * Store an upload. Identical content always maps to the same file, so
+ * uploading something twice costs nothing.
+ * @param {Buffer} buffer - Raw file content
+ * @param {string} type - MIME type
+ * @param {object} meta - { name, uploadedBy }
+ * @returns {Promise<object>} { file, url, type, size, name, uploadedBy, uploadedAt }
+ */
+export async function storeMedia(buffer, type, { name, uploadedBy } = {}) {
+    const ext = MIME_EXTENSIONS[type];
+    if (!ext) throw new Error(`Unsupported file type: ${type}`);
+
+    const hash = crypto.createHash('sha256').update(buffer).digest('hex').slice(0, 32);
+    const file = `${hash}.${ext}`;
+    const dimensions = isProcessable(type) ? await readImageSize(buffer) : null;
+
+    let isNew = false;
+    const media = await updateIndex(async (index) => {
+        if (!index[file]) {
+            isNew = true;
+            await writeFileAtomic(path.join(MEDIA_DIR, file), buffer);
+            index[file] = {
+                type,
+                size: buffer.length,
+                ...(dimensions || {}),
+                name: name || file,
+                tags: [],
+                uploadedBy: uploadedBy || 'unknown',
+                uploadedAt: new Date().toISOString()
+            };
+        }
+        return toMedia(file, index[file]);
+    });
+
+    if (isNew && dimensions) scheduleVariants(file, dimensions.width);
+    return media;
+}
+
+/**
+ * Find every place a media file is referenced
+ * @returns {Promise<Object<string, Array<{docPath: string, location: string}>>>} keyed by file name
+ */
+export async function findMediaUsage() {
+    const usage = {};
+    const note = (value, docPath, location) => {
+        for (const [, file] of JSON.stringify(value).matchAll(MEDIA_REF_PATTERN)) {
+            usage[file] = usage[file] || [];
+            if (!usage[file].some(u => u.docPath === docPath && u.location === location)) {
+                usage[file].push({ docPath, location });
+            }
+        }
+    };
+
+    for (const docPath of await listDocs()) {
+        const data = await getDoc(docPath);
+        if (!data || typeof data !== 'object') continue;
+
+        for (const [key, value] of Object.entries(data)) {
+            if (key === 'pages' && Array.isArray(value)) {
+                // Pages are reported per section so editors can find the exact spot
+                for (const page of value) {
+                    for (const section of page.sections || []) {
+                        note(section, docPath, `${page.title || page.id} › ${section.type}`);
+                    }
+                }
+            } else {
+                note(value, docPath, LOCATION_LABELS[key] || key);
+            }
+        }
+    }
+    return usage;
+}
+
+/**
+ * Documents whose revision history references a file. Restoring one of those
+ * revisions needs the file, so it counts as a use.
+ * @returns {Promise<Array<{docPath: string, location: string}>>}
+ */
+export async function findRevisionUsage(file) {
+    const url = `${MEDIA_URL}/${file}`;
+    const usage = [];
+    for (const docPath of await listRevisionDocs()) {
+        for (const { id } of await listRevisions(docPath)) {
+            const revision = await getRevision(docPath, id).catch(() => null);
+            if (revision && JSON.stringify(revision.data).includes(url)) {
+                usage.push({ docPath, location: 'Revision history' });
+                break;
+            }
+        }
+    }
+    return usage;
+}
+
+/**
+ * List all media with where each file is used
+ */
+export async function listMedia() {
+    const [index, usage] = await Promise.all([readIndex(), findMediaUsage()]);
+    return Object.entries(index)
+        .map(([file, meta]) => ({ ...toMedia(file, meta), usage: usage[file] || [] }))
+        .sort((a, b) => b.uploadedAt.localeCompare(a.uploadedAt));
+}
+
+/**
+ * Rename or re-tag a file
+ * @returns {Promise<object|null>} The updated media, or null if unknown
+ */
+export function updateMedia(file, { name, tags }) {
+    return updateIndex((index) => {
+        if (!index[file]) return null;
+        if (name !== undefined) index[file].name = String(name).trim() || file;
+        if (Array.isArray(tags)) {
+            index[file].tags = [...new Set(tags.map(t => String(t).trim().toLowerCase()).filter(Boolean))];
+        }
+        return toMedia(file, index[file]);
+    });
+}
+
+/**
+ * Remove a file and its metadata. References to it are left as they are.
+ * @returns {Promise<boolean>} false if the file was unknown
+ */
+export function deleteMedia(file) {
+    return updateIndex(async (index) => {
+        if (!index[file]) return false;
+        delete index[file];
+        await fs.rm(path.join(MEDIA_DIR, file), { force: true });
+        await deleteVariants(VARIANTS_DIR, hashOf(file));
+        return true;
+    });
+}
+
+/**
+ * Swap the content of a file everywhere it is used. A new content hash means a
+ * new URL, so all documents referencing the old one are rewritten in one transaction.
+ * Documents canWrite rejects keep the old file, which then stays in storage - as it
+ * does while older revisions still reference it.
+ * @returns {Promise<{media: object, updatedDocs: string[], skippedDocs: string[]}|null>} null if the file was unknown
+ */
+export async function replaceMedia(file, buffer, type, { author, canWrite = () => true } = {}) {
+    const existing = (await readIndex())[file];
+    if (!existing) return null;
+
+    const stored = await storeMedia(buffer, type, { name: existing.name, uploadedBy: author });
+    if (stored.file === file) return { media: stored, updatedDocs: [], skippedDocs: [] };
+
+    const oldUrl = `${MEDIA_URL}/${file}`;
+    const skippedDocs = [];
+    const changed = await transaction(async (tx) => {
+        const updates = {};
+        for (const docPath of await listDocs()) {
+            const json = JSON.stringify(await tx.get(docPath));
+            if (!json.includes(oldUrl)) continue;
+            if (!canWrite(docPath)) {
+                skippedDocs.push(docPath);
+                continue;
+            }
+            // Media URLs contain no JSON-special characters, so a plain text swap is safe
+            updates[docPath] = JSON.parse(json.split(oldUrl).join(stored.url));
+            tx.set(docPath, updates[docPath]);
+        }
+        return updates;
+    });
+
+    for (const [docPath, data] of Object.entries(changed)) {
+        await recordRevision(docPath, data, { author, action: 'media' });
+    }
+
+    // The replacement inherits the old file's name and tags
+    const media = await updateMedia(stored.file, { name: existing.name, tags: existing.tags || [] });
+    if (skippedDocs.length === 0 && (await findRevisionUsage(file)).length === 0) await deleteMedia(file);
+
+    return { media, updatedDocs: Object.keys(changed), skippedDocs };
+}
+
+/**
+ * Replace every base64 image inside a value (deeply) with a stored media URL
+ * @returns {Promise<{value: any, extracted: number}>}
+ */
+export async function extractDataUrls(value, meta = {}) {
+    let extracted = 0;
+
+    const walk = async (node) => {
+        if (typeof node === 'string') {
+            const matches = [...node.matchAll(DATA_URL_PATTERN)];
+            let result = node;
+            for (const [dataUrl, type, base64] of matches) {
+                if (!MIME_EXTENSIONS[type.toLowerCase()]) continue;
+                const { url } = await storeMedia(Buffer.from(base64, 'base64'), type.toLowerCase(), meta);
+                result = result.replace(dataUrl, url);
+                extracted++;
+            }
+            return result;
+        }
+        if (Array.isArray(node)) {
+            const items = [];
+            for (const item of node) items.push(await walk(item));
+            return items;
+        }
+        if (node && typeof node === 'object') {
+            const out = {};
+            for (const [key, item] of Object.entries(node)) out[key] = await walk(item);
+            return out;
+        }
+        return node;
+    };
+
+    return { value: await walk(value), extracted };
+}
+
+// --- Routes ---
+
+const rawUpload = express.raw({ type: Object.keys(MIME_EXTENSIONS), limit: MAX_UPLOAD_BYTES });
+
+// Validate a raw upload body; responds and returns null when it is unusable
+function uploadType(req, res) {
+    const type = (req.get('Content-Type') || '').split(';')[0].trim().toLowerCase();
+    if (!MIME_EXTENSIONS[type]) {
+        res.status(415).json({ error: `Unsupported file type: ${type || 'none'}` });
+        return null;
+    }
+    if (!Buffer.isBuffer(req.body) || req.body.length === 0) {
+        res.status(400).json({ error: 'Empty upload' });
+        return null;
+    }
+    return type;
+}
+
+/**
+ * @param {object} options
+ * @param {function(user, docPath): boolean} options.canWriteDoc - whether a user may rewrite a document
+ */
+export function registerMediaRoutes(app, { canWriteDoc = () => true } = {}) {
+    // POST /api/media - upload one file as the raw request body (Content-Type = file type)
+    // X-Filename optionally carries the original name for the media library
+    app.post('/api/media', requireRole('editor'), rawUpload, async (req, res) => {
+        const type = uploadType(req, res);
+        if (!type) return;
+
+        let name;
+        try {
+            name = req.get('X-Filename') ? decodeURIComponent(req.get('X-Filename')) : undefined;
+        } catch (error) {
+            return res.status(400).json({ error: 'X-Filename must be URI-encoded' });
+        }
+
+        try {
+            const media = await storeMedia(req.body, type, { name, uploadedBy: req.user.email });
+            console.log(`[Media] ${req.user.email} uploaded ${media.file} (${(media.size / 1024).toFixed(1)} KB)`);
+            res.status(201).json(media);
+        } catch (error) {
+            console.error('Error storing upload:', error);
+            res.status(500).json({ error: 'Internal Server Error' });
+        }
+    });
+
+    // GET /api/media - the library, including where each file is used and whether the
+    // caller may change those documents (writable)
+    app.get('/api/media', requireAuth, async (req, res) => {
+        try {
+            const media = (await listMedia()).map(item => ({
+                ...item,
+                usage: item.usage.map(u => ({ ...u, writable: canWriteDoc(req.user, u.docPath) }))
+            }));
+            res.json({ media });
+        } catch (error) {
+            console.error('Error listing media:', error);
+            res.status(500).json({ error: 'Internal Server Error' });
+        }
+    });
+
+    // GET /api/media/limits - what uploads may be, so the admin can check files before sending them
+    app.get('/api/media/limits', requireAuth, (req, res) => {
+        res.json({ maxUploadBytes: MAX_UPLOAD_BYTES, types: Object.keys(MIME_EXTENSIONS) });
+    });
+
+    // PATCH /api/media/:file - rename / re-tag
+    app.patch('/api/media/:file', requireRole('editor'), async (req, res) => {
+        try {
+            const { name, tags } = req.body || {};
+            const media = await updateMedia(req.params.file, { name, tags });
+            if (!media) return res.status(404).json({ error: 'Media not found' });
+            res.json(media);
+        } catch (error) {
+            console.error('Error updating media:', error);
+            res.status(500).json({ error: 'Internal Server Error' });
+        }
+    });
+
+    // PUT /api/media/:file - replace the content (raw body like uploads); references follow the new file
+    app.put('/api/media/:file', requireRole('editor'), rawUpload, async (req, res) => {
+        const type = uploadType(req, res);
+        if (!type) return;
+
+        try {
+            const result = await replaceMedia(req.params.file, req.body, type, {
+                author: req.user.email,
+                canWrite: (docPath) => canWriteDoc(req.user, docPath)
+            });
+            if (!result) return res.status(404).json({ error: 'Media not found' });
+
+            console.log(`[Media] ${req.user.email} replaced ${req.params.file} with ${result.media.file} (${result.updatedDocs.length} documents updated)`);
+            res.json(result);
+        } catch (error) {
+            console.error('Error replacing media:', error);
+            res.status(500).json({ error: 'Internal Server Error' });
+        }
+    });
+
+    // DELETE /api/media/:file - refuses files that are still in use (revision history included)
+    // unless ?force=true, and always refuses files used in documents the caller may not change
+    app.delete('/api/media/:file', requireRole('editor'), async (req, res) => {
+        try {
+            const { file } = req.params;
+            const usage = [...((await findMediaUsage())[file] || []), ...await findRevisionUsage(file)]
+                .map(u => ({ ...u, writable: canWriteDoc(req.user, u.docPath) }));
+            if (usage.some(u => !u.writable)) {
+                console.warn(`[Media] ${req.user.email} may not delete ${file}, it is used in a protected document`);
+                return res.status(403).json({ error: 'This file is used in a document you may not change', usage });
+            }
+            if (usage.length > 0 && req.query.force !== 'true') {
+                return res.status(409).json({ error: 'This file is still in use', usage });
+            }
+
+            const deleted = await deleteMedia(file);
+            if (!deleted) return res.status(404).json({ error: 'Media not found' });
+
+            console.log(`[Media] ${req.user.email} deleted ${file}`);
+            res.json({ success: true });
+        } catch (error) {
+            console.error('Error deleting media:', error);
+            res.status(500).json({ error: 'Internal Server Error' });
+        }
+    });
+
+    // GET /api/media/variants/:name - a resized copy (<hash>-<width>.<webp|avif>) or the blur
+    // placeholder (<hash>-blur.webp). Rendered on first request if the upload hasn't produced it yet.
+    app.get('/api/media/variants/:name', async (req, res) => {
+        try {
+            const variant = parseVariantName(req.params.name);
+            const index = variant ? await readIndex() : {};
+            const original = Object.keys(index).find(f => hashOf(f) === variant?.hash);
+            if (!original || !isProcessable(index[original].type)) {
+                return res.status(404).json({ error: 'Media not found' });
+            }
+
+            const variantPath = await ensureVariant(VARIANTS_DIR, path.join(MEDIA_DIR, original), req.params.name);
+            res.type(`image/${variant.format}`); // express doesn't know .avif
+            res.set('X-Content-Type-Options', 'nosniff');
+            res.sendFile(variantPath, { maxAge: '1y', immutable: true });
+        } catch (error) {
+            console.error('Error serving media variant:', error);
+            res.status(500).json({ error: 'Internal Server Error' });
+        }
+    });
+
+    // GET /api/media/:file - serve a stored file. Names are content hashes, so they never change.
+    app.get('/api/media/:file', async (req, res) => {
+        const { file } = req.params;
+        if (!MEDIA_FILE_PATTERN.test(file)) {
+            return res.status(404).json({ error: 'Media not found' });
+        }
+
+        // Uploaded SVGs are served from our own origin - make sure they can't run scripts
+        res.set('Content-Security-Policy', "default-src 'none'; style-src 'unsafe-inline'; img-src data:");
+        res.set('X-Content-Type-Options', 'nosniff');
+        res.sendFile(path.join(MEDIA_DIR, file), { maxAge: '1y', immutable: true }, (error) => {
+            if (error && !res.headersSent) res.status(404).json({ error: 'Media not found' });
+        });
+    });
+}
+
+// --- Bootstrap ---
+
+// One-off cleanup for documents saved before uploads existed
+async function migrateDocumentDataUrls() {
+    await transaction(async (tx) => {
+        for (const docPath of await listDocs()) {
+            const data = await tx.get(docPath);
+            const { value, extracted } = await extractDataUrls(data, { name: `Imported from ${docPath}`, uploadedBy: 'migration' });
+            if (extracted > 0) {
+                tx.set(docPath, value);
+                console.log(`[Media] Moved ${extracted} embedded images out of ${docPath}`);
+            }
+        }
+    });
+}
+
+export async function initMedia() {
+    await fs.mkdir(MEDIA_DIR, { recursive: true });
+    await migrateDocumentDataUrls();
+}
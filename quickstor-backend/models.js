@@ -0,0 +1,90 @@
+// Model registry: context window, output limit, image support, price and tokenizer for
+// the models the admin is commonly pointed at. Looked up by the longest model name
+// prefix, so dated and suffixed variants (gpt-4o-2024-08-06, claude-sonnet-4-5) match
+// their family. Models that aren't listed fall back to their adapter's unknownModel
+// defaults (see aiProviders.js).
+//
+// Entry fields:
+//   contextWindow     Input + output tokens per request
+//   maxOutputTokens   Largest completion the model will produce
+//   vision            Accepts images
+//   price             USD per million tokens [input, output]
+//   tokenizer         gpt-tokenizer encoding when the model's tokenizer is public,
+//                     otherwise counts are estimated from charsPerToken
+//   charsPerToken     Average characters per token of English text (default 4)
+
+const MODELS = {
+    // Google
+    'gemini-2.5-pro': { contextWindow: 1048576, maxOutputTokens: 65536, vision: true, price: [1.25, 10] },
+    'gemini-2.5-flash': { contextWindow: 1048576, maxOutputTokens: 65536, vision: true, price: [0.30, 2.50] },
+    'gemini-2.0-flash': { contextWindow: 1048576, maxOutputTokens: 8192, vision: true, price: [0.10, 0.40] },
+    'gemini-1.5-pro': { contextWindow: 2097152, maxOutputTokens: 8192, vision: true, price: [1.25, 5] },
+    'gemini-1.5-flash': { contextWindow: 1048576, maxOutputTokens: 8192, vision: true, price: [0.075, 0.30] },
+
+    // OpenAI
+    'gpt-5': { contextWindow: 400000, maxOutputTokens: 128000, vision: true, price: [1.25, 10], tokenizer: 'o200k_base' },
+    'gpt-5-mini': { contextWindow: 400000, maxOutputTokens: 128000, vision: true, price: [0.25, 2], tokenizer: 'o200k_base' },
+    'gpt-4.1': { contextWindow: 1047576, maxOutputTokens: 32768, vision: true, price: [2, 8], tokenizer: 'o200k_base' },
+    'gpt-4.1-mini': { contextWindow: 1047576, maxOutputTokens: 32768, vision: true, price: [0.40, 1.60], tokenizer: 'o200k_base' },
+    'gpt-4o': { contextWindow: 128000, maxOutputTokens: 16384, vision: true, price: [2.50, 10], tokenizer: 'o200k_base' },
+    'gpt-4o-mini': { contextWindow: 128000, maxOutputTokens: 16384, vision: true, price: [0.15, 0.60], tokenizer: 'o200k_base' },
+    'gpt-4-turbo': { contextWindow: 128000, maxOutputTokens: 4096, vision: true, price: [10, 30], tokenizer: 'cl100k_base' },
+    'gpt-4': { contextWindow: 8192, maxOutputTokens: 8192, vision: false, price: [30, 60], tokenizer: 'cl100k_base' },
+    'gpt-3.5-turbo': { contextWindow: 16385, maxOutputTokens: 4096, vision: false, price: [0.50, 1.50], tokenizer: 'cl100k_base' },
+    'o1': { contextWindow: 200000, maxOutputTokens: 100000, vision: true, price: [15, 60], tokenizer: 'o200k_base' },
+    'o1-mini': { contextWindow: 128000, maxOutputTokens: 65536, vision: false, price: [1.10, 4.40], tokenizer: 'o200k_base' },
+    'o3': { contextWindow: 200000, maxOutputTokens: 100000, vision: true, price: [2, 8], tokenizer: 'o200k_base' },
+    'o3-mini': { contextWindow: 200000, maxOutputTokens: 100000, vision: false, price: [1.10, 4.40], tokenizer: 'o200k_base' },
+    'o4-mini': { contextWindow: 200000, maxOutputTokens: 100000, vision: true, price: [1.10, 4.40], tokenizer: 'o200k_base' },
+
+    // DeepSeek
+    'deepseek-chat': { contextWindow: 131072, maxOutputTokens: 8192, vision: false, price: [0.27, 1.10], charsPerToken: 3.5 },
+    'deepseek-reasoner': { contextWindow: 131072, maxOutputTokens: 65536, vision: false, price: [0.55, 2.19], charsPerToken: 3.5 },
+
+    // Anthropic
+    'claude-opus-4': { contextWindow: 200000, maxOutputTokens: 32000, vision: true, price: [15, 75], charsPerToken: 3.5 },
+    'claude-sonnet-4': { contextWindow: 200000, maxOutputTokens: 64000, vision: true, price: [3, 15], charsPerToken: 3.5 },
+    'claude-haiku-4': { contextWindow: 200000, maxOutputTokens: 64000, vision: true, price: [1, 5], charsPerToken: 3.5 },
+    'claude-3-7-sonnet': { contextWindow: 200000, maxOutputTokens: 64000, vision: true, price: [3, 15], charsPerToken: 3.5 },
+    'claude-3-5-haiku': { contextWindow: 200000, maxOutputTokens: 8192, vision: true, price: [0.80, 4], charsPerToken: 3.5 }
+};
+
+export const DEFAULT_CHARS_PER_TOKEN = 4;
+
+// Encodings are large, so each is loaded the first time a model needs it
+const TOKENIZERS = {
+    o200k_base: () => import('gpt-tokenizer/encoding/o200k_base'),
+    cl100k_base: () => import('gpt-tokenizer/encoding/cl100k_base')
+};
+
+/**
+ * Registry entry for a model, or null when it isn't listed.
+ * Vendor prefixes used by routers and local servers ("openai/gpt-4o") are ignored.
+ */
+export function lookupModel(model) {
+    const name = String(model || '').toLowerCase().split('/').pop();
+    const match = Object.keys(MODELS)
+        .filter(prefix => name.startsWith(prefix))
+        .sort((a, b) => b.length - a.length)[0];
+    return match ? MODELS[match] : null;
+}
+
+/**
+ * Token count from text length - used when the model's tokenizer isn't available
+ */
+export function estimateTokens(model, text) {
+    const charsPerToken = lookupModel(model)?.charsPerToken || DEFAULT_CHARS_PER_TOKEN;
+    return Math.ceil((text || '').length / charsPerToken);
+}
+
+/**
+ * Count tokens with the model's own tokenizer when it is public, otherwise estimate
+ * @returns {Promise<{tokens: number, exact: boolean}>}
+ */
+export async function countTokens(model, text) {
+    const tokenizer = lookupModel(model)?.tokenizer;
+    if (!tokenizer || !text) return { tokens: estimateTokens(model, text), exact: Boolean(tokenizer) };
+
+    const { countTokens: count } = await TOKENIZERS[tokenizer]();
+    return { tokens: count(text), exact: true };
+}
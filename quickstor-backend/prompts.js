@@ -0,0 +1,201 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { requireAuth, requireRole } from './auth.js';
+import { withLock } from './locks.js';
+import { writeFileAtomic } from './storage.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// Layout: prompts/<key>.json  (every version of one prompt, oldest first)
+//
+// Only prompts someone has edited are stored. The built-in defaults ship with the admin
+// (public/prompts.json), so a prompt that was never edited - or was reset, which stores
+// a version with text null - follows the defaults as they change.
+const PROMPTS_DIR = path.join(__dirname, 'prompts');
+
+// Dotted lower-case names like 'theme.generation' or 'extraction.hero'
+const KEY_PATTERN = /^[a-z][a-z0-9_]*(\.[a-z][a-z0-9_]*)+$/;
+const MAX_KEY_LENGTH = 100;
+const MAX_PROMPT_CHARS = 100000;
+const MAX_NOTE_CHARS = 200;
+
+const httpError = (status, message) => Object.assign(new Error(message), { status });
+
+const promptFile = (key) => path.join(PROMPTS_DIR, `${key}.json`);
+
+function validateKey(key) {
+    if (typeof key !== 'string' || key.length > MAX_KEY_LENGTH || !KEY_PATTERN.test(key)) {
+        throw httpError(400, 'Prompt keys look like "section.name" (lower case letters, digits and underscores)');
+    }
+}
+
+async function readVersions(key) {
+    try {
+        return JSON.parse(await fs.readFile(promptFile(key), 'utf8'));
+    } catch (error) {
+        return [];
+    }
+}
+
+// The newest version without its history - what the admin needs to use the prompt
+const toCurrent = ({ version, text, author, action, timestamp }) => ({ version, text, author, action, timestamp });
+
+/**
+ * Current text of every stored prompt
+ * @returns {Promise<object>} { "<key>": { version, text, author, action, timestamp } }
+ */
+export async function getPrompts() {
+    let files;
+    try {
+        files = await fs.readdir(PROMPTS_DIR);
+    } catch (error) {
+        return {};
+    }
+
+    const prompts = {};
+    for (const file of files.filter(f => f.endsWith('.json'))) {
+        const key = file.slice(0, -'.json'.length);
+        const versions = await readVersions(key);
+        if (versions.length > 0) prompts[key] = toCurrent(versions[versions.length - 1]);
+    }
+    return prompts;
+}
+
+/**
+ * Every version of a prompt, newest first
+ */
+export async function listPromptVersions(key) {
+    validateKey(key);
+    const versions = await readVersions(key);
+    return versions.slice().reverse();
+}
+
+/**
+ * Store a new version of a prompt
+ * @param {string} key - e.g. 'theme.generation'
+ * @param {string|null} text - The prompt, or null to go back to the built-in default
+ * @param {object} meta - { author, action, note, restoredFrom, baseVersion }
+ *   baseVersion is the version the change was made from; if someone saved in the meantime
+ *   the change is refused with a 409 rather than silently overwriting theirs
+ * @returns {Promise<object>} The new version (or the current one if nothing changed)
+ */
+export function savePrompt(key, text, { author, action = 'save', note, restoredFrom, baseVersion } = {}) {
+    validateKey(key);
+    if (text !== null && typeof text !== 'string') throw httpError(400, 'text must be a string');
+    if (text !== null && text.length > MAX_PROMPT_CHARS) {
+        throw httpError(413, `Prompts are limited to ${MAX_PROMPT_CHARS.toLocaleString()} characters`);
+    }
+
+    return withLock(`prompts:${key}`, async () => {
+        const versions = await readVersions(key);
+        const current = versions[versions.length - 1];
+        const currentVersion = current?.version || 0;
+
+        if (baseVersion !== undefined && baseVersion !== null && Number(baseVersion) !== currentVersion) {
+            throw Object.assign(httpError(409, `This prompt was changed by ${current?.author || 'someone else'} while you were editing it`), {
+                current: current ? toCurrent(current) : null
+            });
+        }
+        // Nothing to record
+        if (current ? current.text === text : text === null) return current ? toCurrent(current) : null;
+
+        const version = {
+            version: currentVersion + 1,
+            text,
+            author: author || 'unknown',
+            action,
+            timestamp: new Date().toISOString()
+        };
+        if (note) version.note = String(note).slice(0, MAX_NOTE_CHARS);
+        if (restoredFrom) version.restoredFrom = restoredFrom;
+
+        versions.push(version);
+        await fs.mkdir(PROMPTS_DIR, { recursive: true });
+        await writeFileAtomic(promptFile(key), JSON.stringify(versions, null, 2));
+        return version;
+    });
+}
+
+/**
+ * Make an earlier version the current prompt (recorded as a new 'rollback' version)
+ */
+export async function rollbackPrompt(key, versionNumber, { author } = {}) {
+    validateKey(key);
+    const target = (await readVersions(key)).find(v => v.version === Number(versionNumber));
+    if (!target) throw httpError(404, 'Prompt version not found');
+
+    return savePrompt(key, target.text, { author, action: 'rollback', restoredFrom: target.version });
+}
+
+// --- Routes ---
+
+// 400/404/409/413 carry a message for the editor; anything else is logged
+function sendError(res, error, context) {
+    if (error.status) {
+        return res.status(error.status).json({ error: error.message, ...(error.current !== undefined && { current: error.current }) });
+    }
+    console.error(`Error ${context}:`, error);
+    res.status(500).json({ error: 'Internal Server Error' });
+}
+
+export function registerPromptRoutes(app) {
+    // GET /api/prompts - current text of every edited prompt (keys missing here use the defaults)
+    app.get('/api/prompts', requireAuth, async (req, res) => {
+        try {
+            res.json({ prompts: await getPrompts() });
+        } catch (error) {
+            sendError(res, error, 'reading prompts');
+        }
+    });
+
+    // GET /api/prompts/:key/versions - history of one prompt, newest first
+    app.get('/api/prompts/:key/versions', requireAuth, async (req, res) => {
+        try {
+            res.json({ versions: await listPromptVersions(req.params.key) });
+        } catch (error) {
+            sendError(res, error, 'reading prompt history');
+        }
+    });
+
+    // PUT /api/prompts/:key - save a new version { text, note, baseVersion }
+    app.put('/api/prompts/:key', requireRole('admin'), async (req, res) => {
+        const { text, note, baseVersion } = req.body || {};
+        if (typeof text !== 'string') return res.status(400).json({ error: 'text must be a string' });
+
+        try {
+            const saved = await savePrompt(req.params.key, text, { author: req.user.email, note, baseVersion });
+            console.log(`[Prompts] ${req.user.email} saved ${req.params.key} (v${saved.version})`);
+            res.json(saved);
+        } catch (error) {
+            sendError(res, error, 'saving prompt');
+        }
+    });
+
+    // DELETE /api/prompts/:key - go back to the built-in default (kept in the history as a 'reset')
+    app.delete('/api/prompts/:key', requireRole('admin'), async (req, res) => {
+        try {
+            const saved = await savePrompt(req.params.key, null, {
+                author: req.user.email,
+                action: 'reset',
+                baseVersion: req.body?.baseVersion
+            });
+            if (saved) console.log(`[Prompts] ${req.user.email} reset ${req.params.key} to the default`);
+            res.json(saved);
+        } catch (error) {
+            sendError(res, error, 'resetting prompt');
+        }
+    });
+
+    // POST /api/prompts/:key/versions/:version/restore - roll back to an earlier version
+    app.post('/api/prompts/:key/versions/:version/restore', requireRole('admin'), async (req, res) => {
+        try {
+            const saved = await rollbackPrompt(req.params.key, req.params.version, { author: req.user.email });
+            console.log(`[Prompts] ${req.user.email} rolled ${req.params.key} back to v${req.params.version}`);
+            res.json(saved);
+        } catch (error) {
+            sendError(res, error, 'rolling back prompt');
+        }
+    });
+}
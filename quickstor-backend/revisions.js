@@ -0,0 +1,90 @@
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { withLock } from './locks.js';
+import { writeFileAtomic } from './storage.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// Layout: revisions/<encoded doc path>/index.json  (metadata, newest last)
+//         revisions/<encoded doc path>/<id>.json   (full document snapshot)
+const REVISIONS_DIR = path.join(__dirname, 'revisions');
+
+// Dots are encoded too so a path like '..' can never escape REVISIONS_DIR
+const docDir = (docPath) => path.join(REVISIONS_DIR, encodeURIComponent(docPath).replace(/\./g, '%2E'));
+
+async function readIndex(docPath) {
+    try {
+        const data = await fs.readFile(path.join(docDir(docPath), 'index.json'), 'utf8');
+        return JSON.parse(data);
+    } catch (error) {
+        return [];
+    }
+}
+
+/**
+ * Store a snapshot of a document as a new revision
+ * @param {string} docPath - e.g. 'sites/quickstor-staging'
+ * @param {object} data - The full document as saved
+ * @param {object} meta - { author, action, restoredFrom }
+ * @returns {Promise<object>} The revision metadata
+ */
+export function recordRevision(docPath, data, { author, action = 'save', restoredFrom } = {}) {
+    // Per-document lock so two saves can't race on the same index file
+    return withLock(`revisions:${docPath}`, async () => {
+        const dir = docDir(docPath);
+        await fs.mkdir(dir, { recursive: true });
+
+        const body = JSON.stringify(data);
+        const revision = {
+            id: `${Date.now()}-${crypto.randomBytes(3).toString('hex')}`,
+            docPath,
+            version: data?.version || null,
+            author: author || 'unknown',
+            action,
+            timestamp: new Date().toISOString(),
+            size: Buffer.byteLength(body)
+        };
+        if (restoredFrom) revision.restoredFrom = restoredFrom;
+
+        // Snapshot first, then index - an interrupted write leaves an orphan file, never a dangling entry
+        await fs.writeFile(path.join(dir, `${revision.id}.json`), body);
+
+        const index = await readIndex(docPath);
+        index.push(revision);
+        await writeFileAtomic(path.join(dir, 'index.json'), JSON.stringify(index, null, 2));
+
+        return revision;
+    });
+}
+
+/**
+ * Documents that have revisions
+ */
+export async function listRevisionDocs() {
+    const dirs = await fs.readdir(REVISIONS_DIR).catch(() => []);
+    return dirs.map(dir => decodeURIComponent(dir));
+}
+
+/**
+ * List revision metadata for a document, newest first
+ */
+export async function listRevisions(docPath) {
+    const index = await readIndex(docPath);
+    return index.slice().reverse();
+}
+
+/**
+ * Fetch a single revision with its full document
+ * @returns {Promise<{revision: object, data: object}|null>}
+ */
+export async function getRevision(docPath, id) {
+    const index = await readIndex(docPath);
+    const revision = index.find(r => r.id === id);
+    if (!revision) return null;
+
+    const data = await fs.readFile(path.join(docDir(docPath), `${id}.json`), 'utf8');
+    return { revision, data: JSON.parse(data) };
+}
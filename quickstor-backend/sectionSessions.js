@@ -0,0 +1,349 @@
+import crypto from 'crypto';
+import express from 'express';
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { requireAuth, requireRole, hasRole } from './auth.js';
+import { withLock } from './locks.js';
+import { writeFileAtomic } from './storage.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// Section Creator chat sessions, so a design conversation survives a reload and a teammate
+// can pick it up later.
+//
+// Layout: section-sessions/<id>/session.json    (name, linked section, messages, latest code)
+//         section-sessions/<id>/attachments/<n>  (one attached file as a data URL)
+//
+// Attachments are kept beside the session so listing sessions stays cheap; they are put back
+// into the messages when a session is opened, as the AI needs them to continue the conversation.
+// Messages are only ever appended - starting over starts a new session.
+const SESSIONS_DIR = path.join(__dirname, 'section-sessions');
+
+const ID_PATTERN = /^[0-9a-z]+-[0-9a-f]{8}$/;
+const ROLES = ['user', 'assistant'];
+const MAX_NAME_CHARS = 200;
+const MAX_CONTENT_CHARS = 100000;
+const MAX_CODE_CHARS = 500000;
+const MAX_MESSAGES = 500;
+const MAX_ATTACHMENTS_PER_MESSAGE = 10;
+const MAX_ATTACHMENT_CHARS = 3 * 1024 * 1024; // A 2MB file as base64, as the Section Creator allows
+// One fully attached message per request - the client saves after every exchange
+const MAX_REQUEST_ATTACHMENT_CHARS = MAX_ATTACHMENTS_PER_MESSAGE * MAX_ATTACHMENT_CHARS;
+// Room for those attachments plus the text and code around them. Only parsed once the caller
+// is signed in - index.js keeps these routes out of the app-wide JSON parser.
+const SESSION_REQUEST_LIMIT = MAX_REQUEST_ATTACHMENT_CHARS + 8 * 1024 * 1024;
+const MAX_LISTED = 100;
+const PREVIEW_CHARS = 120;
+
+const httpError = (status, message) => Object.assign(new Error(message), { status });
+
+const sessionBody = express.json({ limit: SESSION_REQUEST_LIMIT });
+
+const sessionDir = (id) => path.join(SESSIONS_DIR, id);
+const sessionFile = (id) => path.join(sessionDir(id), 'session.json');
+const attachmentFile = (id, file) => path.join(sessionDir(id), 'attachments', file);
+
+function validateId(id) {
+    if (typeof id !== 'string' || !ID_PATTERN.test(id)) throw httpError(404, 'Chat session not found');
+}
+
+async function readSession(id) {
+    validateId(id);
+    try {
+        return JSON.parse(await fs.readFile(sessionFile(id), 'utf8'));
+    } catch (error) {
+        throw httpError(404, 'Chat session not found');
+    }
+}
+
+const writeSession = (session) => writeFileAtomic(sessionFile(session.id), JSON.stringify(session, null, 2));
+
+/**
+ * Check a message from the Section Creator: { role, content, isError?, html?, attachments?: [{ name, type, base64 }] }
+ */
+function validateMessage(message) {
+    if (!message || typeof message !== 'object' || !ROLES.includes(message.role)) {
+        throw httpError(400, `Each message needs a role (${ROLES.join(' or ')})`);
+    }
+    if (typeof message.content !== 'string' || message.content.length > MAX_CONTENT_CHARS) {
+        throw httpError(400, `Message content must be text of at most ${MAX_CONTENT_CHARS.toLocaleString()} characters`);
+    }
+    if (message.html !== undefined && (typeof message.html !== 'string' || message.html.length > MAX_CODE_CHARS)) {
+        throw httpError(400, 'Message html must be a string');
+    }
+    const attachments = message.attachments || [];
+    if (!Array.isArray(attachments) || attachments.length > MAX_ATTACHMENTS_PER_MESSAGE) {
+        throw httpError(400, `A message can have at most ${MAX_ATTACHMENTS_PER_MESSAGE} attachments`);
+    }
+    for (const attachment of attachments) {
+        if (typeof attachment?.base64 !== 'string' || !attachment.base64.startsWith('data:')) {
+            throw httpError(400, 'Attachments must be data URLs');
+        }
+        if (attachment.base64.length > MAX_ATTACHMENT_CHARS) throw httpError(413, `${attachment.name || 'An attachment'} is too large`);
+    }
+}
+
+function validateCode(code) {
+    if (code === undefined || code === null) return;
+    if (typeof code !== 'object' || typeof code.html !== 'string' || code.html.length > MAX_CODE_CHARS) {
+        throw httpError(400, 'code must be { html, schema, defaultContent }');
+    }
+    if (JSON.stringify([code.schema, code.defaultContent]).length > MAX_CODE_CHARS) throw httpError(413, 'The section schema is too large');
+}
+
+function validateMessages(messages) {
+    messages.forEach(validateMessage);
+    const attachmentChars = messages
+        .flatMap(message => message.attachments || [])
+        .reduce((sum, attachment) => sum + attachment.base64.length, 0);
+    if (attachmentChars > MAX_REQUEST_ATTACHMENT_CHARS) {
+        throw httpError(413, `Attachments are limited to ${Math.floor(MAX_REQUEST_ATTACHMENT_CHARS / 1024 / 1024)}MB per save`);
+    }
+}
+
+/**
+ * Store new messages' attachments as files, leaving { name, type, file } in the message
+ */
+async function storeMessages(session, messages, author) {
+    const stored = [];
+    for (const message of messages) {
+        const attachments = [];
+        for (const { name, type, base64 } of message.attachments || []) {
+            const file = String(session.nextAttachment++);
+            await fs.mkdir(path.dirname(attachmentFile(session.id, file)), { recursive: true });
+            await writeFileAtomic(attachmentFile(session.id, file), base64);
+            attachments.push({ name: String(name || 'attachment').slice(0, MAX_NAME_CHARS), type: String(type || '').slice(0, 100), file });
+        }
+        stored.push({
+            role: message.role,
+            content: message.content,
+            ...(message.isError && { isError: true }),
+            ...(message.html !== undefined && { html: message.html }),
+            ...(attachments.length > 0 && { attachments }),
+            author,
+            timestamp: new Date().toISOString()
+        });
+    }
+    return stored;
+}
+
+// What the session list shows - everything but the messages and code
+const toSummary = ({ messages, code, nextAttachment, ...session }) => ({
+    ...session,
+    messageCount: messages.length,
+    preview: (messages.find(m => m.role === 'user')?.content || '').slice(0, PREVIEW_CHARS),
+    hasCode: !!code?.html
+});
+
+/**
+ * Chat sessions, most recently active first
+ * @param {{sectionId?: string}} filters - sectionId: only sessions linked to that custom section
+ */
+export async function listSessions({ sectionId } = {}) {
+    let ids;
+    try {
+        ids = await fs.readdir(SESSIONS_DIR);
+    } catch (error) {
+        return [];
+    }
+
+    const sessions = [];
+    for (const id of ids.filter(id => ID_PATTERN.test(id))) {
+        const session = await readSession(id).catch(() => null);
+        if (session && (!sectionId || session.sectionId === sectionId)) sessions.push(toSummary(session));
+    }
+    return sessions
+        .sort((a, b) => b.updatedAt.localeCompare(a.updatedAt))
+        .slice(0, MAX_LISTED);
+}
+
+/**
+ * A session with its messages, attachments put back in as data URLs
+ */
+export async function getSession(id) {
+    const session = await readSession(id);
+    const messages = [];
+    for (const message of session.messages) {
+        if (!message.attachments) {
+            messages.push(message);
+            continue;
+        }
+        const attachments = [];
+        for (const { name, type, file } of message.attachments) {
+            const base64 = await fs.readFile(attachmentFile(id, file), 'utf8').catch(() => null);
+            if (base64) attachments.push({ name, type, base64 });
+        }
+        messages.push({ ...message, attachments });
+    }
+
+    const { nextAttachment, ...rest } = session;
+    return { ...rest, messages };
+}
+
+/**
+ * Start a session
+ * @param {{name?, sectionId?, messages?, code?}} data - messages as in appendMessages; code: { html, schema, defaultContent }
+ * @param {string} author - Email of whoever started it
+ */
+export async function createSession({ name, sectionId, messages = [], code } = {}, author) {
+    if (!Array.isArray(messages) || messages.length > MAX_MESSAGES) throw httpError(400, 'messages must be an array');
+    validateMessages(messages);
+    validateCode(code);
+
+    const now = new Date().toISOString();
+    const session = {
+        id: `${Date.now().toString(36)}-${crypto.randomBytes(4).toString('hex')}`,
+        name: typeof name === 'string' ? name.slice(0, MAX_NAME_CHARS) : '',
+        sectionId: typeof sectionId === 'string' ? sectionId : null,
+        createdBy: author,
+        createdAt: now,
+        updatedBy: author,
+        updatedAt: now,
+        code: code || null,
+        messages: [],
+        nextAttachment: 1
+    };
+
+    return withLock(`section-session:${session.id}`, async () => {
+        await fs.mkdir(sessionDir(session.id), { recursive: true });
+        session.messages = await storeMessages(session, messages, author);
+        await writeSession(session);
+        return toSummary(session);
+    });
+}
+
+/**
+ * Add messages to the end of a session, and the code they produced
+ * @param {object} data - { messages: [{ role, content, isError?, html?, attachments? }], code?, baseCount }
+ *   baseCount is the number of messages the client has; if someone else continued the session
+ *   in the meantime the messages are refused with a 409 rather than interleaved with theirs
+ */
+export function appendMessages(id, { messages, code, baseCount } = {}, author) {
+    if (!Array.isArray(messages) || messages.length === 0) throw httpError(400, 'messages must be a non-empty array');
+    validateMessages(messages);
+    validateCode(code);
+
+    return withLock(`section-session:${id}`, async () => {
+        const session = await readSession(id);
+        if (baseCount !== undefined && baseCount !== null && Number(baseCount) !== session.messages.length) {
+            throw Object.assign(httpError(409, `This chat was continued by ${session.updatedBy} in the meantime`), {
+                current: toSummary(session)
+            });
+        }
+        if (session.messages.length + messages.length > MAX_MESSAGES) {
+            throw httpError(413, `Chats are limited to ${MAX_MESSAGES} messages - start a new one from the current code`);
+        }
+
+        session.messages.push(...await storeMessages(session, messages, author));
+        if (code) session.code = code;
+        session.updatedBy = author;
+        session.updatedAt = new Date().toISOString();
+        await writeSession(session);
+        return toSummary(session);
+    });
+}
+
+/**
+ * Rename a session or link it to the custom section it produced
+ * @param {{name?: string, sectionId?: string|null}} changes
+ */
+export function updateSession(id, { name, sectionId } = {}, author) {
+    if (name !== undefined && typeof name !== 'string') throw httpError(400, 'name must be a string');
+    if (sectionId !== undefined && sectionId !== null && typeof sectionId !== 'string') throw httpError(400, 'sectionId must be a string');
+
+    return withLock(`section-session:${id}`, async () => {
+        const session = await readSession(id);
+        if (name !== undefined) session.name = name.slice(0, MAX_NAME_CHARS);
+        if (sectionId !== undefined) session.sectionId = sectionId;
+        session.updatedBy = author;
+        session.updatedAt = new Date().toISOString();
+        await writeSession(session);
+        return toSummary(session);
+    });
+}
+
+/**
+ * Delete a session and its attachments. Only whoever started it, or an admin, can.
+ */
+export function deleteSession(id, user) {
+    return withLock(`section-session:${id}`, async () => {
+        const session = await readSession(id);
+        if (session.createdBy !== user.email && !hasRole(user, 'admin')) {
+            throw httpError(403, 'Only whoever started this chat or an administrator can delete it');
+        }
+        await fs.rm(sessionDir(id), { recursive: true, force: true });
+    });
+}
+
+// --- Routes ---
+
+// 400/403/404/409/413 carry a message for the Section Creator; anything else is logged
+function sendError(res, error, context) {
+    if (error.status) {
+        return res.status(error.status).json({ error: error.message, ...(error.current !== undefined && { current: error.current }) });
+    }
+    console.error(`Error ${context}:`, error);
+    res.status(500).json({ error: 'Internal Server Error' });
+}
+
+export function registerSectionSessionRoutes(app) {
+    // GET /api/section-sessions?sectionId= - session summaries, most recently active first
+    app.get('/api/section-sessions', requireAuth, async (req, res) => {
+        try {
+            res.json({ sessions: await listSessions({ sectionId: req.query.sectionId }) });
+        } catch (error) {
+            sendError(res, error, 'listing chat sessions');
+        }
+    });
+
+    // GET /api/section-sessions/:id - one session with its messages and code
+    app.get('/api/section-sessions/:id', requireAuth, async (req, res) => {
+        try {
+            res.json(await getSession(req.params.id));
+        } catch (error) {
+            sendError(res, error, 'reading chat session');
+        }
+    });
+
+    // POST /api/section-sessions - start a session { name?, sectionId?, messages?, code? }
+    app.post('/api/section-sessions', requireRole('editor'), sessionBody, async (req, res) => {
+        try {
+            const session = await createSession(req.body || {}, req.user.email);
+            console.log(`[Sessions] ${req.user.email} started chat ${session.id}`);
+            res.status(201).json(session);
+        } catch (error) {
+            sendError(res, error, 'creating chat session');
+        }
+    });
+
+    // POST /api/section-sessions/:id/messages - continue a session { messages, code?, baseCount }
+    app.post('/api/section-sessions/:id/messages', requireRole('editor'), sessionBody, async (req, res) => {
+        try {
+            res.json(await appendMessages(req.params.id, req.body || {}, req.user.email));
+        } catch (error) {
+            sendError(res, error, 'saving chat messages');
+        }
+    });
+
+    // PATCH /api/section-sessions/:id - { name?, sectionId? }
+    app.patch('/api/section-sessions/:id', requireRole('editor'), express.json(), async (req, res) => {
+        try {
+            res.json(await updateSession(req.params.id, req.body || {}, req.user.email));
+        } catch (error) {
+            sendError(res, error, 'updating chat session');
+        }
+    });
+
+    // DELETE /api/section-sessions/:id
+    app.delete('/api/section-sessions/:id', requireRole('editor'), async (req, res) => {
+        try {
+            await deleteSession(req.params.id, req.user);
+            console.log(`[Sessions] ${req.user.email} deleted chat ${req.params.id}`);
+            res.json({ success: true });
+        } catch (error) {
+            sendError(res, error, 'deleting chat session');
+        }
+    });
+}
@@ -0,0 +1,236 @@
+import crypto from 'crypto';
+import { EventEmitter } from 'events';
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { withLock } from './locks.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// Layout: data/docs/<encoded doc path>.json  (one record per document)
+//         data/journal.json                  (pending transaction, only present mid-commit)
+const DATA_DIR = path.join(__dirname, 'data');
+const DOCS_DIR = path.join(DATA_DIR, 'docs');
+const JOURNAL_FILE = path.join(DATA_DIR, 'journal.json');
+const LEGACY_DATA_FILE = path.join(__dirname, 'data.json');
+
+// All writes go through one lock: transactions are serialized, reads never block
+const WRITE_LOCK = 'storage';
+
+/**
+ * Emits 'change' with { path, etag } for every document a committed transaction
+ * wrote (etag is null when the document was deleted)
+ */
+export const storageEvents = new EventEmitter();
+storageEvents.setMaxListeners(0);
+
+// Dots are encoded too so a path like '..' can never escape DOCS_DIR
+const encodeDocPath = (docPath) => encodeURIComponent(docPath).replace(/\./g, '%2E');
+const docFile = (docPath) => path.join(DOCS_DIR, `${encodeDocPath(docPath)}.json`);
+
+// --- Crash-safe File Writes ---
+
+/**
+ * Write a file so readers (and a crash) only ever see the old or the new content:
+ * write a temp file, fsync it, then rename over the target
+ */
+export async function writeFileAtomic(filePath, contents) {
+    const tmpPath = `${filePath}.${crypto.randomBytes(4).toString('hex')}.tmp`;
+    const handle = await fs.open(tmpPath, 'w');
+    try {
+        await handle.writeFile(contents);
+        await handle.sync();
+    } finally {
+        await handle.close();
+    }
+    await fs.rename(tmpPath, filePath);
+}
+
+async function removeFile(filePath) {
+    try {
+        await fs.unlink(filePath);
+    } catch (error) {
+        if (error.code !== 'ENOENT') throw error;
+    }
+}
+
+// --- Reads ---
+
+/**
+ * Read a single document
+ * @returns {Promise<object|null>} The document, or null if it doesn't exist
+ */
+export async function getDoc(docPath) {
+    try {
+        const data = await fs.readFile(docFile(docPath), 'utf8');
+        return JSON.parse(data);
+    } catch (error) {
+        if (error.code === 'ENOENT') return null;
+        throw error;
+    }
+}
+
+/**
+ * Strong ETag for a document's content. Any change to the data, whichever route
+ * made it (save, publish, rollback...), yields a new tag.
+ */
+export function docEtag(data) {
+    if (data === null || data === undefined) return null;
+    const hash = crypto.createHash('sha1').update(JSON.stringify(data)).digest('base64url');
+    return `"${hash}"`;
+}
+
+/**
+ * List the paths of all stored documents
+ */
+export async function listDocs() {
+    const files = await fs.readdir(DOCS_DIR);
+    return files
+        .filter(f => f.endsWith('.json'))
+        .map(f => decodeURIComponent(f.slice(0, -'.json'.length)));
+}
+
+/**
+ * Read every document as a { path: data } map (the shape data.json used to have)
+ */
+export async function getAllDocs() {
+    const all = {};
+    for (const docPath of await listDocs()) {
+        const data = await getDoc(docPath);
+        if (data !== null) all[docPath] = data;
+    }
+    return all;
+}
+
+// --- Transactions ---
+
+// Apply a journal's writes. Idempotent, so it is safe to replay after a crash.
+async function applyWrites(writes) {
+    for (const [docPath, data] of Object.entries(writes)) {
+        if (data === null) {
+            await removeFile(docFile(docPath));
+        } else {
+            await writeFileAtomic(docFile(docPath), JSON.stringify(data, null, 2));
+        }
+    }
+}
+
+async function commit(writes) {
+    if (Object.keys(writes).length === 0) return;
+
+    // Write-ahead: once the journal is durable the transaction counts as committed
+    await writeFileAtomic(JOURNAL_FILE, JSON.stringify(writes));
+    await applyWrites(writes);
+    await removeFile(JOURNAL_FILE);
+
+    for (const [docPath, data] of Object.entries(writes)) {
+        storageEvents.emit('change', { path: docPath, etag: docEtag(data) });
+    }
+}
+
+/**
+ * Run a read-modify-write transaction. Writes are buffered and committed
+ * all-or-nothing once fn resolves; if fn throws nothing is written.
+ *
+ * @param {function(tx): Promise<any>} fn - receives { get, set, delete }
+ * @returns {Promise<any>} Whatever fn returns
+ *
+ * @example
+ * await transaction(async (tx) => {
+ *     const staging = await tx.get('sites/quickstor-staging');
+ *     tx.set('sites/quickstor-live', { ...staging });
+ * });
+ */
+export function transaction(fn) {
+    return withLock(WRITE_LOCK, async () => {
+        const writes = {};
+        const tx = {
+            // Reads see this transaction's own pending writes
+            get: async (docPath) => (docPath in writes ? writes[docPath] : getDoc(docPath)),
+            set: (docPath, data) => { writes[docPath] = data; },
+            delete: (docPath) => { writes[docPath] = null; }
+        };
+
+        const result = await fn(tx);
+        await commit(writes);
+        return result;
+    });
+}
+
+export const setDoc = (docPath, data) => transaction((tx) => tx.set(docPath, data));
+
+/**
+ * Replace the whole store with a { path: data } map (full restore)
+ */
+export function replaceAllDocs(newData) {
+    return transaction(async (tx) => {
+        for (const docPath of await listDocs()) {
+            if (!(docPath in newData)) tx.delete(docPath);
+        }
+        for (const [docPath, data] of Object.entries(newData)) {
+            tx.set(docPath, data);
+        }
+    });
+}
+
+// --- Startup ---
+
+async function replayJournal() {
+    let writes;
+    try {
+        writes = JSON.parse(await fs.readFile(JOURNAL_FILE, 'utf8'));
+    } catch (error) {
+        if (error.code === 'ENOENT') return;
+        // A torn journal means the commit never happened - nothing was applied yet
+        console.warn('[Storage] Discarding incomplete journal:', error.message);
+        await removeFile(JOURNAL_FILE);
+        return;
+    }
+
+    console.log(`[Storage] Replaying interrupted transaction (${Object.keys(writes).length} documents)`);
+    await applyWrites(writes);
+    await removeFile(JOURNAL_FILE);
+}
+
+// Import a pre-existing data.json once, then move it aside
+async function migrateLegacyDataFile() {
+    let legacy;
+    try {
+        legacy = JSON.parse(await fs.readFile(LEGACY_DATA_FILE, 'utf8'));
+    } catch (error) {
+        if (error.code === 'ENOENT') return;
+        throw new Error(`Cannot migrate ${LEGACY_DATA_FILE}: ${error.message}`);
+    }
+
+    const existing = await listDocs();
+    if (existing.length > 0) {
+        console.warn(`[Storage] Both data.json and ${DOCS_DIR} exist - keeping the document store, ignoring data.json`);
+        return;
+    }
+
+    await transaction(async (tx) => {
+        for (const [docPath, data] of Object.entries(legacy)) {
+            tx.set(docPath, data);
+        }
+    });
+
+    const backupPath = `${LEGACY_DATA_FILE}.migrated-${Date.now()}`;
+    await fs.rename(LEGACY_DATA_FILE, backupPath);
+    console.log(`[Storage] Migrated ${Object.keys(legacy).length} documents from data.json (original kept at ${path.basename(backupPath)})`);
+}
+
+/**
+ * Prepare the data directory, finish any interrupted commit and migrate data.json
+ */
+export async function initStorage() {
+    await fs.mkdir(DOCS_DIR, { recursive: true });
+
+    // Leftover temp files are writes that never got renamed into place
+    for (const file of await fs.readdir(DOCS_DIR)) {
+        if (file.endsWith('.tmp')) await removeFile(path.join(DOCS_DIR, file));
+    }
+
+    await replayJournal();
+    await migrateLegacyDataFile();
+}
@@ -0,0 +1,211 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { requireRole } from './auth.js';
+import { withLock } from './locks.js';
+import { writeFileAtomic } from './storage.js';
+import { lookupModel } from './models.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// Layout: usage/<YYYY-MM>.jsonl  (one line per AI call, append-only)
+//         usage/quotas.json      (monthly limits set by admins)
+const USAGE_DIR = path.join(__dirname, 'usage');
+const QUOTAS_FILE = path.join(USAGE_DIR, 'quotas.json');
+
+// What the admin uses AI for - anything else is recorded as 'other'
+export const FEATURES = ['section-creator', 'content-filler', 'theme-generator', 'summarizer', 'extraction', 'playground', 'replay'];
+
+// null = unlimited
+const DEFAULT_QUOTAS = {
+    monthlyCost: null,
+    monthlyTokens: null,
+    userMonthlyCost: null,
+    userMonthlyTokens: null
+};
+
+const currentMonth = () => new Date().toISOString().slice(0, 7);
+const monthFile = (month) => path.join(USAGE_DIR, `${month}.jsonl`);
+
+// Running totals for the current month, so quota checks don't re-read the log
+let monthTotals = null;
+
+// --- Cost ---
+
+// Prices come from the model registry; unknown models are recorded without a cost
+export function estimateCost(model, inputTokens, outputTokens) {
+    const price = lookupModel(model)?.price;
+    if (!price) return null;
+
+    const [input, output] = price;
+    return (inputTokens * input + outputTokens * output) / 1_000_000;
+}
+
+// --- Usage Log ---
+
+async function readMonth(month) {
+    let data;
+    try {
+        data = await fs.readFile(monthFile(month), 'utf8');
+    } catch (error) {
+        return [];
+    }
+    return data.split('\n').filter(Boolean).map(line => {
+        try {
+            return JSON.parse(line);
+        } catch {
+            return null; // A line cut short by a crash
+        }
+    }).filter(Boolean);
+}
+
+const emptyTotals = () => ({ calls: 0, inputTokens: 0, outputTokens: 0, tokens: 0, cost: 0 });
+
+function addTo(totals, record) {
+    totals.calls += 1;
+    totals.inputTokens += record.inputTokens;
+    totals.outputTokens += record.outputTokens;
+    totals.tokens += record.inputTokens + record.outputTokens;
+    totals.cost += record.cost || 0;
+    return totals;
+}
+
+/**
+ * Add up a month of records, overall and grouped by user, feature and model
+ */
+function summarize(records) {
+    const summary = { totals: emptyTotals(), byUser: {}, byFeature: {}, byModel: {} };
+    for (const record of records) {
+        addTo(summary.totals, record);
+        addTo(summary.byUser[record.user] ||= emptyTotals(), record);
+        addTo(summary.byFeature[record.feature] ||= emptyTotals(), record);
+        addTo(summary.byModel[`${record.provider}/${record.model}`] ||= emptyTotals(), record);
+    }
+    return summary;
+}
+
+async function getMonthTotals() {
+    const month = currentMonth();
+    if (monthTotals?.month !== month) {
+        const { totals, byUser } = summarize(await readMonth(month));
+        monthTotals = { month, totals, byUser };
+    }
+    return monthTotals;
+}
+
+/**
+ * Record one AI call
+ * @param {{user: string, feature: string, provider: string, model: string,
+ *          inputTokens: number, outputTokens: number, estimated: boolean}} call
+ */
+export async function recordUsage(call) {
+    const record = {
+        at: new Date().toISOString(),
+        user: call.user,
+        feature: FEATURES.includes(call.feature) ? call.feature : 'other',
+        provider: call.provider,
+        model: call.model,
+        inputTokens: Math.round(call.inputTokens) || 0,
+        outputTokens: Math.round(call.outputTokens) || 0,
+        estimated: !!call.estimated
+    };
+    record.cost = estimateCost(record.model, record.inputTokens, record.outputTokens);
+
+    await withLock('usage', async () => {
+        const totals = await getMonthTotals();
+        await fs.mkdir(USAGE_DIR, { recursive: true });
+        await fs.appendFile(monthFile(record.at.slice(0, 7)), `${JSON.stringify(record)}\n`);
+
+        addTo(totals.totals, record);
+        addTo(totals.byUser[record.user] ||= emptyTotals(), record);
+    });
+    return record;
+}
+
+// --- Quotas ---
+
+export async function getQuotas() {
+    try {
+        return { ...DEFAULT_QUOTAS, ...JSON.parse(await fs.readFile(QUOTAS_FILE, 'utf8')) };
+    } catch (error) {
+        return { ...DEFAULT_QUOTAS };
+    }
+}
+
+export async function updateQuotas(changes = {}) {
+    const quotas = await getQuotas();
+    for (const key of Object.keys(DEFAULT_QUOTAS)) {
+        if (changes[key] === undefined) continue;
+
+        const value = changes[key] === null || changes[key] === '' ? null : Number(changes[key]);
+        if (value !== null && (!Number.isFinite(value) || value < 0)) {
+            throw new Error(`${key} must be a positive number or empty for no limit`);
+        }
+        quotas[key] = value;
+    }
+
+    await fs.mkdir(USAGE_DIR, { recursive: true });
+    await writeFileAtomic(QUOTAS_FILE, JSON.stringify(quotas, null, 2));
+    return quotas;
+}
+
+/**
+ * Which monthly limit (if any) this user has reached
+ * @returns {Promise<string|null>} A message explaining the limit, or null if the call may go ahead
+ */
+export async function checkQuota(user) {
+    const quotas = await getQuotas();
+    const { totals, byUser } = await getMonthTotals();
+    const mine = byUser[user] || emptyTotals();
+
+    if (quotas.monthlyCost !== null && totals.cost >= quotas.monthlyCost) {
+        return `The monthly AI budget of $${quotas.monthlyCost} has been used up.`;
+    }
+    if (quotas.monthlyTokens !== null && totals.tokens >= quotas.monthlyTokens) {
+        return `The monthly AI limit of ${quotas.monthlyTokens.toLocaleString()} tokens has been used up.`;
+    }
+    if (quotas.userMonthlyCost !== null && mine.cost >= quotas.userMonthlyCost) {
+        return `You have used your monthly AI budget of $${quotas.userMonthlyCost}.`;
+    }
+    if (quotas.userMonthlyTokens !== null && mine.tokens >= quotas.userMonthlyTokens) {
+        return `You have used your monthly AI limit of ${quotas.userMonthlyTokens.toLocaleString()} tokens.`;
+    }
+    return null;
+}
+
+// --- Routes ---
+
+export function registerUsageRoutes(app) {
+    // GET /api/ai/usage?month=YYYY-MM - usage report for a month (defaults to the current one)
+    app.get('/api/ai/usage', requireRole('admin'), async (req, res) => {
+        const month = req.query.month || currentMonth();
+        if (!/^\d{4}-\d{2}$/.test(month)) {
+            return res.status(400).json({ error: 'month must look like YYYY-MM' });
+        }
+
+        try {
+            const [records, quotas] = await Promise.all([readMonth(month), getQuotas()]);
+            res.json({
+                month,
+                ...summarize(records),
+                estimatedCalls: records.filter(r => r.estimated).length,
+                quotas
+            });
+        } catch (error) {
+            console.error('Error reading AI usage:', error);
+            res.status(500).json({ error: 'Internal Server Error' });
+        }
+    });
+
+    // PUT /api/ai/quotas - set monthly limits
+    app.put('/api/ai/quotas', requireRole('admin'), async (req, res) => {
+        try {
+            const quotas = await updateQuotas(req.body || {});
+            console.log(`[AI] ${req.user.email} updated AI quotas`, quotas);
+            res.json(quotas);
+        } catch (error) {
+            res.status(400).json({ error: error.message });
+        }
+    });
+}
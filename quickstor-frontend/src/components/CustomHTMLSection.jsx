@@ -1,6 +1,7 @@
 import React, { useMemo, useEffect, useRef } from 'react';
 import Prism from 'prismjs';
 import 'prismjs/themes/prism-tomorrow.css';
+import { addSrcsetToHtml } from '../utils/responsiveImage';
 
 const CustomHTMLSection = ({ html, css, js, content, styles }) => {
     const containerRef = useRef(null);
@@ -34,7 +35,8 @@ const CustomHTMLSection = ({ html, css, js, content, styles }) => {
                 }
             });
         }
-        return result;
+        // Uploaded images in image fields get their resized variants
+        return addSrcsetToHtml(result);
     }, [cleanHtml, content, styles]);
 
     // Execute scripts found in the HTML
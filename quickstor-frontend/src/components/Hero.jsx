@@ -1,10 +1,24 @@
 import React from 'react';
 import { ArrowRight, Activity } from 'lucide-react';
 import { IconMapper } from '../utils/IconMapper';
+import ResponsiveImage from './ResponsiveImage';
 
-const Hero = ({ badge, title, subtitle, primaryCta, secondaryCta, trustIndicators, serverStatus, styles = {} }) => {
+const Hero = ({ badge, title, subtitle, primaryCta, secondaryCta, trustIndicators, serverStatus, backgroundImage, styles = {} }) => {
   return (
     <section className="relative pt-24 md:pt-32 pb-16 md:pb-20 px-4 sm:px-6 lg:px-12 min-h-screen flex items-center bg-[#050505] overflow-hidden">
+      {/* Background Image (dimmed so the text stays readable) */}
+      {backgroundImage && (
+        <div className="absolute inset-0 pointer-events-none">
+          <ResponsiveImage
+            src={backgroundImage}
+            alt=""
+            fetchPriority="high"
+            className="absolute inset-0 w-full h-full object-cover opacity-40"
+          />
+          <div className="absolute inset-0 bg-gradient-to-b from-[#050505]/60 via-transparent to-[#050505]"></div>
+        </div>
+      )}
+
       {/* Abstract Tech Grid Background */}
       <div className="absolute inset-0 opacity-10 pointer-events-none"
         style={{
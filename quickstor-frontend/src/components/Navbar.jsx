@@ -1,5 +1,6 @@
 import React, { useState } from 'react';
 import { Menu, X } from 'lucide-react';
+import ResponsiveImage from './ResponsiveImage';
 
 const Navbar = ({ logo, links, ctaText, onLogoClick, className, style }) => {
   const [isOpen, setIsOpen] = useState(false);
@@ -43,9 +44,11 @@ const Navbar = ({ logo, links, ctaText, onLogoClick, className, style }) => {
           className="flex-shrink-0 flex items-center gap-3 group cursor-pointer"
         >
           {logo && (
-            <img
+            <ResponsiveImage
               src={logo}
               alt="QuickStor Systems"
+              sizes="240px"
+              placeholder={false}
               className="h-8 md:h-10 w-auto object-contain rounded-sm"
             />
           )}
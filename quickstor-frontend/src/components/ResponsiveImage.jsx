@@ -0,0 +1,35 @@
+import React, { useState } from 'react';
+import { getResponsiveImage } from '../utils/responsiveImage';
+
+// Renders uploaded images through their resized AVIF/WebP variants, with a blurred preview
+// until the real image has loaded. Any other URL renders as a plain <img>.
+const ResponsiveImage = ({ src, alt = '', sizes = '100vw', className = '', style, placeholder = true, ...props }) => {
+  const [loadedSrc, setLoadedSrc] = useState(null);
+  const image = getResponsiveImage(src);
+
+  if (!image) {
+    return <img src={src} alt={alt} className={className} style={style} {...props} />;
+  }
+
+  const isLoaded = loadedSrc === src;
+  const showPlaceholder = placeholder && !isLoaded;
+
+  return (
+    <picture>
+      <source type="image/avif" srcSet={image.srcSet.avif} sizes={sizes} />
+      <source type="image/webp" srcSet={image.srcSet.webp} sizes={sizes} />
+      <img
+        src={image.src}
+        alt={alt}
+        className={`${className} ${placeholder ? 'transition-[filter] duration-500' : ''}`}
+        style={showPlaceholder
+          ? { ...style, backgroundImage: `url(${image.placeholder})`, backgroundSize: 'cover', backgroundPosition: 'center', filter: 'blur(12px)' }
+          : style}
+        onLoad={() => setLoadedSrc(src)}
+        {...props}
+      />
+    </picture>
+  );
+};
+
+export default ResponsiveImage;
@@ -1,5 +1,6 @@
 import React, { useState, useEffect } from 'react';
-import { db, doc, onSnapshot, setDoc, getDoc } from '../firebase';
+import { db, doc, onSnapshot } from '../firebase';
+import { publishStaging, rejectStaging } from '../utils/siteActions';
 import { Check, X, AlertTriangle, Globe, ArrowRight } from 'lucide-react';
 
 const SITE_DOC_ID = import.meta.env.VITE_SITE_DOC_ID;
@@ -47,16 +48,8 @@ export default function StagingBanner() {
 
         setProcessing(true);
         try {
-            // 1. Get current staging data
-            const stagingSnap = await getDoc(doc(db, 'sites', 'quickstor-staging'));
-            if (!stagingSnap.exists()) throw new Error("No staging content found.");
-            const data = stagingSnap.data();
-
-            // 2. Write to live
-            await setDoc(doc(db, 'sites', 'quickstor-live'), {
-                ...data,
-                lastPublished: new Date()
-            });
+            // Server copies Staging to Live atomically
+            await publishStaging();
 
             alert('Successfully published to Live!');
         } catch (error) {
@@ -72,13 +65,8 @@ export default function StagingBanner() {
 
         setProcessing(true);
         try {
-            // 1. Get current live data
-            const liveSnap = await getDoc(doc(db, 'sites', 'quickstor-live'));
-            if (!liveSnap.exists()) throw new Error("No live content found.");
-            const data = liveSnap.data();
-
-            // 2. Overwrite staging
-            await setDoc(doc(db, 'sites', 'quickstor-staging'), data);
+            // Server resets Staging to Live atomically
+            await rejectStaging();
 
             alert('Staging reverted to match Live.');
         } catch (error) {
@@ -2,6 +2,13 @@
 
 const BACKEND_URL = '/api/data';
 
+// Writes need an admin session. The admin portal is served from the same
+// origin, so a signed-in admin's token is already in localStorage.
+export const authHeaders = () => {
+    const token = localStorage.getItem('quickstor_auth_token');
+    return token ? { Authorization: `Bearer ${token}` } : {};
+};
+
 // Mock objects
 export const app = {};
 export const analytics = {};
@@ -32,7 +39,8 @@ export const getDoc = async (docRef) => {
         return {
             exists: () => true,
             data: () => data,
-            id: docRef.id
+            id: docRef.id,
+            etag: response.headers.get('ETag')
         };
     } catch (e) {
         console.error("Error fetching from backend:", e);
@@ -54,10 +62,15 @@ export const setDoc = async (docRef, data, options) => {
 
         const response = await fetch(`${BACKEND_URL}/${docRef.path}`, {
             method: 'POST',
-            headers: { 'Content-Type': 'application/json' },
+            headers: { 'Content-Type': 'application/json', ...authHeaders() },
             body: JSON.stringify(finalData)
         });
 
+        if (response.status === 401) throw new Error('Sign in to the admin portal to make changes.');
+        if (response.status === 403) {
+            const { error } = await response.json().catch(() => ({}));
+            throw new Error(error || 'Your account does not have permission to make this change.');
+        }
         if (!response.ok) throw new Error('Failed to save to backend');
 
         return await response.json();
@@ -67,33 +80,66 @@ export const setDoc = async (docRef, data, options) => {
     }
 };
 
-// Polling implementation for frontend "real-time" updates
+// --- Live Updates ---
+// One EventSource per tab is shared by every onSnapshot listener. The server only
+// announces which document changed (path + ETag); affected listeners then refetch it.
+const EVENTS_URL = '/api/events';
+const listeners = new Set();
+let eventSource = null;
+
+const ensureEventSource = () => {
+    if (eventSource) return;
+
+    eventSource = new EventSource(EVENTS_URL);
+    eventSource.addEventListener('change', (event) => {
+        const { path, etag } = JSON.parse(event.data);
+        listeners.forEach(listener => {
+            if (listener.path === path) listener.refresh(etag);
+        });
+    });
+
+    // EventSource reconnects by itself; changes made while it was down are caught up here
+    let hasConnected = false;
+    eventSource.addEventListener('open', () => {
+        if (hasConnected) listeners.forEach(listener => listener.refresh());
+        hasConnected = true;
+    });
+};
+
 export const onSnapshot = (docRef, callback) => {
-    let isActive = true;
-    let lastJson = null;
+    let lastEtag; // undefined until the first fetch
+    let requestSeq = 0;
 
-    const fetchData = async () => {
-        if (!isActive) return;
-        try {
+    const listener = {
+        path: docRef.path,
+        refresh: async (etag) => {
+            // Notification for a version we already have
+            if (etag !== undefined && etag === lastEtag) return;
+
+            const seq = ++requestSeq;
             const snap = await getDoc(docRef);
-            const currentJson = JSON.stringify(snap.data());
+            // Unsubscribed meanwhile, or a newer refresh overtook this one
+            if (!listeners.has(listener) || seq !== requestSeq) return;
 
-            // Only fire callback if data changed (simple optimization)
-            if (currentJson !== lastJson) {
-                lastJson = currentJson;
-                callback(snap);
-            }
-        } catch (e) {
-            console.error("Polling error:", e);
+            const snapEtag = snap.etag || null;
+            if (lastEtag !== undefined && snapEtag === lastEtag) return;
+            lastEtag = snapEtag;
+            callback(snap);
         }
-
-        // Poll every 2 seconds
-        if (isActive) setTimeout(fetchData, 2000);
     };
 
-    fetchData();
+    listeners.add(listener);
+    ensureEventSource();
+    listener.refresh(); // Initial fetch
 
-    return () => { isActive = false; };
+    // Return unsubscribe function
+    return () => {
+        listeners.delete(listener);
+        if (listeners.size === 0 && eventSource) {
+            eventSource.close();
+            eventSource = null;
+        }
+    };
 };
 
 export const initializeApp = () => app;
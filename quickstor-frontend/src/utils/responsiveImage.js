@@ -0,0 +1,58 @@
+/**
+ * Responsive Images
+ * The backend renders resized WebP/AVIF copies of uploaded images at predictable URLs
+ * (see quickstor-backend/images.js - keep the widths in sync), so srcsets can be
+ * built from the stored image URL alone.
+ */
+
+export const VARIANT_WIDTHS = [480, 960, 1600, 2400];
+
+const VARIANTS_URL = '/api/media/variants';
+
+// Only raster uploads get variants - SVGs, GIFs and external URLs are used as-is
+const MEDIA_IMAGE_PATTERN = /^\/api\/media\/([a-f0-9]{32})\.(?:png|jpg|webp)$/;
+
+const buildSrcSet = (hash, format) =>
+    VARIANT_WIDTHS.map(width => `${VARIANTS_URL}/${hash}-${width}.${format} ${width}w`).join(', ');
+
+/**
+ * Variant URLs for an uploaded image
+ * @param {string} url - Image URL as stored in the content
+ * @returns {{src: string, placeholder: string, srcSet: {avif: string, webp: string}}|null} null if the
+ * image has no variants
+ */
+export function getResponsiveImage(url) {
+    const match = typeof url === 'string' && MEDIA_IMAGE_PATTERN.exec(url);
+    if (!match) return null;
+
+    const hash = match[1];
+    return {
+        src: url,
+        placeholder: `${VARIANTS_URL}/${hash}-blur.webp`,
+        srcSet: {
+            avif: buildSrcSet(hash, 'avif'),
+            webp: buildSrcSet(hash, 'webp')
+        }
+    };
+}
+
+/**
+ * Add srcset/sizes to <img> tags in custom section HTML that point at uploaded images.
+ * Tags that already declare a srcset are left alone.
+ */
+export function addSrcsetToHtml(html, sizes = '100vw') {
+    if (!html || !html.includes('/api/media/')) return html;
+
+    return html.replace(/<img\b[^>]*>/gi, (tag) => {
+        if (/\ssrcset\s*=/i.test(tag)) return tag;
+
+        const src = /\ssrc\s*=\s*["']([^"']+)["']/i.exec(tag);
+        const image = src && getResponsiveImage(src[1]);
+        if (!image) return tag;
+
+        const extra = [`srcset="${image.srcSet.webp}"`];
+        if (!/\ssizes\s*=/i.test(tag)) extra.push(`sizes="${sizes}"`);
+        if (!/\sloading\s*=/i.test(tag)) extra.push('loading="lazy"');
+        return tag.replace(/^<img\b/i, `<img ${extra.join(' ')}`);
+    });
+}
@@ -0,0 +1,18 @@
+// Staging -> Live actions, performed atomically by the backend
+
+import { authHeaders } from '../firebase';
+
+async function siteAction(action) {
+    const response = await fetch(`/api/${action}`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', ...authHeaders() }
+    });
+
+    const data = await response.json().catch(() => ({}));
+    if (response.status === 401) throw new Error('Sign in to the admin portal to make changes.');
+    if (!response.ok) throw new Error(data.error || `${action} failed: ${response.status}`);
+    return data;
+}
+
+export const publishStaging = () => siteAction('publish');
+export const rejectStaging = () => siteAction('reject');